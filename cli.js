@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+// --- cli.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+// The command-line interface only uses the Electron-free core modules, so it runs
+// with plain Node.js and never opens a window.
+const path = require('path');     // Node.js module for handling and transforming file paths
+const fs = require('fs').promises; // Node.js File System module with promise-based API
+const { generateTree, listExporters, exportTree, ASCII_STYLES, DEFAULT_IGNORE_PATTERNS, SYMLINK_MODES, DEFAULT_SYMLINK_MODE, SORT_MODES } = require('./core'); // Scanning and output formats, shared with the GUI
+const { version } = require('./package.json');
+
+
+// =============================================================================
+// Constants
+// =============================================================================
+const FORMATS = listExporters().map(exporter => exporter.id); // Supported values for --format: every registered exporter
+
+// Exit codes: 0 on success, 1 when generation fails, 2 for invalid command-line usage.
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: directory-tree-generator <path> [options]
+
+Generates a directory tree for <path> without opening the GUI.
+
+Options:
+  -f, --format <format>    Output format (default: ascii):
+                           ${FORMATS.join(', ')}
+  -i, --ignore <patterns>  Ignore patterns, comma-separated; may be repeated.
+                           Replaces the default list ("${DEFAULT_IGNORE_PATTERNS}").
+                           Use --ignore "" to ignore nothing.
+  -g, --gitignore          Apply .gitignore rules
+  -d, --max-depth <n>      List at most <n> levels below the folder (0 = no limit)
+  -n, --max-entries <n>    List at most <n> entries in total (0 = no limit)
+  -l, --symlinks <mode>    Symbolic links: ${SYMLINK_MODES.join(', ')} (default: ${DEFAULT_SYMLINK_MODE})
+  -m, --metadata           Collect sizes, dates and counts, and annotate the tree with them
+  -s, --sort <mode>        Sort by: ${SORT_MODES.join(', ')} (default: name)
+      --mixed              Sort folders and files together instead of folders first
+      --natural            Compare numbers by value (file2 before file10)
+      --case-sensitive     Sort uppercase names before lowercase ones
+  -t, --style <style>      ASCII connectors: ${Object.keys(ASCII_STYLES).join(', ')} (default: unicode)
+  -F, --folder-slash       Append '/' to folder names
+      --md-fence           Markdown: wrap the ASCII tree in a fenced code block
+      --md-links           Markdown: link each entry to its relative path
+      --md-link-base <p>   Markdown: prefix of the link paths (e.g. ../)
+      --md-icons           Markdown: prefix entries with an emoji for their type
+      --md-tasks           Markdown: write entries as task list items
+  -o, --out <file>         Write the tree to <file> instead of standard output
+  -h, --help               Show this help
+  -v, --version            Show the version number
+`;
+
+
+// =============================================================================
+// Argument Parsing
+// =============================================================================
+
+/**
+ * Error raised for invalid command-line usage; reported with the usage text and exit code 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses the value of a numeric limit option such as `--max-depth`.
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, for the error message.
+ * @returns {number|null} The limit, or `null` for no limit (0).
+ * @throws {UsageError} Throws if the value is not a whole number.
+ */
+function parseLimit(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Option ${name} expects a whole number, got "${value}".`);
+    }
+    const limit = Number(value);
+    return limit === 0 ? null : limit;
+}
+
+/**
+ * Parses command-line arguments into an options object.
+ * Supports `--option value`, `--option=value` and short aliases.
+ * @param {string[]} argv - The arguments after the executable and script name.
+ * @returns {{ folderPath: string|null, format: string, ignorePatterns: string[]|null, useGitignore: boolean,
+ * maxDepth: number|null, maxEntries: number|null, symlinks: string, metadata: boolean,
+ * sort: { mode: string, foldersFirst: boolean, natural: boolean, caseSensitive: boolean },
+ * asciiStyle: string, folderSlash: boolean,
+ * markdown: { style: string, links: boolean, linkBase: string, icons: boolean, taskList: boolean }, outFile: string|null, help: boolean, version: boolean }} The parsed options.
+ * `ignorePatterns` is `null` when `--ignore` was not given.
+ * @throws {UsageError} Throws if an option is unknown, lacks a value, or a value is invalid.
+ */
+function parseArguments(argv) {
+    const options = {
+        folderPath: null,
+        format: 'ascii',
+        ignorePatterns: null,
+        useGitignore: false,
+        maxDepth: null,
+        maxEntries: null,
+        symlinks: DEFAULT_SYMLINK_MODE,
+        metadata: false,
+        sort: { mode: 'name', foldersFirst: true, natural: false, caseSensitive: false },
+        asciiStyle: 'unicode',
+        folderSlash: false,
+        markdown: { style: 'list', links: false, linkBase: '', icons: false, taskList: false },
+        outFile: null,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let inlineValue = null;
+
+        // Split '--option=value' into its name and value.
+        const equalsIndex = arg.indexOf('=');
+        if (arg.startsWith('--') && equalsIndex !== -1) {
+            inlineValue = arg.substring(equalsIndex + 1);
+            arg = arg.substring(0, equalsIndex);
+        }
+
+        // Reads the value of the current option, either inline or from the next argument.
+        const readValue = () => {
+            if (inlineValue !== null) {
+                return inlineValue;
+            }
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Option ${arg} requires a value.`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-f':
+            case '--format':
+                options.format = readValue().toLowerCase();
+                if (!FORMATS.includes(options.format)) {
+                    throw new UsageError(`Unknown format "${options.format}". Expected one of: ${FORMATS.join(', ')}.`);
+                }
+                break;
+            case '-i':
+            case '--ignore':
+                options.ignorePatterns = (options.ignorePatterns || []).concat(readValue());
+                break;
+            case '-g':
+            case '--gitignore':
+                options.useGitignore = true;
+                break;
+            case '-d':
+            case '--max-depth':
+                options.maxDepth = parseLimit(readValue(), arg);
+                break;
+            case '-n':
+            case '--max-entries':
+                options.maxEntries = parseLimit(readValue(), arg);
+                break;
+            case '-l':
+            case '--symlinks':
+                options.symlinks = readValue().toLowerCase();
+                if (!SYMLINK_MODES.includes(options.symlinks)) {
+                    throw new UsageError(`Unknown symlink mode "${options.symlinks}". Expected one of: ${SYMLINK_MODES.join(', ')}.`);
+                }
+                break;
+            case '-m':
+            case '--metadata':
+                options.metadata = true;
+                break;
+            case '-s':
+            case '--sort':
+                options.sort.mode = readValue().toLowerCase();
+                if (!SORT_MODES.includes(options.sort.mode)) {
+                    throw new UsageError(`Unknown sort mode "${options.sort.mode}". Expected one of: ${SORT_MODES.join(', ')}.`);
+                }
+                break;
+            case '--mixed':
+                options.sort.foldersFirst = false;
+                break;
+            case '--natural':
+                options.sort.natural = true;
+                break;
+            case '--case-sensitive':
+                options.sort.caseSensitive = true;
+                break;
+            case '-t':
+            case '--style':
+                options.asciiStyle = readValue().toLowerCase();
+                if (!Object.prototype.hasOwnProperty.call(ASCII_STYLES, options.asciiStyle)) {
+                    throw new UsageError(`Unknown ASCII style "${options.asciiStyle}". Expected one of: ${Object.keys(ASCII_STYLES).join(', ')}.`);
+                }
+                break;
+            case '-F':
+            case '--folder-slash':
+                options.folderSlash = true;
+                break;
+            case '--md-fence':
+                options.markdown.style = 'fence';
+                break;
+            case '--md-links':
+                options.markdown.links = true;
+                break;
+            case '--md-link-base':
+                options.markdown.linkBase = readValue();
+                break;
+            case '--md-icons':
+                options.markdown.icons = true;
+                break;
+            case '--md-tasks':
+                options.markdown.taskList = true;
+                break;
+            case '-o':
+            case '--out':
+                options.outFile = readValue();
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Unknown option "${arg}".`);
+                }
+                if (options.folderPath !== null) {
+                    throw new UsageError(`Unexpected argument "${arg}". Only one folder path can be given.`);
+                }
+                options.folderPath = arg;
+        }
+    }
+    return options;
+}
+
+
+// =============================================================================
+// Entry Point
+// =============================================================================
+
+/**
+ * Runs the command-line interface.
+ * @param {string[]} argv - The arguments after the executable and script name.
+ * @returns {Promise<number>} Resolves with the process exit code.
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+        if (!options.help && !options.version && !options.folderPath) {
+            throw new UsageError('A folder path is required.');
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+        throw error;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (options.version) {
+        process.stdout.write(`${version}\n`);
+        return 0;
+    }
+
+    try {
+        const folderPath = path.resolve(options.folderPath);
+        const stats = await fs.stat(folderPath).catch(error => {
+            throw new Error(`Cannot access "${options.folderPath}": ${error.message}`);
+        });
+        if (!stats.isDirectory()) {
+            throw new Error(`"${options.folderPath}" is not a folder.`);
+        }
+
+        const ignorePatterns = options.ignorePatterns !== null ? options.ignorePatterns : DEFAULT_IGNORE_PATTERNS;
+        const tree = await generateTree(folderPath, {
+            ignorePatterns,
+            useGitignore: options.useGitignore,
+            maxDepth: options.maxDepth,
+            maxEntries: options.maxEntries,
+            symlinks: options.symlinks,
+            collectMetadata: options.metadata,
+            sort: options.sort
+        });
+        const output = exportTree(tree, options.format, {
+            showMetadata: options.metadata,
+            sort: options.sort,
+            asciiStyle: options.asciiStyle,
+            folderSlash: options.folderSlash,
+            markdown: options.markdown
+        });
+
+        if (options.outFile) {
+            await fs.writeFile(options.outFile, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return EXIT_FAILURE;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseArguments, main };
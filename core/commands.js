@@ -0,0 +1,96 @@
+// --- core/commands.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag and merged into `window.TreeCore`)
+// and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory()); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+
+    // =============================================================================
+    // Command Matching
+    // =============================================================================
+    // The command palette lists every action of the GUI by label, e.g. 'Output: Markdown', and
+    // narrows the list as the user types. Each word typed must be found in the label, either as
+    // written ('mark') or as letters in order ('mkdn'); labels matching at word starts rank first.
+
+    // Characters after which a new word of a label starts.
+    const WORD_SEPARATORS = /[\s:./\\_\-()]/;
+
+    /**
+     * Scores how well one word of the query matches a label.
+     * @param {string} label - The label, in lower case.
+     * @param {string} term - The word, in lower case.
+     * @returns {number} 3 for a match at a word start, 2 for a match inside a word,
+     * 1 for the letters appearing in order, 0 for no match.
+     */
+    function scoreTerm(label, term) {
+        let index = label.indexOf(term);
+        if (index !== -1) {
+            // Prefer an occurrence at a word start, wherever it is.
+            while (index !== -1) {
+                if (index === 0 || WORD_SEPARATORS.test(label[index - 1])) {
+                    return 3;
+                }
+                index = label.indexOf(term, index + 1);
+            }
+            return 2;
+        }
+        let position = 0;
+        for (const character of term) {
+            position = label.indexOf(character, position) + 1;
+            if (position === 0) {
+                return 0;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Scores how well a query matches a command label.
+     * @param {string} label - The command's label.
+     * @param {string} query - What the user typed; words are separated by spaces.
+     * @returns {number|null} The score (higher is better; 0 for an empty query), or null if a word does not match.
+     */
+    function scoreCommandMatch(label, query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const lowerLabel = label.toLowerCase();
+        let score = 0;
+        for (const term of terms) {
+            const termScore = scoreTerm(lowerLabel, term);
+            if (termScore === 0) {
+                return null;
+            }
+            score += termScore;
+        }
+        return score;
+    }
+
+    /**
+     * Narrows a list of commands to those matching a query, best matches first.
+     * Commands with the same score keep their order in the list.
+     * @param {Array<{ label: string }>} commands - The commands.
+     * @param {string} query - What the user typed.
+     * @returns {Array<{ label: string }>} The matching commands (all of them for an empty query).
+     */
+    function filterCommands(commands, query) {
+        return commands
+            .map((command, index) => ({ command, index, score: scoreCommandMatch(command.label, query) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+            .map(match => match.command);
+    }
+
+    return {
+        scoreCommandMatch,
+        filterCommands
+    };
+}));
@@ -0,0 +1,455 @@
+// --- core/diff.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/formatters.js`, merged into
+// `window.TreeCore`) and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./formatters')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (formatters) {
+    'use strict';
+
+    const { generateAsciiTree, getSortedChildren } = formatters;
+
+
+    // =============================================================================
+    // Tree Comparison
+    // =============================================================================
+    // Compares an intended layout (a saved or edited tree) with a fresh scan of the folder.
+    // The result is a single merged tree holding the nodes of both, each with a `status`.
+
+    const DIFF_STATUSES = ['unchanged', 'added', 'removed', 'changed']; // Values of `DiffNode.status`
+
+    // Marker column of the ASCII diff, by status.
+    const DIFF_MARKERS = { unchanged: ' ', added: '+', removed: '-', changed: '~' };
+
+    /**
+     * @typedef {Object} DiffNode
+     * @property {string} name - The entry name.
+     * @property {string} type - The type on disk ('removed' entries keep the type they had in the layout).
+     * @property {'unchanged'|'added'|'removed'|'changed'} status - 'added': on disk only; 'removed': in the
+     * layout only; 'changed': in both, but as a different type (or a link to a different target).
+     * @property {string} [previousType] - The type in the layout, for type changes.
+     * @property {string} [previousTarget] - The link target in the layout, for link target changes.
+     * @property {string} [target] - The link target.
+     * @property {string} [comment] - The comment of the layout's node.
+     * @property {string|number} [id] - The `id` of the layout's node, so the editor can find it.
+     * @property {DiffNode[]} [children] - The merged children of folders.
+     */
+
+    /**
+     * Copies a subtree, marking every node with the same status.
+     * @param {Object} node - The node to copy.
+     * @param {'added'|'removed'} status - The status of the whole subtree.
+     * @returns {DiffNode} The copy.
+     */
+    function markSubtree(node, status) {
+        const copy = { name: node.name, type: node.type, status };
+        if (typeof node.target === 'string') copy.target = node.target;
+        if (status === 'removed') {
+            if (node.id !== undefined) copy.id = node.id;
+            if (node.comment) copy.comment = node.comment;
+        }
+        if (node.type === 'folder') {
+            copy.children = (node.children || []).map(child => markSubtree(child, status));
+        }
+        return copy;
+    }
+
+    /**
+     * Compares two nodes with the same name (or the two roots) and their descendants.
+     * @param {Object} expected - The node of the layout.
+     * @param {Object} actual - The node found on disk.
+     * @returns {DiffNode} The merged node.
+     */
+    function diffNodes(expected, actual) {
+        const merged = { name: actual.name, type: actual.type, status: 'unchanged' };
+        if (expected.id !== undefined) merged.id = expected.id;
+        if (expected.comment) merged.comment = expected.comment;
+        if (typeof actual.target === 'string') merged.target = actual.target;
+
+        if (expected.type !== actual.type) {
+            merged.status = 'changed';
+            merged.previousType = expected.type;
+        } else if (actual.type === 'symlink' && (expected.target || '') !== (actual.target || '')) {
+            merged.status = 'changed';
+            merged.previousTarget = expected.target || '';
+        }
+
+        if (actual.type === 'folder') {
+            const expectedChildren = expected.type === 'folder' ? expected.children || [] : [];
+            const actualByName = new Map((actual.children || []).map(child => [child.name, child]));
+            const expectedNames = new Set(expectedChildren.map(child => child.name));
+            merged.children = [
+                ...expectedChildren.map(child => actualByName.has(child.name)
+                    ? diffNodes(child, actualByName.get(child.name))
+                    : markSubtree(child, 'removed')),
+                ...(actual.children || []).filter(child => !expectedNames.has(child.name)).map(child => markSubtree(child, 'added'))
+            ];
+        }
+        return merged;
+    }
+
+    /**
+     * Compares an intended layout with the tree found on disk. Children are matched by name; the
+     * roots are always compared with each other, whatever their names. Editor-only properties are
+     * not compared, and neither are sizes or dates.
+     * @param {Object} expected - The intended layout (a saved or edited tree).
+     * @param {Object} actual - The tree found on disk (e.g. from `generateTree`).
+     * @returns {DiffNode} The merged tree. Its root has the layout's name.
+     */
+    function diffTrees(expected, actual) {
+        const merged = diffNodes(expected, actual);
+        merged.name = expected.name || actual.name;
+        return merged;
+    }
+
+    /**
+     * Counts the entries of a merged tree by status (the root is not counted).
+     * @param {DiffNode} diffTree - The result of `diffTrees`.
+     * @returns {{ unchanged: number, added: number, removed: number, changed: number }} The counts.
+     */
+    function summarizeDiff(diffTree) {
+        const counts = { unchanged: 0, added: 0, removed: 0, changed: 0 };
+        const visit = node => (node.children || []).forEach(child => {
+            counts[child.status]++;
+            visit(child);
+        });
+        visit(diffTree);
+        return counts;
+    }
+
+    /**
+     * Describes how an entry changed type or target, e.g. 'was a file'.
+     * @param {DiffNode} node - A 'changed' node.
+     * @returns {string} The description.
+     */
+    function describeChange(node) {
+        if (node.previousType !== undefined) {
+            return `was a ${node.previousType}`;
+        }
+        return `was a link to ${node.previousTarget || '(nothing)'}`;
+    }
+
+    /**
+     * Writes a merged tree as an ASCII tree with a marker column: '+' for added entries, '-' for
+     * removed ones, '~' for type changes (annotated with the previous type) and a space otherwise.
+     * @param {DiffNode} diffTree - The result of `diffTrees`.
+     * @param {FormatOptions} [options] - Output options, as for `generateAsciiTree`.
+     * @returns {string} The diff, ending with a newline.
+     */
+    function generateDiffTree(diffTree, options = {}) {
+        // Describe type changes in the comment column, after any comment of the layout.
+        const annotate = node => {
+            const copy = { ...node };
+            if (node.status === 'changed') {
+                copy.comment = [node.comment, describeChange(node)].filter(Boolean).join(' - ');
+            }
+            if (node.children) {
+                copy.children = node.children.map(annotate);
+            }
+            return copy;
+        };
+        const annotated = annotate(diffTree);
+
+        // The ASCII output has one line per node, in the order of `getSortedChildren`.
+        const markers = [];
+        const visit = node => {
+            markers.push(DIFF_MARKERS[node.status] || ' ');
+            getSortedChildren(node, options).forEach(visit);
+        };
+        visit(annotated);
+
+        const lines = generateAsciiTree(annotated, options).replace(/\n$/, '').split('\n');
+        return `${lines.map((line, index) => `${markers[index]} ${line}`).join('\n')}\n`;
+    }
+
+
+
+    // =============================================================================
+    // Incremental Updates
+    // =============================================================================
+    // Watch mode turns two scans of the same folder into a list of small updates, so the editor can
+    // apply them to its own tree and keep everything else (IDs, collapsed folders, comments) as it is.
+
+    /**
+     * @typedef {Object} TreeUpdate
+     * @property {'add'|'remove'|'rename'|'replace'|'omitted'|'metadata'} op - What to do:
+     * 'add' puts `node` into the folder at `path`; 'remove' deletes the entry at `path`;
+     * 'rename' gives the entry at `path` the name `name`; 'replace' swaps the entry at `path` for `node`
+     * (its type or link target changed); 'omitted' sets the `omittedCount` of the folder at `path` to `count`;
+     * 'metadata' sets the `size` and `mtime` of the entry at `path` (scans that collect metadata only;
+     * folder totals are left to `aggregateMetadata`).
+     * @property {string[]} path - Names from the root's child down to the entry ([] for the root).
+     * @property {Object} [node] - The new entry, for 'add' and 'replace'.
+     * @property {string} [name] - The new name, for 'rename'.
+     * @property {number} [count] - The new number of omitted entries, for 'omitted'.
+     * @property {number} [size] - The new size in bytes, for 'metadata' (absent for folders).
+     * @property {number} [mtime] - The new modification time, for 'metadata'.
+     */
+
+    /**
+     * Tells whether two entries with the same name differ in type or link target.
+     * @param {Object} previous - The entry in the earlier scan.
+     * @param {Object} next - The entry in the later scan.
+     * @returns {boolean} True if the entry must be replaced.
+     */
+    function isReplaced(previous, next) {
+        return previous.type !== next.type || (next.type === 'symlink' && (previous.target || '') !== (next.target || ''));
+    }
+
+    /**
+     * Tells whether the metadata collected for an entry (see `collectMetadata` in `core/scanner.js`)
+     * changed between two scans, e.g. because a file was written to.
+     * @param {Object} previous - The entry in the earlier scan.
+     * @param {Object} next - The entry in the later scan.
+     * @returns {boolean} True if its `size` or `mtime` differs.
+     */
+    function isMetadataChanged(previous, next) {
+        return previous.size !== next.size || previous.mtime !== next.mtime;
+    }
+
+    /**
+     * Collects the updates that turn one folder into another.
+     * @param {Object} previous - The folder in the earlier scan.
+     * @param {Object} next - The folder in the later scan.
+     * @param {string[]} folderPath - The folder's path.
+     * @param {TreeUpdate[]} updates - Receives the updates.
+     */
+    function collectUpdates(previous, next, folderPath, updates) {
+        const previousChildren = previous.children || [];
+        const nextChildren = next.children || [];
+        const previousNames = new Set(previousChildren.map(child => child.name));
+        const nextByName = new Map(nextChildren.map(child => [child.name, child]));
+        const removed = previousChildren.filter(child => !nextByName.has(child.name));
+        const added = nextChildren.filter(child => !previousNames.has(child.name));
+
+        // A single entry that disappeared while a single one of the same type appeared was renamed.
+        if (removed.length === 1 && added.length === 1 && removed[0].type === added[0].type) {
+            const [from, to] = [removed[0], added[0]];
+            updates.push({ op: 'rename', path: [...folderPath, from.name], name: to.name });
+            if (isReplaced(from, to)) {
+                updates.push({ op: 'replace', path: [...folderPath, to.name], node: to });
+            } else {
+                if (isMetadataChanged(from, to)) {
+                    updates.push({ op: 'metadata', path: [...folderPath, to.name], size: to.size, mtime: to.mtime });
+                }
+                if (to.type === 'folder') {
+                    collectUpdates(from, to, [...folderPath, to.name], updates);
+                }
+            }
+        } else {
+            removed.forEach(child => updates.push({ op: 'remove', path: [...folderPath, child.name] }));
+            added.forEach(child => updates.push({ op: 'add', path: folderPath, node: child }));
+        }
+
+        previousChildren.filter(child => nextByName.has(child.name)).forEach(child => {
+            const nextChild = nextByName.get(child.name);
+            if (isReplaced(child, nextChild)) {
+                updates.push({ op: 'replace', path: [...folderPath, child.name], node: nextChild });
+                return;
+            }
+            if (isMetadataChanged(child, nextChild)) {
+                updates.push({ op: 'metadata', path: [...folderPath, child.name], size: nextChild.size, mtime: nextChild.mtime });
+            }
+            if (child.type === 'folder') {
+                collectUpdates(child, nextChild, [...folderPath, child.name], updates);
+            }
+        });
+
+        if ((previous.omittedCount || 0) !== (next.omittedCount || 0)) {
+            updates.push({ op: 'omitted', path: folderPath, count: next.omittedCount || 0 });
+        }
+    }
+
+    /**
+     * Lists the updates that turn an earlier scan of a folder into a later one. Entries are matched
+     * by name; within a folder, one entry removed and one of the same type added count as a rename.
+     * @param {Object} previousTree - The earlier scan.
+     * @param {Object} nextTree - The later scan of the same folder.
+     * @returns {TreeUpdate[]} The updates, in the order they must be applied (empty if nothing changed).
+     */
+    function computeTreeUpdates(previousTree, nextTree) {
+        const updates = [];
+        if (isMetadataChanged(previousTree, nextTree)) {
+            updates.push({ op: 'metadata', path: [], size: nextTree.size, mtime: nextTree.mtime });
+        }
+        collectUpdates(previousTree, nextTree, [], updates);
+        return updates;
+    }
+
+    /**
+     * Copies a scanned subtree without editor-only properties, so it can be inserted into another tree.
+     * @param {Object} node - The node to copy.
+     * @returns {Object} The copy.
+     */
+    function copyScannedNode(node) {
+        const copy = { ...node };
+        delete copy.id;
+        delete copy.collapsed;
+        if (node.children) {
+            copy.children = node.children.map(copyScannedNode);
+        }
+        return copy;
+    }
+
+    /**
+     * Joins a folder's path on disk and an entry name ('' is the root's path).
+     * @param {string} folderPath - The folder's path.
+     * @param {string} name - The entry's name.
+     * @returns {string} The entry's path.
+     */
+    function joinPath(folderPath, name) {
+        return folderPath ? `${folderPath}/${name}` : name;
+    }
+
+    /**
+     * Indexes the nodes of an edited tree by their path on disk, which is where the scan finds
+     * them (see `getSourcePath` in `core/tree.js`): renamed nodes by their `sourceName`, moved
+     * ones under their `sourceFolder`. Nodes added in the editor are not on disk and are left out.
+     * @param {Object} tree - The root of the tree.
+     * @returns {Map<string, {node: Object, parent: (Object|null)}>} Each node with its folder in the tree, by path.
+     */
+    function indexByDiskPath(tree) {
+        const index = new Map([['', { node: tree, parent: null }]]);
+        const visit = (folder, folderPath) => {
+            (folder.children || []).forEach(child => {
+                const name = typeof child.sourceName === 'string' ? child.sourceName : child.name;
+                let childPath = null;
+                if (child.virtual) {
+                    childPath = null;
+                } else if (typeof child.sourceFolder === 'string') {
+                    childPath = joinPath(child.sourceFolder, name);
+                } else if (folderPath !== null) {
+                    childPath = joinPath(folderPath, name);
+                }
+                if (childPath !== null && !index.has(childPath)) {
+                    index.set(childPath, { node: child, parent: folder });
+                }
+                visit(child, childPath);
+            });
+        };
+        visit(tree, '');
+        return index;
+    }
+
+    /**
+     * Applies updates from `computeTreeUpdates` to a tree in place. Entries are found by their path
+     * on disk (`sourceName` for entries renamed in the editor, `sourceFolder` for entries moved to
+     * another folder), so updates for entries deleted in the tree meanwhile are skipped, and new
+     * entries go into the folder wherever it was moved. Untouched nodes keep all their properties;
+     * replaced nodes keep their `id`, display name, `sourceFolder` and `comment`, and renamed ones keep
+     * their display name if they have one. Folder totals are not updated; call `aggregateMetadata` afterwards.
+     * @param {Object} tree - The tree to update (e.g. the editor's tree).
+     * @param {TreeUpdate[]} updates - The updates.
+     * @returns {number} The number of updates that could be applied.
+     */
+    function applyTreeUpdates(tree, updates) {
+        const diskName = node => (typeof node.sourceName === 'string' ? node.sourceName : node.name);
+        let index = null; // Rebuilt after every update that changes the tree's structure or names.
+        const find = segments => {
+            index = index || indexByDiskPath(tree);
+            return index.get(segments.join('/')) || null;
+        };
+        let applied = 0;
+        updates.forEach(update => {
+            if (update.op === 'add' || update.op === 'omitted') {
+                const folder = find(update.path);
+                if (!folder || folder.node.type !== 'folder' || !folder.node.children) {
+                    return;
+                }
+                if (update.op === 'omitted') {
+                    if (update.count > 0) {
+                        folder.node.omittedCount = update.count;
+                    } else {
+                        delete folder.node.omittedCount;
+                    }
+                } else if (find([...update.path, update.node.name]) ||
+                    folder.node.children.some(child => diskName(child) === update.node.name)) {
+                    return;
+                } else {
+                    folder.node.children.push(copyScannedNode(update.node));
+                    index = null;
+                }
+                applied++;
+                return;
+            }
+
+            if (update.op === 'metadata') {
+                const target = find(update.path);
+                if (!target) {
+                    return;
+                }
+                ['size', 'mtime'].forEach(key => {
+                    if (typeof update[key] === 'number') {
+                        target.node[key] = update[key];
+                    } else {
+                        delete target.node[key];
+                    }
+                });
+                applied++;
+                return;
+            }
+
+            const entry = update.path.length > 0 ? find(update.path) : null;
+            if (!entry) {
+                return;
+            }
+            const { node, parent } = entry;
+            const position = parent.children.indexOf(node);
+            const oldPath = update.path.join('/');
+
+            if (update.op === 'remove') {
+                parent.children.splice(position, 1);
+            } else if (update.op === 'rename') {
+                const newPath = [...update.path.slice(0, -1), update.name].join('/');
+                if (index.has(newPath) || parent.children.some(child => child !== node && diskName(child) === update.name)) {
+                    return;
+                }
+                if (typeof node.sourceName !== 'string') {
+                    node.name = update.name;
+                } else if (node.name === update.name) {
+                    delete node.sourceName;
+                } else {
+                    node.sourceName = update.name;
+                }
+                // Entries moved out of the renamed folder record its new path.
+                index.forEach(({ node: other }) => {
+                    if (typeof other.sourceFolder === 'string' &&
+                        (other.sourceFolder === oldPath || other.sourceFolder.startsWith(`${oldPath}/`))) {
+                        other.sourceFolder = newPath + other.sourceFolder.slice(oldPath.length);
+                    }
+                });
+            } else if (update.op === 'replace') {
+                const replacement = copyScannedNode(update.node);
+                if (node.id !== undefined) replacement.id = node.id;
+                if (typeof node.sourceName === 'string') {
+                    replacement.name = node.name;
+                    replacement.sourceName = node.sourceName;
+                }
+                if (typeof node.sourceFolder === 'string') replacement.sourceFolder = node.sourceFolder;
+                if (node.comment) replacement.comment = node.comment;
+                parent.children[position] = replacement;
+            } else {
+                return;
+            }
+            index = null;
+            applied++;
+        });
+        return applied;
+    }
+
+    return {
+        DIFF_STATUSES,
+        diffTrees,
+        summarizeDiff,
+        generateDiffTree,
+        computeTreeUpdates,
+        applyTreeUpdates
+    };
+}));
@@ -0,0 +1,421 @@
+// --- core/exporters.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/sort.js`, `core/tree.js` and
+// `core/formatters.js`, merged into `window.TreeCore`) and by Node.js code such as the
+// command-line interface (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tree'), require('./formatters')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore, root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (tree, formatters) {
+    'use strict';
+
+    const { formatNodeLabel, normalizeComment } = tree;
+    const { getSortedChildren, generateAsciiTree, generateMarkdownTree } = formatters;
+
+
+    // =============================================================================
+    // Exporter Registry
+    // =============================================================================
+    // Every output format is an exporter registered under an ID. The GUI lists the registered
+    // exporters in its output format selector and uses their file types in the export dialog;
+    // the command-line interface accepts their IDs for --format.
+
+    /**
+     * @typedef {Object} Exporter
+     * @property {string} id - Unique identifier, e.g. 'yaml' (also the value of the CLI's --format).
+     * @property {string} label - Name shown in the output format selector, e.g. 'YAML'.
+     * @property {string} extension - File extension without the dot, e.g. 'yaml'.
+     * @property {string} fileTypeName - Name of the file type in save dialogs, e.g. 'YAML Files'.
+     * @property {function(Object, FormatOptions): string} export - Serializes a tree (root node and
+     * output options) to text, ending with a newline.
+     */
+
+    const exporters = new Map(); // Registered exporters by ID, in registration order.
+
+    /**
+     * Registers an exporter, replacing any exporter registered under the same ID.
+     * @param {Exporter} exporter - The exporter to add.
+     * @throws {Error} Throws if the exporter lacks an ID, label, extension or export function.
+     */
+    function registerExporter(exporter) {
+        if (!exporter || typeof exporter.id !== 'string' || !exporter.id ||
+            typeof exporter.label !== 'string' || typeof exporter.extension !== 'string' ||
+            typeof exporter.export !== 'function') {
+            throw new Error('An exporter needs an id, a label, an extension and an export function.');
+        }
+        exporters.set(exporter.id, { fileTypeName: `${exporter.label} Files`, ...exporter });
+    }
+
+    /**
+     * Looks up a registered exporter.
+     * @param {string} id - The exporter ID.
+     * @returns {Exporter|null} The exporter, or `null` if none is registered under that ID.
+     */
+    function getExporter(id) {
+        return exporters.get(id) || null;
+    }
+
+    /**
+     * Lists the registered exporters, in registration order.
+     * @returns {Exporter[]} The exporters.
+     */
+    function listExporters() {
+        return [...exporters.values()];
+    }
+
+    /**
+     * Serializes a tree with a registered exporter.
+     * @param {Object} tree - The root node of the tree.
+     * @param {string} formatId - The ID of the exporter to use.
+     * @param {FormatOptions} [options] - The output options (metadata annotations, sort order).
+     * @returns {string} The exported text.
+     * @throws {Error} Throws if no exporter is registered under `formatId`.
+     */
+    function exportTree(tree, formatId, options = {}) {
+        const exporter = getExporter(formatId);
+        if (!exporter) {
+            throw new Error(`Unknown export format "${formatId}". Expected one of: ${[...exporters.keys()].join(', ')}.`);
+        }
+        return exporter.export(tree, options);
+    }
+
+
+    // =============================================================================
+    // Shared Helpers
+    // =============================================================================
+
+    /**
+     * Returns a node's children in display order, without the marker for omitted entries
+     * (the flat and structured formats record `omittedCount` on the folder instead).
+     * @param {Object} node - The node whose children to list.
+     * @param {FormatOptions} options - The output options (only `sort` is used).
+     * @returns {Object[]} The sorted children.
+     */
+    function getRealChildren(node, options) {
+        return getSortedChildren(node, options).filter(child => child.type !== 'omitted');
+    }
+
+    /**
+     * Converts a modification time to an ISO 8601 timestamp.
+     * @param {number} [mtime] - Milliseconds since the epoch.
+     * @returns {string} e.g. '2025-07-29T10:15:00.000Z', or '' if `mtime` is missing.
+     */
+    function formatTimestamp(mtime) {
+        return typeof mtime === 'number' ? new Date(mtime).toISOString() : '';
+    }
+
+    /**
+     * Lists every node below the root with its path relative to the root ('/'-separated),
+     * in display order (depth-first, each folder before its contents).
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options (only `sort` is used).
+     * @returns {Array<{ path: string, node: Object }>} The entries; the root itself is not included.
+     */
+    function flattenTree(tree, options) {
+        const entries = [];
+        const visit = (node, parentPath) => {
+            getRealChildren(node, options).forEach(child => {
+                const childPath = parentPath ? `${parentPath}/${child.name}` : child.name;
+                entries.push({ path: childPath, node: child });
+                visit(child, childPath);
+            });
+        };
+        visit(tree, '');
+        return entries;
+    }
+
+    /**
+     * Escapes text for use in HTML content and attribute values.
+     * @param {string} text - The text to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+
+    // =============================================================================
+    // Built-in Exporters
+    // =============================================================================
+
+    /**
+     * JSON (tree): the nested structure, as saved by the GUI and reloadable with "Load".
+     * Editor-only properties (`id`, `collapsed`) are left out; the stored order is kept.
+     * @param {Object} node - The root node.
+     * @returns {string} The JSON text.
+     */
+    function exportJsonTree(node) {
+        const toPlainNode = ({ id, collapsed, children, ...rest }) =>
+            (children ? { ...rest, children: children.map(toPlainNode) } : rest);
+        return JSON.stringify(toPlainNode(node), null, 2) + '\n';
+    }
+
+    /**
+     * JSON (flat): an array with one object per entry, e.g.
+     * `{ "path": "src/index.js", "type": "file", "size": 120, "modified": "2025-…Z" }`.
+     * Optional fields (`size`, `modified`, `target`, `comment`, `omittedCount`) are only present when known.
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The JSON text.
+     */
+    function exportJsonFlat(tree, options) {
+        const entries = flattenTree(tree, options).map(({ path, node }) => {
+            const entry = { path, type: node.type };
+            const size = node.type === 'folder' ? node.totalSize : node.size;
+            if (typeof size === 'number') entry.size = size;
+            if (typeof node.mtime === 'number') entry.modified = formatTimestamp(node.mtime);
+            if (typeof node.target === 'string') entry.target = node.target;
+            if (normalizeComment(node.comment)) entry.comment = normalizeComment(node.comment);
+            if (node.omittedCount > 0) entry.omittedCount = node.omittedCount;
+            return entry;
+        });
+        return JSON.stringify(entries, null, 2) + '\n';
+    }
+
+    /**
+     * Quotes a CSV field if it contains a delimiter, a quote, a line break or edge whitespace.
+     * Text starting with `=`, `+`, `-` or `@` gets a leading `'`, so spreadsheets do not run it as a formula.
+     * @param {*} value - The field value.
+     * @returns {string} The CSV field.
+     */
+    function csvField(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV: one row per entry with the columns `path,type,size,modified,target,comment`.
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The CSV text, including a header row.
+     */
+    function exportCsv(tree, options) {
+        const rows = [['path', 'type', 'size', 'modified', 'target', 'comment']];
+        flattenTree(tree, options).forEach(({ path, node }) => {
+            const size = node.type === 'folder' ? node.totalSize : node.size;
+            rows.push([path, node.type, size, formatTimestamp(node.mtime), node.target, normalizeComment(node.comment)]);
+        });
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    // Plain YAML scalars must not look like another type or contain syntax characters.
+    const YAML_RESERVED = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?|\.inf|\.nan)$/i;
+
+    /**
+     * Formats a value as a YAML scalar: numbers as they are, strings plain when safe,
+     * otherwise double-quoted (JSON strings are valid YAML).
+     * @param {string|number} value - The value.
+     * @returns {string} The YAML scalar.
+     */
+    function yamlScalar(value) {
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        return /^[A-Za-z0-9_][\w.\-/ ]*$/.test(value) && !/ $/.test(value) && !YAML_RESERVED.test(value) ?
+            value : JSON.stringify(value);
+    }
+
+    /**
+     * Recursively collects the YAML lines of a node: a mapping of its fields, with its
+     * children as a sequence under `children`.
+     * @param {Object} node - The node to write.
+     * @param {string} indent - Indentation of the node's fields.
+     * @param {string} firstPrefix - Prefix of the first field ('- ' for list items, '' for the root).
+     * @param {FormatOptions} options - The output options.
+     * @param {string[]} lines - Receives the lines.
+     */
+    function collectYamlLines(node, indent, firstPrefix, options, lines) {
+        const fields = [['name', node.name], ['type', node.type]];
+        if (typeof node.target === 'string') fields.push(['target', node.target]);
+        const size = node.type === 'folder' ? node.totalSize : node.size;
+        if (typeof size === 'number') fields.push(['size', size]);
+        if (typeof node.mtime === 'number') fields.push(['modified', formatTimestamp(node.mtime)]);
+        if (normalizeComment(node.comment)) fields.push(['comment', normalizeComment(node.comment)]);
+        if (node.omittedCount > 0) fields.push(['omittedCount', node.omittedCount]);
+
+        fields.forEach(([key, value], index) => {
+            const prefix = index === 0 ? firstPrefix : ' '.repeat(firstPrefix.length);
+            lines.push(`${indent}${prefix}${key}: ${yamlScalar(value)}`);
+        });
+
+        const children = getRealChildren(node, options);
+        if (children.length > 0) {
+            const fieldIndent = indent + ' '.repeat(firstPrefix.length);
+            lines.push(`${fieldIndent}children:`);
+            children.forEach(child => collectYamlLines(child, fieldIndent + '  ', '- ', options, lines));
+        }
+    }
+
+    /**
+     * YAML: the nested structure as mappings (`name`, `type`, optional metadata and comment)
+     * with `children` sequences, in display order.
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The YAML text.
+     */
+    function exportYaml(tree, options) {
+        const lines = [];
+        collectYamlLines(tree, '', '', options, lines);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Recursively collects the HTML list items of a node: folders become collapsible
+     * `<details>` elements, other entries plain list items.
+     * @param {Object} node - The node to write.
+     * @param {string} indent - Indentation of the node's `<li>`.
+     * @param {FormatOptions} options - The output options.
+     * @param {string[]} lines - Receives the lines.
+     */
+    function collectHtmlLines(node, indent, options, lines) {
+        const comment = normalizeComment(node.comment);
+        const label = `<span class="name">${escapeHtml(formatNodeLabel(node, options))}</span>` +
+            (comment ? ` <span class="comment"># ${escapeHtml(comment)}</span>` : '');
+        const children = getSortedChildren(node, options);
+
+        if (node.type !== 'folder') {
+            lines.push(`${indent}<li class="${escapeHtml(node.type)}">${label}</li>`);
+            return;
+        }
+        if (children.length === 0) {
+            lines.push(`${indent}<li class="folder empty">${label}</li>`);
+            return;
+        }
+        lines.push(`${indent}<li class="folder"><details open><summary>${label}</summary>`);
+        lines.push(`${indent}  <ul>`);
+        children.forEach(child => collectHtmlLines(child, indent + '    ', options, lines));
+        lines.push(`${indent}  </ul>`);
+        lines.push(`${indent}</details></li>`);
+    }
+
+    // Styles of the exported HTML page: a tree with guide lines, folder/file markers and muted comments.
+    const HTML_STYLES = `    body { font-family: system-ui, sans-serif; margin: 2rem; color: #333; }
+    ul.tree, ul.tree ul { list-style: none; margin: 0; padding-left: 1.2rem; }
+    ul.tree { padding-left: 0; }
+    ul.tree ul { border-left: 1px solid #ddd; }
+    ul.tree li { margin: 0.15rem 0; }
+    ul.tree summary { cursor: pointer; }
+    ul.tree .folder > details > summary .name, ul.tree .folder.empty > .name { font-weight: bold; }
+    ul.tree .file > .name::before { content: "\\1F4C4  "; }
+    ul.tree .folder > details > summary .name::before, ul.tree .folder.empty > .name::before { content: "\\1F4C1  "; }
+    ul.tree .symlink > .name::before { content: "\\1F517  "; }
+    ul.tree .omitted, ul.tree .comment { color: #888; font-style: italic; }`;
+
+    /**
+     * HTML: a standalone page with the tree as nested lists; folders can be collapsed and expanded.
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The HTML document.
+     */
+    function exportHtml(tree, options) {
+        const lines = [];
+        collectHtmlLines(tree, '    ', options, lines);
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '  <meta charset="UTF-8">',
+            `  <title>${escapeHtml(tree.name)}</title>`,
+            '  <style>',
+            HTML_STYLES,
+            '  </style>',
+            '</head>',
+            '<body>',
+            '  <ul class="tree">',
+            ...lines,
+            '  </ul>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    // Characters that end or break a quoted Mermaid label, written as Mermaid entity codes.
+    const MERMAID_ENTITIES = { '"': '#quot;', '<': '#lt;', '>': '#gt;', '#': '#35;' };
+
+    /**
+     * Mermaid: a top-down flowchart with one box per entry (folders end with '/'). Entries left
+     * out by a scan limit are shown as a dashed box.
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The Mermaid definition.
+     */
+    function exportMermaid(tree, options) {
+        const lines = ['flowchart TD'];
+        let nextNodeId = 0;
+        let hasOmitted = false;
+        const nodeDefinition = (node, nodeId) => {
+            const label = formatNodeLabel(node, { ...options, folderSlash: true }); // Tell folders from files.
+            const text = `${nodeId}["${label.replace(/["<>#]/g, char => MERMAID_ENTITIES[char])}"]`;
+            if (node.type === 'omitted') {
+                hasOmitted = true;
+                return `${text}:::omitted`;
+            }
+            return text;
+        };
+        const visit = (node, nodeId) => {
+            getSortedChildren(node, options).forEach(child => {
+                const childId = `n${nextNodeId++}`;
+                lines.push(`    ${nodeId} --> ${nodeDefinition(child, childId)}`);
+                visit(child, childId);
+            });
+        };
+        const rootId = `n${nextNodeId++}`;
+        lines.push(`    ${nodeDefinition(tree, rootId)}`);
+        visit(tree, rootId);
+        if (hasOmitted) {
+            lines.push('    classDef omitted stroke-dasharray: 4 4,color:#888');
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * PlantUML: a work breakdown structure (WBS) diagram. Folders are boxed; files, links and
+     * omitted entries are written without a box (`*_`).
+     * @param {Object} tree - The root node.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} The PlantUML definition.
+     */
+    function exportPlantUml(tree, options) {
+        const lines = ['@startwbs'];
+        const visit = (node, depth) => {
+            const marker = '*'.repeat(depth) + (node.type === 'folder' ? '' : '_');
+            const label = formatNodeLabel(node, options).replace(/\s+/g, ' '); // One line per entry.
+            lines.push(`${marker} ${label}`);
+            getSortedChildren(node, options).forEach(child => visit(child, depth + 1));
+        };
+        visit(tree, 1);
+        lines.push('@endwbs');
+        return lines.join('\n') + '\n';
+    }
+
+    [
+        { id: 'ascii', label: 'ASCII', extension: 'txt', fileTypeName: 'Text Files', export: generateAsciiTree },
+        { id: 'markdown', label: 'Markdown', extension: 'md', fileTypeName: 'Markdown Files', export: generateMarkdownTree },
+        { id: 'html', label: 'HTML', extension: 'html', fileTypeName: 'HTML Files', export: exportHtml },
+        { id: 'json', label: 'JSON (tree)', extension: 'json', fileTypeName: 'JSON Files', export: exportJsonTree },
+        { id: 'json-flat', label: 'JSON (flat)', extension: 'json', fileTypeName: 'JSON Files', export: exportJsonFlat },
+        { id: 'yaml', label: 'YAML', extension: 'yaml', fileTypeName: 'YAML Files', export: exportYaml },
+        { id: 'csv', label: 'CSV', extension: 'csv', fileTypeName: 'CSV Files', export: exportCsv },
+        { id: 'mermaid', label: 'Mermaid', extension: 'mmd', fileTypeName: 'Mermaid Files', export: exportMermaid },
+        { id: 'plantuml', label: 'PlantUML', extension: 'puml', fileTypeName: 'PlantUML Files', export: exportPlantUml }
+    ].forEach(registerExporter);
+
+    return {
+        registerExporter,
+        getExporter,
+        listExporters,
+        exportTree
+    };
+}));
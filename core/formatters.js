@@ -0,0 +1,295 @@
+// --- core/formatters.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/sort.js` and `core/tree.js`, merged into
+// `window.TreeCore`) and by Node.js code such as the command-line interface (loaded with `require`).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sort'), require('./tree')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore, root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (sort, tree) {
+    'use strict';
+
+    const { createNodeSorter } = sort;
+    const { formatNodeLabel, normalizeComment, formatOmittedLabel } = tree;
+
+
+    // =============================================================================
+    // Tree Generation & Formatting Functions
+    // =============================================================================
+    // These functions convert the internal tree data structure into displayable formats (ASCII, Markdown).
+    // The node passed in is always rendered as the root of the output.
+
+    /**
+     * @typedef {Object} FormatOptions
+     * @property {boolean} [showMetadata=false] - Annotate nodes with their sizes and file counts,
+     * e.g. `src (124 files, 3.2 MB)`. Only nodes that carry metadata are annotated.
+     * @property {SortOptions} [sort] - The order of each folder's items (see `createNodeSorter`);
+     * folders first, alphabetically, by default.
+     * @property {boolean} [folderSlash=false] - Append '/' to folder names, like `tree -F`.
+     * @property {string|AsciiStyle} [asciiStyle='unicode'] - The connectors of the ASCII output:
+     * the name of a preset in `ASCII_STYLES`, or a custom style.
+     * @property {MarkdownOptions} [markdown] - How the Markdown output is written.
+     */
+
+    /**
+     * @typedef {Object} MarkdownOptions
+     * @property {'list'|'fence'} [style='list'] - A nested bullet list, or the ASCII tree in a fenced code block
+     * (the other Markdown options then do not apply; the ASCII style options do).
+     * @property {boolean} [links=false] - Make each entry below the root a relative link to its path,
+     * e.g. `[index.js](src/index.js)`, for documents kept at the root of the scanned folder.
+     * @property {string} [linkBase=''] - Prefix of the link paths, e.g. '../' for a document in a subfolder.
+     * @property {boolean} [icons=false] - Prefix entries with an emoji for their type (see `TYPE_ICONS`).
+     * @property {boolean} [taskList=false] - Write entries as task list items (`- [ ] name`).
+     */
+
+    /**
+     * @typedef {Object} AsciiStyle
+     * @property {string} branch - Connector of an entry with more entries below it, e.g. '├── '.
+     * @property {string} last - Connector of the last entry of a folder, e.g. '└── '.
+     * @property {string} pipe - Indentation below an entry that has more siblings, e.g. '│   '.
+     * @property {string} blank - Indentation below the last entry of a folder, e.g. '    '.
+     */
+
+    // Connector presets for the ASCII output. 'ascii' is safe for any terminal, code page or plain-text document.
+    const ASCII_STYLES = Object.freeze({
+        unicode: Object.freeze({ branch: '├── ', last: '└── ', pipe: '│   ', blank: '    ' }),
+        ascii: Object.freeze({ branch: '|-- ', last: '`-- ', pipe: '|   ', blank: '    ' }),
+        heavy: Object.freeze({ branch: '┣━━ ', last: '┗━━ ', pipe: '┃   ', blank: '    ' }),
+        rounded: Object.freeze({ branch: '├── ', last: '╰── ', pipe: '│   ', blank: '    ' })
+    });
+
+    /**
+     * Resolves the `asciiStyle` output option to a complete set of connectors.
+     * Parts missing from a custom style (or that are not strings) are taken from the 'unicode' preset.
+     * @param {string|AsciiStyle} [style='unicode'] - A preset name or a custom style.
+     * @returns {AsciiStyle} The connectors.
+     * @throws {Error} Throws if `style` names an unknown preset.
+     */
+    function resolveAsciiStyle(style = 'unicode') {
+        if (typeof style === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(ASCII_STYLES, style)) {
+                throw new Error(`Unknown ASCII style "${style}". Expected one of: ${Object.keys(ASCII_STYLES).join(', ')}.`);
+            }
+            return ASCII_STYLES[style];
+        }
+        const resolved = { ...ASCII_STYLES.unicode };
+        Object.keys(resolved).forEach(part => {
+            if (style && typeof style[part] === 'string') {
+                resolved[part] = style[part];
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Returns a node's children in display order, without modifying the node.
+     * If a scan limit left entries out of the folder, a marker entry (`type: 'omitted'`)
+     * such as '… 42 more items' is appended as the last child.
+     * @param {Object} node - The node whose children to sort.
+     * @param {FormatOptions} options - The output options (only `sort` is used).
+     * @returns {Object[]} The sorted children (empty for files or empty folders).
+     */
+    function getSortedChildren(node, options) {
+        const children = node.children && node.children.length > 0 ? [...node.children].sort(createNodeSorter(options.sort)) : [];
+        if (node.omittedCount > 0) {
+            children.push({ name: formatOmittedLabel(node.omittedCount), type: 'omitted' });
+        }
+        return children;
+    }
+
+    /**
+     * @typedef {Object} OutputLine
+     * @property {string} text - The rendered entry (indentation, connector and label).
+     * @property {string} comment - The node's comment, or '' if it has none.
+     */
+
+    /**
+     * Joins rendered lines into the final output, placing comments in a single column
+     * two spaces past the longest line, as in `├── src     # application code`.
+     * @param {OutputLine[]} lines - The lines to join, in output order.
+     * @returns {string} The output text, ending with a newline.
+     */
+    function joinOutputLines(lines) {
+        const commentColumn = lines.some(line => line.comment) ? Math.max(...lines.map(line => line.text.length)) : 0;
+        return lines.map(line => (line.comment ? `${line.text.padEnd(commentColumn)}  # ${line.comment}` : line.text) + '\n').join('');
+    }
+
+    /**
+     * Recursively collects the ASCII lines for a non-root node and its descendants.
+     * @param {Object} node - The current node in the tree (folder or file) to render.
+     * @param {string} indent - The current indentation string (e.g., '│   ', '    ').
+     * @param {boolean} isLast - True if the current node is the last child of its parent,
+     * affecting the connector (└── vs ├──).
+     * @param {AsciiStyle} style - The connectors to draw with.
+     * @param {FormatOptions} options - The output options.
+     * @param {OutputLine[]} lines - Receives the lines of the node and its children.
+     */
+    function collectAsciiLines(node, indent, isLast, style, options, lines) {
+        // Determine the connector prefix based on whether it's the last child.
+        lines.push({ text: indent + (isLast ? style.last : style.branch) + formatNodeLabel(node, options), comment: normalizeComment(node.comment) });
+
+        // Calculate the indentation for children: blank if parent is last, a vertical line if not.
+        const childIndent = indent + (isLast ? style.blank : style.pipe);
+        const sortedChildren = getSortedChildren(node, options);
+        sortedChildren.forEach((child, index) => {
+            collectAsciiLines(child, childIndent, index === sortedChildren.length - 1, style, options, lines);
+        });
+    }
+
+    /**
+     * Generates an ASCII art representation of a directory tree.
+     * The root is printed on its own line without a connector, followed by its descendants.
+     * Node comments are aligned in a column to the right of the tree.
+     * @param {Object} tree - The root node of the tree to render.
+     * @param {FormatOptions} [options] - The output options.
+     * @returns {string} The ASCII string representation of the tree, ending with a newline.
+     * @throws {Error} Throws if `options.asciiStyle` names an unknown preset.
+     */
+    function generateAsciiTree(tree, options = {}) {
+        const style = resolveAsciiStyle(options.asciiStyle);
+        const lines = [{ text: formatNodeLabel(tree, options), comment: normalizeComment(tree.comment) }];
+        const sortedChildren = getSortedChildren(tree, options);
+        sortedChildren.forEach((child, index) => {
+            collectAsciiLines(child, '', index === sortedChildren.length - 1, style, options, lines);
+        });
+        return joinOutputLines(lines);
+    }
+
+    const MARKDOWN_STYLES = ['list', 'fence']; // Supported values for `MarkdownOptions.style`
+
+    const DEFAULT_MARKDOWN_OPTIONS = Object.freeze({
+        style: 'list',
+        links: false,
+        linkBase: '',
+        icons: false,
+        taskList: false
+    });
+
+    // Emoji prefixes of the Markdown output, by node type.
+    const TYPE_ICONS = Object.freeze({
+        folder: '📁',
+        file: '📄',
+        symlink: '🔗',
+        error: '⚠️'
+    });
+
+    /**
+     * Fills in defaults for missing or invalid Markdown options (e.g. from an old settings file).
+     * @param {MarkdownOptions} [options] - The options to normalize.
+     * @returns {MarkdownOptions} A complete set of options.
+     */
+    function normalizeMarkdownOptions(options = {}) {
+        const normalized = { ...DEFAULT_MARKDOWN_OPTIONS };
+        if (options && MARKDOWN_STYLES.includes(options.style)) {
+            normalized.style = options.style;
+        }
+        if (options && typeof options.linkBase === 'string') {
+            normalized.linkBase = options.linkBase.trim();
+        }
+        ['links', 'icons', 'taskList'].forEach(key => {
+            if (options && typeof options[key] === 'boolean') {
+                normalized[key] = options[key];
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Builds the relative link target of an entry: its path segments, percent-encoded
+     * (including parentheses, which would end a Markdown link), with a trailing '/' for folders.
+     * @param {string[]} pathSegments - The names from the root's child down to the entry.
+     * @param {boolean} isFolder - Whether the entry is a folder.
+     * @param {string} linkBase - Prefix of the path.
+     * @returns {string} e.g. 'src/my%20file.js'.
+     */
+    function formatMarkdownLinkTarget(pathSegments, isFolder, linkBase) {
+        const encoded = pathSegments.map(segment => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'));
+        return linkBase + encoded.join('/') + (isFolder ? '/' : '');
+    }
+
+    /**
+     * Builds the text of a Markdown list item (without the bullet and indentation): the optional
+     * task checkbox and icon, then the node label, whose name part becomes a link if requested.
+     * @param {Object} node - The node to label.
+     * @param {string[]} pathSegments - The node's path below the root (empty for the root, which is never linked).
+     * @param {MarkdownOptions} markdown - The normalized Markdown options.
+     * @param {FormatOptions} options - The output options.
+     * @returns {string} e.g. '[ ] 📁 [src/](src/) (12 files, 40 KB)'.
+     */
+    function formatMarkdownItem(node, pathSegments, markdown, options) {
+        let label = formatNodeLabel(node, options);
+        if (markdown.links && pathSegments.length > 0 && node.type !== 'omitted') {
+            // The label starts with the name (plus '/' for folders); only that part is linked.
+            const nameText = options.folderSlash && node.type === 'folder' ? `${node.name}/` : node.name;
+            const linkText = nameText.replace(/[[\]\\]/g, '\\$&');
+            const target = formatMarkdownLinkTarget(pathSegments, node.type === 'folder', markdown.linkBase);
+            label = `[${linkText}](${target})${label.substring(nameText.length)}`;
+        }
+        if (markdown.icons && TYPE_ICONS[node.type]) {
+            label = `${TYPE_ICONS[node.type]} ${label}`;
+        }
+        if (markdown.taskList && node.type !== 'omitted') {
+            label = `[ ] ${label}`;
+        }
+        return label;
+    }
+
+    /**
+     * Recursively collects the Markdown list items for a node and its descendants.
+     * @param {Object} node - The current node in the tree to render.
+     * @param {number} level - The current indentation level (0 for root, 1 for its children, etc.).
+     * @param {string[]} pathSegments - The node's path below the root, for links.
+     * @param {MarkdownOptions} markdown - The normalized Markdown options.
+     * @param {FormatOptions} options - The output options.
+     * @param {OutputLine[]} lines - Receives the lines of the node and its children.
+     */
+    function collectMarkdownLines(node, level, pathSegments, markdown, options, lines) {
+        const indent = '  '.repeat(level); // Use two spaces per level for Markdown list indentation.
+        lines.push({ text: `${indent}- ${formatMarkdownItem(node, pathSegments, markdown, options)}`, comment: normalizeComment(node.comment) }); // Add the current node as a list item.
+
+        // Recursively add each child, increasing the indentation level.
+        getSortedChildren(node, options).forEach(child => {
+            collectMarkdownLines(child, level + 1, [...pathSegments, child.name], markdown, options, lines);
+        });
+    }
+
+    /**
+     * Generates a Markdown representation of the directory tree (see `MarkdownOptions`).
+     * By default, a nested list: each level is indented with two spaces; the root is the
+     * top-level list item. Node comments are aligned in a column, as in the ASCII output.
+     * With the 'fence' style, the ASCII tree wrapped in a fenced code block.
+     * @param {Object} tree - The root node of the tree to render.
+     * @param {FormatOptions} [options] - The output options.
+     * @returns {string} The Markdown string representation of the tree, ending with a newline.
+     */
+    function generateMarkdownTree(tree, options = {}) {
+        const markdown = normalizeMarkdownOptions(options.markdown);
+        if (markdown.style === 'fence') {
+            const asciiTree = generateAsciiTree(tree, options);
+            // The fence must be longer than any run of backticks in the tree (e.g. in the plain ASCII style).
+            const longestRun = Math.max(0, ...(asciiTree.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+            return `${fence}text\n${asciiTree}${fence}\n`;
+        }
+        const lines = [];
+        collectMarkdownLines(tree, 0, [], markdown, options, lines);
+        return joinOutputLines(lines);
+    }
+
+    return {
+        ASCII_STYLES,
+        resolveAsciiStyle,
+        MARKDOWN_STYLES,
+        DEFAULT_MARKDOWN_OPTIONS,
+        TYPE_ICONS,
+        normalizeMarkdownOptions,
+        getSortedChildren,
+        generateAsciiTree,
+        generateMarkdownTree
+    };
+}));
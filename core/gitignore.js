@@ -0,0 +1,306 @@
+// --- core/gitignore.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const path = require('path');     // Node.js module for handling and transforming file paths
+const fs = require('fs').promises; // Node.js File System module with promise-based API
+const os = require('os');         // Node.js OS module, used to locate the user's global git configuration
+const { globToRegExp } = require('./glob'); // Glob-to-RegExp conversion shared with other pattern parsers
+
+
+// =============================================================================
+// Gitignore Parsing
+// =============================================================================
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {string} pattern - The original pattern text, kept for diagnostics.
+ * @property {RegExp} regex - Compiled matcher, tested against a POSIX path relative to `baseDir`.
+ * @property {boolean} negate - True for `!pattern` rules, which re-include previously ignored paths.
+ * @property {boolean} dirOnly - True for `pattern/` rules, which only apply to directories.
+ * @property {string} baseDir - Absolute directory that relative paths are computed from.
+ * @property {string} source - Where the rule came from (a file path or a description).
+ */
+
+/**
+ * Parses the content of a `.gitignore`-style file into a list of ignore rules.
+ * Follows the gitignore specification:
+ * - Blank lines and lines starting with `#` are skipped (`\#` escapes a literal hash).
+ * - Trailing spaces are removed unless escaped with a backslash.
+ * - A leading `!` negates the pattern (`\!` escapes a literal exclamation mark).
+ * - A trailing `/` restricts the pattern to directories.
+ * - A pattern containing a `/` (other than a trailing one) is anchored to `baseDir`;
+ *   otherwise it matches a name at any depth below `baseDir`.
+ * - `*`, `?`, `[...]` and `**` wildcards are supported (see `core/glob.js`).
+ *
+ * @param {string} content - The raw file content.
+ * @param {string} baseDir - Absolute path of the directory the patterns are relative to.
+ * @param {string} [source=baseDir] - Description of where the content came from.
+ * @returns {IgnoreRule[]} The parsed rules, in file order.
+ */
+function parseGitignore(content, baseDir, source = baseDir) {
+    const rules = [];
+    content.split(/\r?\n/).forEach(rawLine => {
+        let line = rawLine;
+
+        // Remove trailing whitespace that is not escaped with a backslash.
+        while (/[ \t]$/.test(line) && !/\\[ \t]$/.test(line)) {
+            line = line.slice(0, -1);
+        }
+
+        // Ignore lines that are comments or empty
+        if (line === '' || line.startsWith('#')) {
+            return;
+        }
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.substring(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/')) {
+            dirOnly = true;
+            line = line.slice(0, -1);
+        }
+
+        // A slash anywhere else (leading or in the middle) anchors the pattern to the base directory.
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) {
+            line = line.substring(1);
+        }
+        if (line === '') {
+            return;
+        }
+
+        try {
+            rules.push({
+                pattern: rawLine.trim(),
+                regex: globToRegExp(line, anchored),
+                negate,
+                dirOnly,
+                baseDir,
+                source
+            });
+        } catch (error) {
+            console.warn(`Skipping invalid ignore pattern "${rawLine}" in ${source}: ${error.message}`);
+        }
+    });
+    return rules;
+}
+
+/**
+ * Computes the POSIX-style path of `targetPath` relative to `baseDir`.
+ * @param {string} baseDir - The directory to compute the path from.
+ * @param {string} targetPath - The absolute path to express relatively.
+ * @returns {string|null} The relative path using `/` separators, or `null` if
+ * `targetPath` is `baseDir` itself or lies outside of it (names such as `..config` are inside).
+ */
+function toRelativePosixPath(baseDir, targetPath) {
+    const relative = path.relative(baseDir, targetPath);
+    if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return null;
+    }
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Evaluates an ordered list of rules against a path.
+ * As in git, the last matching rule wins, so later (more specific) files and
+ * negated patterns can override earlier ones.
+ *
+ * @param {IgnoreRule[]} rules - The rules to evaluate, ordered from lowest to highest precedence.
+ * @param {string} targetPath - Absolute path of the file or directory being tested.
+ * @param {boolean} isDirectory - Whether `targetPath` is a directory (needed for `dir/` rules).
+ * @returns {boolean|null} True if the last matching rule ignores the path, false if it re-includes it,
+ * or `null` if no rule matched at all.
+ */
+function matchIgnoreRules(rules, targetPath, isDirectory) {
+    let decision = null;
+    const relativePaths = new Map(); // Cache relative paths per base directory for this lookup.
+
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) {
+            continue;
+        }
+        if (!relativePaths.has(rule.baseDir)) {
+            relativePaths.set(rule.baseDir, toRelativePosixPath(rule.baseDir, targetPath));
+        }
+        const relativePath = relativePaths.get(rule.baseDir);
+        if (relativePath !== null && rule.regex.test(relativePath)) {
+            decision = !rule.negate;
+        }
+    }
+    return decision;
+}
+
+/**
+ * Decides whether a path is ignored by an ordered list of rules (see `matchIgnoreRules`).
+ *
+ * Note: Callers are expected to stop descending into ignored directories; as in git,
+ * a file cannot be re-included if one of its parent directories is excluded.
+ *
+ * @param {IgnoreRule[]} rules - The rules to evaluate, ordered from lowest to highest precedence.
+ * @param {string} targetPath - Absolute path of the file or directory being tested.
+ * @param {boolean} isDirectory - Whether `targetPath` is a directory.
+ * @returns {boolean} True if the path is ignored.
+ */
+function isIgnoredByRules(rules, targetPath, isDirectory) {
+    return matchIgnoreRules(rules, targetPath, isDirectory) === true;
+}
+
+
+// =============================================================================
+// Gitignore File Discovery
+// =============================================================================
+
+/**
+ * Reads and parses a single ignore file.
+ * @param {string} filePath - Path of the ignore file to read.
+ * @param {string} baseDir - Directory the file's patterns are relative to.
+ * @returns {Promise<IgnoreRule[]>} The parsed rules, or an empty array if the file is missing or unreadable.
+ */
+async function readIgnoreFile(filePath, baseDir) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return parseGitignore(content, baseDir, filePath);
+    } catch (error) {
+        // Ignore 'ENOENT'/'ENOTDIR' errors (file not found) as ignore files are optional
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            console.warn(`Error reading ${filePath}: ${error.message}`);
+        }
+        return [];
+    }
+}
+
+/**
+ * Loads the rules of the `.gitignore` file located directly inside `dirPath`.
+ * @param {string} dirPath - The directory potentially containing a `.gitignore` file.
+ * @returns {Promise<IgnoreRule[]>} The parsed rules, or an empty array if there is no `.gitignore`.
+ */
+async function loadDirectoryGitignore(dirPath) {
+    return readIgnoreFile(path.join(dirPath, '.gitignore'), dirPath);
+}
+
+/**
+ * Walks up from `startPath` to find the root of the enclosing git working tree.
+ * @param {string} startPath - The directory to start searching from.
+ * @returns {Promise<string|null>} The working tree root, or `null` if `startPath` is not inside a git repository.
+ */
+async function findGitRoot(startPath) {
+    let current = path.resolve(startPath);
+    while (true) {
+        try {
+            await fs.stat(path.join(current, '.git')); // '.git' may be a directory or a file (worktrees, submodules)
+            return current;
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (parent === current) {
+                return null; // Reached the file system root.
+            }
+            current = parent;
+        }
+    }
+}
+
+/**
+ * Extracts the `core.excludesFile` value from the content of a git config file.
+ * @param {string} content - The raw git config content.
+ * @returns {string|null} The configured path, or `null` if it is not set.
+ */
+function parseExcludesFileSetting(content) {
+    let inCoreSection = false;
+    let value = null;
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+            return;
+        }
+        const section = /^\[\s*([^\]\s]+)[^\]]*\]/.exec(line);
+        if (section) {
+            inCoreSection = section[1].toLowerCase() === 'core';
+            return;
+        }
+        const setting = /^excludesfile\s*=\s*(.*)$/i.exec(line);
+        if (inCoreSection && setting) {
+            value = setting[1].trim().replace(/^"(.*)"$/, '$1'); // Later entries override earlier ones, as in git.
+        }
+    });
+    return value;
+}
+
+/**
+ * Resolves the location of the user's global excludes file.
+ * Uses `core.excludesFile` from the global git config if set, otherwise
+ * git's default of `$XDG_CONFIG_HOME/git/ignore` (or `~/.config/git/ignore`).
+ * @returns {Promise<string>} The absolute path of the global excludes file (which may not exist).
+ */
+async function getGlobalExcludesFilePath() {
+    const home = os.homedir();
+    const xdgConfigHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+    const configFiles = [path.join(xdgConfigHome, 'git', 'config'), path.join(home, '.gitconfig')];
+
+    let configured = null;
+    for (const configFile of configFiles) {
+        try {
+            const setting = parseExcludesFileSetting(await fs.readFile(configFile, 'utf8'));
+            if (setting) {
+                configured = setting; // ~/.gitconfig takes precedence over the XDG config, as in git.
+            }
+        } catch (error) {
+            // Missing config files are expected; anything else is not worth failing a scan over.
+        }
+    }
+
+    if (configured) {
+        return configured.startsWith('~') ? path.join(home, configured.substring(1)) : path.resolve(configured);
+    }
+    return path.join(xdgConfigHome, 'git', 'ignore');
+}
+
+/**
+ * Loads every rule that applies to `rootPath` from outside of it, in ascending precedence:
+ * 1. The global excludes file (`core.excludesFile`).
+ * 2. The repository's `.git/info/exclude`.
+ * 3. `.gitignore` files in the ancestors of `rootPath`, from the repository root downwards.
+ *
+ * The `.gitignore` of `rootPath` itself and of its subdirectories are loaded while scanning.
+ *
+ * @param {string} rootPath - The directory the scan starts from.
+ * @returns {Promise<IgnoreRule[]>} The combined rules, ordered from lowest to highest precedence.
+ */
+async function loadBaseGitignoreRules(rootPath) {
+    const resolvedRoot = path.resolve(rootPath);
+    const gitRoot = await findGitRoot(resolvedRoot);
+    const repositoryBase = gitRoot || resolvedRoot; // Global patterns are relative to the working tree root.
+
+    const rules = await readIgnoreFile(await getGlobalExcludesFilePath(), repositoryBase);
+
+    if (gitRoot) {
+        rules.push(...await readIgnoreFile(path.join(gitRoot, '.git', 'info', 'exclude'), gitRoot));
+
+        // Collect ancestor directories between the repository root and the scanned folder (exclusive).
+        const ancestors = [];
+        let current = resolvedRoot;
+        while (current !== gitRoot) {
+            current = path.dirname(current);
+            ancestors.unshift(current);
+        }
+        for (const ancestor of ancestors) {
+            rules.push(...await loadDirectoryGitignore(ancestor));
+        }
+    }
+    return rules;
+}
+
+module.exports = {
+    parseGitignore,
+    toRelativePosixPath,
+    matchIgnoreRules,
+    isIgnoredByRules,
+    loadDirectoryGitignore,
+    loadBaseGitignoreRules,
+    findGitRoot
+};
@@ -0,0 +1,207 @@
+// --- core/glob.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag, merged into `window.TreeCore`, for the tree
+// search) and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory()); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+
+    // =============================================================================
+    // Glob Pattern Compilation
+    // =============================================================================
+    // Converts gitignore-style glob patterns into regular expressions.
+    // The resulting expressions are tested against POSIX-style relative paths
+    // (segments separated by '/'), regardless of the host operating system.
+
+    /**
+     * Escapes every character that has a special meaning inside a regular expression.
+     * @param {string} text - The literal text to escape.
+     * @returns {string} The escaped text, safe to embed in a RegExp source.
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+
+    /**
+     * Converts a bracket expression (e.g. `[abc]`, `[!0-9]`) starting at `start` into a
+     * RegExp character class. Bracket expressions never match the path separator.
+     * @param {string} glob - The full glob pattern.
+     * @param {number} start - Index of the opening `[`.
+     * @returns {{ source: string, end: number }|null} The class source and the index of the closing `]`,
+     * or `null` if the bracket is never closed (in which case it is treated as a literal `[`).
+     */
+    function convertBracketExpression(glob, start) {
+        let i = start + 1;
+        let negate = false;
+        if (glob[i] === '!' || glob[i] === '^') {
+            negate = true;
+            i++;
+        }
+
+        let body = '';
+        // A ']' immediately after the opening bracket (or its negation) is a literal member of the class.
+        if (glob[i] === ']') {
+            body += '\\]';
+            i++;
+        }
+
+        for (; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === ']') {
+                return { source: `[${negate ? '^/' : ''}${body}]`, end: i };
+            }
+            if (char === '\\' && i + 1 < glob.length) {
+                body += escapeRegExp(glob[i + 1]);
+                i++;
+            } else if (char === '[' || char === '^') {
+                body += '\\' + char;
+            } else {
+                body += char;
+            }
+        }
+        return null; // No closing bracket found.
+    }
+
+    /**
+     * Finds the `}` that closes the brace group opened at `start`, honoring nesting and escapes.
+     * @param {string} glob - The full glob pattern.
+     * @param {number} start - Index of the opening `{`.
+     * @returns {{ alternatives: string[], end: number }|null} The comma-separated alternatives and the
+     * index of the closing brace, or `null` if the group is never closed.
+     */
+    function splitBraceGroup(glob, start) {
+        const alternatives = [];
+        let depth = 0;
+        let current = '';
+        for (let i = start + 1; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '\\' && i + 1 < glob.length) {
+                current += char + glob[i + 1];
+                i++;
+            } else if (char === '{') {
+                depth++;
+                current += char;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+                current += char;
+            } else if (char === '}') {
+                alternatives.push(current);
+                return { alternatives, end: i };
+            } else if (char === ',' && depth === 0) {
+                alternatives.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Converts a glob pattern into the source of a regular expression (without anchors).
+     * Supported syntax:
+     * - `*` matches any run of characters except `/`.
+     * - `?` matches a single character except `/`.
+     * - `[...]` / `[!...]` match one character from (or not from) a set.
+     * - `**` as a whole segment matches zero or more directories (`**\/x`, `x/**`, `a/**\/b`).
+     * - `{a,b}` matches any of the comma-separated alternatives (only with `options.braces`).
+     * - `\` escapes the next character.
+     * @param {string} glob - The glob pattern to convert.
+     * @param {Object} [options] - Conversion options.
+     * @param {boolean} [options.strict=false] - When true, an unclosed `[` or `{` throws instead of being treated literally.
+     * @param {boolean} [options.braces=false] - When true, `{a,b}` alternatives are expanded (gitignore does not support them).
+     * @returns {string} The RegExp source for the pattern.
+     * @throws {Error} Throws in strict mode if a bracket expression or brace group is never closed.
+     */
+    function globToRegExpSource(glob, options = {}) {
+        const { strict = false, braces = false } = options;
+        let source = '';
+        let i = 0;
+
+        while (i < glob.length) {
+            const char = glob[i];
+
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    const startsSegment = i === 0 || glob[i - 1] === '/';
+                    const endsSegment = i + 2 === glob.length || glob[i + 2] === '/';
+                    if (startsSegment && endsSegment) {
+                        if (i + 2 === glob.length) {
+                            source += '.*'; // Trailing '/**' (or a bare '**'): everything inside.
+                            i += 2;
+                        } else {
+                            source += '(?:.*/)?'; // Leading or inner '**/': zero or more directories.
+                            i += 3;
+                        }
+                        continue;
+                    }
+                    // '**' that is not a whole segment behaves like a regular '*'.
+                    source += '[^/]*';
+                    i += 2;
+                    continue;
+                }
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[') {
+                const bracket = convertBracketExpression(glob, i);
+                if (bracket) {
+                    source += bracket.source;
+                    i = bracket.end + 1;
+                    continue;
+                }
+                if (strict) {
+                    throw new Error(`Unclosed character class "[" in "${glob}".`);
+                }
+                source += '\\[';
+            } else if (char === '{' && braces) {
+                const group = splitBraceGroup(glob, i);
+                if (group) {
+                    source += `(?:${group.alternatives.map(alternative => globToRegExpSource(alternative, options)).join('|')})`;
+                    i = group.end + 1;
+                    continue;
+                }
+                if (strict) {
+                    throw new Error(`Unclosed brace group "{" in "${glob}".`);
+                }
+                source += '\\{';
+            } else if (char === '\\' && i + 1 < glob.length) {
+                source += escapeRegExp(glob[i + 1]);
+                i += 2;
+                continue;
+            } else {
+                source += escapeRegExp(char);
+            }
+            i++;
+        }
+        return source;
+    }
+
+    /**
+     * Compiles a glob pattern into a RegExp that is tested against a POSIX relative path.
+     * @param {string} glob - The glob pattern to compile.
+     * @param {boolean} anchored - If true, the pattern must match from the start of the relative path.
+     * If false, it may match the trailing segments at any depth (like a gitignore pattern without a slash).
+     * @param {Object} [options] - Options forwarded to `globToRegExpSource`.
+     * @returns {RegExp} The compiled regular expression.
+     */
+    function globToRegExp(glob, anchored, options) {
+        const source = globToRegExpSource(glob, options);
+        return new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+    }
+
+    return {
+        escapeRegExp,
+        globToRegExpSource,
+        globToRegExp
+    };
+}));
@@ -0,0 +1,114 @@
+// --- core/history.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag and merged into `window.TreeCore`)
+// and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory()); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+
+    // =============================================================================
+    // Undo/Redo History
+    // =============================================================================
+    // Every change to a tree is wrapped in a command object that knows how to apply and
+    // revert itself. The history runs commands and keeps them on an undo stack; undoing moves
+    // a command to the redo stack, and running a new command clears the redo stack.
+
+    const DEFAULT_HISTORY_LIMIT = 100; // Number of commands kept for undo; older ones are dropped.
+
+    /**
+     * @typedef {Object} Command
+     * @property {string} label - Short description for the UI, e.g. 'rename "src"'.
+     * @property {function(): void} execute - Applies the change (also used to redo it).
+     * @property {function(): void} undo - Reverts the change.
+     */
+
+    /**
+     * Creates an undo/redo history.
+     * @param {Object} [options] - History options.
+     * @param {number} [options.limit=100] - Maximum number of commands kept on the undo stack.
+     * @param {function(): void} [options.onChange] - Called after every execute, undo, redo or clear,
+     * e.g. to refresh the views and the state of the undo/redo buttons.
+     * @returns {{ execute: function(Command): void, undo: function(): Command|null, redo: function(): Command|null,
+     * canUndo: function(): boolean, canRedo: function(): boolean, undoLabel: function(): string|null,
+     * redoLabel: function(): string|null, clear: function(): void }} The history.
+     */
+    function createHistory(options = {}) {
+        const limit = options.limit || DEFAULT_HISTORY_LIMIT;
+        const onChange = options.onChange || (() => {});
+        const undoStack = [];
+        const redoStack = [];
+
+        return {
+            /**
+             * Applies a command and records it for undo. If the command throws, nothing is recorded.
+             * @param {Command} command - The command to run.
+             */
+            execute(command) {
+                command.execute();
+                undoStack.push(command);
+                if (undoStack.length > limit) {
+                    undoStack.shift();
+                }
+                redoStack.length = 0; // A new change makes the undone ones unreachable.
+                onChange();
+            },
+
+            /**
+             * Reverts the most recent command.
+             * @returns {Command|null} The reverted command, or `null` if there was nothing to undo.
+             */
+            undo() {
+                const command = undoStack.pop();
+                if (!command) {
+                    return null;
+                }
+                command.undo();
+                redoStack.push(command);
+                onChange();
+                return command;
+            },
+
+            /**
+             * Re-applies the most recently undone command.
+             * @returns {Command|null} The re-applied command, or `null` if there was nothing to redo.
+             */
+            redo() {
+                const command = redoStack.pop();
+                if (!command) {
+                    return null;
+                }
+                command.execute();
+                undoStack.push(command);
+                onChange();
+                return command;
+            },
+
+            canUndo: () => undoStack.length > 0,
+            canRedo: () => redoStack.length > 0,
+            undoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+            redoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null),
+
+            /**
+             * Forgets all recorded commands.
+             */
+            clear() {
+                undoStack.length = 0;
+                redoStack.length = 0;
+                onChange();
+            }
+        };
+    }
+
+    return {
+        createHistory
+    };
+}));
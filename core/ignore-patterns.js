@@ -0,0 +1,171 @@
+// --- core/ignore-patterns.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const { globToRegExp } = require('./glob'); // Glob-to-RegExp conversion shared with the gitignore parser
+
+
+// =============================================================================
+// Ignore List Pattern Language
+// =============================================================================
+// The "Ignore Folders" field accepts a comma- or newline-separated list of patterns:
+// - `node_modules`, `*.min.js`, `coverage-*`   Globs without a slash match a name at any depth.
+// - `docs/drafts`, `**/__snapshots__`          Globs with a slash match paths relative to the scanned folder.
+// - `build/`                                   A trailing slash restricts the pattern to folders.
+// - `*.{js,ts}`                                Brace alternatives.
+// - `re:\.test\.[jt]s$`                        Regular expressions, tested against the relative path ('/' separated).
+// - `!keep.me`, `!re:...`                      A leading `!` re-includes paths matched by earlier patterns.
+// Patterns are evaluated in order and the last matching one wins. They are applied after
+// `.gitignore` rules, so a `!` pattern can also bring back something `.gitignore` hides.
+
+const REGEX_PREFIX = 're:'; // Prefix marking a pattern as a regular expression rather than a glob.
+const DEFAULT_IGNORE_PATTERNS = '.git, node_modules, .DS_Store'; // Used when the user has not configured any patterns.
+
+const GROUP_CLOSERS = { '{': '}', '[': ']', '(': ')' }; // Brackets that protect commas inside them.
+
+/**
+ * Checks whether the group opened at `start` is closed later on the same line.
+ * @param {string} text - The raw ignore list text.
+ * @param {number} start - Index of the opening bracket.
+ * @returns {boolean} True if a matching closing bracket follows.
+ */
+function isGroupClosed(text, start) {
+    const opener = text[start];
+    const closer = GROUP_CLOSERS[opener];
+    let depth = 0;
+    for (let i = start; i < text.length && text[i] !== '\n'; i++) {
+        if (text[i] === '\\') {
+            i++; // Skip the escaped character.
+        } else if (text[i] === opener) {
+            depth++;
+        } else if (text[i] === closer && --depth === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Splits the raw ignore list text into individual patterns.
+ * Commas inside `{}`, `[]` or `()` groups (e.g. `*.{js,ts}` or `re:\d{1,3}`) and
+ * backslash-escaped commas do not split patterns. Unclosed groups protect nothing,
+ * so a typo in one pattern does not swallow the ones after it.
+ * @param {string} text - The raw text from the ignore field.
+ * @returns {string[]} The trimmed, non-empty patterns in their original order.
+ */
+function splitIgnorePatterns(text) {
+    const patterns = [];
+    const openGroups = []; // Closing brackets expected for the groups currently open.
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            current += char + text[i + 1];
+            i++;
+            continue;
+        }
+        if (GROUP_CLOSERS[char] && isGroupClosed(text, i)) {
+            openGroups.push(GROUP_CLOSERS[char]);
+        } else if (char === openGroups[openGroups.length - 1]) {
+            openGroups.pop();
+        }
+        const depth = openGroups.length;
+        if ((char === ',' && depth === 0) || char === '\n' || char === '\r') {
+            patterns.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    patterns.push(current);
+
+    return patterns.map(pattern => pattern.trim()).filter(pattern => pattern !== '');
+}
+
+/**
+ * Compiles a single ignore pattern into a rule compatible with `core/gitignore.js`.
+ * @param {string} pattern - The trimmed pattern text.
+ * @param {string} baseDir - Absolute path of the scanned folder that relative patterns refer to.
+ * @returns {import('./gitignore').IgnoreRule} The compiled rule.
+ * @throws {Error} Throws with a user-facing message if the pattern is invalid.
+ */
+function compileIgnorePattern(pattern, baseDir) {
+    let body = pattern;
+    let negate = false;
+    if (body.startsWith('!')) {
+        negate = true;
+        body = body.substring(1).trim();
+    }
+    if (body === '') {
+        throw new Error('Pattern is empty.');
+    }
+
+    // Regular expression patterns are used as-is against the relative path.
+    if (body.startsWith(REGEX_PREFIX)) {
+        const expression = body.substring(REGEX_PREFIX.length);
+        if (expression === '') {
+            throw new Error('Regular expression is empty.');
+        }
+        let regex;
+        try {
+            regex = new RegExp(expression);
+        } catch (error) {
+            throw new Error(error.message); // e.g. "Invalid regular expression: /(/: Unterminated group"
+        }
+        return { pattern, regex, negate, dirOnly: false, baseDir, source: 'ignore list' };
+    }
+
+    let dirOnly = false;
+    if (body.endsWith('/')) {
+        dirOnly = true;
+        body = body.slice(0, -1);
+    }
+    const anchored = body.includes('/');
+    if (body.startsWith('/')) {
+        body = body.substring(1);
+    }
+    if (body === '') {
+        throw new Error('Pattern does not name anything.');
+    }
+
+    return {
+        pattern,
+        regex: globToRegExp(body, anchored, { strict: true, braces: true }),
+        negate,
+        dirOnly,
+        baseDir,
+        source: 'ignore list'
+    };
+}
+
+/**
+ * Parses the ignore list into rules, collecting an error for every invalid pattern.
+ * @param {string|string[]} input - The raw text from the ignore field, or an array of patterns.
+ * @param {string} [baseDir=''] - Absolute path of the scanned folder (not needed for validation only).
+ * @returns {{ rules: import('./gitignore').IgnoreRule[], errors: Array<{ pattern: string, message: string }> }}
+ * The compiled rules (valid patterns only) and the errors for invalid ones.
+ */
+function parseIgnorePatterns(input, baseDir = '') {
+    const patterns = Array.isArray(input) ?
+        input.flatMap(item => splitIgnorePatterns(String(item))) :
+        splitIgnorePatterns(input || '');
+
+    const rules = [];
+    const errors = [];
+    patterns.forEach(pattern => {
+        try {
+            rules.push(compileIgnorePattern(pattern, baseDir));
+        } catch (error) {
+            errors.push({ pattern, message: error.message });
+        }
+    });
+    return { rules, errors };
+}
+
+module.exports = {
+    DEFAULT_IGNORE_PATTERNS,
+    splitIgnorePatterns,
+    parseIgnorePatterns
+};
@@ -0,0 +1,393 @@
+// --- core/importers.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/formatters.js` and `core/glob.js`,
+// merged into `window.TreeCore`) and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./formatters'), require('./glob')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore, root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (formatters, glob) {
+    'use strict';
+
+    const { ASCII_STYLES, TYPE_ICONS } = formatters;
+    const { escapeRegExp } = glob;
+
+
+    // =============================================================================
+    // Text Import
+    // =============================================================================
+    // Turns trees written as text back into the node structure used by the editor:
+    // ASCII trees (this app's output in any preset style, or `tree` command output), indented
+    // Markdown lists, and path lists (`find .`, `git ls-files`). Parsing never throws for bad
+    // input; every line that cannot be understood is reported with its line number instead.
+
+    const IMPORT_FORMATS = ['auto', 'ascii', 'markdown', 'paths']; // Supported values for the `format` option
+
+    const DEFAULT_ROOT_NAME = 'project_root'; // Root name used when the text does not have one
+
+    /**
+     * @typedef {Object} ImportError
+     * @property {number} line - The 1-based line number (0 if the error concerns the whole text).
+     * @property {string} text - The offending line ('' for the whole text).
+     * @property {string} message - What is wrong with it.
+     */
+
+    // Connectors recognized in ASCII trees: those of every preset, plus variants written by other tools.
+    const CONNECTORS = [...new Set([
+        ...Object.values(ASCII_STYLES).flatMap(style => [style.branch.trim(), style.last.trim()]),
+        '├─', '└─', '+--', '\\--'
+    ])].sort((a, b) => b.length - a.length); // Longest first, so '├──' wins over '├─'
+
+    // Characters that may appear in the indentation before a connector: spaces and vertical lines.
+    const PIPE_CHARACTERS = [...new Set(Object.values(ASCII_STYLES).map(style => style.pipe.trim()))].join('');
+
+    const ASCII_ENTRY_PATTERN = new RegExp(`^([${escapeRegExp(PIPE_CHARACTERS)} ]*?)(${CONNECTORS.map(escapeRegExp).join('|')}) ?(.*)$`);
+    const ASCII_SPACER_PATTERN = new RegExp(`^[${escapeRegExp(PIPE_CHARACTERS)} ]+$`); // e.g. a line holding only '│'
+    const TREE_SUMMARY_PATTERN = /^\d+ director(?:y|ies)(?:, \d+ files?)?$/; // The last line of `tree` output
+    const MARKDOWN_ITEM_PATTERN = /^(\s*)[-*+] +(.*)$/;
+    const FENCE_PATTERN = /^(`{3,}|~{3,})/;
+
+    // Annotations added by the output formats, removed again when importing.
+    const COMMENT_PATTERN = /^(.*?\S)\s{2,}# (.*)$/; // 'name    # comment' (comments are at least two spaces away)
+    const METADATA_PATTERN = /\s\((?:\d+ files?, )?\d+(?:\.\d)? (?:B|KB|MB|GB|TB)\)$/; // ' (124 files, 3.2 MB)'
+    const OMITTED_PATTERN = /^… (\d+) more items?$/;
+    const ICON_PATTERN = new RegExp(`^(?:${Object.values(TYPE_ICONS).map(escapeRegExp).join('|')}) `);
+
+    /**
+     * Splits text into numbered lines, without line endings and with non-breaking spaces (used by
+     * some versions of `tree`) turned into spaces. A byte order mark is removed.
+     * @param {string} text - The text to split.
+     * @returns {Array<{ number: number, text: string }>} The lines.
+     */
+    function splitLines(text) {
+        return String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).map((line, index) => ({
+            number: index + 1,
+            text: line.replace(/\u00A0/g, ' ').replace(/\s+$/, '')
+        }));
+    }
+
+    /**
+     * If the first non-empty line opens a fenced code block (``` or ~~~), returns only the lines inside it.
+     * @param {Array<{ number: number, text: string }>} lines - The lines of the text.
+     * @returns {Array<{ number: number, text: string }>} The lines inside the fence, or all lines.
+     */
+    function unwrapCodeFence(lines) {
+        const firstIndex = lines.findIndex(line => line.text.trim() !== '');
+        const match = firstIndex === -1 ? null : FENCE_PATTERN.exec(lines[firstIndex].text.trim());
+        if (!match) {
+            return lines;
+        }
+        const closingIndex = lines.findIndex((line, index) => index > firstIndex && line.text.trim().startsWith(match[1]));
+        return lines.slice(firstIndex + 1, closingIndex === -1 ? lines.length : closingIndex);
+    }
+
+    /**
+     * Guesses the format of a tree written as text.
+     * @param {string} text - The text to inspect.
+     * @returns {'ascii'|'markdown'|'paths'} An ASCII tree if any line has a tree connector, a Markdown
+     * list if the first entry is a list item, otherwise a list of paths.
+     */
+    function detectTextFormat(text) {
+        const lines = unwrapCodeFence(splitLines(text)).filter(line => line.text.trim() !== '');
+        if (lines.some(line => ASCII_ENTRY_PATTERN.test(line.text))) {
+            return 'ascii';
+        }
+        if (lines.length > 0 && MARKDOWN_ITEM_PATTERN.test(lines[0].text)) {
+            return 'markdown';
+        }
+        return 'paths';
+    }
+
+    /**
+     * Parses the label of an entry as written by the output formats: an optional comment,
+     * '… N more items' markers, metadata summaries, symbolic link targets and trailing folder slashes.
+     * @param {string} text - The label, without connectors or bullets.
+     * @returns {{ name: string, isFolder: boolean, target?: string, comment?: string, omittedCount?: number }} The entry.
+     */
+    function parseEntryLabel(text) {
+        const entry = { name: text.trim(), isFolder: false };
+        const commentMatch = COMMENT_PATTERN.exec(entry.name);
+        if (commentMatch) {
+            entry.name = commentMatch[1];
+            entry.comment = commentMatch[2].trim();
+        }
+        const omittedMatch = OMITTED_PATTERN.exec(entry.name);
+        if (omittedMatch) {
+            entry.omittedCount = Number(omittedMatch[1]);
+            return entry;
+        }
+        entry.name = entry.name.replace(METADATA_PATTERN, '');
+        const arrowIndex = entry.name.indexOf(' -> ');
+        if (arrowIndex !== -1) {
+            entry.target = entry.name.substring(arrowIndex + 4).trim();
+            entry.name = entry.name.substring(0, arrowIndex).trim();
+        }
+        if (entry.name.length > 1 && entry.name.endsWith('/')) {
+            entry.name = entry.name.replace(/\/+$/, '');
+            entry.isFolder = true;
+        }
+        return entry;
+    }
+
+    /**
+     * Removes the Markdown decorations of a list item: a task checkbox, a type icon, a link around
+     * the name (keeping its text), and code formatting.
+     * @param {string} text - The list item text, without the bullet.
+     * @returns {{ label: string, isFolder: boolean }} The plain label, and whether a folder icon or a
+     * link to a folder path ('src/') marks the entry as a folder.
+     */
+    function stripMarkdownDecorations(text) {
+        let label = text.replace(/^\[[ xX]\] +/, '');
+        const iconMatch = ICON_PATTERN.exec(label);
+        let isFolder = iconMatch !== null && iconMatch[0].trim() === TYPE_ICONS.folder;
+        label = label.replace(ICON_PATTERN, '');
+        const linkMatch = /^\[((?:\\.|[^\]\\])*)\]\(([^)]*)\)(.*)$/.exec(label);
+        if (linkMatch) {
+            label = linkMatch[1].replace(/\\(.)/g, '$1') + linkMatch[3];
+            isFolder = isFolder || linkMatch[2].endsWith('/');
+        }
+        const codeMatch = /^`([^`]+)`(.*)$/.exec(label);
+        if (codeMatch) {
+            label = codeMatch[1] + codeMatch[2];
+        }
+        return { label, isFolder };
+    }
+
+    /**
+     * Creates an intermediate node; its final type is decided by `finalizeNode`.
+     * @param {Object} entry - The parsed entry (see `parseEntryLabel`).
+     * @returns {Object} The node.
+     */
+    function createNode(entry) {
+        const node = { name: entry.name, type: entry.isFolder ? 'folder' : 'file', children: [] };
+        if (entry.target !== undefined) node.target = entry.target;
+        if (entry.comment) node.comment = entry.comment;
+        return node;
+    }
+
+    /**
+     * Decides the final type of every node: nodes with children (or written with a trailing '/')
+     * are folders, nodes with a `-> target` are symbolic links, anything else is a file.
+     * @param {Object} node - The node to finalize, with its descendants.
+     * @returns {Object} The same node.
+     */
+    function finalizeNode(node) {
+        if (node.children.length > 0 || node.omittedCount > 0 || node.type === 'folder') {
+            node.type = 'folder';
+            node.children.forEach(finalizeNode);
+        } else {
+            node.type = typeof node.target === 'string' ? 'symlink' : 'file';
+            delete node.children;
+        }
+        return node;
+    }
+
+    /**
+     * Adds a parsed entry to a folder: an omitted-entries marker increases the folder's
+     * `omittedCount`; anything else becomes a child node, unless the name is already taken.
+     * @param {Object} parent - The folder node.
+     * @param {Object} entry - The parsed entry.
+     * @param {{ number: number, text: string }} line - The source line, for errors.
+     * @param {ImportError[]} errors - Receives an error if the entry cannot be added.
+     * @returns {Object|null} The new node, or `null` for markers and rejected entries.
+     */
+    function addEntry(parent, entry, line, errors) {
+        if (entry.omittedCount !== undefined) {
+            parent.omittedCount = (parent.omittedCount || 0) + entry.omittedCount;
+            return null;
+        }
+        if (!entry.name) {
+            errors.push({ line: line.number, text: line.text, message: 'The entry has no name.' });
+            return null;
+        }
+        if (parent.children.some(child => child.name === entry.name)) {
+            errors.push({ line: line.number, text: line.text, message: `"${entry.name}" appears twice in "${parent.name}".` });
+            return null;
+        }
+        const node = createNode(entry);
+        parent.children.push(node);
+        return node;
+    }
+
+    /**
+     * Parses an ASCII tree. The first line is the root unless it already has a connector;
+     * each level is indented by one connector width ('│   ' or '    ' for '├── ').
+     * @param {Array<{ number: number, text: string }>} lines - The lines to parse.
+     * @param {string} rootName - The root name to use if the tree has no root line.
+     * @param {ImportError[]} errors - Receives the errors.
+     * @returns {Object} The root node (not finalized).
+     */
+    function parseAsciiTree(lines, rootName, errors) {
+        const contentLines = lines.filter(line => line.text.trim() !== '' && !ASCII_SPACER_PATTERN.test(line.text));
+        let root = null;
+        const stack = []; // stack[depth] is the last node added at that depth; the root is depth 0.
+
+        contentLines.forEach((line, index) => {
+            const match = ASCII_ENTRY_PATTERN.exec(line.text);
+            if (!match) {
+                if (index === 0) {
+                    const entry = parseEntryLabel(line.text);
+                    root = createNode(entry.name === '.' ? { ...entry, name: rootName } : entry); // `tree` names the root '.'
+                    stack[0] = root;
+                } else if (!TREE_SUMMARY_PATTERN.test(line.text.trim())) {
+                    errors.push({ line: line.number, text: line.text, message: 'Expected a tree entry such as "├── name".' });
+                }
+                return;
+            }
+            if (!root) {
+                root = createNode({ name: rootName, isFolder: true });
+                stack[0] = root;
+            }
+
+            const [, prefix, connector, label] = match;
+            const unitWidth = connector.length + 1; // e.g. '├── ' or '│   '
+            const depth = prefix.length / unitWidth + 1;
+            if (!Number.isInteger(depth)) {
+                errors.push({ line: line.number, text: line.text, message: `The indentation is not a multiple of ${unitWidth} characters.` });
+                return;
+            }
+            if (depth > stack.length) {
+                errors.push({ line: line.number, text: line.text, message: 'The entry is indented more than one level below the previous entry.' });
+                return;
+            }
+            const node = addEntry(stack[depth - 1], parseEntryLabel(label), line, errors);
+            stack.length = depth; // Entries deeper than this one are complete.
+            if (node) {
+                stack[depth] = node;
+            }
+        });
+
+        return root || createNode({ name: rootName, isFolder: true });
+    }
+
+    /**
+     * Parses an indented Markdown list. A single top-level item is the root; several top-level
+     * items become the children of a root named `rootName`. Any consistent indentation works.
+     * @param {Array<{ number: number, text: string }>} lines - The lines to parse.
+     * @param {string} rootName - The root name to use if the list has several top-level items.
+     * @param {ImportError[]} errors - Receives the errors.
+     * @returns {Object} The root node (not finalized).
+     */
+    function parseMarkdownList(lines, rootName, errors) {
+        const root = createNode({ name: rootName, isFolder: true });
+        // Open list levels, innermost last. `childIndent` is the indentation of a level's first
+        // child; its other children must use the same indentation.
+        const stack = [{ indent: -1, node: root, childIndent: undefined }];
+
+        lines.filter(line => line.text.trim() !== '').forEach(line => {
+            const match = MARKDOWN_ITEM_PATTERN.exec(line.text);
+            if (!match) {
+                errors.push({ line: line.number, text: line.text, message: 'Expected a list item such as "- name".' });
+                return;
+            }
+            const indent = match[1].replace(/\t/g, '    ').length;
+            while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+                stack.pop(); // Close the levels this item is not nested in.
+            }
+            const parent = stack[stack.length - 1];
+            if (parent.childIndent !== undefined && indent !== parent.childIndent) {
+                errors.push({ line: line.number, text: line.text, message: 'The indentation does not match the other items of this level.' });
+                return;
+            }
+            parent.childIndent = indent;
+            const { label, isFolder } = stripMarkdownDecorations(match[2]);
+            const entry = parseEntryLabel(label);
+            entry.isFolder = entry.isFolder || isFolder;
+            const node = addEntry(parent.node, entry, line, errors);
+            // A rejected item still opens a level, so that its nested items are not misplaced.
+            stack.push({ indent, node: node || parent.node, childIndent: undefined });
+        });
+
+        // A single top-level folder is the root itself.
+        const onlyChild = root.children.length === 1 && !root.omittedCount ? root.children[0] : null;
+        if (onlyChild && (onlyChild.type === 'folder' || onlyChild.children.length > 0 || onlyChild.omittedCount > 0)) {
+            return onlyChild;
+        }
+        return root;
+    }
+
+    /**
+     * Parses a list of paths, one per line, as written by `find .` or `git ls-files`. Paths may use
+     * '/' or '\' and start with './'; folders are created for every parent path, and a path ending
+     * in '/' is a folder even if nothing is listed inside it.
+     * @param {Array<{ number: number, text: string }>} lines - The lines to parse.
+     * @param {string} rootName - The name of the root folder.
+     * @param {ImportError[]} errors - Receives the errors.
+     * @returns {Object} The root node (not finalized).
+     */
+    function parsePathList(lines, rootName, errors) {
+        const root = createNode({ name: rootName, isFolder: true });
+
+        lines.filter(line => line.text.trim() !== '').forEach(line => {
+            const pathText = line.text.trim().replace(/\\/g, '/');
+            const segments = pathText.split('/').filter(segment => segment !== '' && segment !== '.');
+            if (segments.includes('..')) {
+                errors.push({ line: line.number, text: line.text, message: 'Paths cannot leave the root folder ("..").' });
+                return;
+            }
+            let parent = root;
+            segments.forEach((segment, index) => {
+                const isLast = index === segments.length - 1;
+                let node = parent.children.find(child => child.name === segment);
+                if (!node) {
+                    node = createNode({ name: segment, isFolder: !isLast || pathText.endsWith('/') });
+                    parent.children.push(node);
+                } else if (!isLast || pathText.endsWith('/')) {
+                    node.type = 'folder'; // Listed as a file before (e.g. `find` lists folders without '/').
+                }
+                parent = node;
+            });
+        });
+        return root;
+    }
+
+    /**
+     * Parses a tree written as text into the node structure used by the editor.
+     * @param {string} text - The text to parse.
+     * @param {Object} [options] - Import options.
+     * @param {'auto'|'ascii'|'markdown'|'paths'} [options.format='auto'] - The format of the text;
+     * 'auto' detects it (see `detectTextFormat`).
+     * @param {string} [options.rootName='project_root'] - Name of the root if the text does not name one.
+     * @returns {{ tree: Object, format: string, errors: ImportError[] }} The tree (built from the lines that
+     * could be parsed), the format that was used, and an error for every line that could not be parsed.
+     * Text wrapped in a fenced code block (```) is unwrapped first.
+     * @throws {Error} Throws if `options.format` is not one of `IMPORT_FORMATS`.
+     */
+    function parseTreeText(text, options = {}) {
+        const requestedFormat = options.format || 'auto';
+        if (!IMPORT_FORMATS.includes(requestedFormat)) {
+            throw new Error(`Unknown import format "${requestedFormat}". Expected one of: ${IMPORT_FORMATS.join(', ')}.`);
+        }
+        const rootName = (options.rootName || '').trim() || DEFAULT_ROOT_NAME;
+        const format = requestedFormat === 'auto' ? detectTextFormat(text) : requestedFormat;
+        const lines = unwrapCodeFence(splitLines(text));
+        const errors = [];
+
+        let tree;
+        if (format === 'ascii') {
+            tree = parseAsciiTree(lines, rootName, errors);
+        } else if (format === 'markdown') {
+            tree = parseMarkdownList(lines, rootName, errors);
+        } else {
+            tree = parsePathList(lines, rootName, errors);
+        }
+        tree.type = 'folder'; // The root is always a folder, even if nothing is listed in it.
+        finalizeNode(tree);
+
+        if (tree.children.length === 0 && errors.length === 0) {
+            errors.push({ line: 0, text: '', message: 'The text does not contain any entries.' });
+        }
+        return { tree, format, errors };
+    }
+
+    return {
+        IMPORT_FORMATS,
+        detectTextFormat,
+        parseTreeText
+    };
+}));
@@ -0,0 +1,165 @@
+// --- core/index.js ---
+
+// =============================================================================
+// Public API
+// =============================================================================
+// The core of the Directory Tree Generator: scanning, filtering, sorting and serializing
+// directory trees, and creating them on disk, without Electron. Used by the GUI's main process
+// and the command-line interface, and importable by other tools:
+//
+//     const { generateTree, generateAsciiTree } = require('./core');
+//     const tree = await generateTree('/path/to/project', { ignorePatterns: 'node_modules', useGitignore: true });
+//     console.log(generateAsciiTree(tree));
+//
+// The sorting, tree, formatting, exporter, workspace, importer, diff, merge, history, command, glob and search modules are also browser-compatible:
+// the renderer loads them with <script> tags and reads them from `window.TreeCore`.
+
+const { SYMLINK_MODES, DEFAULT_SYMLINK_MODE, generateTree, generateWorkspaceTree } = require('./scanner');
+const { WORKSPACE_LAYOUTS, DEFAULT_WORKSPACE_LAYOUT, WORKSPACE_FILE_VERSION, normalizeWorkspace, getWorkspaceRootNames, combineWorkspaceTrees, isWorkspaceTree, exportWorkspaceTree } = require('./workspace');
+const { parseGitignore, matchIgnoreRules, isIgnoredByRules, loadBaseGitignoreRules, loadDirectoryGitignore, findGitRoot } = require('./gitignore');
+const { DEFAULT_IGNORE_PATTERNS, splitIgnorePatterns, parseIgnorePatterns } = require('./ignore-patterns');
+const { globToRegExp } = require('./glob');
+const { PROFILE_FILE_VERSION, DEFAULT_PROFILES, normalizeProfile, normalizeProfiles, uniqueProfileName, mergeProfiles, serializeProfiles, parseProfilesFile } = require('./profiles');
+const { MAX_RECENT_ITEMS, normalizeRecentItems, addRecentItem, removeRecentItem, setRecentItemPinned, checkRecentItems } = require('./recent');
+const { CONFLICT_MODES, DEFAULT_CONFLICT_MODE, DEFAULT_TEMPLATES, planScaffold, applyScaffold, scaffoldTree, summarizeScaffold, formatScaffoldReport } = require('./scaffold');
+const { SORT_MODES, DEFAULT_SORT_OPTIONS, normalizeSortOptions, createNodeSorter, customNodeSort } = require('./sort');
+const {
+    aggregateMetadata, hasMetadata, formatSize, formatMetadataSummary, formatNodeLabel, normalizeComment, formatOmittedLabel,
+    findNodeById, findNodeParent, findNodeChain, detachNode, attachNode, getSourcePath, checkMove, moveNode, isValidTreeStructure
+} = require('./tree');
+const {
+    ASCII_STYLES, resolveAsciiStyle, MARKDOWN_STYLES, DEFAULT_MARKDOWN_OPTIONS, TYPE_ICONS, normalizeMarkdownOptions,
+    generateAsciiTree, generateMarkdownTree
+} = require('./formatters');
+const { registerExporter, getExporter, listExporters, exportTree } = require('./exporters');
+const { IMPORT_FORMATS, detectTextFormat, parseTreeText } = require('./importers');
+const { DIFF_STATUSES, diffTrees, summarizeDiff, generateDiffTree, computeTreeUpdates, applyTreeUpdates } = require('./diff');
+const { MERGE_CONFLICT_KINDS, mergeTrees } = require('./merge');
+const { watchTree } = require('./watcher');
+const { createHistory } = require('./history');
+const { scoreCommandMatch, filterCommands } = require('./commands');
+const { SEARCH_MODES, DEFAULT_SEARCH_MODE, createSearchMatcher, searchTree, filterTree } = require('./search');
+
+module.exports = {
+    // Scanning
+    SYMLINK_MODES,
+    DEFAULT_SYMLINK_MODE,
+    generateTree,
+    generateWorkspaceTree,
+
+    // Workspaces (several root folders in one tree)
+    WORKSPACE_LAYOUTS,
+    DEFAULT_WORKSPACE_LAYOUT,
+    WORKSPACE_FILE_VERSION,
+    normalizeWorkspace,
+    getWorkspaceRootNames,
+    combineWorkspaceTrees,
+    isWorkspaceTree,
+    exportWorkspaceTree,
+
+    // Filtering
+    DEFAULT_IGNORE_PATTERNS,
+    splitIgnorePatterns,
+    parseIgnorePatterns,
+    parseGitignore,
+    loadBaseGitignoreRules,
+    loadDirectoryGitignore,
+    findGitRoot,
+    matchIgnoreRules,
+    isIgnoredByRules,
+    globToRegExp,
+
+    // Scan profiles
+    PROFILE_FILE_VERSION,
+    DEFAULT_PROFILES,
+    normalizeProfile,
+    normalizeProfiles,
+    uniqueProfileName,
+    mergeProfiles,
+    serializeProfiles,
+    parseProfilesFile,
+
+    // Recent items
+    MAX_RECENT_ITEMS,
+    normalizeRecentItems,
+    addRecentItem,
+    removeRecentItem,
+    setRecentItemPinned,
+    checkRecentItems,
+
+    // Sorting and tree data
+    SORT_MODES,
+    DEFAULT_SORT_OPTIONS,
+    normalizeSortOptions,
+    createNodeSorter,
+    customNodeSort,
+    aggregateMetadata,
+    hasMetadata,
+    formatSize,
+    formatMetadataSummary,
+    formatNodeLabel,
+    normalizeComment,
+    formatOmittedLabel,
+    findNodeById,
+    findNodeParent,
+    findNodeChain,
+    detachNode,
+    attachNode,
+    getSourcePath,
+    checkMove,
+    moveNode,
+    isValidTreeStructure,
+
+    // Serializing
+    ASCII_STYLES,
+    resolveAsciiStyle,
+    MARKDOWN_STYLES,
+    DEFAULT_MARKDOWN_OPTIONS,
+    TYPE_ICONS,
+    normalizeMarkdownOptions,
+    generateAsciiTree,
+    generateMarkdownTree,
+    registerExporter,
+    getExporter,
+    listExporters,
+    exportTree,
+    IMPORT_FORMATS,
+    detectTextFormat,
+    parseTreeText,
+
+    // Comparing
+    DIFF_STATUSES,
+    diffTrees,
+    summarizeDiff,
+    generateDiffTree,
+
+    MERGE_CONFLICT_KINDS,
+    mergeTrees,
+
+    // Watching
+    computeTreeUpdates,
+    applyTreeUpdates,
+    watchTree,
+
+    // Searching
+    SEARCH_MODES,
+    DEFAULT_SEARCH_MODE,
+    createSearchMatcher,
+    searchTree,
+    filterTree,
+
+    // Editing
+    createHistory,
+    scoreCommandMatch,
+    filterCommands,
+
+    // Creating trees on disk
+    CONFLICT_MODES,
+    DEFAULT_CONFLICT_MODE,
+    DEFAULT_TEMPLATES,
+    planScaffold,
+    applyScaffold,
+    scaffoldTree,
+    summarizeScaffold,
+    formatScaffoldReport
+};
@@ -0,0 +1,266 @@
+// --- core/merge.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag and merged into `window.TreeCore`)
+// and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory()); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+
+    // =============================================================================
+    // Merging Edits Into a Fresh Scan
+    // =============================================================================
+    // Regenerating a tree should not throw away what was done in the editor. The editor marks
+    // nodes it added with `virtual: true`, scanned nodes it renamed with `sourceName` (their
+    // name on disk) and scanned nodes it moved to another folder with `sourceFolder` (the path of
+    // their folder on disk), so a fresh scan can be matched against the edited tree entry by entry.
+    // Whatever cannot be matched cleanly is kept and reported as a conflict, never dropped.
+
+    // Values of `MergeConflict.kind`:
+    // 'missing' - an edited entry (renamed, moved, commented, or holding added entries) is no longer on disk;
+    // 'type'    - an edited entry has another type on disk (e.g. a folder became a file);
+    // 'name'    - an entry was renamed to a name that another entry on disk now has.
+    const MERGE_CONFLICT_KINDS = ['missing', 'type', 'name'];
+
+    /**
+     * @typedef {Object} MergeConflict
+     * @property {Object} node - The node of the merged tree the conflict is about (the editor's version).
+     * @property {string} path - Its path in the merged tree, e.g. 'src/notes.md' ('' for the root).
+     * @property {'missing'|'type'|'name'} kind - What went wrong (see `MERGE_CONFLICT_KINDS`).
+     * @property {string} message - A description for the user.
+     */
+
+    /**
+     * Returns the name a node had on disk, which is what a fresh scan calls it.
+     * @param {Object} node - A node of the edited tree.
+     * @returns {string} `sourceName` for renamed nodes, the name otherwise.
+     */
+    function getSourceName(node) {
+        return typeof node.sourceName === 'string' ? node.sourceName : node.name;
+    }
+
+    /**
+     * Joins a folder's path and an entry name ('' is the root's path).
+     * @param {string} folderPath - The folder's path.
+     * @param {string} name - The entry's name.
+     * @returns {string} The entry's path.
+     */
+    function joinPath(folderPath, name) {
+        return folderPath ? `${folderPath}/${name}` : name;
+    }
+
+    /**
+     * Tells whether a node was moved to another folder in the editor.
+     * @param {Object} node - A node of the edited tree.
+     * @returns {boolean} True for scanned nodes carrying the path of their folder on disk.
+     */
+    function isMoved(node) {
+        return !node.virtual && typeof node.sourceFolder === 'string';
+    }
+
+    /**
+     * Tells whether a node or any of its descendants carries something done in the editor:
+     * it was added, renamed or moved there, or has a comment. Collapsing a folder does not count.
+     * @param {Object} node - A node of the edited tree.
+     * @returns {boolean} True if dropping the node would lose an edit.
+     */
+    function hasEdits(node) {
+        return Boolean(node.virtual || typeof node.sourceName === 'string' || isMoved(node) || node.comment ||
+            (node.children && node.children.some(hasEdits)));
+    }
+
+    /**
+     * Lists the paths on disk of the nodes moved in the editor. The scan finds them there, so
+     * they must not be merged (or added as new entries) in their old folders.
+     * @param {Object} node - A node of the edited tree.
+     * @param {string|null} diskPath - Its path on disk (`null` if it was added in the editor).
+     * @param {Set<string>} [paths] - Receives the paths.
+     * @returns {Set<string>} The paths.
+     */
+    function collectMovedPaths(node, diskPath, paths = new Set()) {
+        (node.children || []).forEach(child => {
+            let childPath = null;
+            if (isMoved(child)) {
+                childPath = joinPath(child.sourceFolder, getSourceName(child));
+                paths.add(childPath);
+            } else if (!child.virtual && diskPath !== null) {
+                childPath = joinPath(diskPath, getSourceName(child));
+            }
+            collectMovedPaths(child, childPath, paths);
+        });
+        return paths;
+    }
+
+    /**
+     * Indexes the nodes of a scan by their path, to find the entries of moved nodes.
+     * @param {Object} node - A node of the scan.
+     * @param {string} nodePath - Its path ('' for the root).
+     * @param {Map<string, Object>} [nodes] - Receives the nodes.
+     * @returns {Map<string, Object>} The nodes by path.
+     */
+    function indexByPath(node, nodePath, nodes = new Map()) {
+        nodes.set(nodePath, node);
+        (node.children || []).forEach(child => indexByPath(child, joinPath(nodePath, child.name), nodes));
+        return nodes;
+    }
+
+    /**
+     * Copies a subtree of the edited tree, so the merged tree shares no nodes with it
+     * (the edited tree stays intact for undo).
+     * @param {Object} node - The node to copy.
+     * @returns {Object} The copy.
+     */
+    function copyNode(node) {
+        const copy = { ...node };
+        if (node.children) {
+            copy.children = node.children.map(copyNode);
+        }
+        return copy;
+    }
+
+    /**
+     * @typedef {Object} MergeContext
+     * @property {MergeConflict[]} conflicts - Receives the conflicts.
+     * @property {Set<string>} movedPaths - The paths on disk of the nodes moved in the editor (see `collectMovedPaths`).
+     * @property {Map<string, Object>} scannedByPath - The nodes of the scan by path (see `indexByPath`).
+     */
+
+    /**
+     * Merges an edited node with the scanned entry it matches: the scan decides the type, link
+     * target, metadata and limits; the editor keeps its ID, display name, comment, order, folder
+     * (for moved nodes) and collapsed state.
+     * @param {Object} previous - The node of the edited tree.
+     * @param {Object} scanned - The matching node of the scan.
+     * @param {string} nodePath - The path of the merged node.
+     * @param {string} diskPath - The path of the scanned node.
+     * @param {MergeContext} context - The merge's lookups and conflicts.
+     * @returns {Object} The merged node.
+     */
+    function mergeNode(previous, scanned, nodePath, diskPath, context) {
+        const merged = { ...scanned, name: previous.name };
+        delete merged.children;
+        if (previous.id !== undefined) merged.id = previous.id;
+        if (previous.name !== scanned.name) merged.sourceName = scanned.name; // Still renamed in the editor
+        if (isMoved(previous)) merged.sourceFolder = previous.sourceFolder; // Still moved in the editor
+        if (previous.comment) merged.comment = previous.comment;
+        if (typeof previous.userOrder === 'number') merged.userOrder = previous.userOrder;
+
+        if (scanned.type === 'folder') {
+            if (previous.type === 'folder' && typeof previous.collapsed === 'boolean') {
+                merged.collapsed = previous.collapsed;
+            }
+            merged.children = mergeChildren(previous, scanned, nodePath, diskPath, context);
+        }
+        return merged;
+    }
+
+    /**
+     * Merges the children of an edited folder with those of the scanned folder it matches.
+     * Children are matched by their name on disk; children moved here in the editor are matched
+     * by their path on disk instead, and the entries moved away are left to their new folders.
+     * The editor's children come first, in their order, followed by the entries that are new on disk.
+     * @param {Object} previous - The folder of the edited tree.
+     * @param {Object} scanned - The matching folder of the scan.
+     * @param {string} folderPath - The path of the merged folder.
+     * @param {string} diskPath - The path of the scanned folder.
+     * @param {MergeContext} context - The merge's lookups and conflicts.
+     * @returns {Object[]} The merged children.
+     */
+    function mergeChildren(previous, scanned, folderPath, diskPath, context) {
+        const { conflicts, movedPaths, scannedByPath } = context;
+        const scannedChildren = (scanned.children || []).filter(child => !movedPaths.has(joinPath(diskPath, child.name)));
+        const scannedByName = new Map(scannedChildren.map(child => [child.name, child]));
+        const matchedNames = new Set();
+        const merged = [];
+        const addConflict = (node, kind, message) => conflicts.push({
+            node,
+            path: joinPath(folderPath, node.name),
+            kind,
+            message
+        });
+
+        (previous.type === 'folder' ? previous.children || [] : []).forEach(child => {
+            const childPath = joinPath(folderPath, child.name);
+            const sourceName = getSourceName(child);
+            const moved = isMoved(child);
+            const childDiskPath = moved ? joinPath(child.sourceFolder, sourceName) : joinPath(diskPath, sourceName);
+            let match;
+            if (moved) {
+                match = scannedByPath.get(childDiskPath) || null;
+            } else {
+                match = matchedNames.has(sourceName) ? null : scannedByName.get(sourceName);
+            }
+
+            if (!match) {
+                if (child.virtual) {
+                    merged.push(copyNode(child)); // Added in the editor; not expected on disk.
+                } else if (hasEdits(child)) {
+                    const kept = copyNode(child);
+                    merged.push(kept);
+                    addConflict(kept, 'missing', moved
+                        ? `"${childDiskPath}" (moved here in the editor) is no longer on disk. It was kept because it has edits.`
+                        : `"${sourceName}" is no longer on disk. It was kept because it has edits.`);
+                }
+                // Otherwise it was deleted on disk and nothing of the editor's is lost.
+                return;
+            }
+            if (!moved) {
+                matchedNames.add(sourceName);
+            }
+
+            if (match.type !== child.type && hasEdits(child)) {
+                const kept = copyNode(child);
+                merged.push(kept);
+                addConflict(kept, 'type', `"${moved ? childDiskPath : sourceName}" is a ${match.type} on disk, not a ${child.type}. The edited ${child.type} was kept.`);
+                return;
+            }
+            merged.push(mergeNode(child, match, childPath, childDiskPath, context));
+        });
+
+        scannedChildren.filter(child => !matchedNames.has(child.name)).forEach(child => {
+            const renamed = merged.find(node => node.name === child.name);
+            if (renamed) {
+                addConflict(renamed, 'name', `Another entry named "${child.name}" now exists on disk.`);
+            }
+            merged.push(child);
+        });
+        return merged;
+    }
+
+    /**
+     * Merges a fresh scan of a folder into the tree being edited, so regenerating keeps the
+     * editor's work: entries added in the editor (`virtual`), display names of renamed entries
+     * (`sourceName`), entries moved to other folders (`sourceFolder`), comments, manual order and
+     * collapsed folders, for every entry still on disk.
+     * Entries deleted on disk disappear unless they carry edits, in which case they are kept and
+     * reported as conflicts, as are type changes of edited entries and name clashes.
+     * The roots are always merged with each other; neither input is modified.
+     *
+     * @param {Object} previousTree - The edited tree (as generated earlier from the same folder, then edited).
+     * @param {Object} scannedTree - The fresh scan (e.g. from `generateTree`).
+     * @returns {{ tree: Object, conflicts: MergeConflict[] }} The merged tree and its conflicts, in tree order.
+     */
+    function mergeTrees(previousTree, scannedTree) {
+        const context = {
+            conflicts: [],
+            movedPaths: collectMovedPaths(previousTree, ''),
+            scannedByPath: indexByPath(scannedTree, '')
+        };
+        const { conflicts } = context;
+        const tree = mergeNode(previousTree, scannedTree, '', '', context);
+        return { tree, conflicts };
+    }
+
+    return {
+        MERGE_CONFLICT_KINDS,
+        mergeTrees
+    };
+}));
@@ -0,0 +1,201 @@
+// --- core/profiles.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const { DEFAULT_IGNORE_PATTERNS, parseIgnorePatterns } = require('./ignore-patterns'); // Checks the profiles' ignore patterns
+const { normalizeSortOptions } = require('./sort'); // Sort order stored in each profile
+
+
+// =============================================================================
+// Scan Profiles
+// =============================================================================
+// A profile is a named set of scan and output settings for a kind of project, e.g. "Node repo":
+// the ignore patterns, whether `.gitignore` applies, the scan limits, the sort order and the output
+// format. The GUI stores them in its settings, remembers the last profile used for each folder,
+// and exchanges them with other users as profile files.
+
+const PROFILE_FILE_VERSION = 1; // Version of the profile file format written by `serializeProfiles`.
+const DEFAULT_OUTPUT_FORMAT = 'ascii';
+
+// The profiles available before any are saved; the first one is the default.
+const DEFAULT_PROFILES = [
+    { name: 'Default', ignorePatterns: DEFAULT_IGNORE_PATTERNS },
+    {
+        name: 'Node repo',
+        ignorePatterns: '.git, node_modules, dist, build, coverage, .next, .cache, *.log, .DS_Store',
+        useGitignore: true
+    },
+    {
+        name: 'Python repo',
+        ignorePatterns: '.git, __pycache__, *.pyc, .venv, venv, .tox, .mypy_cache, .pytest_cache, *.egg-info, build, dist, .DS_Store',
+        useGitignore: true
+    },
+    {
+        // Everything is ignored, then folders and documentation files are brought back.
+        name: 'Docs only',
+        ignorePatterns: '*, !*/, !*.md, !*.mdx, !*.rst, !*.txt, !*.adoc, .git, node_modules',
+        outputFormat: 'markdown'
+    }
+];
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name - Unique name, shown in the profile selector.
+ * @property {string} ignorePatterns - The raw ignore list text.
+ * @property {boolean} useGitignore - Whether `.gitignore` files apply.
+ * @property {number|null} maxDepth - Deepest level to list, or `null` for no limit.
+ * @property {number|null} maxEntries - Maximum number of entries, or `null` for no limit.
+ * @property {Object} sortOptions - The sort order (see `normalizeSortOptions`).
+ * @property {string} outputFormat - The ID of the output format (an exporter ID, e.g. 'markdown').
+ */
+
+/**
+ * Reads a scan limit of a profile. Empty values and 0 mean "no limit".
+ * @param {*} value - The stored value.
+ * @param {string} label - The limit's name, for error messages.
+ * @returns {number|null} The limit, or `null` for no limit.
+ * @throws {Error} Throws if the value is not a whole number of at least 0.
+ */
+function normalizeProfileLimit(value, label) {
+    if (value === undefined || value === null || value === '' || value === 0) {
+        return null;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${label} must be a whole number of at least 0.`);
+    }
+    return value;
+}
+
+/**
+ * Checks a profile (e.g. read from a profile file) and fills in the defaults.
+ * @param {Object} profile - The profile to check.
+ * @returns {Profile} A normalized copy.
+ * @throws {Error} Throws if the profile has no name, an invalid ignore pattern or an invalid limit.
+ */
+function normalizeProfile(profile) {
+    const name = profile && typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (!name) {
+        throw new Error('A profile needs a name.');
+    }
+    const ignorePatterns = Array.isArray(profile.ignorePatterns)
+        ? profile.ignorePatterns.join(', ')
+        : String(profile.ignorePatterns === undefined ? '' : profile.ignorePatterns);
+    const { errors } = parseIgnorePatterns(ignorePatterns);
+    if (errors.length > 0) {
+        throw new Error(`Profile "${name}" has an invalid ignore pattern: "${errors[0].pattern}" (${errors[0].message}).`);
+    }
+    try {
+        return {
+            name,
+            ignorePatterns,
+            useGitignore: Boolean(profile.useGitignore),
+            maxDepth: normalizeProfileLimit(profile.maxDepth, 'Max depth'),
+            maxEntries: normalizeProfileLimit(profile.maxEntries, 'Max entries'),
+            sortOptions: normalizeSortOptions(profile.sortOptions),
+            outputFormat: typeof profile.outputFormat === 'string' && profile.outputFormat ? profile.outputFormat : DEFAULT_OUTPUT_FORMAT
+        };
+    } catch (error) {
+        throw new Error(`Profile "${name}": ${error.message}`);
+    }
+}
+
+/**
+ * Makes a profile name unique among existing ones by appending a counter, e.g. 'Node repo (2)'.
+ * @param {string} name - The wanted name.
+ * @param {Iterable<string>} existingNames - The names already taken.
+ * @returns {string} `name`, or the first free numbered variant of it.
+ */
+function uniqueProfileName(name, existingNames) {
+    const taken = new Set(existingNames);
+    let candidate = name;
+    for (let counter = 2; taken.has(candidate); counter++) {
+        candidate = `${name} (${counter})`;
+    }
+    return candidate;
+}
+
+/**
+ * Normalizes a list of profiles, renaming repeated names with a counter.
+ * @param {Object[]} [profiles] - The stored profiles; missing or empty lists give `DEFAULT_PROFILES`.
+ * @returns {Profile[]} The normalized profiles (never empty).
+ * @throws {Error} Throws if a profile is invalid (see `normalizeProfile`).
+ */
+function normalizeProfiles(profiles) {
+    const list = Array.isArray(profiles) && profiles.length > 0 ? profiles : DEFAULT_PROFILES;
+    const names = [];
+    return list.map(profile => {
+        const normalized = normalizeProfile(profile);
+        normalized.name = uniqueProfileName(normalized.name, names);
+        names.push(normalized.name);
+        return normalized;
+    });
+}
+
+/**
+ * Adds imported profiles to a list. Imported profiles never replace existing ones:
+ * a name that is already taken gets a counter.
+ * @param {Profile[]} profiles - The current (normalized) profiles.
+ * @param {Object[]} imported - The profiles to add.
+ * @returns {{ profiles: Profile[], added: string[] }} The combined list and the names the imported profiles got.
+ * @throws {Error} Throws if an imported profile is invalid.
+ */
+function mergeProfiles(profiles, imported) {
+    const combined = [...profiles];
+    const added = imported.map(profile => {
+        const normalized = normalizeProfile(profile);
+        normalized.name = uniqueProfileName(normalized.name, combined.map(existing => existing.name));
+        combined.push(normalized);
+        return normalized.name;
+    });
+    return { profiles: combined, added };
+}
+
+/**
+ * Writes profiles as the text of a profile file.
+ * @param {Object[]} profiles - The profiles to write.
+ * @returns {string} The JSON text, ending with a newline.
+ */
+function serializeProfiles(profiles) {
+    return JSON.stringify({ version: PROFILE_FILE_VERSION, profiles: profiles.map(normalizeProfile) }, null, 2) + '\n';
+}
+
+/**
+ * Reads the profiles of a profile file. A single profile object or a plain array of
+ * profiles is accepted as well.
+ * @param {string} text - The file content.
+ * @returns {Profile[]} The normalized profiles (with their names as in the file).
+ * @throws {Error} Throws if the text is not JSON, holds no profiles or an invalid one,
+ * or comes from a newer file format.
+ */
+function parseProfilesFile(text) {
+    const data = JSON.parse(text);
+    if (data && typeof data.version === 'number' && data.version > PROFILE_FILE_VERSION) {
+        throw new Error(`The profiles were saved by a newer version (file format ${data.version}).`);
+    }
+    let profiles;
+    if (Array.isArray(data)) {
+        profiles = data;
+    } else if (data && Array.isArray(data.profiles)) {
+        profiles = data.profiles;
+    } else if (data && typeof data.name === 'string') {
+        profiles = [data];
+    } else {
+        profiles = [];
+    }
+    if (profiles.length === 0) {
+        throw new Error('The file does not contain any profiles.');
+    }
+    return profiles.map(normalizeProfile);
+}
+
+module.exports = {
+    PROFILE_FILE_VERSION,
+    DEFAULT_PROFILES,
+    normalizeProfile,
+    normalizeProfiles,
+    uniqueProfileName,
+    mergeProfiles,
+    serializeProfiles,
+    parseProfilesFile
+};
@@ -0,0 +1,116 @@
+// --- core/recent.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const fs = require('fs').promises; // Checks whether recent paths still exist
+
+
+// =============================================================================
+// Recent Items
+// =============================================================================
+// Most-recently-used lists, e.g. of scanned folders and of saved or loaded tree files. Each entry
+// is `{ path, pinned, lastUsed }`. Pinned entries stay at the top and are never dropped; the
+// others are ordered by last use and dropped beyond the list's limit.
+
+const MAX_RECENT_ITEMS = 10; // Unpinned entries kept per list.
+
+/**
+ * @typedef {Object} RecentItem
+ * @property {string} path - Absolute path of the folder or file.
+ * @property {boolean} pinned - Whether the entry is pinned to the top of the list.
+ * @property {number} lastUsed - When the entry was last used, in milliseconds since the epoch.
+ * @property {boolean} [missing] - Set by `checkRecentItems` if the path no longer exists (or has the wrong type).
+ */
+
+/**
+ * Checks a stored list and orders it: pinned entries first, then the most recently used.
+ * Invalid and repeated entries are dropped, as are unpinned entries beyond `limit`.
+ * @param {Object[]} [items] - The stored list.
+ * @param {number} [limit=MAX_RECENT_ITEMS] - How many unpinned entries to keep.
+ * @returns {RecentItem[]} A normalized copy.
+ */
+function normalizeRecentItems(items, limit = MAX_RECENT_ITEMS) {
+    const seenPaths = new Set();
+    const normalized = (Array.isArray(items) ? items : [])
+        .filter(item => {
+            if (!item || typeof item.path !== 'string' || !item.path || seenPaths.has(item.path)) {
+                return false;
+            }
+            seenPaths.add(item.path); // The first entry for a path wins.
+            return true;
+        })
+        .map(item => ({
+            path: item.path,
+            pinned: Boolean(item.pinned),
+            lastUsed: Number.isFinite(item.lastUsed) ? item.lastUsed : 0
+        }))
+        .sort((a, b) => (b.pinned - a.pinned) || (b.lastUsed - a.lastUsed));
+
+    let unpinned = 0;
+    return normalized.filter(item => item.pinned || ++unpinned <= limit);
+}
+
+/**
+ * Records the use of a path: it moves to the top of the unpinned entries (or of the pinned
+ * ones, if pinned), and the oldest unpinned entry is dropped if the list is full.
+ * @param {Object[]} items - The list.
+ * @param {string} itemPath - The path that was used.
+ * @param {number} [now=Date.now()] - The time of use.
+ * @returns {RecentItem[]} The updated list (a new array).
+ */
+function addRecentItem(items, itemPath, now = Date.now()) {
+    const existing = normalizeRecentItems(items, Infinity).find(item => item.path === itemPath);
+    return normalizeRecentItems([
+        { path: itemPath, pinned: existing ? existing.pinned : false, lastUsed: now },
+        ...(items || []).filter(item => item && item.path !== itemPath)
+    ]);
+}
+
+/**
+ * Removes a path from a list.
+ * @param {Object[]} items - The list.
+ * @param {string} itemPath - The path to remove.
+ * @returns {RecentItem[]} The updated list (a new array).
+ */
+function removeRecentItem(items, itemPath) {
+    return normalizeRecentItems((items || []).filter(item => item && item.path !== itemPath));
+}
+
+/**
+ * Pins a path to the top of a list, or unpins it. Paths not in the list are ignored.
+ * @param {Object[]} items - The list.
+ * @param {string} itemPath - The path to pin or unpin.
+ * @param {boolean} pinned - Whether the path should be pinned.
+ * @returns {RecentItem[]} The updated list (a new array).
+ */
+function setRecentItemPinned(items, itemPath, pinned) {
+    return normalizeRecentItems((items || []).map(item => (item && item.path === itemPath ? { ...item, pinned } : item)));
+}
+
+/**
+ * Marks the entries whose path no longer exists, or no longer has the expected type, as `missing`.
+ * Missing entries are kept, so they can be shown greyed out until the user removes them.
+ * @param {RecentItem[]} items - A normalized list.
+ * @param {'folder'|'file'} type - What the paths should be.
+ * @returns {Promise<RecentItem[]>} Resolves with copies of the entries, each with `missing` set.
+ */
+async function checkRecentItems(items, type) {
+    return Promise.all(items.map(async item => {
+        try {
+            const stats = await fs.stat(item.path);
+            return { ...item, missing: type === 'folder' ? !stats.isDirectory() : !stats.isFile() };
+        } catch (error) {
+            return { ...item, missing: true };
+        }
+    }));
+}
+
+module.exports = {
+    MAX_RECENT_ITEMS,
+    normalizeRecentItems,
+    addRecentItem,
+    removeRecentItem,
+    setRecentItemPinned,
+    checkRecentItems
+};
@@ -0,0 +1,381 @@
+// --- core/scaffold.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const path = require('path');     // Node.js module for handling and transforming file paths
+const fs = require('fs').promises; // Node.js File System module with promise-based API for asynchronous operations
+const { globToRegExp } = require('./glob'); // Template patterns use the same glob syntax as the ignore patterns
+
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// What to do when a file of the tree already exists on disk:
+// 'skip'      - keep the existing file;
+// 'overwrite' - replace its content (folders are never deleted or replaced);
+// 'abort'     - create nothing at all and report the conflicts.
+const CONFLICT_MODES = ['skip', 'overwrite', 'abort'];
+const DEFAULT_CONFLICT_MODE = 'skip';
+
+// Starter content for new files, by glob pattern (first match wins). Patterns without a '/'
+// match file names at any depth. Placeholders: {{name}}, {{stem}} (name without extension),
+// {{path}} (relative to the target folder), {{root}} (name of the tree root) and {{comment}}.
+const DEFAULT_TEMPLATES = Object.freeze([
+    { pattern: 'README.md', content: '# {{root}}\n' },
+    { pattern: '*.md', content: '# {{stem}}\n' },
+    { pattern: '*.json', content: '{}\n' },
+    { pattern: '*.{js,mjs,cjs,ts,jsx,tsx}', content: '// {{path}}\n' },
+    { pattern: '*.{py,sh,rb,yml,yaml}', content: '# {{path}}\n' },
+    { pattern: '*.{html,htm}', content: '<!DOCTYPE html>\n<html>\n<head>\n  <meta charset="UTF-8">\n  <title>{{stem}}</title>\n</head>\n<body>\n</body>\n</html>\n' },
+    { pattern: '*.css', content: '/* {{path}} */\n' }
+]);
+
+// Prefix of each action in the text report.
+const ACTION_SYMBOLS = { create: '+', overwrite: '~', exists: '=', skip: '-', conflict: '!', invalid: '!', failed: '!' };
+
+
+// =============================================================================
+// Planning
+// =============================================================================
+
+/**
+ * @typedef {Object} ScaffoldEntry
+ * @property {string} path - The path relative to the target folder, using '/' (folders end with '/').
+ * @property {string} absolutePath - The absolute path on disk.
+ * @property {'folder'|'file'|'symlink'} type - What is created.
+ * @property {'create'|'overwrite'|'exists'|'skip'|'conflict'|'invalid'} action - What applying the plan does:
+ * create it, overwrite an existing file, nothing (the folder exists, or the entry is skipped), or nothing
+ * because of a conflict (abort mode) or an invalid name, both of which block the whole plan.
+ * @property {string} [reason] - Why an entry is skipped, in conflict or invalid.
+ * @property {string} [content] - Content of a new or overwritten file.
+ * @property {string} [target] - Target of a symbolic link.
+ * @property {'created'|'overwritten'|'unchanged'|'skipped'|'failed'} [status] - Outcome, set by `applyScaffold`.
+ * @property {string} [message] - Why the entry failed, set by `applyScaffold`.
+ */
+
+/**
+ * Checks that a node name can be used as a single file or folder name.
+ * @param {string} name - The node name.
+ * @returns {string|null} Why the name is invalid, or `null` if it is fine.
+ */
+function validateEntryName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return 'The name is empty.';
+    }
+    if (name === '.' || name === '..') {
+        return `"${name}" is not a valid name.`;
+    }
+    if (/[/\\]/.test(name) || name.includes('\0')) {
+        return 'Names cannot contain "/", "\\" or null characters.';
+    }
+    return null;
+}
+
+/**
+ * Checks whether a path lies outside a folder.
+ * @param {string} folderPath - The absolute folder path.
+ * @param {string} entryPath - The absolute path to check.
+ * @returns {boolean} True if `entryPath` is not inside `folderPath`.
+ */
+function isOutside(folderPath, entryPath) {
+    const relative = path.relative(folderPath, entryPath);
+    return relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+}
+
+/**
+ * Finds the template for a file and fills in its placeholders.
+ * @param {Array<{ pattern: string, content: string }>} templates - The templates, first match wins.
+ * @param {string} relativePath - The path of the file relative to the target folder, using '/'.
+ * @param {Object} node - The file node.
+ * @param {string} rootName - The name of the tree root.
+ * @returns {string} The file content ('' if no template matches).
+ */
+function renderTemplate(templates, relativePath, node, rootName) {
+    const template = templates.find(candidate => globToRegExp(candidate.pattern, candidate.pattern.includes('/'), { braces: true }).test(relativePath));
+    if (!template) {
+        return '';
+    }
+    const values = {
+        name: node.name,
+        stem: node.name.replace(/(.)\.[^.]*$/, '$1'),
+        path: relativePath,
+        root: rootName,
+        comment: node.comment || ''
+    };
+    return template.content.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Returns the type of whatever exists at a path, without following symbolic links.
+ * @param {string} entryPath - The absolute path.
+ * @returns {Promise<'folder'|'file'|'symlink'|null>} The type, or `null` if nothing exists there.
+ */
+async function getExistingType(entryPath) {
+    try {
+        const stats = await fs.lstat(entryPath);
+        return stats.isDirectory() ? 'folder' : stats.isSymbolicLink() ? 'symlink' : 'file';
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Works out what creating a tree under a target folder would do, without changing anything on disk.
+ * The entries are listed parents first, in the order of the tree. '...' placeholder entries are skipped.
+ * @param {Object} tree - The root node of the tree to create.
+ * @param {string} targetPath - The existing folder to create the tree in.
+ * @param {Object} [options] - Scaffold options.
+ * @param {string} [options.conflict='skip'] - What to do with files that already exist: 'skip', 'overwrite'
+ * or 'abort' (see `CONFLICT_MODES`).
+ * @param {boolean} [options.includeRoot=true] - Whether to create the root folder itself inside the target
+ * folder, or only its contents.
+ * @param {Array<{ pattern: string, content: string }>|boolean} [options.templates=[]] - Starter content for new
+ * files (see `DEFAULT_TEMPLATES`); `true` uses the default templates. Files without a template are created empty.
+ * @returns {Promise<{ targetPath: string, entries: ScaffoldEntry[], blocked: boolean }>} The plan. `blocked` is true
+ * if an entry is in conflict (abort mode) or has an invalid name; such a plan cannot be applied.
+ * @throws {Error} Throws if the target folder does not exist, or the conflict mode is unknown.
+ */
+async function planScaffold(tree, targetPath, options = {}) {
+    const { conflict = DEFAULT_CONFLICT_MODE, includeRoot = true } = options;
+    const templates = options.templates === true ? DEFAULT_TEMPLATES : (options.templates || []);
+    if (!CONFLICT_MODES.includes(conflict)) {
+        throw new Error(`Unknown conflict mode "${conflict}". Expected one of: ${CONFLICT_MODES.join(', ')}.`);
+    }
+    if (!targetPath) {
+        throw new Error('Target folder is required.');
+    }
+    const resolvedTarget = path.resolve(targetPath);
+    const targetStats = await fs.stat(resolvedTarget).catch(() => null); // A link to a folder is fine here
+    if (!targetStats || !targetStats.isDirectory()) {
+        throw new Error(`Target folder "${targetPath}" does not exist or is not a folder.`);
+    }
+
+    const entries = [];
+    const rootName = tree.name || 'project_root';
+
+    /**
+     * Plans a node and its descendants.
+     * @param {Object} node - The node to plan.
+     * @param {string} parentPath - The absolute path of the folder it goes into.
+     * @param {string} parentRelative - The relative path of that folder ('' for the target), ending with '/'.
+     * @param {string|null} inheritedSkip - Why the parent folder is not created, if it is not.
+     * @param {boolean} parentIsNew - Whether the parent folder is created by this plan (so nothing can exist in it).
+     */
+    async function planNode(node, parentPath, parentRelative, inheritedSkip, parentIsNew) {
+        if (node.type === 'error') {
+            return; // Unreadable entries of a scanned tree have nothing to create.
+        }
+        const type = node.type === 'folder' || node.type === 'symlink' ? node.type : 'file';
+        const absolutePath = path.join(parentPath, String(node.name));
+        const relativePath = parentRelative + node.name + (type === 'folder' ? '/' : '');
+        const entry = { path: relativePath, absolutePath, type, action: 'create' };
+
+        const isPlaceholder = node.name === '...'; // Stands for entries left out of the tree
+        const invalidReason = validateEntryName(node.name);
+        const existingType = isPlaceholder || invalidReason || inheritedSkip || parentIsNew ? null : await getExistingType(absolutePath);
+        if (isPlaceholder) {
+            entry.action = 'skip';
+            entry.reason = 'A "..." entry is a placeholder for items not listed; nothing is created for it.';
+        } else if (invalidReason) {
+            entry.action = 'invalid';
+            entry.reason = invalidReason;
+        } else if (isOutside(resolvedTarget, absolutePath)) {
+            entry.action = 'invalid';
+            entry.reason = 'The path leads outside the target folder.'; // Defense in depth; valid names cannot.
+        } else if (inheritedSkip) {
+            entry.action = 'skip';
+            entry.reason = inheritedSkip;
+        } else if (existingType === 'folder' && type === 'folder') {
+            entry.action = 'exists';
+        } else if (existingType !== null) {
+            const existingKind = existingType === 'folder' ? 'folder' : 'file';
+            if (conflict === 'abort') {
+                entry.action = 'conflict';
+                entry.reason = `A ${existingKind} with this name already exists.`;
+            } else if (conflict === 'overwrite' && type === 'file' && existingType === 'file') {
+                entry.action = 'overwrite';
+            } else {
+                entry.action = 'skip'; // Folders and links are never replaced.
+                entry.reason = (type === 'folder') === (existingType === 'folder')
+                    ? 'It already exists.'
+                    : `A ${existingKind} with this name is in the way.`;
+            }
+        }
+
+        if (type === 'file' && (entry.action === 'create' || entry.action === 'overwrite')) {
+            entry.content = renderTemplate(templates, relativePath, node, rootName);
+        } else if (type === 'symlink') {
+            entry.target = node.target || '';
+        }
+        entries.push(entry);
+
+        if (type === 'folder') {
+            const childSkip = inheritedSkip
+                || (['create', 'exists'].includes(entry.action) ? null : 'Its folder is not created.');
+            for (const child of node.children || []) {
+                await planNode(child, absolutePath, relativePath, childSkip, entry.action === 'create');
+            }
+        }
+    }
+
+    if (includeRoot) {
+        await planNode({ ...tree, type: 'folder', name: rootName }, resolvedTarget, '', null, false);
+    } else {
+        for (const child of tree.children || []) {
+            await planNode(child, resolvedTarget, '', null, false);
+        }
+    }
+
+    const blocked = entries.some(entry => entry.action === 'conflict' || entry.action === 'invalid');
+    return { targetPath: resolvedTarget, entries, blocked };
+}
+
+
+// =============================================================================
+// Applying
+// =============================================================================
+
+/**
+ * Creates the folders, files and links of a plan made by `planScaffold`. Existing folders are never
+ * removed, and new files are created exclusively, so a file that appeared since the plan was made is
+ * reported as failed instead of being overwritten.
+ * @param {{ targetPath: string, entries: ScaffoldEntry[], blocked: boolean }} plan - The plan to apply.
+ * @returns {Promise<{ targetPath: string, entries: ScaffoldEntry[], blocked: boolean }>} The plan, with the
+ * `status` (and for failures, `message`) of every entry set.
+ * @throws {Error} Throws if the plan is blocked by conflicts or invalid names; nothing is created then.
+ */
+async function applyScaffold(plan) {
+    if (plan.blocked) {
+        const problems = plan.entries.filter(entry => entry.action === 'conflict' || entry.action === 'invalid');
+        throw new Error(`Nothing was created: ${problems.length} entr${problems.length === 1 ? 'y is' : 'ies are'} in conflict or invalid (${problems.slice(0, 3).map(entry => `"${entry.path}"`).join(', ')}${problems.length > 3 ? ', …' : ''}).`);
+    }
+
+    const failedFolders = new Set(); // Absolute paths of folders that could not be created.
+    for (const entry of plan.entries) {
+        if (entry.action === 'exists' || entry.action === 'skip') {
+            entry.status = entry.action === 'exists' ? 'unchanged' : 'skipped';
+            continue;
+        }
+        if (failedFolders.has(path.dirname(entry.absolutePath))) {
+            entry.status = 'failed';
+            entry.message = 'Its folder could not be created.';
+            if (entry.type === 'folder') {
+                failedFolders.add(entry.absolutePath);
+            }
+            continue;
+        }
+        try {
+            if (entry.type === 'folder') {
+                await fs.mkdir(entry.absolutePath);
+            } else if (entry.type === 'symlink') {
+                await fs.symlink(entry.target, entry.absolutePath);
+            } else {
+                await fs.writeFile(entry.absolutePath, entry.content || '', { flag: entry.action === 'overwrite' ? 'w' : 'wx' });
+            }
+            entry.status = entry.action === 'overwrite' ? 'overwritten' : 'created';
+        } catch (error) {
+            entry.status = 'failed';
+            entry.message = error.message;
+            if (entry.type === 'folder') {
+                failedFolders.add(entry.absolutePath);
+            }
+        }
+    }
+    return plan;
+}
+
+/**
+ * Plans and (unless `dryRun` is set) creates a tree under a target folder.
+ * This is the entry point used by the GUI (through the 'scaffold-tree' IPC handler).
+ * @param {Object} tree - The root node of the tree to create.
+ * @param {string} targetPath - The existing folder to create the tree in.
+ * @param {Object} [options] - The options of `planScaffold`, plus:
+ * @param {boolean} [options.dryRun=false] - Only plan, without touching the disk.
+ * @returns {Promise<{ targetPath: string, entries: ScaffoldEntry[], blocked: boolean, dryRun: boolean }>} The plan,
+ * applied unless this is a dry run or the plan is blocked.
+ * @throws {Error} Throws if the target folder does not exist or the conflict mode is unknown.
+ */
+async function scaffoldTree(tree, targetPath, options = {}) {
+    const plan = await planScaffold(tree, targetPath, options);
+    const dryRun = Boolean(options.dryRun) || plan.blocked;
+    if (!dryRun) {
+        await applyScaffold(plan);
+    }
+    return { ...plan, dryRun };
+}
+
+
+// =============================================================================
+// Reporting
+// =============================================================================
+
+/**
+ * Counts the entries of a plan or an applied plan by outcome.
+ * @param {ScaffoldEntry[]} entries - The entries.
+ * @returns {{ folders: number, files: number, overwritten: number, unchanged: number, skipped: number, problems: number }}
+ * Folders and files (including links) to be created or created, files to be overwritten or overwritten, folders
+ * that already exist, skipped entries, and conflicts, invalid names and failures.
+ */
+function summarizeScaffold(entries) {
+    const counts = { folders: 0, files: 0, overwritten: 0, unchanged: 0, skipped: 0, problems: 0 };
+    entries.forEach(entry => {
+        const outcome = entry.status || entry.action;
+        if (outcome === 'create' || outcome === 'created') {
+            counts[entry.type === 'folder' ? 'folders' : 'files']++;
+        } else if (outcome === 'overwrite' || outcome === 'overwritten') {
+            counts.overwritten++;
+        } else if (outcome === 'exists' || outcome === 'unchanged') {
+            counts.unchanged++;
+        } else if (outcome === 'skip' || outcome === 'skipped') {
+            counts.skipped++;
+        } else {
+            counts.problems++;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Writes a plan (dry run) or an applied plan as a text report: a summary line, then one line per entry,
+ * prefixed with '+' (created), '~' (overwritten), '=' (existing folder), '-' (skipped) or '!' (problem).
+ * @param {{ entries: ScaffoldEntry[], blocked: boolean, dryRun?: boolean }} result - The result of `scaffoldTree`.
+ * @returns {string} The report, ending with a newline.
+ */
+function formatScaffoldReport(result) {
+    const counts = summarizeScaffold(result.entries);
+    const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+    const parts = [`${plural(counts.folders, 'folder')} and ${plural(counts.files, 'file')} ${result.dryRun ? 'to create' : 'created'}`];
+    if (counts.overwritten > 0) parts.push(`${plural(counts.overwritten, 'file')} ${result.dryRun ? 'to overwrite' : 'overwritten'}`);
+    if (counts.unchanged > 0) parts.push(`${plural(counts.unchanged, 'existing folder')} kept`);
+    if (counts.skipped > 0) parts.push(`${plural(counts.skipped, 'entry', 'entries')} skipped`);
+    if (counts.problems > 0) parts.push(plural(counts.problems, 'problem'));
+
+    let summary = `${result.dryRun ? 'Dry run: ' : ''}${parts.join(', ')}.`;
+    if (result.blocked) {
+        summary = `Nothing was created: resolve the problems below first (${parts.join(', ')}).`;
+    }
+
+    const lines = result.entries.map(entry => {
+        const outcome = entry.status === 'failed' ? 'failed' : entry.action;
+        const detail = entry.message || entry.reason;
+        const target = entry.type === 'symlink' ? ` -> ${entry.target}` : '';
+        return `${ACTION_SYMBOLS[outcome]} ${entry.path}${target}${detail ? `  (${detail})` : ''}`;
+    });
+    return [summary, '', ...lines, ''].join('\n');
+}
+
+module.exports = {
+    CONFLICT_MODES,
+    DEFAULT_CONFLICT_MODE,
+    DEFAULT_TEMPLATES,
+    planScaffold,
+    applyScaffold,
+    scaffoldTree,
+    summarizeScaffold,
+    formatScaffoldReport
+};
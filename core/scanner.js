@@ -0,0 +1,576 @@
+// --- core/scanner.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const path = require('path');     // Node.js module for handling and transforming file paths
+const fs = require('fs').promises; // Node.js File System module with promise-based API for asynchronous operations
+const { loadBaseGitignoreRules, loadDirectoryGitignore, matchIgnoreRules, isIgnoredByRules } = require('./gitignore'); // Full .gitignore rule matching
+const { parseIgnorePatterns } = require('./ignore-patterns'); // Pattern language of the "Ignore Folders" field
+const { createNodeSorter } = require('./sort'); // Display order, used to decide which entries survive truncation
+const { aggregateMetadata } = require('./tree'); // Folder totals for scans that collect metadata
+const { normalizeWorkspace, combineWorkspaceTrees } = require('./workspace'); // Multi-root workspace definitions
+
+
+// =============================================================================
+// Constants
+// =============================================================================
+const DEFAULT_CONCURRENCY = 16; // Maximum number of file system operations in flight at once.
+const DEFAULT_PROGRESS_INTERVAL = 100; // Minimum time in milliseconds between two progress reports.
+
+// How symbolic links are handled:
+// 'skip'   - leave them out of the tree;
+// 'link'   - list them as `type: 'symlink'` nodes with their `target`, without following them;
+// 'follow' - list what they point to (keeping `target`), unless that would loop back into an ancestor.
+const SYMLINK_MODES = ['skip', 'link', 'follow'];
+const DEFAULT_SYMLINK_MODE = 'link';
+
+
+// =============================================================================
+// Scan Helpers
+// =============================================================================
+
+/**
+ * Creates a concurrency limiter: a function that runs async tasks with at most
+ * `concurrency` of them in flight, queueing the rest in FIFO order.
+ * Only leaf operations (single `stat`/`readdir` calls) should go through the limiter,
+ * never tasks that wait on other limited tasks, so the pool can never deadlock.
+ * @param {number} concurrency - The maximum number of tasks running at the same time.
+ * @returns {function(function(): Promise<*>): Promise<*>} Runs a task when a slot is free and resolves with its result.
+ */
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Creates the error used to abort a scan. Callers can recognize it by `error.name === 'AbortError'`.
+ * @returns {Error} The abort error.
+ */
+function createAbortError() {
+    const error = new Error('Scan cancelled.');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Throws an abort error if the scan's signal has been aborted.
+ * @param {ScanContext} context - The scan context.
+ * @throws {Error} Throws an `AbortError` when the scan was cancelled.
+ */
+function throwIfAborted(context) {
+    if (context.signal && context.signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * Runs a single file system operation through the scan's concurrency limiter,
+ * checking for cancellation before it starts.
+ * @param {ScanContext} context - The scan context.
+ * @param {function(): Promise<*>} operation - The file system operation to run.
+ * @returns {Promise<*>} Resolves with the operation's result.
+ */
+function runFsOperation(context, operation) {
+    return context.limit(() => {
+        throwIfAborted(context);
+        return operation();
+    });
+}
+
+/**
+ * Reports scan progress through `context.onProgress`, at most once per `progressInterval`
+ * unless `force` is set (used for the final report).
+ * @param {ScanContext} context - The scan context.
+ * @param {boolean} [force=false] - Whether to report regardless of the interval.
+ */
+function reportProgress(context, force = false) {
+    if (!context.onProgress) {
+        return;
+    }
+    const now = Date.now();
+    if (!force && now - context.lastProgressAt < context.progressInterval) {
+        return;
+    }
+    context.lastProgressAt = now;
+    context.onProgress({ ...context.progress });
+}
+
+/**
+ * Builds an identity for a file system object that is stable across paths (and links) to it.
+ * @param {fs.Stats} stats - The result of `stat`/`lstat`.
+ * @returns {string} The device and inode numbers, e.g. '2049:131074'.
+ */
+function getFileIdentity(stats) {
+    return `${stats.dev}:${stats.ino}`;
+}
+
+/**
+ * Copies the metadata collected for an entry (see `options.collectMetadata`) onto a tree node.
+ * @param {Object} node - The node to annotate.
+ * @param {fs.Stats} stats - The stats of the file or folder (for links, of what they point to).
+ */
+function assignMetadata(node, stats) {
+    if (!stats.isDirectory()) {
+        node.size = stats.size;
+    }
+    node.mtime = Math.round(stats.mtimeMs);
+}
+
+/**
+ * Resolves a symbolic link found while scanning, according to `context.symlinks`.
+ * @param {ScanContext} context - The scan context.
+ * @param {string} entryPath - Absolute path of the link.
+ * @returns {Promise<{ target: string, stats: fs.Stats|null }>} The link's target as stored in the link
+ * and, in 'follow' mode, the stats of what it points to (`null` for dangling links or in 'link' mode).
+ * @throws {Error} Throws if the link cannot be read, or an `AbortError` if the scan is cancelled.
+ */
+async function resolveSymlink(context, entryPath) {
+    const target = await runFsOperation(context, () => fs.readlink(entryPath));
+    if (context.symlinks !== 'follow') {
+        return { target, stats: null };
+    }
+    try {
+        return { target, stats: await runFsOperation(context, () => fs.stat(entryPath)) };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        return { target, stats: null }; // Dangling link: nothing to follow, so list the link itself.
+    }
+}
+
+/**
+ * Decides whether an entry is excluded from the tree.
+ * The user's patterns have the final say; `.gitignore` only decides when none of them match.
+ * @param {ScanContext} context - The scan context.
+ * @param {string} entryPath - Absolute path of the entry.
+ * @param {boolean} isDirectory - Whether the entry is a directory (needed for `dir/` rules).
+ * @param {import('./gitignore').IgnoreRule[]|null} gitignoreRules - The gitignore rules in effect for the entry.
+ * @returns {boolean} True if the entry (and, for folders, all of its contents) should be skipped.
+ */
+function isEntryIgnored(context, entryPath, isDirectory, gitignoreRules) {
+    const userDecision = matchIgnoreRules(context.ignoreRules, entryPath, isDirectory);
+    if (userDecision !== null) {
+        return userDecision;
+    }
+    return context.useGitignore && isIgnoredByRules(gitignoreRules, entryPath, isDirectory);
+}
+
+
+// =============================================================================
+// Directory Tree Generation Function
+// =============================================================================
+
+/**
+ * @typedef {Object} ScanProgress
+ * @property {number} directories - Number of folders read so far.
+ * @property {number} files - Number of files found so far.
+ * @property {string} currentPath - The folder most recently entered.
+ */
+
+/**
+ * @typedef {Object} ScanContext
+ * State shared by every step of a single scan.
+ * @property {string} rootPath - The folder the scan started from.
+ * @property {string|null} rootIdentity - The identity of the root folder (see `getFileIdentity`).
+ * @property {import('./gitignore').IgnoreRule[]} ignoreRules - The compiled ignore list patterns.
+ * @property {boolean} useGitignore - Whether `.gitignore` rules apply.
+ * @property {number} maxDepth - Deepest level whose entries are listed (the root's children are level 1).
+ * @property {number} remainingEntries - How many more entries may be added to the tree.
+ * @property {string} symlinks - How symbolic links are handled (one of `SYMLINK_MODES`).
+ * @property {boolean} collectMetadata - Whether to record sizes and modification times.
+ * @property {function(Object, Object): number} sorter - The display order (see `createNodeSorter`).
+ * @property {function(function(): Promise<*>): Promise<*>} limit - The concurrency limiter for file system operations.
+ * @property {AbortSignal|undefined} signal - Aborts the scan when triggered.
+ * @property {function(ScanProgress): void|undefined} onProgress - Receives throttled progress reports.
+ * @property {number} progressInterval - Minimum milliseconds between progress reports.
+ * @property {number} lastProgressAt - Timestamp of the last progress report.
+ * @property {ScanProgress} progress - The running totals.
+ */
+
+/**
+ * @typedef {Object} PendingDirectory
+ * A folder node that has been added to the tree but whose entries have not been read yet.
+ * @property {Object} node - The folder node to fill in.
+ * @property {string} dirPath - Absolute path of the folder.
+ * @property {number} depth - Level of the folder (0 for the root).
+ * @property {Set<string>} ancestors - Identities (see `getFileIdentity`) of the folder and all of its ancestors,
+ * used to stop followed links from looping.
+ * @property {import('./gitignore').IgnoreRule[]|null} gitignoreRules - The gitignore rules inherited from its parents.
+ */
+
+/**
+ * Reads the entries of one directory and filters out ignored ones.
+ * Every entry is `lstat`ed (concurrently, through the scan's pool) so that directory-only
+ * rules can be applied and symbolic links recognized; entries that cannot be accessed become error entries.
+ * Links are handled according to `context.symlinks`. Like git, the ignore rules treat a link as a file
+ * unless it is followed to a directory. A followed link back into the directory or one of its
+ * ancestors is listed as a link instead, so that scans cannot loop.
+ *
+ * @param {ScanContext} context - The scan context.
+ * @param {string} dirPath - Absolute path of the directory to read.
+ * @param {Set<string>} ancestors - Identities of the directory and its ancestors (see `getFileIdentity`).
+ * @param {import('./gitignore').IgnoreRule[]|null} gitignoreRules - The gitignore rules inherited from parent directories.
+ * @returns {Promise<{ entries: Array<{ name: string, type: string, entryPath: string, target?: string, identity?: string }>, childRules: Array|null }|null>}
+ * The kept entries in display order (`context.sorter`) and the gitignore rules that apply
+ * to them, or `null` if the directory could not be read. Folder entries carry their `identity`; links carry their `target`;
+ * with `collectMetadata`, files and folders carry their `stats` (and `size` / `mtime` to sort by).
+ * @throws {Error} Throws an `AbortError` if the scan is cancelled.
+ */
+async function readDirectoryEntries(context, dirPath, ancestors, gitignoreRules) {
+    let names;
+    try {
+        names = await runFsOperation(context, () => fs.readdir(dirPath)); // Read all entries (files and subdirectories) within the directory
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        console.warn(`Could not read directory ${dirPath}: ${error.message}`);
+        return null;
+    }
+
+    context.progress.directories++;
+    context.progress.currentPath = dirPath;
+    reportProgress(context);
+
+    // Rules declared by this directory's own .gitignore apply to everything below it,
+    // and take precedence over the inherited ones.
+    const childRules = context.useGitignore ?
+        gitignoreRules.concat(await runFsOperation(context, () => loadDirectoryGitignore(dirPath))) :
+        null;
+
+    const entries = await Promise.all(names.map(async (name) => {
+        const entryPath = path.join(dirPath, name); // Construct the full path for the current entry
+        let stats;
+        let target; // Set for symbolic links only.
+        try {
+            stats = await runFsOperation(context, () => fs.lstat(entryPath)); // Is it a file, a directory or a link?
+            if (stats.isSymbolicLink()) {
+                if (context.symlinks === 'skip') {
+                    return null;
+                }
+                const link = await resolveSymlink(context, entryPath);
+                target = link.target;
+                stats = link.stats; // What the link points to, or null if it is listed as a link.
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.warn(`Could not access ${entryPath}: ${error.message}`);
+            return { name: `${name} (inaccessible)`, type: 'error', entryPath };
+        }
+
+        // Apply the ignore rules now that we know whether this is a directory (for `dir/` rules).
+        const isDirectory = stats !== null && stats.isDirectory();
+        if (isEntryIgnored(context, entryPath, isDirectory, childRules)) {
+            return null; // Skip the entry and, for folders, all of its contents.
+        }
+        if (stats === null || (isDirectory && target !== undefined && ancestors.has(getFileIdentity(stats)))) {
+            return { name, type: 'symlink', entryPath, target }; // Not followed (or following it would loop).
+        }
+        const entry = { name, type: isDirectory ? 'folder' : 'file', entryPath };
+        if (target !== undefined) {
+            entry.target = target; // A followed link keeps its target for display.
+        }
+        if (isDirectory) {
+            entry.identity = getFileIdentity(stats);
+        }
+        if (context.collectMetadata) {
+            entry.stats = stats;
+            assignMetadata(entry, stats); // Sorts by size or date like the node it becomes.
+        }
+        return entry;
+    }));
+
+    // Sort the kept entries the same way the tree is displayed, so that truncation always
+    // keeps the entries that would be shown first. Folder totals are not known yet, so
+    // folders sorted by size fall back to their names.
+    return { entries: entries.filter(entry => entry !== null).sort(context.sorter), childRules };
+}
+
+/**
+ * Builds the tree below `rootNode` level by level (breadth-first).
+ * All folders of one level are read concurrently, but entries are added to the tree in
+ * display order, so the depth and entry limits always truncate the same entries:
+ * shallower entries win over deeper ones, and within a level earlier folders win over later ones.
+ * Folders that are cut off record how many entries were left out in `omittedCount`.
+ *
+ * @param {ScanContext} context - The state of the current scan.
+ * @param {Object} rootNode - The (empty) root folder node to fill in.
+ * @param {import('./gitignore').IgnoreRule[]|null} gitignoreRules - The rules that apply from outside the root.
+ * @returns {Promise<void>} Resolves when the tree is complete.
+ * @throws {Error} Throws an `AbortError` if the scan is cancelled.
+ */
+async function readDirectoryTree(context, rootNode, gitignoreRules) {
+    /** @type {PendingDirectory[]} */
+    let level = [{ node: rootNode, dirPath: context.rootPath, depth: 0, ancestors: new Set([context.rootIdentity]), gitignoreRules }];
+
+    while (level.length > 0) {
+        const results = await Promise.all(level.map(pending => readDirectoryEntries(context, pending.dirPath, pending.ancestors, pending.gitignoreRules)));
+        const nextLevel = [];
+
+        level.forEach((pending, index) => {
+            const { node, depth, ancestors } = pending;
+            const result = results[index];
+
+            if (result === null) {
+                // Unreadable directories become error nodes in place.
+                node.name = `${node.name} (cannot read)`;
+                node.type = 'error';
+                delete node.children;
+                return;
+            }
+
+            // Folders at the depth limit are read only to count what is being left out.
+            if (depth >= context.maxDepth) {
+                if (result.entries.length > 0) {
+                    node.omittedCount = result.entries.length;
+                }
+                return;
+            }
+
+            result.entries.forEach(entry => {
+                if (context.remainingEntries <= 0) {
+                    node.omittedCount = (node.omittedCount || 0) + 1; // Entry limit reached.
+                    return;
+                }
+                context.remainingEntries--;
+
+                if (entry.type === 'folder') {
+                    const childNode = { name: entry.name, type: 'folder', children: [] };
+                    if (entry.target !== undefined) {
+                        childNode.target = entry.target;
+                    }
+                    if (entry.stats) {
+                        assignMetadata(childNode, entry.stats);
+                    }
+                    node.children.push(childNode);
+                    nextLevel.push({
+                        node: childNode,
+                        dirPath: entry.entryPath,
+                        depth: depth + 1,
+                        ancestors: new Set(ancestors).add(entry.identity),
+                        gitignoreRules: result.childRules
+                    });
+                } else {
+                    if (entry.type === 'file') {
+                        context.progress.files++;
+                    }
+                    const childNode = { name: entry.name, type: entry.type };
+                    if (entry.target !== undefined) {
+                        childNode.target = entry.target;
+                    }
+                    if (entry.stats) {
+                        assignMetadata(childNode, entry.stats);
+                    }
+                    node.children.push(childNode);
+                }
+            });
+        });
+
+        level = nextLevel;
+    }
+}
+
+/**
+ * Converts an optional limit into a number, treating empty values as "no limit".
+ * @param {*} value - The limit as given by the caller (number, numeric string, null or undefined).
+ * @param {string} label - Name of the limit, for error messages.
+ * @returns {number} The limit, or `Infinity` if none was given (or it is 0).
+ * @throws {Error} Throws if the value is not a non-negative integer.
+ */
+function normalizeLimit(value, label) {
+    if (value === null || value === undefined || value === '' || value === 0 || value === '0') {
+        return Infinity;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${label} must be a whole number (0 for no limit).`);
+    }
+    return number;
+}
+
+/**
+ * Generates the directory tree for `folderPath`. This is the entry point used by both
+ * the GUI (through the 'generate-tree' IPC handler) and the command-line interface.
+ *
+ * Applies both the user's ignore patterns and `.gitignore` rules (if enabled)
+ * to filter out specific files and folders. The user's patterns are evaluated last,
+ * so a matching `!pattern` can re-include something `.gitignore` excludes.
+ * When `.gitignore` support is enabled, the rules from the global excludes file,
+ * `.git/info/exclude` and any ancestor `.gitignore` files apply first; each directory then
+ * adds the rules of its own `.gitignore` for its descendants, so patterns are always
+ * evaluated relative to the directory that declared them.
+ *
+ * @param {string} folderPath - The root path of the folder to generate the tree from.
+ * @param {Object} [options] - Scan options.
+ * @param {string|string[]} [options.ignorePatterns=''] - The raw ignore list text (or an array of patterns).
+ * @param {boolean} [options.useGitignore=false] - Whether to use `.gitignore` files for exclusion.
+ * @param {number|null} [options.maxDepth=null] - Deepest level to list (1 = only the root's children); empty or 0 for no limit.
+ * @param {number|null} [options.maxEntries=null] - Maximum number of entries in the tree; empty or 0 for no limit.
+ * @param {string} [options.symlinks='link'] - How symbolic links are handled: 'skip', 'link' (list without following)
+ * or 'follow' (with loop protection). See `SYMLINK_MODES`.
+ * @param {boolean} [options.collectMetadata=false] - Whether to record `size` and `mtime` on files, `mtime` on folders,
+ * and the folder totals `totalSize`, `fileCount` and `folderCount` (see `aggregateMetadata`).
+ * @param {import('./sort').SortOptions} [options.sort] - The order the tree will be displayed in (default: by name,
+ * folders first). Entries are read in this order, so the entry limit keeps the entries shown first.
+ * @param {number} [options.concurrency=16] - Maximum number of file system operations in flight at once.
+ * @param {AbortSignal} [options.signal] - Cancels the scan when aborted; the promise then rejects with an `AbortError`.
+ * @param {function(ScanProgress): void} [options.onProgress] - Receives progress reports while scanning
+ * (throttled to one per `progressInterval`, plus a final report).
+ * @param {number} [options.progressInterval=100] - Minimum milliseconds between two progress reports.
+ * @returns {Promise<Object>} Resolves with the root folder node. Folders cut off by a limit have an
+ * `omittedCount` property; links have a `target` property. If everything was ignored, the root has an empty `children` array.
+ * @throws {Error} Throws an error if the `folderPath` is missing or inaccessible, or if a pattern, limit or symlink mode is invalid.
+ * Throws an error named `AbortError` if the scan is cancelled.
+ */
+async function generateTree(folderPath, options = {}) {
+    const {
+        ignorePatterns = '',
+        useGitignore = false,
+        maxDepth = null,
+        maxEntries = null,
+        symlinks = DEFAULT_SYMLINK_MODE,
+        collectMetadata = false,
+        sort,
+        concurrency = DEFAULT_CONCURRENCY,
+        signal,
+        onProgress,
+        progressInterval = DEFAULT_PROGRESS_INTERVAL
+    } = options;
+
+    if (!folderPath) {
+        throw new Error('Folder path is required.');
+    }
+    if (!SYMLINK_MODES.includes(symlinks)) {
+        throw new Error(`Unknown symlink mode "${symlinks}". Expected one of: ${SYMLINK_MODES.join(', ')}.`);
+    }
+
+    // Compile the ignore patterns relative to the selected folder and refuse to scan with invalid ones.
+    const { rules, errors } = parseIgnorePatterns(ignorePatterns, folderPath);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ignore pattern(s): ${errors.map(error => `"${error.pattern}" (${error.message})`).join(', ')}`);
+    }
+
+    /** @type {ScanContext} */
+    const context = {
+        rootPath: folderPath,
+        ignoreRules: rules,
+        useGitignore,
+        maxDepth: normalizeLimit(maxDepth, 'Max depth'),
+        remainingEntries: normalizeLimit(maxEntries, 'Max entries'),
+        symlinks,
+        collectMetadata,
+        sorter: createNodeSorter(sort),
+        rootIdentity: null, // Set once the root has been stat'ed.
+        limit: createLimiter(Math.max(1, concurrency)),
+        signal,
+        onProgress,
+        progressInterval,
+        lastProgressAt: 0,
+        progress: { directories: 0, files: 0, currentPath: folderPath }
+    };
+    throwIfAborted(context);
+
+    let stats;
+    try {
+        stats = await runFsOperation(context, () => fs.stat(folderPath));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        // If the selected folder itself is inaccessible, propagate the error to the caller.
+        throw new Error(`Cannot access selected folder: ${error.message}`);
+    }
+
+    const name = path.basename(folderPath);
+    if (!stats.isDirectory()) {
+        const fileNode = { name, type: 'file' }; // A single file is a (trivial) tree of its own.
+        if (collectMetadata) {
+            assignMetadata(fileNode, stats);
+        }
+        return fileNode;
+    }
+    context.rootIdentity = getFileIdentity(stats);
+
+    // Load the rules that apply from outside the scanned folder (global excludes, info/exclude, ancestors).
+    const gitignoreRules = useGitignore ? await loadBaseGitignoreRules(folderPath) : null;
+
+    const tree = { name, type: 'folder', children: [] };
+    if (collectMetadata) {
+        assignMetadata(tree, stats);
+    }
+    await readDirectoryTree(context, tree, gitignoreRules);
+    reportProgress(context, true); // Always deliver the final totals.
+
+    if (tree.type === 'error') {
+        throw new Error(`Cannot read selected folder: ${folderPath}`);
+    }
+    return collectMetadata ? aggregateMetadata(tree) : tree;
+}
+
+/**
+ * Scans every root folder of a workspace, each with its own ignore settings and with the
+ * workspace's shared scan options, and combines them into one tree (see `combineWorkspaceTrees`).
+ * The roots are scanned one after another; progress reports name the folder being scanned.
+ *
+ * @param {Object} workspace - The workspace definition (see `normalizeWorkspace` in `core/workspace.js`).
+ * @param {Object} [options] - `sort`, `concurrency`, `signal`, `onProgress` and `progressInterval`, as for `generateTree`.
+ * @returns {Promise<Object>} Resolves with the combined tree, with folder totals if the workspace collects metadata.
+ * @throws {Error} Throws if the definition is invalid or a root cannot be scanned (naming the root).
+ * Throws an error named `AbortError` if the scan is cancelled.
+ */
+async function generateWorkspaceTree(workspace, options = {}) {
+    const normalized = normalizeWorkspace(workspace);
+    const trees = [];
+    for (const rootFolder of normalized.roots) {
+        try {
+            trees.push(await generateTree(rootFolder.path, {
+                ...normalized.options,
+                ignorePatterns: rootFolder.ignorePatterns,
+                useGitignore: rootFolder.useGitignore,
+                sort: options.sort,
+                concurrency: options.concurrency,
+                signal: options.signal,
+                onProgress: options.onProgress,
+                progressInterval: options.progressInterval
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new Error(`${rootFolder.path}: ${error.message}`);
+        }
+    }
+    const tree = combineWorkspaceTrees(normalized, trees);
+    return normalized.options.collectMetadata ? aggregateMetadata(tree) : tree;
+}
+
+module.exports = {
+    SYMLINK_MODES,
+    DEFAULT_SYMLINK_MODE,
+    generateTree,
+    generateWorkspaceTree
+};
@@ -0,0 +1,151 @@
+// --- core/search.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/sort.js` and `core/glob.js`,
+// merged into `window.TreeCore`) and by Node.js code (loaded with `require`).
+// Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sort'), require('./glob')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore, root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (sort, glob) {
+    'use strict';
+
+    const { createNodeSorter } = sort;
+    const { globToRegExp } = glob;
+
+
+    // =============================================================================
+    // Tree Search
+    // =============================================================================
+    // Finds the entries of a tree by name, to step through them or to narrow the tree down to them.
+    // A query is plain text (found anywhere in the name), a glob with the syntax of the ignore
+    // patterns (matched against the name, or against the path below the root if it contains a '/'),
+    // or a regular expression (tested against the name). The root itself is never a match.
+
+    const SEARCH_MODES = ['text', 'glob', 'regex'];
+    const DEFAULT_SEARCH_MODE = 'text';
+
+    /**
+     * Compiles a search query into a matcher.
+     * @param {string} query - What to search for. Leading and trailing spaces are ignored.
+     * @param {Object} [options] - Search options.
+     * @param {'text'|'glob'|'regex'} [options.mode='text'] - How the query is read.
+     * @param {boolean} [options.caseSensitive=false] - Whether upper and lower case must match.
+     * @returns {function(Object, string): boolean|null} A function telling whether a node (with its path
+     * below the root, segments separated by '/') matches, or null for an empty query.
+     * @throws {Error} Throws for an unknown mode, an invalid regular expression or an unclosed `[` or `{` in a glob.
+     */
+    function createSearchMatcher(query, options = {}) {
+        const { mode = DEFAULT_SEARCH_MODE, caseSensitive = false } = options;
+        const text = String(query || '').trim();
+        if (!text) {
+            return null;
+        }
+        const flags = caseSensitive ? '' : 'i';
+
+        switch (mode) {
+            case 'text': {
+                const term = caseSensitive ? text : text.toLowerCase();
+                return node => (caseSensitive ? node.name : node.name.toLowerCase()).includes(term);
+            }
+            case 'glob': {
+                // As in the ignore patterns: a pattern with a '/' is anchored at the root.
+                const pattern = text.replace(/^\/+/, '');
+                const matchesPath = text.includes('/');
+                const regex = new RegExp(globToRegExp(pattern, matchesPath, { strict: true, braces: true }).source, flags);
+                return (node, nodePath) => regex.test(matchesPath ? nodePath : node.name);
+            }
+            case 'regex': {
+                let regex;
+                try {
+                    regex = new RegExp(text, flags);
+                } catch (error) {
+                    throw new Error(`Invalid regular expression: ${error.message}`);
+                }
+                return node => regex.test(node.name);
+            }
+            default:
+                throw new Error(`Unknown search mode "${mode}". Expected one of: ${SEARCH_MODES.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Searches a tree for the nodes a matcher accepts.
+     * @param {Object} tree - The root node.
+     * @param {function(Object, string): boolean} matcher - A matcher from `createSearchMatcher`.
+     * @param {Object} [options] - Search options.
+     * @param {Object} [options.sort] - The sort order (see `createNodeSorter`); the matches are listed in
+     * the order the tree is displayed in. Without it, children are visited in their stored order.
+     * @returns {{ matches: Object[], visible: Set<Object>, ancestors: Set<Object> }} The matching nodes in
+     * display order; the nodes to show when the tree is filtered (the matches, their ancestors and the root);
+     * and the folders that contain a match.
+     */
+    function searchTree(tree, matcher, options = {}) {
+        const sorter = options.sort ? createNodeSorter(options.sort) : null;
+        const matches = [];
+        const visible = new Set([tree]);
+        const ancestors = new Set();
+
+        // Returns whether the node or one of its descendants matches.
+        const visit = (node, nodePath) => {
+            const isMatch = matcher(node, nodePath);
+            if (isMatch) {
+                matches.push(node);
+            }
+            let containsMatch = false;
+            const children = node.children || [];
+            (sorter ? [...children].sort(sorter) : children).forEach(child => {
+                if (visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)) {
+                    containsMatch = true;
+                }
+            });
+            if (containsMatch) {
+                ancestors.add(node);
+            }
+            if (isMatch || containsMatch) {
+                visible.add(node);
+            }
+            return isMatch || containsMatch;
+        };
+        (tree.children || []).forEach(child => visit(child, child.name));
+        if (matches.length > 0) {
+            ancestors.add(tree);
+        }
+        return { matches, visible, ancestors };
+    }
+
+    /**
+     * Copies the part of a tree a search would show: the matching nodes and the folders leading to
+     * them, e.g. to export a filtered view. Only the root is left if nothing matches.
+     * The contents of a matching folder are kept only where they match themselves, and `… N more items`
+     * markers (`omittedCount`) are dropped.
+     * @param {Object} tree - The root node.
+     * @param {function(Object, string): boolean} matcher - A matcher from `createSearchMatcher`.
+     * @returns {Object} The filtered copy; the nodes are new objects, other properties are shared with `tree`.
+     */
+    function filterTree(tree, matcher) {
+        const { visible } = searchTree(tree, matcher);
+        const copy = node => {
+            const { children, omittedCount, ...rest } = node;
+            const result = { ...rest };
+            if (Array.isArray(children)) {
+                result.children = children.filter(child => visible.has(child)).map(copy);
+            }
+            return result;
+        };
+        return copy(tree);
+    }
+
+    return {
+        SEARCH_MODES,
+        DEFAULT_SEARCH_MODE,
+        createSearchMatcher,
+        searchTree,
+        filterTree
+    };
+}));
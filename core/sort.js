@@ -0,0 +1,200 @@
+// --- core/sort.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag and merged into `window.TreeCore`)
+// and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory()); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+
+    // =============================================================================
+    // Node Sorting
+    // =============================================================================
+    // Children are sorted for display by a comparison function built from sort options.
+    // The same options are used by the editor and by the ASCII/Markdown output, so both
+    // always list a folder's items in the same order.
+
+    const SORT_MODES = ['name', 'extension', 'size', 'mtime', 'manual']; // Supported values for `SortOptions.mode`
+
+    /**
+     * @typedef {Object} SortOptions
+     * @property {'name'|'extension'|'size'|'mtime'|'manual'} [mode='name'] - What to sort by:
+     * the name, the file extension (then the name), the size or the modification time (largest/newest
+     * first, then the name; nodes without metadata come last), or 'manual' to keep the stored order.
+     * @property {boolean} [foldersFirst=true] - List folders before files; otherwise they are mixed.
+     * @property {boolean} [natural=false] - Compare runs of digits as numbers, so 'file2' comes before 'file10'.
+     * @property {boolean} [caseSensitive=false] - Compare names character by character, so uppercase
+     * letters come before lowercase ones ('Zebra' before 'apple'); otherwise case is only a tie-breaker.
+     */
+
+    const DEFAULT_SORT_OPTIONS = Object.freeze({
+        mode: 'name',
+        foldersFirst: true,
+        natural: false,
+        caseSensitive: false
+    });
+
+    // Collators are costly to create, so the two variants are created once and shared.
+    const collators = {
+        plain: new Intl.Collator(),
+        natural: new Intl.Collator(undefined, { numeric: true })
+    };
+
+    /**
+     * Fills in defaults for missing or invalid sort options (e.g. from an old settings file).
+     * @param {SortOptions} [options] - The options to normalize.
+     * @returns {SortOptions} A complete set of options.
+     */
+    function normalizeSortOptions(options = {}) {
+        const normalized = { ...DEFAULT_SORT_OPTIONS };
+        if (options && SORT_MODES.includes(options.mode)) {
+            normalized.mode = options.mode;
+        }
+        ['foldersFirst', 'natural', 'caseSensitive'].forEach(key => {
+            if (options && typeof options[key] === 'boolean') {
+                normalized[key] = options[key];
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Compares two strings by UTF-16 code units, so uppercase letters sort before lowercase ones.
+     * With `natural`, runs of digits are compared by their numeric value.
+     * @param {string} a - First string.
+     * @param {string} b - Second string.
+     * @param {boolean} natural - Compare digit runs as numbers.
+     * @returns {number} A negative, zero, or positive value.
+     */
+    function compareCaseSensitive(a, b, natural) {
+        if (!natural) {
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+        const aParts = a.split(/(\d+)/);
+        const bParts = b.split(/(\d+)/);
+        for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+            let result;
+            if (i % 2 === 1) {
+                // Odd parts are digit runs: fewer significant digits means a smaller number.
+                const aDigits = aParts[i].replace(/^0+(?=\d)/, '');
+                const bDigits = bParts[i].replace(/^0+(?=\d)/, '');
+                result = aDigits.length - bDigits.length || compareCaseSensitive(aDigits, bDigits, false);
+            } else {
+                result = compareCaseSensitive(aParts[i], bParts[i], false);
+            }
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return aParts.length - bParts.length || compareCaseSensitive(a, b, false);
+    }
+
+    /**
+     * Returns the extension of a file name without the dot ('' if it has none; dot-files like
+     * '.gitignore' have none either).
+     * @param {string} name - The file name.
+     * @returns {string} The extension, e.g. 'js'.
+     */
+    function getExtension(name) {
+        const dotIndex = name.lastIndexOf('.');
+        return dotIndex > 0 ? name.substring(dotIndex + 1) : '';
+    }
+
+    /**
+     * Compares two metadata values so that larger ones come first and missing ones come last.
+     * @param {number|undefined} a - First value.
+     * @param {number|undefined} b - Second value.
+     * @returns {number} A negative, zero, or positive value.
+     */
+    function compareDescending(a, b) {
+        const aHasValue = typeof a === 'number';
+        const bHasValue = typeof b === 'number';
+        if (aHasValue !== bHasValue) {
+            return aHasValue ? -1 : 1;
+        }
+        return aHasValue ? b - a : 0;
+    }
+
+    /**
+     * Creates a comparison function for sorting tree nodes.
+     * 1. With `foldersFirst`, folders come before files (and links).
+     * 2. Within that, items WITHOUT `userOrder` come before items WITH `userOrder`
+     * (this pushes user-added items with the special name '...' to the end, and keeps
+     * items reordered by drag and drop in their manual order).
+     * 3. If both have `userOrder`, sort by `userOrder`.
+     * 4. Otherwise sort by the chosen mode. In 'manual' mode the items are left in their
+     * stored order (the sort is stable).
+     * @param {SortOptions} [options] - How to sort.
+     * @returns {function(Object, Object): number} The comparison function.
+     */
+    function createNodeSorter(options) {
+        const { mode, foldersFirst, natural, caseSensitive } = normalizeSortOptions(options);
+        const compareNames = caseSensitive ?
+            (a, b) => compareCaseSensitive(a, b, natural) :
+            (natural ? collators.natural : collators.plain).compare;
+        const getSize = node => (node.type === 'folder' ? node.totalSize : node.size);
+
+        return function nodeSorter(a, b) {
+            const aIsFolder = a.type === 'folder';
+            const bIsFolder = b.type === 'folder';
+
+            const aHasUserOrder = typeof a.userOrder === 'number';
+            const bHasUserOrder = typeof b.userOrder === 'number';
+
+            // Rule 1: Folders before files, unless they are mixed
+            if (foldersFirst && aIsFolder !== bIsFolder) {
+                return aIsFolder ? -1 : 1;
+            }
+
+            // Rule 2: Non-user-ordered items come before user-ordered items
+            if (aHasUserOrder !== bHasUserOrder) {
+                return aHasUserOrder ? 1 : -1;
+            }
+
+            // Rule 3: If both have userOrder, sort by userOrder
+            if (aHasUserOrder && bHasUserOrder) {
+                return a.userOrder - b.userOrder;
+            }
+
+            // Rule 4: Sort by the chosen mode, falling back to the name
+            switch (mode) {
+                case 'manual':
+                    return 0;
+                case 'extension':
+                    return compareNames(aIsFolder ? '' : getExtension(a.name), bIsFolder ? '' : getExtension(b.name)) ||
+                        compareNames(a.name, b.name);
+                case 'size':
+                    return compareDescending(getSize(a), getSize(b)) || compareNames(a.name, b.name);
+                case 'mtime':
+                    return compareDescending(a.mtime, b.mtime) || compareNames(a.name, b.name);
+                default:
+                    return compareNames(a.name, b.name);
+            }
+        };
+    }
+
+    /**
+     * The default comparison function for tree nodes (see `createNodeSorter`): folders first,
+     * then `userOrder` items last, otherwise alphabetically by name.
+     * @param {Object} a - First node to compare.
+     * @param {Object} b - Second node to compare.
+     * @returns {number} A negative, zero, or positive value indicating sort order.
+     */
+    const customNodeSort = createNodeSorter(DEFAULT_SORT_OPTIONS);
+
+    return {
+        SORT_MODES,
+        DEFAULT_SORT_OPTIONS,
+        normalizeSortOptions,
+        createNodeSorter,
+        customNodeSort
+    };
+}));
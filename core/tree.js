@@ -0,0 +1,462 @@
+// --- core/tree.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/sort.js` and merged into
+// `window.TreeCore`) and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sort')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (sort) {
+    'use strict';
+
+    const { createNodeSorter, normalizeSortOptions } = sort;
+
+
+    // =============================================================================
+    // Tree Data Helpers
+    // =============================================================================
+    // A tree node is a plain object: `{ name, type, children? }`, where `type` is 'folder',
+    // 'file', 'symlink' or 'error' and only folders have a `children` array. Symbolic links (and
+    // folders or files reached through a followed link) carry their `target`, and folders truncated
+    // by a scan limit carry `omittedCount`. Scans that collect metadata add `size` (bytes) and `mtime`
+    // (milliseconds since the epoch) to files and `mtime` to folders; `aggregateMetadata` adds the
+    // folder totals. Any node can carry a one-line `comment`, rendered beside it in the outputs.
+    // The editor adds UI-only properties (`id`, `collapsed`) and sorting hints (`userOrder`) on top of that,
+    // and records its edits for regeneration: `virtual: true` on nodes it added, `sourceName` (the name
+    // on disk) on scanned nodes it renamed, and `sourceFolder` (the path of their folder on disk) on scanned
+    // nodes it moved to another folder (see `mergeTrees` in `core/merge.js`). The GUI also records the
+    // absolute path(s) of the folder(s) a tree was scanned from as `sourcePaths` on its root.
+
+    const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+    /**
+     * Finds a node in the tree by its unique ID using a depth-first search.
+     * @param {Object} root - The root of the tree (or subtree) to search from.
+     * @param {string} id - The unique ID of the node to find.
+     * @returns {Object|null} The found node object, or null if no node with the given ID is found.
+     */
+    function findNodeById(root, id) {
+        if (!root) return null; // Base case: if root is null, node cannot be found.
+
+        if (root.id === id) {
+            return root; // Node found!
+        }
+
+        // If the current node has children, recursively search within them.
+        if (root.children) {
+            for (const child of root.children) {
+                const found = findNodeById(child, id);
+                if (found) {
+                    return found; // Return if found in a child's subtree.
+                }
+            }
+        }
+        return null; // Node not found in this subtree.
+    }
+
+    /**
+     * Finds a node's parent in the tree by the node's ID.
+     * This is essential for modifying the tree structure (e.g., deleting or moving nodes).
+     * @param {Object} root - The root of the tree to search.
+     * @param {string} id - The ID of the node whose parent we need to find.
+     * @returns {Object|null} The parent node object, or null if the parent is not found
+     * (e.g., for the absolute root node itself, which has no parent).
+     */
+    function findNodeParent(root, id) {
+        // Check if any immediate child of the current root has the target ID.
+        if (root.children && root.children.some(child => child.id === id)) {
+            return root; // Current root is the parent.
+        }
+
+        // If the current root has children, recursively search in their subtrees.
+        if (root.children) {
+            for (const child of root.children) {
+                const foundParent = findNodeParent(child, id);
+                if (foundParent) {
+                    return foundParent; // Return if parent found in a child's subtree.
+                }
+            }
+        }
+        return null; // Parent not found in this subtree.
+    }
+
+    /**
+     * Removes a node, found by its ID, from its parent folder.
+     * @param {Object} root - The root of the tree.
+     * @param {string} id - The ID of the node to remove.
+     * @returns {{ node: Object, parent: Object, index: number }|null} The removed node, the folder it was in
+     * and its index there, or null if the node is not in the tree (or is the root).
+     */
+    function detachNode(root, id) {
+        const parent = findNodeParent(root, id);
+        if (!parent) {
+            return null;
+        }
+        const index = parent.children.findIndex(child => child.id === id);
+        const [node] = parent.children.splice(index, 1);
+        return { node, parent, index };
+    }
+
+    /**
+     * Inserts a node into a folder found by its ID. Nothing is inserted if the folder is gone
+     * or the node (by ID) is already in the tree.
+     * @param {Object} root - The root of the tree.
+     * @param {string} parentId - The ID of the folder.
+     * @param {Object} node - The node to insert.
+     * @param {number} [index] - Where to insert it among the folder's children, clamped to their
+     * number (e.g. an index recorded before entries were removed). Default: at the end.
+     * @returns {Object|null} The folder the node was inserted into, or null if it was not inserted.
+     */
+    function attachNode(root, parentId, node, index) {
+        const parent = findNodeById(root, parentId);
+        if (!parent || parent.type !== 'folder' || (node.id !== undefined && findNodeById(root, node.id))) {
+            return null;
+        }
+        if (!parent.children) {
+            parent.children = [];
+        }
+        const position = index === undefined ? parent.children.length : Math.max(0, Math.min(index, parent.children.length));
+        parent.children.splice(position, 0, node);
+        return parent;
+    }
+
+    /**
+     * Checks whether `node` is `ancestor` itself or lies anywhere below it.
+     * @param {Object} ancestor - The possible ancestor.
+     * @param {Object} node - The node to look for.
+     * @returns {boolean} True if `node` is `ancestor` or one of its descendants.
+     */
+    function isSameOrDescendant(ancestor, node) {
+        if (ancestor === node) {
+            return true;
+        }
+        return !!ancestor.children && ancestor.children.some(child => isSameOrDescendant(child, node));
+    }
+
+    /**
+     * Finds the chain of nodes from the root down to a node, in one pass over the tree.
+     * @param {Object} root - The root of the tree to search.
+     * @param {Object} node - The node to look for.
+     * @returns {Object[]|null} The root, the folders leading to the node and the node itself,
+     * or null if the node is not in the tree.
+     */
+    function findNodeChain(root, node) {
+        if (root === node) {
+            return [root];
+        }
+        for (const child of root.children || []) {
+            const chain = findNodeChain(child, node);
+            if (chain) {
+                return [root, ...chain];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the path of a node on disk, relative to the root: where the scan found it, whatever
+     * it was renamed to or moved to in the editor since.
+     * @param {Object} tree - The root of the tree.
+     * @param {Object} node - A node of the tree.
+     * @returns {string|null} The path, e.g. 'src/utils' ('' for the root), or `null` if the node is not
+     * on disk (it was added in the editor, or lies in a folder that was) or is not in the tree.
+     */
+    function getSourcePath(tree, node) {
+        const chain = findNodeChain(tree, node);
+        if (!chain) {
+            return null;
+        }
+        // Walk up from the node until an ancestor tells where it is on disk (a moved node) or the root is reached.
+        const segments = [];
+        for (let i = chain.length - 1; i > 0; i--) {
+            const current = chain[i];
+            if (current.virtual) {
+                return null;
+            }
+            segments.unshift(typeof current.sourceName === 'string' ? current.sourceName : current.name);
+            if (typeof current.sourceFolder === 'string') {
+                return [current.sourceFolder, ...segments].filter(Boolean).join('/');
+            }
+        }
+        return segments.join('/');
+    }
+
+    /**
+     * Validates moving a node relative to a target node, without changing the tree.
+     * A node can be dropped `'into'` a folder, or `'before'`/`'after'` a sibling to reorder.
+     * Moves are rejected if they would put a folder inside itself or its own descendants, if they
+     * involve the root, or if the destination folder already holds an item with the same name
+     * and type (the same rule as renaming).
+     * @param {Object} tree - The root of the tree.
+     * @param {string} nodeId - The ID of the node to move.
+     * @param {string} targetId - The ID of the node it is dropped on.
+     * @param {'before'|'after'|'into'} position - Where to place it relative to the target.
+     * @returns {{ valid: boolean, message?: string, node?: Object, sourceParent?: Object, destinationParent?: Object }}
+     * On success, the node being moved, its current parent and its new parent; otherwise a message explaining why not.
+     */
+    function checkMove(tree, nodeId, targetId, position) {
+        const node = findNodeById(tree, nodeId);
+        const target = findNodeById(tree, targetId);
+        const sourceParent = findNodeParent(tree, nodeId);
+        if (!node || !target || !sourceParent) {
+            return { valid: false, message: node === tree ? 'The root cannot be moved.' : 'Item not found.' };
+        }
+        if (position === 'into' && target.type !== 'folder') {
+            return { valid: false, message: 'Items can only be moved into folders.' };
+        }
+        if (position !== 'into' && target === tree) {
+            return { valid: false, message: 'Items cannot be placed beside the root.' };
+        }
+
+        if (target === node) {
+            return { valid: false, message: 'An item cannot be moved relative to itself.' };
+        }
+
+        const destinationParent = position === 'into' ? target : findNodeParent(tree, targetId);
+        if (position === 'into' && destinationParent === sourceParent) {
+            return { valid: false, message: `"${node.name}" is already in "${destinationParent.name}".` };
+        }
+        if (isSameOrDescendant(node, destinationParent)) {
+            return { valid: false, message: `"${node.name}" cannot be moved into itself or one of its subfolders.` };
+        }
+        if (destinationParent !== sourceParent && (destinationParent.children || []).some(
+            (sibling) => sibling.name === node.name && sibling.type === node.type
+        )) {
+            return { valid: false, message: `An item named "${node.name}" already exists in "${destinationParent.name}".` };
+        }
+        return { valid: true, node, sourceParent, destinationParent };
+    }
+
+    /**
+     * Moves a node, in place, after validating the move with `checkMove`.
+     *
+     * Dropping `'before'`/`'after'` a sibling sets a manual order: every item of the same kind
+     * (folders or files) in the destination folder gets a sequential `userOrder`, so the order is
+     * kept by the node sorter and survives saving and loading. When folders are listed first,
+     * a drop next to an item of the other kind places the node at the nearest end of its own group;
+     * when they are mixed, all items of the folder are ordered together.
+     * Dropping `'into'` a folder places the node at its sorted position there; in manual mode it is
+     * placed last (before any '...' entry), after the items of its group that have a manual order.
+     * A '...' entry keeps its `userOrder` and stays last.
+     * A scanned node moved to another folder records the path of its folder on disk as `sourceFolder`,
+     * so regenerating the tree keeps the move (see `mergeTrees`); moving it back removes it.
+     *
+     * @param {Object} tree - The root of the tree.
+     * @param {string} nodeId - The ID of the node to move.
+     * @param {string} targetId - The ID of the node it is dropped on.
+     * @param {'before'|'after'|'into'} position - Where to place it relative to the target.
+     * @param {SortOptions} [sortOptions] - The sort options the tree is displayed with.
+     * @returns {Object} The moved node.
+     * @throws {Error} Throws if the move is not allowed (see `checkMove`).
+     */
+    function moveNode(tree, nodeId, targetId, position, sortOptions) {
+        const check = checkMove(tree, nodeId, targetId, position);
+        if (!check.valid) {
+            throw new Error(check.message);
+        }
+        const { node, sourceParent, destinationParent } = check;
+
+        if (sourceParent !== destinationParent && !node.virtual) {
+            const sourceFolder = typeof node.sourceFolder === 'string' ? node.sourceFolder : getSourcePath(tree, sourceParent);
+            if (sourceFolder !== null && sourceFolder !== getSourcePath(tree, destinationParent)) {
+                node.sourceFolder = sourceFolder;
+            } else {
+                delete node.sourceFolder; // Back in its folder on disk.
+            }
+        }
+
+        sourceParent.children.splice(sourceParent.children.indexOf(node), 1);
+        if (!destinationParent.children) {
+            destinationParent.children = [];
+        }
+        destinationParent.children.push(node);
+
+        // The node's group in the destination: folders or files, or everything if they are mixed.
+        const { mode, foldersFirst } = normalizeSortOptions(sortOptions);
+        const isFolder = node.type === 'folder';
+        const isInGroup = child => !foldersFirst || (child.type === 'folder') === isFolder;
+
+        if (position === 'into') {
+            if (node.name === '...') {
+                return node;
+            }
+            if (mode === 'manual') {
+                // Nodes without a manual order come before those with one, so a plain delete could
+                // put the node in the middle: give it the next manual order instead.
+                const orders = destinationParent.children
+                    .filter(child => child !== node && child.name !== '...' && isInGroup(child) && typeof child.userOrder === 'number')
+                    .map(child => child.userOrder);
+                node.userOrder = Math.max(0, ...orders) + 1;
+            } else {
+                delete node.userOrder; // Sort by name among the folder's items.
+            }
+            return node;
+        }
+
+        // Rebuild the display order of the node's group with the node in its new place.
+        const group = destinationParent.children
+            .filter(child => child !== node && isInGroup(child))
+            .sort(createNodeSorter(sortOptions));
+        const target = findNodeById(tree, targetId);
+        let index;
+        if (isInGroup(target)) {
+            index = group.indexOf(target) + (position === 'after' ? 1 : 0);
+        } else {
+            index = isFolder ? group.length : 0; // Next to the other group: the end of the folders, or the start of the files.
+        }
+        group.splice(index, 0, node);
+        group.forEach((child, order) => {
+            child.userOrder = order + 1;
+        });
+        return node;
+    }
+
+    /**
+     * Validates if a given object has the basic structure of a tree node expected by the application.
+     * This check ensures that loaded JSON files conform to the expected data model.
+     * @param {Object} tree - The object to validate.
+     * @returns {boolean} True if the object has the basic tree node structure (name, type, children), false otherwise.
+     */
+    function isValidTreeStructure(tree) {
+        return (
+            typeof tree === 'object' && tree !== null &&
+            'name' in tree && typeof tree.name === 'string' &&
+            'type' in tree && (tree.type === 'folder' || tree.type === 'file') && // Ensures 'type' is 'folder' or 'file'.
+            'children' in tree && Array.isArray(tree.children) // Ensures 'children' exists and is an array.
+        );
+    }
+
+    /**
+     * Computes the metadata totals of every folder in a tree, in place: `totalSize` (bytes of all
+     * files below it), `fileCount` and `folderCount` (all descendants, not only direct children).
+     * Files without a `size` (e.g. added in the editor) count as 0 bytes; links that were not
+     * followed are not counted. Folders cut off by a scan limit only total what was listed.
+     * @param {Object} node - The root of the tree (or subtree) to aggregate.
+     * @returns {Object} The same node, for chaining.
+     */
+    function aggregateMetadata(node) {
+        if (node.type !== 'folder') {
+            return node;
+        }
+        let totalSize = 0;
+        let fileCount = 0;
+        let folderCount = 0;
+        (node.children || []).forEach(child => {
+            aggregateMetadata(child);
+            if (child.type === 'folder') {
+                totalSize += child.totalSize;
+                fileCount += child.fileCount;
+                folderCount += child.folderCount + 1; // The child folder itself, plus everything inside it.
+            } else if (child.type === 'file') {
+                totalSize += typeof child.size === 'number' ? child.size : 0;
+                fileCount++;
+            }
+        });
+        node.totalSize = totalSize;
+        node.fileCount = fileCount;
+        node.folderCount = folderCount;
+        return node;
+    }
+
+    /**
+     * Checks whether a tree carries scan metadata (i.e. was generated with metadata collection).
+     * @param {Object|null} tree - The root of the tree.
+     * @returns {boolean} True if the root has folder totals or a file size.
+     */
+    function hasMetadata(tree) {
+        return !!tree && (typeof tree.totalSize === 'number' || typeof tree.size === 'number');
+    }
+
+    /**
+     * Formats a byte count for display, using binary multiples.
+     * @param {number} bytes - The size in bytes.
+     * @returns {string} e.g. '512 B', '1.2 KB', '3.2 MB'.
+     */
+    function formatSize(bytes) {
+        let size = bytes;
+        let unitIndex = 0;
+        while (size >= 1024 && unitIndex < SIZE_UNITS.length - 1) {
+            size /= 1024;
+            unitIndex++;
+        }
+        return unitIndex === 0 ? `${size} B` : `${size.toFixed(1)} ${SIZE_UNITS[unitIndex]}`;
+    }
+
+    /**
+     * Summarizes a node's metadata: the file count and total size of a folder, or the size of a file.
+     * @param {Object} node - The node to summarize.
+     * @returns {string} e.g. '124 files, 3.2 MB' or '1.2 KB', or '' if the node has no metadata.
+     */
+    function formatMetadataSummary(node) {
+        if (node.type === 'folder' && typeof node.totalSize === 'number') {
+            return `${node.fileCount} ${node.fileCount === 1 ? 'file' : 'files'}, ${formatSize(node.totalSize)}`;
+        }
+        if (typeof node.size === 'number') {
+            return formatSize(node.size);
+        }
+        return '';
+    }
+
+    /**
+     * Builds the text shown for a node in the generated outputs: its name (with a trailing '/' for
+     * folders, if requested), followed by ` -> target` for symbolic links and, if requested, a metadata
+     * summary in parentheses.
+     * @param {Object} node - The node to label.
+     * @param {Object} [options] - Label options.
+     * @param {boolean} [options.showMetadata=false] - Whether to append the metadata summary (see `formatMetadataSummary`).
+     * @param {boolean} [options.folderSlash=false] - Whether to append '/' to folder names, like `tree -F`.
+     * @returns {string} e.g. 'latest -> releases/v2' or 'src/ (124 files, 3.2 MB)'.
+     */
+    function formatNodeLabel(node, options = {}) {
+        const name = options.folderSlash && node.type === 'folder' ? `${node.name}/` : node.name;
+        let label = typeof node.target === 'string' ? `${name} -> ${node.target}` : name;
+        const summary = options.showMetadata ? formatMetadataSummary(node) : '';
+        if (summary) {
+            label += ` (${summary})`;
+        }
+        return label;
+    }
+
+    /**
+     * Cleans up a node comment for storage and display: comments are single-line, so any run of
+     * whitespace (including line breaks) becomes one space.
+     * @param {*} comment - The raw comment (non-strings are treated as no comment).
+     * @returns {string} The cleaned comment, or '' if there is none.
+     */
+    function normalizeComment(comment) {
+        return typeof comment === 'string' ? comment.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Builds the label shown in place of the entries a scan limit left out of a folder.
+     * @param {number} count - The number of omitted entries (a folder's `omittedCount`).
+     * @returns {string} e.g. '… 42 more items'.
+     */
+    function formatOmittedLabel(count) {
+        return `… ${count} more ${count === 1 ? 'item' : 'items'}`;
+    }
+
+    return {
+        getSourcePath,
+        checkMove,
+        moveNode,
+        aggregateMetadata,
+        hasMetadata,
+        formatSize,
+        formatMetadataSummary,
+        formatNodeLabel,
+        normalizeComment,
+        formatOmittedLabel,
+        findNodeById,
+        findNodeParent,
+        findNodeChain,
+        detachNode,
+        attachNode,
+        isValidTreeStructure
+    };
+}));
@@ -0,0 +1,237 @@
+// --- core/watcher.js ---
+
+// =============================================================================
+// Module Imports
+// =============================================================================
+const path = require('path'); // Node.js module for handling and transforming file paths
+const fs = require('fs');     // Node.js File System module (`fs.watch` has no promise-based equivalent)
+const { generateTree } = require('./scanner'); // Rescans the folder after changes
+const { parseIgnorePatterns } = require('./ignore-patterns'); // Pattern language of the "Ignore Folders" field
+const { isIgnoredByRules } = require('./gitignore'); // Filters out events for ignored entries
+const { computeTreeUpdates } = require('./diff'); // Turns two scans into incremental updates
+
+
+// =============================================================================
+// Constants
+// =============================================================================
+const DEFAULT_DEBOUNCE = 300; // Quiet time in milliseconds after the last change before rescanning.
+
+
+// =============================================================================
+// Watching
+// =============================================================================
+// `fs.watch` reports that something changed, but not reliably what (renames arrive as two events
+// or one, depending on the platform). So the watcher only uses events as a trigger: it rescans the
+// folder once things are quiet and reports the difference to the previous scan as updates.
+// Each folder of the latest scan gets its own (non-recursive) watcher, so ignored folders such as
+// `node_modules` are never watched.
+
+/**
+ * Tells whether a change event concerns an entry that the scan leaves out anyway, so it can be
+ * ignored without rescanning. Only the user's ignore patterns are checked; changes covered by
+ * `.gitignore` files cause a rescan that finds no updates.
+ * @param {import('./gitignore').IgnoreRule[]} rules - The compiled ignore patterns.
+ * @param {string} rootPath - The watched folder.
+ * @param {string|null} relativePath - The changed path, relative to `rootPath`, as reported by `fs.watch`.
+ * @returns {boolean} True if the change can be ignored.
+ */
+function isIgnoredChange(rules, rootPath, relativePath) {
+    if (!relativePath || rules.length === 0) {
+        return false; // Some platforms do not report the path; rescan to be safe.
+    }
+    const segments = relativePath.split(/[\\/]/).filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+        if (isIgnoredByRules(rules, path.join(rootPath, ...segments.slice(0, i)), true)) {
+            return true; // Inside an ignored folder
+        }
+    }
+    // The entry may be gone already, so its type is unknown: it must be ignored either way.
+    const entryPath = path.join(rootPath, ...segments);
+    return isIgnoredByRules(rules, entryPath, false) && isIgnoredByRules(rules, entryPath, true);
+}
+
+/**
+ * Lists the folders of a scanned tree, which are the folders to watch: ignored folders are not
+ * in the tree, and folders at the depth limit are, since their `omittedCount` can change.
+ * @param {Object} tree - The scanned tree.
+ * @param {string} rootPath - The scanned folder.
+ * @returns {Set<string>} The absolute paths of the folders, starting with `rootPath`.
+ */
+function listFolderPaths(tree, rootPath) {
+    const folderPaths = new Set();
+    const visit = (node, nodePath) => {
+        folderPaths.add(nodePath);
+        (node.children || []).forEach(child => {
+            if (child.type === 'folder') {
+                visit(child, path.join(nodePath, child.name));
+            }
+        });
+    };
+    visit(tree, rootPath);
+    return folderPaths;
+}
+
+/**
+ * @typedef {Object} TreeWatcher
+ * @property {function(): void} close - Stops watching. No updates are reported afterwards.
+ * @property {function(): Object} getTree - Returns the latest scan.
+ */
+
+/**
+ * Scans a folder and keeps watching it and its subfolders for changes. After each burst of changes the
+ * folder is rescanned with the same options and the differences to the previous scan are reported
+ * as incremental updates (see `computeTreeUpdates`); with `collectMetadata`, files written to are reported
+ * with their new `size` and `mtime`. Rescans never overlap; changes made during a
+ * rescan trigger another one. Folders left out by the ignore patterns or `.gitignore` files are not watched.
+ *
+ * @param {string} folderPath - The folder to watch.
+ * @param {Object} [options] - Scan options, as for `generateTree`, plus:
+ * @param {number} [options.debounce=300] - Quiet time in milliseconds after the last change before rescanning.
+ * @param {function(import('./diff').TreeUpdate[], Object): void} [options.onUpdate] - Receives the updates
+ * and the new scan whenever a rescan found differences.
+ * @param {function(Error): void} [options.onError] - Receives errors of rescans and of the watcher itself
+ * (e.g. when the folder is deleted). Watching continues after rescan errors.
+ * @returns {Promise<{watcher: TreeWatcher, tree: Object}>} Resolves with the watcher and the initial scan.
+ * @throws {Error} Throws the errors of `generateTree` for the initial scan, or an error if the folder cannot be watched.
+ */
+async function watchTree(folderPath, options = {}) {
+    const { debounce = DEFAULT_DEBOUNCE, onUpdate, onError, signal, onProgress, ...scanOptions } = options;
+
+    let tree = await generateTree(folderPath, { ...scanOptions, signal, onProgress });
+    const { rules } = parseIgnorePatterns(scanOptions.ignorePatterns || '', folderPath); // Valid: the scan succeeded
+
+    let closed = false;
+    let timer = null;
+    let scanning = false;
+    let pending = false; // Changes arrived during a rescan
+
+    const reportError = error => {
+        if (!closed && onError) {
+            onError(error);
+        }
+    };
+
+    const rescan = async () => {
+        timer = null;
+        if (scanning) {
+            pending = true;
+            return;
+        }
+        scanning = true;
+        try {
+            const nextTree = await generateTree(folderPath, scanOptions);
+            const updates = computeTreeUpdates(tree, nextTree);
+            tree = nextTree;
+            if (closed) {
+                return;
+            }
+            if (watchFolders(tree)) {
+                pending = true; // Entries added to new folders before they were watched: rescan once more.
+            }
+            if (updates.length > 0 && onUpdate) {
+                onUpdate(updates, nextTree);
+            }
+        } catch (error) {
+            reportError(error);
+        } finally {
+            scanning = false;
+            if (pending && !closed) {
+                pending = false;
+                schedule();
+            }
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(rescan, debounce);
+    };
+
+    const folderWatchers = new Map(); // Absolute folder path -> `fs.FSWatcher`
+
+    /**
+     * Starts watching a folder. Errors of the root folder's watcher are reported; a subfolder's
+     * watcher is dropped on error (e.g. when the subfolder is deleted) and the folder rescanned.
+     * @param {string} dirPath - The folder to watch.
+     * @throws {Error} Throws the error of `fs.watch` if the folder cannot be watched.
+     */
+    const watchFolder = dirPath => {
+        const fsWatcher = fs.watch(dirPath, (eventType, fileName) => {
+            const relativePath = fileName ? path.relative(folderPath, path.join(dirPath, fileName.toString())) : null;
+            if (!closed && !isIgnoredChange(rules, folderPath, relativePath)) {
+                schedule();
+            }
+        });
+        fsWatcher.on('error', error => {
+            if (dirPath === folderPath) {
+                reportError(error);
+                return;
+            }
+            fsWatcher.close();
+            folderWatchers.delete(dirPath);
+            if (!closed) {
+                schedule();
+            }
+        });
+        folderWatchers.set(dirPath, fsWatcher);
+    };
+
+    /**
+     * Makes the watched folders those of a scan: closes the watchers of folders that are gone (or
+     * ignored now) and watches new folders. Subfolders that vanished meanwhile are skipped.
+     * @param {Object} scannedTree - The latest scan.
+     * @returns {boolean} True if a new folder is watched.
+     */
+    const watchFolders = scannedTree => {
+        const folderPaths = listFolderPaths(scannedTree, folderPath);
+        folderWatchers.forEach((fsWatcher, dirPath) => {
+            if (!folderPaths.has(dirPath)) {
+                fsWatcher.close();
+                folderWatchers.delete(dirPath);
+            }
+        });
+        let added = false;
+        folderPaths.forEach(dirPath => {
+            if (folderWatchers.has(dirPath)) {
+                return;
+            }
+            try {
+                watchFolder(dirPath);
+                added = true;
+            } catch (error) {
+                if (dirPath === folderPath) {
+                    throw error;
+                }
+                if (error.code !== 'ENOENT') {
+                    reportError(error);
+                }
+            }
+        });
+        return added;
+    };
+
+    try {
+        watchFolders(tree);
+    } catch (error) {
+        folderWatchers.forEach(fsWatcher => fsWatcher.close());
+        throw new Error(`Cannot watch folder: ${error.message}`);
+    }
+
+    const watcher = {
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            folderWatchers.forEach(fsWatcher => fsWatcher.close());
+            folderWatchers.clear();
+        },
+        getTree() {
+            return tree;
+        }
+    };
+    return { watcher, tree };
+}
+
+module.exports = {
+    DEFAULT_DEBOUNCE,
+    watchTree
+};
@@ -0,0 +1,223 @@
+// --- core/workspace.js ---
+
+// =============================================================================
+// Module Definition (UMD)
+// =============================================================================
+// Shared by the renderer (loaded with a <script> tag after `core/exporters.js`, merged into
+// `window.TreeCore`) and by Node.js code (loaded with `require`). Must not depend on Node.js or the DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./exporters')); // Node.js / CommonJS
+    } else {
+        root.TreeCore = Object.assign(root.TreeCore || {}, factory(root.TreeCore)); // Browser global
+    }
+}(typeof self !== 'undefined' ? self : this, function (exporters) {
+    'use strict';
+
+    const { exportTree } = exporters;
+
+
+    // =============================================================================
+    // Workspace Definitions
+    // =============================================================================
+    // A workspace is a set of root folders (e.g. the repositories of a microservice setup),
+    // each with its own ignore settings, scanned into one tree. The definition is what a
+    // workspace file holds; the scan options are shared by all roots.
+
+    // How the roots are presented:
+    // 'combined' - as the folders of one tree, under a virtual root named after the workspace;
+    // 'separate' - as side-by-side trees, one after another (in the ASCII and Markdown output).
+    const WORKSPACE_LAYOUTS = ['combined', 'separate'];
+    const DEFAULT_WORKSPACE_LAYOUT = 'combined';
+    const WORKSPACE_FILE_VERSION = 1; // Version of the workspace file format written by this code.
+    const DEFAULT_WORKSPACE_NAME = 'workspace';
+
+    // Output formats that can list several trees one after another; the others always show the combined tree.
+    const SEPARATE_LAYOUT_FORMATS = ['ascii', 'markdown'];
+
+    /**
+     * @typedef {Object} WorkspaceRoot
+     * @property {string} path - Absolute path of the folder.
+     * @property {string} [label] - Name shown for the folder in the tree (default: the folder's name).
+     * @property {string} ignorePatterns - The raw ignore list text for this folder.
+     * @property {boolean} useGitignore - Whether `.gitignore` files apply in this folder.
+     */
+
+    /**
+     * @typedef {Object} Workspace
+     * @property {number} version - The file format version (`WORKSPACE_FILE_VERSION`).
+     * @property {string} name - The workspace name, also the name of the combined tree's root.
+     * @property {'combined'|'separate'} layout - How the roots are presented (see `WORKSPACE_LAYOUTS`).
+     * @property {WorkspaceRoot[]} roots - The folders, in display order.
+     * @property {Object} options - Scan options shared by all roots: `maxDepth`, `maxEntries`,
+     * `symlinks` and `collectMetadata`, as for `generateTree`.
+     */
+
+    /**
+     * Normalizes a folder path for comparison, without touching the file system: either separator,
+     * repeated and trailing separators, `.` and `..` segments and the case of a drive letter do not
+     * matter (`/repos/api/`, `/repos/./api` and `/repos/web/../api` are the same folder).
+     * @param {string} folderPath - The path.
+     * @returns {string} The normalized path, with `/` separators.
+     */
+    function comparablePath(folderPath) {
+        const parts = folderPath.split(/[\\/]+/);
+        const rootPart = parts[0] === '' || /^[A-Za-z]:$/.test(parts[0]) ? parts.shift().toUpperCase() : null; // '/...' or 'C:\...'
+        const segments = [];
+        parts.forEach(part => {
+            if (part === '' || part === '.' || (part === '..' && rootPart !== null && segments.length === 0)) {
+                return; // Nothing to skip, or nothing above the root.
+            }
+            if (part === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+                segments.pop();
+            } else {
+                segments.push(part);
+            }
+        });
+        return rootPart === null ? segments.join('/') || '.' : `${rootPart}/${segments.join('/')}`;
+    }
+
+    /**
+     * Checks a workspace definition (e.g. read from a workspace file) and fills in the defaults.
+     * @param {Object} definition - The definition to check.
+     * @returns {Workspace} A normalized copy.
+     * @throws {Error} Throws if the definition has no roots, a root without a path, the same
+     * folder twice, an unknown layout, or comes from a newer file format.
+     */
+    function normalizeWorkspace(definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error('A workspace must be an object with a list of root folders.');
+        }
+        if (typeof definition.version === 'number' && definition.version > WORKSPACE_FILE_VERSION) {
+            throw new Error(`The workspace was saved by a newer version (file format ${definition.version}).`);
+        }
+        const layout = definition.layout === undefined ? DEFAULT_WORKSPACE_LAYOUT : definition.layout;
+        if (!WORKSPACE_LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown workspace layout "${layout}". Expected one of: ${WORKSPACE_LAYOUTS.join(', ')}.`);
+        }
+        if (!Array.isArray(definition.roots) || definition.roots.length === 0) {
+            throw new Error('A workspace needs at least one root folder.');
+        }
+
+        const seenPaths = new Set();
+        const roots = definition.roots.map((rootFolder, index) => {
+            const folderPath = rootFolder && typeof rootFolder.path === 'string' ? rootFolder.path.trim() : '';
+            if (!folderPath) {
+                throw new Error(`Root folder ${index + 1} of the workspace has no path.`);
+            }
+            if (seenPaths.has(comparablePath(folderPath))) {
+                throw new Error(`The folder "${folderPath}" is listed twice in the workspace.`);
+            }
+            seenPaths.add(comparablePath(folderPath));
+            const normalized = {
+                path: folderPath,
+                ignorePatterns: Array.isArray(rootFolder.ignorePatterns)
+                    ? rootFolder.ignorePatterns.join(', ')
+                    : String(rootFolder.ignorePatterns || ''),
+                useGitignore: Boolean(rootFolder.useGitignore)
+            };
+            const label = typeof rootFolder.label === 'string' ? rootFolder.label.trim() : '';
+            if (label) {
+                normalized.label = label;
+            }
+            return normalized;
+        });
+
+        const options = definition.options || {};
+        return {
+            version: WORKSPACE_FILE_VERSION,
+            name: typeof definition.name === 'string' && definition.name.trim() ? definition.name.trim() : DEFAULT_WORKSPACE_NAME,
+            layout,
+            roots,
+            options: {
+                maxDepth: options.maxDepth === undefined ? null : options.maxDepth,
+                maxEntries: options.maxEntries === undefined ? null : options.maxEntries,
+                symlinks: typeof options.symlinks === 'string' ? options.symlinks : 'link', // The scanner's default
+                collectMetadata: Boolean(options.collectMetadata)
+            }
+        };
+    }
+
+    /**
+     * Returns the last segment of a path, for either path separator.
+     * @param {string} folderPath - The path.
+     * @returns {string} The folder's name (or the path itself for a drive root such as 'C:\').
+     */
+    function getFolderName(folderPath) {
+        const segments = folderPath.split(/[\\/]/).filter(Boolean);
+        return segments.length > 0 ? segments[segments.length - 1] : folderPath;
+    }
+
+    /**
+     * Names the roots of a workspace as they appear in its tree: their label, or the folder's
+     * name. Names that would repeat get a counter, e.g. 'api (2)', so every root stays addressable.
+     * @param {Workspace} workspace - A normalized workspace.
+     * @returns {string[]} The names, in the order of `workspace.roots`.
+     */
+    function getWorkspaceRootNames(workspace) {
+        const used = new Set();
+        return workspace.roots.map(rootFolder => {
+            const baseName = rootFolder.label || getFolderName(rootFolder.path);
+            let name = baseName;
+            for (let counter = 2; used.has(name); counter++) {
+                name = `${baseName} (${counter})`;
+            }
+            used.add(name);
+            return name;
+        });
+    }
+
+    /**
+     * Puts the scans of a workspace's roots under one virtual root named after the workspace.
+     * The root records the layout in `workspace`, and each root folder its path in `rootPath`.
+     * @param {Workspace} workspace - A normalized workspace.
+     * @param {Object[]} trees - The scan of each root, in the order of `workspace.roots`.
+     * @returns {Object} The combined tree.
+     */
+    function combineWorkspaceTrees(workspace, trees) {
+        const names = getWorkspaceRootNames(workspace);
+        return {
+            name: workspace.name,
+            type: 'folder',
+            workspace: workspace.layout,
+            children: trees.map((tree, index) => ({ ...tree, name: names[index], rootPath: workspace.roots[index].path }))
+        };
+    }
+
+    /**
+     * Tells whether a tree is a combined workspace tree.
+     * @param {Object} tree - The root node.
+     * @returns {boolean} True if the root was made by `combineWorkspaceTrees`.
+     */
+    function isWorkspaceTree(tree) {
+        return Boolean(tree) && WORKSPACE_LAYOUTS.includes(tree.workspace);
+    }
+
+    /**
+     * Serializes a tree like `exportTree`, but writes the roots of a workspace tree with the
+     * 'separate' layout as separate trees, one after another in their workspace order, in the
+     * formats that allow it (ASCII and Markdown). Other trees and formats are exported as they are.
+     * @param {Object} tree - The root node.
+     * @param {string} formatId - The ID of the exporter to use.
+     * @param {Object} [options] - The output options.
+     * @returns {string} The exported text.
+     * @throws {Error} Throws if no exporter is registered under `formatId`.
+     */
+    function exportWorkspaceTree(tree, formatId, options = {}) {
+        if (tree.workspace === 'separate' && SEPARATE_LAYOUT_FORMATS.includes(formatId) && (tree.children || []).length > 0) {
+            return tree.children.map(rootFolder => exportTree(rootFolder, formatId, options)).join('\n');
+        }
+        return exportTree(tree, formatId, options);
+    }
+
+    return {
+        WORKSPACE_LAYOUTS,
+        DEFAULT_WORKSPACE_LAYOUT,
+        WORKSPACE_FILE_VERSION,
+        normalizeWorkspace,
+        getWorkspaceRootNames,
+        combineWorkspaceTrees,
+        isWorkspaceTree,
+        exportWorkspaceTree
+    };
+}));
@@ -3,10 +3,11 @@
 // =============================================================================
 // Module Imports
 // =============================================================================
-const { app, BrowserWindow, ipcMain, dialog, clipboard } = require('electron'); // Electron modules for app lifecycle, window management, IPC, native dialogs, and clipboard access
+const { app, BrowserWindow, Menu, ipcMain, dialog, clipboard } = require('electron'); // Electron modules for app lifecycle, window management, the application menu, IPC, native dialogs, and clipboard access
 const path = require('path');     // Node.js module for handling and transforming file paths
 const fs = require('fs').promises; // Node.js File System module with promise-based API for asynchronous operations
 const os = require('os');         // Node.js OS module for operating system-specific information (e.g., home directory)
+const { generateTree, generateWorkspaceTree, normalizeWorkspace, watchTree, parseIgnorePatterns, normalizeSortOptions, normalizeMarkdownOptions, getExporter, listExporters, scaffoldTree, formatScaffoldReport, normalizeProfile, normalizeProfiles, mergeProfiles, serializeProfiles, parseProfilesFile, DEFAULT_PROFILES, normalizeRecentItems, addRecentItem, removeRecentItem, setRecentItemPinned, checkRecentItems, DEFAULT_IGNORE_PATTERNS } = require('./core'); // Electron-free scanning and filtering, shared with the command-line interface
 
 
 // =============================================================================
@@ -19,6 +20,33 @@ const os = require('os');         // Node.js OS module for operating system-spec
  */
 let mainWindow;
 
+/**
+ * @type {Map<number, AbortController>}
+ * Tracks the running directory scan of each renderer (keyed by `webContents.id`),
+ * so that a 'cancel-generate-tree' request can abort it.
+ */
+const activeScans = new Map();
+
+/**
+ * @type {Map<number, import('./core/watcher').TreeWatcher>}
+ * Tracks the folder watcher of each renderer (keyed by `webContents.id`) for live refresh,
+ * so that a new 'start-watch' request or a 'stop-watch' request can close it.
+ */
+const activeWatchers = new Map();
+
+/**
+ * @type {Map<number, AbortController>}
+ * Tracks the 'start-watch' request of each renderer (keyed by `webContents.id`) that is still
+ * scanning the folder, so that a 'stop-watch' request or a newer 'start-watch' request can cancel it.
+ */
+const pendingWatches = new Map();
+
+/**
+ * @type {WeakSet<Electron.WebContents>}
+ * The renderers whose watcher is closed when they are destroyed (the listener is added only once).
+ */
+const watchingRenderers = new WeakSet();
+
 
 // =============================================================================
 // Application Settings Configuration
@@ -71,143 +99,37 @@ async function saveSettings(settings) {
     }
 }
 
-
-// =============================================================================
-// Gitignore Parsing Function
-// =============================================================================
-
 /**
- * Parses the content of a `.gitignore` file into an array of patterns to ignore.
- * This simplified implementation handles comments (`#`), empty lines, and removes
- * leading/trailing slashes for basename matching.
- *
- * Note: For full `.gitignore` spec (wildcards, negation, etc.), a dedicated library
- * like 'ignore' would be more robust.
+ * Reads the scan profiles from the settings. Settings written before profiles existed
+ * get the built-in profiles, with "Default" holding the ignore list and sort order saved then.
+ * Profiles that cannot be read are skipped (and logged); if none can be read, the built-in ones are used.
  *
- * @param {string} rootPath - The path to the directory potentially containing the `.gitignore` file.
- * @returns {Promise<string[]>} A promise that resolves with an array of cleaned ignore patterns.
- * Returns an empty array if `.gitignore` is not found or cannot be read.
+ * @param {Object} settings - The loaded settings.
+ * @returns {import('./core/profiles').Profile[]} The normalized profiles (never empty).
  */
-async function getGitignorePatterns(rootPath) {
-    const gitignorePath = path.join(rootPath, '.gitignore');
-    let patterns = [];
+function getStoredProfiles(settings) {
     try {
-        const content = await fs.readFile(gitignorePath, 'utf8');
-        content.split('\n').forEach(line => {
-            line = line.trim();
-            // Ignore lines that are comments or empty
-            if (line.startsWith('#') || line === '') {
-                return;
-            }
-            // Remove leading slashes if present (for basename matching)
-            if (line.startsWith('/')) {
-                line = line.substring(1);
-            }
-            // Remove trailing slashes if present (for basename matching)
-            if (line.endsWith('/')) {
-                line = line.slice(0, -1);
-            }
-            patterns.push(line);
-        });
-    } catch (error) {
-        // Ignore 'ENOENT' error (file not found) as .gitignore is optional
-        if (error.code !== 'ENOENT') {
-            console.warn(`Error reading .gitignore in ${rootPath}: ${error.message}`);
+        if (Array.isArray(settings.profiles) && settings.profiles.length > 0) {
+            return normalizeProfiles(settings.profiles.filter((profile, index) => {
+                try {
+                    normalizeProfile(profile);
+                    return true;
+                } catch (error) {
+                    console.error(`Skipping stored profile ${index + 1}:`, error);
+                    return false;
+                }
+            }));
         }
-    }
-    return patterns;
-}
-
-
-// =============================================================================
-// Directory Tree Generation Function
-// =============================================================================
-
-/**
- * Recursively reads a directory and builds a hierarchical tree structure.
- * Applies both an explicit ignore list and `.gitignore` patterns (if enabled)
- * to filter out specific files and folders.
- *
- * @param {string} dirPath - The current directory path to read.
- * @param {string} initialRootPath - The original root path from which the tree generation started.
- * Used to distinguish the initial call from recursive calls.
- * @param {string[]} ignoreList - An array of explicit folder/file names to ignore.
- * @param {boolean} useGitignore - A flag indicating whether to apply `.gitignore` rules found in directories.
- * @returns {Promise<Object|null>} A promise that resolves with the tree node object for the `dirPath`.
- * Returns `null` if the path (or any of its parents) is ignored.
- * Returns an error node if the path is inaccessible or unreadable (for non-root calls).
- * @throws {Error} Throws an error if the `initialRootPath` itself is inaccessible.
- */
-async function readDirectoryRecursive(dirPath, initialRootPath, ignoreList = [], useGitignore = false) {
-    const name = path.basename(dirPath); // Get the base name (folder/file name) of the current path
-    const isRootCall = dirPath === initialRootPath; // Check if this is the very first directory being scanned
-
-    // Combine explicit ignore patterns with .gitignore patterns (if applicable) for efficient lookup
-    let combinedIgnoreSet = new Set(ignoreList);
-    if (useGitignore) {
-        // Fetch .gitignore patterns specific to the *current* directory
-        const gitignorePatterns = await getGitignorePatterns(dirPath);
-        gitignorePatterns.forEach(pattern => combinedIgnoreSet.add(pattern));
-    }
-
-    // If this is not the initial root call and the current item's name is in the ignore list,
-    // then completely skip it and its contents by returning null.
-    if (!isRootCall && combinedIgnoreSet.has(name)) {
-        return null;
-    }
-
-    let stats;
-    try {
-        stats = await fs.stat(dirPath); // Get file system stats (e.g., is it a file or directory?)
+        const [defaultProfile, ...otherProfiles] = DEFAULT_PROFILES;
+        return normalizeProfiles([{
+            ...defaultProfile,
+            ignorePatterns: settings.defaultIgnoredFolders || defaultProfile.ignorePatterns,
+            sortOptions: settings.sortOptions
+        }, ...otherProfiles]);
     } catch (error) {
-        console.warn(`Could not access ${dirPath}: ${error.message}`);
-        // If the *initial* root directory is inaccessible, propagate the error to the caller
-        if (isRootCall) {
-            throw new Error(`Cannot access selected folder: ${error.message}`);
-        }
-        // For subdirectories that are inaccessible, return an error node in the tree
-        return { name: `${name} (inaccessible)`, type: 'error' };
-    }
-
-    // If the current path points to a file
-    if (stats.isFile()) {
-        // If a file's name is in the ignore list, return null to exclude it
-        if (combinedIgnoreSet.has(name)) {
-            return null;
-        }
-        return { name, type: 'file' }; // Return a file node object
+        console.error('Error reading profiles:', error);
+        return normalizeProfiles();
     }
-
-    // If the current path points to a directory
-    const node = { name, type: 'folder', children: [] }; // Initialize a folder node
-    let entries;
-    try {
-        entries = await fs.readdir(dirPath); // Read all entries (files and subdirectories) within the current directory
-    } catch (error) {
-        console.warn(`Could not read directory ${dirPath}: ${error.message}`);
-        return { name: `${name} (cannot read)`, type: 'error' }; // Return an error node for unreadable directories
-    }
-
-    // Process each entry found in the directory
-    for (const entry of entries) {
-        // Check if the individual entry (file or subfolder) itself should be ignored
-        if (combinedIgnoreSet.has(entry)) {
-            continue; // Skip this entry and proceed to the next
-        }
-
-        const entryPath = path.join(dirPath, entry); // Construct the full path for the current entry
-        // Recursively call `readDirectoryRecursive` for each child entry,
-        // passing the original root path and inherited ignore sets.
-        const childNode = await readDirectoryRecursive(entryPath, initialRootPath, Array.from(combinedIgnoreSet), useGitignore);
-        if (childNode) {
-            // Only add the child node if it was not ignored (i.e., `childNode` is not null)
-            node.children.push(childNode);
-        }
-    }
-
-    // Return the constructed folder node. Even if all its children were ignored,
-    // the root node (if `isRootCall` was true) will still be returned.
-    return node;
 }
 
 
@@ -234,11 +156,236 @@ function createWindow() {
     // Load the main HTML file (your UI) into the browser window
     mainWindow.loadFile(path.join(__dirname, 'public', 'index.html'));
 
+    // Recheck the recent paths whenever the window is focused, so entries deleted or restored
+    // in the meantime are greyed out or enabled again.
+    mainWindow.on('focus', () => {
+        refreshRecentItems().catch(error => console.error('Error checking recent items:', error));
+    });
+
     // Optionally uncomment the line below to open DevTools automatically for debugging
     // mainWindow.webContents.openDevTools();
 }
 
 
+// =============================================================================
+// Recent Items and Application Menu
+// =============================================================================
+// The folders scanned and the tree files saved or loaded most recently are kept in the settings
+// (see `core/recent.js`), listed in the File menu and pushed to the renderer for its start screen.
+
+// The recent lists, by kind: the settings key and what their paths should be.
+const RECENT_LISTS = {
+    folders: { key: 'recentFolders', type: 'folder' },
+    treeFiles: { key: 'recentTreeFiles', type: 'file' }
+};
+
+/**
+ * Reads the recent lists from the settings and checks which paths still exist.
+ * @param {Object} settings - The loaded settings.
+ * @returns {Promise<{ folders: Object[], treeFiles: Object[] }>} The lists, with `missing` set on each entry.
+ */
+async function getRecentItems(settings) {
+    const [folders, treeFiles] = await Promise.all(Object.values(RECENT_LISTS).map(({ key, type }) =>
+        checkRecentItems(normalizeRecentItems(settings[key]), type)));
+    return { folders, treeFiles };
+}
+
+/**
+ * Returns the folder of the most recent tree file, to open the save and load dialogs in.
+ * @param {Object} settings - The loaded settings.
+ * @returns {string|undefined} The folder, or `undefined` if no tree file was used yet.
+ */
+function getRecentTreeFolder(settings) {
+    const [latest] = normalizeRecentItems(settings.recentTreeFiles).sort((a, b) => b.lastUsed - a.lastUsed);
+    return latest ? path.dirname(latest.path) : undefined;
+}
+
+/**
+ * Rebuilds the application menu and sends the recent lists to the renderer, e.g. after they changed.
+ * @returns {Promise<{ folders: Object[], treeFiles: Object[] }>} Resolves with the checked lists.
+ */
+async function refreshRecentItems() {
+    const recentItems = await getRecentItems(await loadSettings());
+    buildApplicationMenu(recentItems);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('recent-items', recentItems);
+    }
+    return recentItems;
+}
+
+/**
+ * Changes one of the recent lists in the settings and refreshes the menu and the renderer.
+ * @param {'folders'|'treeFiles'} kind - The list to change.
+ * @param {function(Object[]): Object[]} update - Returns the new list for the stored one.
+ * @param {Object} [extraSettings] - Other settings to store at the same time.
+ * @returns {Promise<{ folders: Object[], treeFiles: Object[] }>} Resolves with the checked lists.
+ * @throws {Error} Throws if `kind` is not a recent list.
+ */
+async function updateRecentItems(kind, update, extraSettings = {}) {
+    if (!RECENT_LISTS[kind]) {
+        throw new Error(`Unknown recent list "${kind}".`);
+    }
+    const { key } = RECENT_LISTS[kind];
+    const settings = await loadSettings();
+    await saveSettings({ ...settings, ...extraSettings, [key]: update(settings[key]) });
+    return refreshRecentItems();
+}
+
+/**
+ * Asks the renderer to run a menu command, e.g. 'select-folder' or 'open-recent-folder'.
+ * @param {string} action - The command.
+ * @param {*} [payload] - Its argument, e.g. the path to open.
+ */
+function sendMenuAction(action, payload) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('menu-action', action, payload);
+    }
+}
+
+/**
+ * Builds the entries of an "Open Recent" submenu: pinned entries first, then the others.
+ * Entries whose path no longer exists are greyed out.
+ * @param {Object[]} items - The checked recent list.
+ * @param {string} action - The menu command that opens an entry.
+ * @returns {Electron.MenuItemConstructorOptions[]} The submenu entries.
+ */
+function buildRecentSubmenu(items, action) {
+    if (items.length === 0) {
+        return [{ label: 'No Recent Items', enabled: false }];
+    }
+    const entries = [];
+    items.forEach((item, index) => {
+        if (index > 0 && items[index - 1].pinned && !item.pinned) {
+            entries.push({ type: 'separator' }); // Between the pinned and the other entries
+        }
+        entries.push({
+            label: item.missing ? `${item.path} (not found)` : item.path,
+            enabled: !item.missing,
+            click: () => sendMenuAction(action, item.path)
+        });
+    });
+    return entries;
+}
+
+/**
+ * Creates a menu item that asks the renderer to run a command.
+ * @param {string} label - The item's label.
+ * @param {string} action - The renderer command (see "Commands" in `public/script.js`).
+ * @param {Object} [options] - The command's argument in `payload`, and more menu item options, e.g. the `accelerator`.
+ * @returns {Electron.MenuItemConstructorOptions} The menu item.
+ */
+function menuCommand(label, action, { payload, ...options } = {}) {
+    return { label, click: () => sendMenuAction(action, payload), ...options };
+}
+
+/**
+ * Sets the application menu: File (folders, tree files and the recent lists), Edit, Tree (editing
+ * the selected item), Output (formats), View (with the command palette) and Window.
+ * Keys the tree editor handles itself (e.g. Delete, F2) are shown but not registered, so they
+ * keep working normally in text fields.
+ * @param {{ folders: Object[], treeFiles: Object[] }} recentItems - The checked recent lists.
+ */
+function buildApplicationMenu({ folders, treeFiles }) {
+    const isMac = process.platform === 'darwin';
+    const editorKey = accelerator => ({ accelerator, registerAccelerator: false });
+    const template = [
+        ...(isMac ? [{ role: 'appMenu' }] : []),
+        {
+            label: 'File',
+            submenu: [
+                menuCommand('Select Folder...', 'select-folder', { accelerator: 'CmdOrCtrl+O' }),
+                { label: 'Open Recent Folder', submenu: buildRecentSubmenu(folders, 'open-recent-folder') },
+                menuCommand('Generate Tree', 'generate-tree', { accelerator: 'F5' }),
+                menuCommand('Regenerate Without Merging', 'regenerate-clean', { accelerator: 'Shift+F5' }),
+                menuCommand('Compare With Folder', 'compare-tree', { accelerator: 'CmdOrCtrl+F5' }),
+                { type: 'separator' },
+                menuCommand('Load Tree...', 'load-tree', { accelerator: 'CmdOrCtrl+Shift+O' }),
+                { label: 'Open Recent Tree', submenu: buildRecentSubmenu(treeFiles, 'open-recent-tree-file') },
+                menuCommand('Save Tree...', 'save-tree', { accelerator: 'CmdOrCtrl+S' }),
+                menuCommand('Export...', 'export-tree', { accelerator: 'CmdOrCtrl+E' }),
+                menuCommand('Import From Text...', 'import-text', { accelerator: 'CmdOrCtrl+I' }),
+                menuCommand('Create on Disk...', 'create-on-disk'),
+                { type: 'separator' },
+                {
+                    label: 'Clear Recent Items',
+                    enabled: folders.some(item => !item.pinned) || treeFiles.some(item => !item.pinned),
+                    click: () => clearRecentItems().catch(error => console.error('Error clearing recent items:', error))
+                },
+                { type: 'separator' },
+                isMac ? { role: 'close' } : { role: 'quit' }
+            ]
+        },
+        { role: 'editMenu' }, // Text editing in fields (the tree's undo history is in the Tree menu)
+        {
+            label: 'Tree',
+            submenu: [
+                menuCommand('Undo Tree Edit', 'undo', editorKey('CmdOrCtrl+Z')),
+                menuCommand('Redo Tree Edit', 'redo', editorKey('CmdOrCtrl+Shift+Z')),
+                { type: 'separator' },
+                menuCommand('New File', 'add-file', editorKey('Insert')),
+                menuCommand('New Folder', 'add-folder', editorKey('Shift+Insert')),
+                menuCommand('Rename', 'rename-node', editorKey('F2')),
+                menuCommand('Edit Comment', 'comment-node', editorKey('Shift+F2')),
+                menuCommand('Delete', 'delete-node', editorKey('Delete')),
+                { type: 'separator' },
+                menuCommand('Expand All', 'expand-all'),
+                menuCommand('Collapse All', 'collapse-all'),
+                menuCommand('Go to Tree Editor', 'focus-editor', { accelerator: 'CmdOrCtrl+Shift+E' }),
+                { type: 'separator' },
+                menuCommand('Search Tree', 'find', { accelerator: 'CmdOrCtrl+F' }),
+                menuCommand('Next Match', 'find-next', { accelerator: 'F3' }),
+                menuCommand('Previous Match', 'find-previous', { accelerator: 'Shift+F3' })
+            ]
+        },
+        {
+            label: 'Output',
+            submenu: [
+                // The first nine formats get Ctrl+1 to Ctrl+9, in registry order (ASCII and Markdown first).
+                ...listExporters().map((exporter, index) => menuCommand(exporter.label, 'set-output-format', {
+                    payload: exporter.id,
+                    ...(index < 9 ? { accelerator: `CmdOrCtrl+${index + 1}` } : {})
+                })),
+                { type: 'separator' },
+                menuCommand('Copy to Clipboard', 'copy-output', { accelerator: 'CmdOrCtrl+Shift+C' })
+            ]
+        },
+        {
+            label: 'View',
+            submenu: [
+                menuCommand('Command Palette...', 'command-palette', { accelerator: 'CmdOrCtrl+Shift+P' }),
+                { type: 'separator' },
+                { role: 'reload' },
+                { role: 'forceReload' },
+                { role: 'toggleDevTools' },
+                { type: 'separator' },
+                { role: 'resetZoom' },
+                { role: 'zoomIn' },
+                { role: 'zoomOut' },
+                { type: 'separator' },
+                { role: 'togglefullscreen' }
+            ]
+        },
+        { role: 'windowMenu' }
+    ];
+    Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+/**
+ * Empties both recent lists, except for their pinned entries.
+ * @returns {Promise<{ folders: Object[], treeFiles: Object[] }>} Resolves with the checked lists.
+ */
+async function clearRecentItems() {
+    const settings = await loadSettings();
+    const keepPinned = items => normalizeRecentItems(items).filter(item => item.pinned);
+    await saveSettings({
+        ...settings,
+        recentFolders: keepPinned(settings.recentFolders),
+        recentTreeFiles: keepPinned(settings.recentTreeFiles)
+    });
+    return refreshRecentItems();
+}
+
+
 // =============================================================================
 // Application Lifecycle Events
 // =============================================================================
@@ -247,6 +394,7 @@ function createWindow() {
 // Fired when Electron has finished initialization and is ready to create browser windows.
 app.whenReady().then(() => {
     createWindow(); // Call the function to create the main application window
+    refreshRecentItems().catch(error => console.error('Error building the menu:', error)); // The File menu lists the recent items.
 
     // Event: 'activate' (macOS specific)
     // Fired when the application is activated (e.g., dock icon clicked) and no windows are open.
@@ -316,42 +464,254 @@ ipcMain.handle('select-folder', async () => {
     }
 });
 
+/**
+ * IPC Handler: 'select-folders'
+ * Opens a native folder selection dialog in which several folders can be selected,
+ * for adding root folders to a workspace. Remembers the first one like 'select-folder'.
+ *
+ * @returns {Promise<string[]>} Resolves with the selected folder paths (empty if the dialog was cancelled).
+ */
+ipcMain.handle('select-folders', async () => {
+    const settings = await loadSettings();
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'multiSelections'],
+        defaultPath: settings.lastSelectedFolder || os.homedir()
+    });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (canceled || filePaths.length === 0) {
+        return [];
+    }
+    await saveSettings({ ...settings, lastSelectedFolder: filePaths[0] });
+    return filePaths;
+});
+
+/**
+ * Runs a scan for a renderer as its only running scan: a scan already running for the same
+ * renderer is aborted, progress is pushed on the 'scan-progress' channel, and the scan can be
+ * aborted with 'cancel-generate-tree'.
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object of the request.
+ * @param {function(AbortSignal, function(Object): void): Promise<Object>} scan - Starts the scan with
+ * the signal and progress callback to use.
+ * @returns {Promise<Object|null>} Resolves with the scanned tree, or `null` if the scan was cancelled.
+ * @throws {Error} Throws the scan's error, prefixed with 'Failed to generate tree'.
+ */
+async function runScan(event, scan) {
+    const senderId = event.sender.id;
+    if (activeScans.has(senderId)) {
+        activeScans.get(senderId).abort(); // Only one scan per window at a time.
+    }
+    const controller = new AbortController();
+    activeScans.set(senderId, controller);
+
+    try {
+        return await scan(controller.signal, (progress) => {
+            if (!event.sender.isDestroyed()) {
+                event.sender.send('scan-progress', progress); // { directories, files, currentPath }
+            }
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return null; // Cancelled by the user (or superseded by a newer scan); not an error.
+        }
+        console.error('Error generating tree:', error);
+        throw new Error(`Failed to generate tree: ${error.message}`);
+    } finally {
+        // Only clear the entry if it still belongs to this scan (a newer one may have replaced it).
+        if (activeScans.get(senderId) === controller) {
+            activeScans.delete(senderId);
+        }
+    }
+}
+
 /**
  * IPC Handler: 'generate-tree'
  * Initiates the generation of a directory tree structure for the given `folderPath`.
- * Applies specified `ignoreList` and optionally `.gitignore` rules.
+ * Applies specified ignore patterns and optionally `.gitignore` rules.
+ * The folder is scanned concurrently; progress is pushed to the renderer on the 'scan-progress'
+ * channel, and the scan can be aborted with 'cancel-generate-tree'. Starting a new scan
+ * cancels any scan still running for the same renderer.
  *
- * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (automatically passed by Electron, unused here).
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object, used to send progress back to the renderer.
  * @param {string} folderPath - The root path of the folder to generate the tree from.
- * @param {string[]} ignoreList - An array of explicit folder/file names to ignore during generation.
+ * @param {string|string[]} ignorePatterns - The raw ignore list text (or an array of patterns) to apply during generation.
  * @param {boolean} useGitignore - A flag indicating whether to use `.gitignore` files for exclusion.
- * @returns {Promise<Object>} Resolves with the generated tree structure object.
- * @throws {Error} Throws an error if the `folderPath` is missing or inaccessible.
+ * @param {Object} [scanOptions] - Additional scan settings from the renderer.
+ * @param {number|null} [scanOptions.maxDepth] - Deepest level to list; empty or 0 for no limit.
+ * @param {number|null} [scanOptions.maxEntries] - Maximum number of entries in the tree; empty or 0 for no limit.
+ * @param {string} [scanOptions.symlinks] - How symbolic links are handled: 'skip', 'link' or 'follow'.
+ * @param {boolean} [scanOptions.collectMetadata] - Whether to record sizes, modification times and folder totals.
+ * @param {Object} [scanOptions.sort] - The sort options of the editor, so that `maxEntries` keeps the entries shown first.
+ * @returns {Promise<Object|null>} Resolves with the generated tree structure object, or `null` if the scan was cancelled.
+ * The folder is added to the recent folders once it has been scanned.
+ * @throws {Error} Throws an error if the `folderPath` is missing or inaccessible, or if a pattern is invalid.
  */
-ipcMain.handle('generate-tree', async (event, folderPath, ignoreList, useGitignore) => {
-    if (!folderPath) {
-        throw new Error('Folder path is required.');
+ipcMain.handle('generate-tree', async (event, folderPath, ignorePatterns, useGitignore, scanOptions = {}) => {
+    const tree = await runScan(event, (signal, onProgress) => generateTree(folderPath, {
+        ignorePatterns,
+        useGitignore,
+        maxDepth: scanOptions.maxDepth,
+        maxEntries: scanOptions.maxEntries,
+        symlinks: scanOptions.symlinks,
+        collectMetadata: scanOptions.collectMetadata,
+        sort: scanOptions.sort,
+        signal,
+        onProgress
+    }));
+    if (tree) {
+        // Scanned folders go to the top of the recent folders, and are the folder restored on the next start.
+        await updateRecentItems('folders', items => addRecentItem(items, folderPath), { lastSelectedFolder: folderPath });
     }
+    return tree;
+});
+
+/**
+ * IPC Handler: 'generate-workspace-tree'
+ * Scans every root folder of a workspace, each with its own ignore settings, and combines them
+ * into one tree. Like 'generate-tree', progress is pushed on the 'scan-progress' channel and the
+ * scan can be aborted with 'cancel-generate-tree'.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object, used to send progress back to the renderer.
+ * @param {Object} workspace - The workspace definition `{ name, layout, roots, options }` (see `normalizeWorkspace`).
+ * @param {Object} [sortOptions] - The sort options of the editor, so that `maxEntries` keeps the entries shown first.
+ * @returns {Promise<Object|null>} Resolves with the combined tree, or `null` if the scan was cancelled.
+ * @throws {Error} Throws an error if the definition is invalid or a root folder cannot be scanned.
+ */
+ipcMain.handle('generate-workspace-tree', async (event, workspace, sortOptions) => {
+    return runScan(event, (signal, onProgress) => generateWorkspaceTree(workspace, { sort: sortOptions, signal, onProgress }));
+});
+
+/**
+ * IPC Handler: 'cancel-generate-tree'
+ * Aborts the directory scan currently running for the requesting renderer, if any.
+ * The pending 'generate-tree' call then resolves with `null`.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object, identifying the renderer.
+ * @returns {Object} `{ success: boolean }`, where `success` is false if no scan was running.
+ */
+ipcMain.handle('cancel-generate-tree', (event) => {
+    const controller = activeScans.get(event.sender.id);
+    if (!controller) {
+        return { success: false };
+    }
+    controller.abort();
+    return { success: true };
+});
+
+/**
+ * Closes the folder watcher of a renderer, if it has one, and cancels a 'start-watch' request
+ * of the renderer that is still scanning.
+ * @param {number} senderId - The `webContents.id` of the renderer.
+ * @returns {boolean} True if a watcher was closed or a request cancelled.
+ */
+function stopWatcher(senderId) {
+    const controller = pendingWatches.get(senderId);
+    if (controller) {
+        controller.abort();
+        pendingWatches.delete(senderId);
+    }
+    const watcher = activeWatchers.get(senderId);
+    if (watcher) {
+        watcher.close();
+        activeWatchers.delete(senderId);
+    }
+    return Boolean(controller || watcher);
+}
+
+/**
+ * IPC Handler: 'start-watch'
+ * Starts watching a folder for live refresh, replacing the renderer's previous watcher.
+ * Whenever files or folders are added, removed or renamed, the folder is rescanned with the
+ * same settings and the differences are sent to the renderer as a 'tree-updates' event
+ * (an array of updates, see `computeTreeUpdates`). Scan errors are sent as 'watch-error' events.
+ * A 'stop-watch' request (or a newer 'start-watch' request) arriving during the initial scan cancels it.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object, used to send updates back to the renderer.
+ * @param {string} folderPath - The folder to watch (the root of the current tree).
+ * @param {string|string[]} ignorePatterns - The raw ignore list text, as for 'generate-tree'.
+ * @param {boolean} useGitignore - A flag indicating whether to use `.gitignore` files for exclusion.
+ * @param {Object} [scanOptions] - The scan settings of the current tree, as for 'generate-tree'.
+ * @returns {Promise<Object>} Resolves with `{ success: true }` once the folder is being watched,
+ * or `{ success: false }` if the request was cancelled.
+ * @throws {Error} Throws an error if the folder cannot be scanned or watched.
+ */
+ipcMain.handle('start-watch', async (event, folderPath, ignorePatterns, useGitignore, scanOptions = {}) => {
+    const sender = event.sender;
+    const senderId = sender.id;
+    stopWatcher(senderId);
+    const controller = new AbortController();
+    pendingWatches.set(senderId, controller);
+    if (!watchingRenderers.has(sender)) {
+        watchingRenderers.add(sender);
+        sender.once('destroyed', () => stopWatcher(senderId));
+    }
+
+    const sendToRenderer = (channel, payload) => {
+        if (!sender.isDestroyed()) {
+            sender.send(channel, payload);
+        }
+    };
     try {
-        // Call the recursive function to build the tree. The initial `folderPath` serves as both current and initial root.
-        const tree = await readDirectoryRecursive(folderPath, folderPath, ignoreList, useGitignore);
-
-        // If the tree generation results in a null tree (e.g., the root itself was ignored, though handled by throw),
-        // or if all children were ignored, return a valid but empty root object reflecting the chosen folder.
-        if (!tree) {
-             return {
-                 name: path.basename(folderPath),
-                 type: 'folder',
-                 children: []
-             };
+        const { watcher } = await watchTree(folderPath, {
+            ignorePatterns,
+            useGitignore,
+            maxDepth: scanOptions.maxDepth,
+            maxEntries: scanOptions.maxEntries,
+            symlinks: scanOptions.symlinks,
+            collectMetadata: scanOptions.collectMetadata,
+            sort: scanOptions.sort,
+            signal: controller.signal,
+            onUpdate: (updates) => sendToRenderer('tree-updates', updates),
+            onError: (error) => sendToRenderer('watch-error', error.message)
+        });
+        if (controller.signal.aborted) {
+            watcher.close(); // Stopped or replaced right as the scan finished.
+            return { success: false };
         }
-        return tree;
+        activeWatchers.set(senderId, watcher);
+        return { success: true };
     } catch (error) {
-        console.error('Error generating tree:', error);
-        throw new Error(`Failed to generate tree: ${error.message}`);
+        if (error.name === 'AbortError') {
+            return { success: false }; // Stopped or replaced during the initial scan; not an error.
+        }
+        console.error('Error watching folder:', error);
+        throw new Error(`Failed to watch folder: ${error.message}`);
+    } finally {
+        // Only clear the entry if it still belongs to this request (a newer one may have replaced it).
+        if (pendingWatches.get(senderId) === controller) {
+            pendingWatches.delete(senderId);
+        }
     }
 });
 
+/**
+ * IPC Handler: 'stop-watch'
+ * Stops the live refresh of the requesting renderer, if it is watching a folder.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object, identifying the renderer.
+ * @returns {Object} `{ success: boolean }`, where `success` is false if no folder was being watched.
+ */
+ipcMain.handle('stop-watch', (event) => {
+    return { success: stopWatcher(event.sender.id) };
+});
+
+/**
+ * IPC Handler: 'validate-ignore-patterns'
+ * Checks the ignore list text without scanning anything, so the renderer can report
+ * invalid globs or regular expressions while the user types.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {string} patternText - The raw ignore list text.
+ * @returns {Object} `{ valid: boolean, errors: Array<{ pattern: string, message: string }> }`.
+ */
+ipcMain.handle('validate-ignore-patterns', (event, patternText) => {
+    const { errors } = parseIgnorePatterns(patternText);
+    return { valid: errors.length === 0, errors };
+});
+
 /**
  * IPC Handler: 'save-tree-file'
  * Opens a native save file dialog and writes the provided `treeData` to a JSON file.
@@ -360,12 +720,15 @@ ipcMain.handle('generate-tree', async (event, folderPath, ignoreList, useGitigno
  * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
  * @param {Object} treeData - The directory tree data object to save.
  * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+ * The file is added to the recent tree files once it has been written.
  */
 ipcMain.handle('save-tree-file', async (event, treeData) => {
-    // Show the save dialog, suggesting a default file name and filtering for JSON files
+    const settings = await loadSettings();
+    const recentFolder = getRecentTreeFolder(settings);
+    // Show the save dialog, suggesting a default file name (in the folder of the last tree file) and filtering for JSON files
     const { filePath } = await dialog.showSaveDialog(mainWindow, {
         title: 'Save Directory Tree',
-        defaultPath: 'directory_tree.json',
+        defaultPath: recentFolder ? path.join(recentFolder, 'directory_tree.json') : 'directory_tree.json',
         filters: [{ name: 'JSON Files', extensions: ['json'] }]
     });
 
@@ -377,6 +740,7 @@ ipcMain.handle('save-tree-file', async (event, treeData) => {
     if (filePath) {
         try {
             await fs.writeFile(filePath, JSON.stringify(treeData, null, 2)); // Save with pretty printing
+            await updateRecentItems('treeFiles', items => addRecentItem(items, filePath));
             return { success: true, message: 'Tree saved successfully!' };
         } catch (error) {
             console.error('Error saving file:', error);
@@ -386,19 +750,176 @@ ipcMain.handle('save-tree-file', async (event, treeData) => {
     return { success: false, message: 'Save cancelled' }; // User cancelled the save dialog
 });
 
+/**
+ * IPC Handler: 'export-tree-file'
+ * Opens a native save file dialog filtered to the file type of an output format (e.g. HTML Files)
+ * and writes the exported tree text, as rendered by the renderer, to the chosen file.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {string} content - The exported tree text.
+ * @param {string} formatId - The ID of the exporter that produced it (e.g. 'html'), for the file filter.
+ * @param {string} [baseName] - Suggested file name without extension (e.g. the root folder name).
+ * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+ */
+ipcMain.handle('export-tree-file', async (event, content, formatId, baseName) => {
+    const exporter = getExporter(formatId);
+    if (!exporter) {
+        throw new Error(`Unknown export format "${formatId}".`);
+    }
+
+    // Show the save dialog for the format's file type, with a fallback for any extension
+    const { filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: `Export Directory Tree as ${exporter.label}`,
+        defaultPath: `${baseName || 'directory_tree'}.${exporter.extension}`,
+        filters: [
+            { name: exporter.fileTypeName, extensions: [exporter.extension] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+
+    // Explicitly focus the main window after the dialog closes
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (filePath) {
+        try {
+            await fs.writeFile(filePath, content);
+            return { success: true, message: `Tree exported as ${exporter.label}!` };
+        } catch (error) {
+            console.error('Error exporting file:', error);
+            throw new Error(`Failed to export file: ${error.message}`);
+        }
+    }
+    return { success: false, message: 'Export cancelled' }; // User cancelled the save dialog
+});
+
 /**
  * IPC Handler: 'load-tree-file'
- * Opens a native open file dialog and reads the content of a selected JSON file.
- * Parses the file content as a JSON tree structure.
+ * Reads and parses a saved tree: the given file (e.g. from the recent tree files), or one chosen
+ * in a native open file dialog, which opens in the folder of the last tree file.
+ * The file is added to the recent tree files once it has been read.
  *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {string} [filePath] - The file to load; a dialog asks for one if omitted.
  * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, tree?: Object, message: string }`.
  * Contains the loaded tree object on success, or an error message on failure.
  */
-ipcMain.handle('load-tree-file', async () => {
-    // Show the open dialog, configured to only allow selecting files and filtering for JSON
+ipcMain.handle('load-tree-file', async (event, filePath) => {
+    let selectedPath = filePath;
+    if (!selectedPath) {
+        const settings = await loadSettings();
+        // Show the open dialog, configured to only allow selecting files and filtering for JSON
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            defaultPath: getRecentTreeFolder(settings),
+            filters: [{ name: 'JSON Files', extensions: ['json'] }]
+        });
+
+        // Explicitly focus the main window after the dialog closes
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.focus();
+        }
+
+        if (canceled || filePaths.length === 0) {
+            return { success: false, message: 'Load cancelled' }; // User cancelled the load dialog
+        }
+        selectedPath = filePaths[0];
+    }
+
+    let tree;
+    try {
+        const data = await fs.readFile(selectedPath, 'utf8'); // Read the content of the selected file
+        tree = JSON.parse(data); // Parse the content as JSON
+    } catch (error) {
+        console.error('Error loading or parsing file:', error);
+        await refreshRecentItems(); // A recent file may have been deleted; grey it out.
+        throw new Error(`Failed to load file: ${error.message}`);
+    }
+    await updateRecentItems('treeFiles', items => addRecentItem(items, selectedPath));
+    return { success: true, tree };
+});
+
+/**
+ * IPC Handler: 'save-workspace-file'
+ * Opens a native save file dialog and writes a workspace definition (root folders with their
+ * ignore settings, layout and scan options) to a JSON file, checked with `normalizeWorkspace`.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object} workspace - The workspace definition to save.
+ * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+ * @throws {Error} Throws if the definition is invalid or the file cannot be written.
+ */
+ipcMain.handle('save-workspace-file', async (event, workspace) => {
+    const normalized = normalizeWorkspace(workspace); // Refuse to save a workspace that cannot be loaded again.
+    const { filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Workspace',
+        defaultPath: `${normalized.name}.workspace.json`,
+        filters: [{ name: 'Workspace Files', extensions: ['json'] }]
+    });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (filePath) {
+        try {
+            await fs.writeFile(filePath, JSON.stringify(normalized, null, 2) + '\n');
+            return { success: true, message: 'Workspace saved successfully!' };
+        } catch (error) {
+            console.error('Error saving workspace:', error);
+            throw new Error(`Failed to save workspace: ${error.message}`);
+        }
+    }
+    return { success: false, message: 'Save cancelled' };
+});
+
+/**
+ * IPC Handler: 'load-workspace-file'
+ * Opens a native open file dialog and reads a workspace definition saved with 'save-workspace-file'.
+ *
+ * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, workspace?: Object, message?: string }`.
+ * Contains the normalized definition on success, or a message if the dialog was cancelled.
+ * @throws {Error} Throws if the file cannot be read or does not hold a valid workspace.
+ */
+ipcMain.handle('load-workspace-file', async () => {
     const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
         properties: ['openFile'],
-        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+        filters: [{ name: 'Workspace Files', extensions: ['json'] }]
+    });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (!canceled && filePaths.length > 0) {
+        try {
+            const data = await fs.readFile(filePaths[0], 'utf8');
+            return { success: true, workspace: normalizeWorkspace(JSON.parse(data)) };
+        } catch (error) {
+            console.error('Error loading workspace:', error);
+            throw new Error(`Failed to load workspace: ${error.message}`);
+        }
+    }
+    return { success: false, message: 'Load cancelled' };
+});
+
+/**
+ * IPC Handler: 'read-text-file'
+ * Opens a native open file dialog and reads a text file holding a tree written as text
+ * (an ASCII tree, a Markdown list or a list of paths), to be imported by the renderer.
+ *
+ * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, text?: string, fileName?: string, message?: string }`.
+ * Contains the file content on success, or a message if the dialog was cancelled.
+ */
+ipcMain.handle('read-text-file', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [
+            { name: 'Text Files', extensions: ['txt'] },
+            { name: 'Markdown Files', extensions: ['md', 'markdown'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
     });
 
     // Explicitly focus the main window after the dialog closes
@@ -408,34 +929,269 @@ ipcMain.handle('load-tree-file', async () => {
 
     if (!canceled && filePaths.length > 0) {
         try {
-            const data = await fs.readFile(filePaths[0], 'utf8'); // Read the content of the selected file
-            const tree = JSON.parse(data); // Parse the content as JSON
-            return { success: true, tree };
+            const text = await fs.readFile(filePaths[0], 'utf8');
+            return { success: true, text, fileName: path.basename(filePaths[0]) };
         } catch (error) {
-            console.error('Error loading or parsing file:', error);
-            throw new Error(`Failed to load file: ${error.message}`);
+            console.error('Error reading text file:', error);
+            throw new Error(`Failed to read file: ${error.message}`);
         }
     }
-    return { success: false, message: 'Load cancelled' }; // User cancelled the load dialog
+    return { success: false, message: 'Open cancelled' }; // User cancelled the open dialog
+});
+
+/**
+ * IPC Handler: 'select-scaffold-folder'
+ * Opens a native folder selection dialog to choose where the edited tree is created on disk.
+ * Remembers the chosen folder (separately from the scanned folder) for the next time.
+ *
+ * @returns {Promise<string|null>} Resolves with the selected folder path, or `null` if the dialog was cancelled.
+ */
+ipcMain.handle('select-scaffold-folder', async () => {
+    const settings = await loadSettings();
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Create the tree in…',
+        properties: ['openDirectory', 'createDirectory'],
+        defaultPath: settings.lastScaffoldFolder || os.homedir()
+    });
+
+    // Explicitly focus the main window after the dialog closes
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (canceled) {
+        return null;
+    }
+    await saveSettings({ ...settings, lastScaffoldFolder: filePaths[0] });
+    return filePaths[0];
+});
+
+/**
+ * IPC Handler: 'scaffold-tree'
+ * Creates the folders and files of the edited tree under a target folder (see `scaffoldTree` in
+ * `core/scaffold.js`), or only previews what would be created.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object} tree - The tree to create.
+ * @param {string} targetPath - The existing folder to create it in.
+ * @param {Object} [options] - `{ conflict: 'skip'|'overwrite'|'abort', includeRoot: boolean, templates: boolean, dryRun: boolean }`.
+ * @returns {Promise<Object>} Resolves with `{ dryRun: boolean, blocked: boolean, entries: Object[], report: string }`;
+ * `report` is the text summary with one line per entry.
+ * @throws {Error} Throws if the target folder does not exist or an option is invalid.
+ */
+ipcMain.handle('scaffold-tree', async (event, tree, targetPath, options = {}) => {
+    const result = await scaffoldTree(tree, targetPath, {
+        conflict: options.conflict,
+        includeRoot: options.includeRoot !== false,
+        templates: Boolean(options.templates),
+        dryRun: Boolean(options.dryRun)
+    });
+    return {
+        dryRun: result.dryRun,
+        blocked: result.blocked,
+        entries: result.entries.map(({ path: entryPath, type, action, status, reason, message }) => ({ path: entryPath, type, action, status, reason, message })),
+        report: formatScaffoldReport(result)
+    };
+});
+
+/**
+ * IPC Handler: 'get-recent-items'
+ * Provides the recent folders and tree files, with the paths that no longer exist marked as `missing`.
+ * Later changes are pushed to the renderer as 'recent-items' events.
+ *
+ * @returns {Promise<Object>} Resolves with `{ folders: Object[], treeFiles: Object[] }`, each entry
+ * being `{ path, pinned, lastUsed, missing }`.
+ */
+ipcMain.handle('get-recent-items', async () => {
+    return getRecentItems(await loadSettings());
+});
+
+/**
+ * IPC Handler: 'pin-recent-item'
+ * Pins an entry of a recent list to its top, or unpins it.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {'folders'|'treeFiles'} kind - The recent list.
+ * @param {string} itemPath - The path of the entry.
+ * @param {boolean} pinned - Whether the entry should be pinned.
+ * @returns {Promise<Object>} Resolves with the updated lists `{ folders, treeFiles }`.
+ * @throws {Error} Throws if `kind` is not a recent list.
+ */
+ipcMain.handle('pin-recent-item', async (event, kind, itemPath, pinned) => {
+    return updateRecentItems(kind, items => setRecentItemPinned(items, itemPath, pinned));
+});
+
+/**
+ * IPC Handler: 'remove-recent-item'
+ * Removes an entry from a recent list.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {'folders'|'treeFiles'} kind - The recent list.
+ * @param {string} itemPath - The path of the entry.
+ * @returns {Promise<Object>} Resolves with the updated lists `{ folders, treeFiles }`.
+ * @throws {Error} Throws if `kind` is not a recent list.
+ */
+ipcMain.handle('remove-recent-item', async (event, kind, itemPath) => {
+    return updateRecentItems(kind, items => removeRecentItem(items, itemPath));
 });
 
 /**
  * IPC Handler: 'get-initial-settings'
  * Provides initial application settings to the renderer process,
- * including the last selected folder path and default ignore patterns.
+ * including the last selected folder path, default ignore patterns and the scan profiles.
  *
  * @returns {Promise<Object>} Resolves with an object containing initial settings.
- * Example: `{ lastSelectedFolder: string, defaultIgnoredFolders: string }`.
+ * Example: `{ lastSelectedFolder: string, defaultIgnoredFolders: string, sortOptions: Object, markdownOptions: Object,
+ * profiles: Object[], activeProfile: string, folderProfiles: Object<string, string> }`.
  */
 ipcMain.handle('get-initial-settings', async () => {
     const settings = await loadSettings(); // Load current settings
+    const profiles = getStoredProfiles(settings);
+    const profileNames = profiles.map(profile => profile.name);
     return {
         lastSelectedFolder: settings.lastSelectedFolder || '', // Return last selected folder, or empty string if not set
         // Provide default ignored folders. This can be customized by the user and saved in settings.
-        defaultIgnoredFolders: settings.defaultIgnoredFolders || '.git, node_modules, .DS_Store'
+        defaultIgnoredFolders: settings.defaultIgnoredFolders || DEFAULT_IGNORE_PATTERNS,
+        sortOptions: normalizeSortOptions(settings.sortOptions), // Sort order of the editor and output (defaults if never saved)
+        markdownOptions: normalizeMarkdownOptions(settings.markdownOptions), // How the Markdown output is written
+        profiles,
+        // The profile selected last, or the first one
+        activeProfile: profileNames.includes(settings.activeProfile) ? settings.activeProfile : profileNames[0],
+        folderProfiles: settings.folderProfiles || {} // The last profile used for each folder, keyed by path
     };
 });
 
+/**
+ * IPC Handler: 'save-sort-options'
+ * Stores the sort order chosen in the renderer, so it is restored on the next start.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object} sortOptions - The sort options (`mode`, `foldersFirst`, `natural`, `caseSensitive`).
+ * @returns {Promise<Object>} Resolves with `{ success: boolean, message?: string }`.
+ */
+ipcMain.handle('save-sort-options', async (event, sortOptions) => {
+    try {
+        const settings = await loadSettings();
+        await saveSettings({ ...settings, sortOptions: normalizeSortOptions(sortOptions) });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving sort options:', error);
+        return { success: false, message: `Failed to save the sort order: ${error.message}` };
+    }
+});
+
+/**
+ * IPC Handler: 'save-markdown-options'
+ * Stores the Markdown output options chosen in the renderer, so they are restored on the next start.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object} markdownOptions - The Markdown options (`style`, `links`, `linkBase`, `icons`, `taskList`).
+ * @returns {Promise<Object>} Resolves with `{ success: boolean, message?: string }`.
+ */
+ipcMain.handle('save-markdown-options', async (event, markdownOptions) => {
+    try {
+        const settings = await loadSettings();
+        await saveSettings({ ...settings, markdownOptions: normalizeMarkdownOptions(markdownOptions) });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving Markdown options:', error);
+        return { success: false, message: `Failed to save the Markdown options: ${error.message}` };
+    }
+});
+
+/**
+ * IPC Handler: 'save-profiles'
+ * Stores the scan profiles, the selected profile and the profile last used for each folder.
+ * Folder entries naming a profile that no longer exists are dropped.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object} state - `{ profiles: Object[], activeProfile: string, folderProfiles: Object<string, string> }`.
+ * @returns {Promise<Object>} Resolves with `{ success: boolean, profiles?: Object[], message?: string }`,
+ * holding the profiles as stored (normalized) on success.
+ */
+ipcMain.handle('save-profiles', async (event, { profiles, activeProfile, folderProfiles = {} }) => {
+    try {
+        const normalized = normalizeProfiles(profiles);
+        const profileNames = new Set(normalized.map(profile => profile.name));
+        const keptFolderProfiles = Object.fromEntries(
+            Object.entries(folderProfiles).filter(([, profileName]) => profileNames.has(profileName))
+        );
+        const settings = await loadSettings();
+        await saveSettings({ ...settings, profiles: normalized, activeProfile, folderProfiles: keptFolderProfiles });
+        return { success: true, profiles: normalized };
+    } catch (error) {
+        console.error('Error saving profiles:', error);
+        return { success: false, message: `Failed to save the profiles: ${error.message}` };
+    }
+});
+
+/**
+ * IPC Handler: 'export-profiles'
+ * Opens a native save file dialog and writes scan profiles to a profile file, to share them.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The IPC event object (unused here).
+ * @param {Object[]} profiles - The profiles to export.
+ * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+ * @throws {Error} Throws if a profile is invalid or the file cannot be written.
+ */
+ipcMain.handle('export-profiles', async (event, profiles) => {
+    const text = serializeProfiles(profiles); // Refuse to write profiles that cannot be imported again.
+    const { filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Profiles',
+        defaultPath: 'profiles.json',
+        filters: [{ name: 'Profile Files', extensions: ['json'] }]
+    });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (filePath) {
+        try {
+            await fs.writeFile(filePath, text);
+            return { success: true, message: 'Profiles exported successfully!' };
+        } catch (error) {
+            console.error('Error exporting profiles:', error);
+            throw new Error(`Failed to export profiles: ${error.message}`);
+        }
+    }
+    return { success: false, message: 'Export cancelled' };
+});
+
+/**
+ * IPC Handler: 'import-profiles'
+ * Opens a native open file dialog, reads a profile file and adds its profiles to the stored ones.
+ * Imported profiles never replace existing ones; taken names get a counter, e.g. 'Node repo (2)'.
+ *
+ * @returns {Promise<Object>} Resolves with `{ success: boolean, profiles?: Object[], added?: string[], message?: string }`:
+ * all profiles and the names of the imported ones on success, or a message if the dialog was cancelled.
+ * @throws {Error} Throws if the file cannot be read or does not hold valid profiles.
+ */
+ipcMain.handle('import-profiles', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'Profile Files', extensions: ['json'] }]
+    });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+    }
+
+    if (!canceled && filePaths.length > 0) {
+        try {
+            const imported = parseProfilesFile(await fs.readFile(filePaths[0], 'utf8'));
+            const settings = await loadSettings();
+            const { profiles, added } = mergeProfiles(getStoredProfiles(settings), imported);
+            await saveSettings({ ...settings, profiles });
+            return { success: true, profiles, added };
+        } catch (error) {
+            console.error('Error importing profiles:', error);
+            throw new Error(`Failed to import profiles: ${error.message}`);
+        }
+    }
+    return { success: false, message: 'Import cancelled' };
+});
+
 /**
  * IPC Handler: 'copy-to-clipboard'
  * Copies the provided `text` to the system clipboard.
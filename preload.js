@@ -29,16 +29,66 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     selectFolder: () => ipcRenderer.invoke('select-folder'),
 
+    /**
+     * Calls the main process to open a native folder selection dialog in which several folders can be selected.
+     * @returns {Promise<string[]>} Resolves with the selected folder paths (empty if the dialog was cancelled).
+     */
+    selectFolders: () => ipcRenderer.invoke('select-folders'),
+
     /**
      * Calls the main process to generate a directory tree for a given path.
      * @param {string} folderPath - The root path of the folder to scan.
-     * @param {string[]} ignoreList - An array of folder/file names to explicitly ignore.
+     * @param {string|string[]} ignorePatterns - The ignore list text (globs, `re:` regexes, `!` negations).
+     * @param {boolean} useGitignore - Whether to apply `.gitignore` rules found in the directory.
+     * @param {Object} [scanOptions] - Scan settings: `maxDepth` and `maxEntries` (empty or 0 for no limit),
+     * `symlinks` ('skip', 'link' or 'follow'), `collectMetadata` (record sizes, dates and folder totals)
+     * and `sort` (the editor's sort options, so that `maxEntries` keeps the entries shown first).
+     * @returns {Promise<Object|null>} Resolves with the generated tree structure object,
+     * or `null` if the scan was cancelled. Progress is reported through `onScanProgress`.
+     */
+    generateTree: (folderPath, ignorePatterns, useGitignore, scanOptions) => ipcRenderer.invoke('generate-tree', folderPath, ignorePatterns, useGitignore, scanOptions),
+
+    /**
+     * Calls the main process to abort the running directory scan.
+     * The pending `generateTree` promise then resolves with `null`.
+     * @returns {Promise<Object>} Resolves with `{ success: boolean }` (false if no scan was running).
+     */
+    /**
+     * Calls the main process to scan every root folder of a workspace into one tree.
+     * @param {Object} workspace - The workspace definition: `{ name, layout, roots, options }`, where each root is
+     * `{ path, label?, ignorePatterns, useGitignore }` and `options` holds the scan settings shared by all roots.
+     * @param {Object} [sortOptions] - The editor's sort options, so that `maxEntries` keeps the entries shown first.
+     * @returns {Promise<Object|null>} Resolves with the combined tree, or `null` if the scan was cancelled.
+     * Progress is reported through `onScanProgress`, and the scan is cancelled with `cancelGenerateTree`.
+     */
+    generateWorkspaceTree: (workspace, sortOptions) => ipcRenderer.invoke('generate-workspace-tree', workspace, sortOptions),
+
+    cancelGenerateTree: () => ipcRenderer.invoke('cancel-generate-tree'),
+
+    /**
+     * Calls the main process to watch a folder for live refresh, replacing any previous watch.
+     * Changes are reported through `onTreeUpdates`, rescan errors through `onWatchError`.
+     * @param {string} folderPath - The folder to watch (the root of the current tree).
+     * @param {string|string[]} ignorePatterns - The ignore list text, as for `generateTree`.
      * @param {boolean} useGitignore - Whether to apply `.gitignore` rules found in the directory.
-     * @returns {Promise<Object>} Resolves with the generated tree structure object.
-     * The object will have a `tree` property containing the tree data,
-     * and potentially `error` and `message` properties if an error occurred.
+     * @param {Object} [scanOptions] - The scan settings of the current tree, as for `generateTree`.
+     * @returns {Promise<Object>} Resolves with `{ success: true }` once the folder is being watched,
+     * or `{ success: false }` if `stopWatch` (or another `startWatch`) cancelled the request first.
      */
-    generateTree: (folderPath, ignoreList, useGitignore) => ipcRenderer.invoke('generate-tree', folderPath, ignoreList, useGitignore),
+    startWatch: (folderPath, ignorePatterns, useGitignore, scanOptions) => ipcRenderer.invoke('start-watch', folderPath, ignorePatterns, useGitignore, scanOptions),
+
+    /**
+     * Calls the main process to stop watching the folder.
+     * @returns {Promise<Object>} Resolves with `{ success: boolean }` (false if no folder was being watched).
+     */
+    stopWatch: () => ipcRenderer.invoke('stop-watch'),
+
+    /**
+     * Calls the main process to validate the ignore list without scanning.
+     * @param {string} patternText - The raw ignore list text.
+     * @returns {Promise<Object>} Resolves with `{ valid: boolean, errors: Array<{ pattern: string, message: string }> }`.
+     */
+    validateIgnorePatterns: (patternText) => ipcRenderer.invoke('validate-ignore-patterns', patternText),
 
     /**
      * Calls the main process to save the current tree structure to a JSON file.
@@ -50,24 +100,134 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     saveTreeFile: (treeData) => ipcRenderer.invoke('save-tree-file', treeData),
 
+    /**
+     * Calls the main process to save the tree in an output format (HTML, YAML, CSV, ...).
+     * A native save file dialog, filtered to the format's file type, will be opened to choose the destination.
+     * @param {string} content - The exported tree text.
+     * @param {string} formatId - The ID of the exporter that produced it (e.g. 'html').
+     * @param {string} [baseName] - Suggested file name without extension.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+     */
+    exportTreeFile: (content, formatId, baseName) => ipcRenderer.invoke('export-tree-file', content, formatId, baseName),
+
     /**
      * Calls the main process to load a tree structure from a JSON file.
-     * A native open file dialog will be opened to select the source file.
+     * Without a path, a native open file dialog will be opened to select the source file.
+     * @param {string} [filePath] - The file to load, e.g. from the recent tree files.
      * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, tree?: Object, message: string }`.
      * `success` indicates if the load operation was successful.
      * `tree` contains the loaded tree data if successful.
      * `message` provides details about the outcome.
      */
-    loadTreeFile: () => ipcRenderer.invoke('load-tree-file'),
+    loadTreeFile: (filePath) => ipcRenderer.invoke('load-tree-file', filePath),
+
+    /**
+     * Calls the main process to read a text file to import a tree from (ASCII tree, Markdown list or path list).
+     * A native open file dialog will be opened to select the file.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, text?: string, fileName?: string, message?: string }`.
+     */
+    /**
+     * Calls the main process to save a workspace definition (root folders and options) to a JSON file.
+     * A native save file dialog will be opened to choose the destination.
+     * @param {Object} workspace - The workspace definition.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+     */
+    saveWorkspaceFile: (workspace) => ipcRenderer.invoke('save-workspace-file', workspace),
+
+    /**
+     * Calls the main process to load a workspace definition from a JSON file.
+     * A native open file dialog will be opened to select the file.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, workspace?: Object, message?: string }`.
+     */
+    loadWorkspaceFile: () => ipcRenderer.invoke('load-workspace-file'),
+
+    readTextFile: () => ipcRenderer.invoke('read-text-file'),
+
+    /**
+     * Opens a native folder selection dialog to choose where the edited tree is created on disk.
+     * @returns {Promise<string|null>} Resolves with the selected folder path, or `null` if cancelled.
+     */
+    selectScaffoldFolder: () => ipcRenderer.invoke('select-scaffold-folder'),
+
+    /**
+     * Calls the main process to create the folders and files of a tree under a target folder.
+     * @param {Object} tree - The tree to create.
+     * @param {string} targetPath - The existing folder to create it in.
+     * @param {Object} options - `{ conflict: 'skip'|'overwrite'|'abort', includeRoot: boolean, templates: boolean, dryRun: boolean }`.
+     * @returns {Promise<Object>} Resolves with `{ dryRun: boolean, blocked: boolean, entries: Object[], report: string }`.
+     */
+    scaffoldTree: (tree, targetPath, options) => ipcRenderer.invoke('scaffold-tree', tree, targetPath, options),
 
     /**
      * Calls the main process to retrieve initial application settings.
      * This includes things like the last selected folder and default ignore patterns.
      * @returns {Promise<Object>} Resolves with an object containing initial settings.
-     * Example: `{ lastSelectedFolder: string, defaultIgnoredFolders: string }`.
+     * Example: `{ lastSelectedFolder: string, defaultIgnoredFolders: string, sortOptions: Object, markdownOptions: Object }`.
      */
     getInitialSettings: () => ipcRenderer.invoke('get-initial-settings'),
 
+    /**
+     * Calls the main process to remember the chosen sort order in the application settings.
+     * @param {Object} sortOptions - The sort options: `mode` ('name', 'extension', 'size', 'mtime' or 'manual'),
+     * `foldersFirst`, `natural` and `caseSensitive`.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message?: string }`.
+     */
+    saveSortOptions: (sortOptions) => ipcRenderer.invoke('save-sort-options', sortOptions),
+
+    /**
+     * Calls the main process to remember the Markdown output options in the application settings.
+     * @param {Object} markdownOptions - The Markdown options: `style` ('list' or 'fence'), `links`,
+     * `linkBase`, `icons` and `taskList`.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message?: string }`.
+     */
+    saveMarkdownOptions: (markdownOptions) => ipcRenderer.invoke('save-markdown-options', markdownOptions),
+
+    /**
+     * Calls the main process to store the scan profiles, the selected profile and the profile last used for each folder.
+     * @param {Object} state - `{ profiles: Object[], activeProfile: string, folderProfiles: Object<string, string> }`.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, profiles?: Object[], message?: string }`.
+     */
+    saveProfiles: (state) => ipcRenderer.invoke('save-profiles', state),
+
+    /**
+     * Calls the main process for the recent folders and tree files.
+     * @returns {Promise<Object>} Resolves with `{ folders: Object[], treeFiles: Object[] }`, each entry being
+     * `{ path, pinned, lastUsed, missing }` (`missing` if the path no longer exists).
+     */
+    getRecentItems: () => ipcRenderer.invoke('get-recent-items'),
+
+    /**
+     * Calls the main process to pin an entry of a recent list to its top, or to unpin it.
+     * @param {'folders'|'treeFiles'} kind - The recent list.
+     * @param {string} itemPath - The path of the entry.
+     * @param {boolean} pinned - Whether the entry should be pinned.
+     * @returns {Promise<Object>} Resolves with the updated lists `{ folders, treeFiles }`.
+     */
+    pinRecentItem: (kind, itemPath, pinned) => ipcRenderer.invoke('pin-recent-item', kind, itemPath, pinned),
+
+    /**
+     * Calls the main process to remove an entry from a recent list.
+     * @param {'folders'|'treeFiles'} kind - The recent list.
+     * @param {string} itemPath - The path of the entry.
+     * @returns {Promise<Object>} Resolves with the updated lists `{ folders, treeFiles }`.
+     */
+    removeRecentItem: (kind, itemPath) => ipcRenderer.invoke('remove-recent-item', kind, itemPath),
+
+    /**
+     * Calls the main process to write scan profiles to a profile file.
+     * A native save file dialog will be opened to choose the location.
+     * @param {Object[]} profiles - The profiles to export.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, message: string }`.
+     */
+    exportProfiles: (profiles) => ipcRenderer.invoke('export-profiles', profiles),
+
+    /**
+     * Calls the main process to add the profiles of a profile file to the stored ones.
+     * A native open file dialog will be opened to select the file.
+     * @returns {Promise<Object>} Resolves with a status object `{ success: boolean, profiles?: Object[], added?: string[], message?: string }`.
+     */
+    importProfiles: () => ipcRenderer.invoke('import-profiles'),
+
     /**
      * Calls the main process to copy text to the system clipboard.
      * @param {string} text - The text to copy to the clipboard.
@@ -98,5 +258,67 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * Removes the listener for 'display-message' events.
      * @param {Function} callback - The callback function to remove.
      */
-    removeDisplayMessageListener: (callback) => ipcRenderer.removeListener('display-message', callback)
+    removeDisplayMessageListener: (callback) => ipcRenderer.removeListener('display-message', callback),
+
+    /**
+     * Registers a listener for progress reports while a directory scan is running.
+     * @param {Function} callback - Called with `(event, progress)`, where `progress` is
+     * `{ directories: number, files: number, currentPath: string }`.
+     */
+    onScanProgress: (callback) => ipcRenderer.on('scan-progress', callback),
+
+    /**
+     * Removes the listener for 'scan-progress' events.
+     * @param {Function} callback - The callback function to remove.
+     */
+    removeScanProgressListener: (callback) => ipcRenderer.removeListener('scan-progress', callback),
+
+    /**
+     * Registers a listener for changes found while watching a folder.
+     * @param {Function} callback - Called with `(event, updates)`, where `updates` is an array of
+     * `{ op: 'add'|'remove'|'rename'|'replace'|'omitted', path: string[], ... }` (see `computeTreeUpdates`).
+     */
+    onTreeUpdates: (callback) => ipcRenderer.on('tree-updates', callback),
+
+    /**
+     * Removes the listener for 'tree-updates' events.
+     * @param {Function} callback - The callback function to remove.
+     */
+    removeTreeUpdatesListener: (callback) => ipcRenderer.removeListener('tree-updates', callback),
+
+    /**
+     * Registers a listener for errors while watching a folder (e.g. the folder was deleted).
+     * @param {Function} callback - Called with `(event, message)`.
+     */
+    onWatchError: (callback) => ipcRenderer.on('watch-error', callback),
+
+    /**
+     * Removes the listener for 'watch-error' events.
+     * @param {Function} callback - The callback function to remove.
+     */
+    removeWatchErrorListener: (callback) => ipcRenderer.removeListener('watch-error', callback),
+
+    /**
+     * Registers a listener for changes to the recent folders and tree files (e.g. after a scan).
+     * @param {Function} callback - Called with `(event, recentItems)`, where `recentItems` is `{ folders, treeFiles }`.
+     */
+    onRecentItems: (callback) => ipcRenderer.on('recent-items', callback),
+
+    /**
+     * Removes the listener for 'recent-items' events.
+     * @param {Function} callback - The callback function to remove.
+     */
+    removeRecentItemsListener: (callback) => ipcRenderer.removeListener('recent-items', callback),
+
+    /**
+     * Registers a listener for commands chosen in the application menu.
+     * @param {Function} callback - Called with `(event, action, payload)`, e.g. `(event, 'open-recent-folder', path)`.
+     */
+    onMenuAction: (callback) => ipcRenderer.on('menu-action', callback),
+
+    /**
+     * Removes the listener for 'menu-action' events.
+     * @param {Function} callback - The callback function to remove.
+     */
+    removeMenuActionListener: (callback) => ipcRenderer.removeListener('menu-action', callback)
 });
\ No newline at end of file
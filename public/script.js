@@ -8,16 +8,136 @@
 const selectFolderBtn = document.getElementById('selectFolderBtn');
 const selectedFolderPathSpan = document.getElementById('selectedFolderPath');
 const generateTreeBtn = document.getElementById('generateTreeBtn');
+const regenerateCleanBtn = document.getElementById('regenerateCleanBtn'); // Generates without merging the edits into the new scan
+const compareTreeBtn = document.getElementById('compareTreeBtn'); // Rescans the folder and compares it with the edited tree
 const ignoredFoldersInput = document.getElementById('ignoredFolders');
 const useGitignoreCheckbox = document.getElementById('useGitignore');
-const treeOutput = document.getElementById('treeOutput'); // Where ASCII/Markdown tree is displayed
-const showAsciiBtn = document.getElementById('showAsciiBtn');
-const showMarkdownBtn = document.getElementById('showMarkdownBtn');
+const maxDepthInput = document.getElementById('maxDepth'); // Scan depth limit (empty for no limit)
+const maxEntriesInput = document.getElementById('maxEntries'); // Scan entry-count limit (empty for no limit)
+const symlinkModeSelect = document.getElementById('symlinkMode'); // 'link', 'follow' or 'skip'
+const collectMetadataCheckbox = document.getElementById('collectMetadata'); // Record sizes, dates and counts while scanning
+const watchFolderCheckbox = document.getElementById('watchFolder'); // Keep the editor in step with the folder on disk
+const treeOutput = document.getElementById('treeOutput'); // Where the tree is displayed in the selected output format
+const outputFormatSelect = document.getElementById('outputFormat'); // Output format of the "Generated Tree" pane (one per exporter)
+const showMetadataCheckbox = document.getElementById('showMetadata'); // Annotate the generated output with sizes and counts
+const outputFilteredOnlyCheckbox = document.getElementById('outputFilteredOnly'); // During a search, output only the matches
+const sortModeSelect = document.getElementById('sortMode'); // What the editor and output are sorted by
+const sortFoldersFirstCheckbox = document.getElementById('sortFoldersFirst');
+const sortNaturalCheckbox = document.getElementById('sortNatural');
+const sortCaseSensitiveCheckbox = document.getElementById('sortCaseSensitive');
+const asciiStyleSelect = document.getElementById('asciiStyle'); // Connector preset of the ASCII output, or 'custom'
+const customAsciiStyleGroup = document.getElementById('customAsciiStyle'); // Fields of the custom connectors
+const customBranchInput = document.getElementById('customBranch');
+const customLastInput = document.getElementById('customLast');
+const customPipeInput = document.getElementById('customPipe');
+const customBlankInput = document.getElementById('customBlank');
+const folderSlashCheckbox = document.getElementById('folderSlash'); // Append '/' to folder names in the output
+const markdownStyleSelect = document.getElementById('markdownStyle'); // Bulleted list, or the ASCII tree in a code fence
+const markdownLinksCheckbox = document.getElementById('markdownLinks');
+const markdownLinkBaseInput = document.getElementById('markdownLinkBase');
+const markdownIconsCheckbox = document.getElementById('markdownIcons');
+const markdownTaskListCheckbox = document.getElementById('markdownTaskList');
+const importTreeBtn = document.getElementById('importTreeBtn'); // Shows the panel for importing a tree written as text
+const importPanel = document.getElementById('importPanel');
+const importTextArea = document.getElementById('importText');
+const importFormatSelect = document.getElementById('importFormat'); // 'auto', 'ascii', 'markdown' or 'paths'
+const importRootNameInput = document.getElementById('importRootName');
+const importOpenFileBtn = document.getElementById('importOpenFileBtn');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+const importCancelBtn = document.getElementById('importCancelBtn');
+const importErrorsList = document.getElementById('importErrors'); // Lines of the text that could not be imported
 const saveTreeBtn = document.getElementById('saveTreeBtn');
 const loadTreeBtn = document.getElementById('loadTreeBtn');
+const exportTreeBtn = document.getElementById('exportTreeBtn');
 const copyToClipboardBtn = document.getElementById('copyToClipboardBtn');
 const interactiveTreeEditor = document.getElementById('interactiveTreeEditor'); // Container for the editable tree
+const compareBar = document.getElementById('compareBar'); // Shown above the editor in compare mode
+const compareSummary = document.getElementById('compareSummary');
+const exportDiffBtn = document.getElementById('exportDiffBtn');
+const exitCompareBtn = document.getElementById('exitCompareBtn');
+const undoBtn = document.getElementById('undoBtn');
+const treeSearchInput = document.getElementById('treeSearchInput'); // Search box of the interactive tree editor
+const treeSearchModeSelect = document.getElementById('treeSearchMode'); // 'text', 'glob' or 'regex'
+const treeSearchCaseCheckbox = document.getElementById('treeSearchCase');
+const treeSearchFilterCheckbox = document.getElementById('treeSearchFilter'); // Hide the entries that neither match nor contain a match
+const treeSearchCount = document.getElementById('treeSearchCount');
+const treeSearchPrevBtn = document.getElementById('treeSearchPrevBtn');
+const treeSearchNextBtn = document.getElementById('treeSearchNextBtn');
+const scaffoldTreeBtn = document.getElementById('scaffoldTreeBtn'); // Shows the panel for creating the tree on disk
+const scaffoldPanel = document.getElementById('scaffoldPanel');
+const scaffoldFolderBtn = document.getElementById('scaffoldFolderBtn');
+const scaffoldFolderPathSpan = document.getElementById('scaffoldFolderPath');
+const scaffoldConflictSelect = document.getElementById('scaffoldConflict'); // 'skip', 'overwrite' or 'abort'
+const scaffoldIncludeRootCheckbox = document.getElementById('scaffoldIncludeRoot');
+const scaffoldTemplatesCheckbox = document.getElementById('scaffoldTemplates');
+const scaffoldPreviewBtn = document.getElementById('scaffoldPreviewBtn');
+const scaffoldCreateBtn = document.getElementById('scaffoldCreateBtn');
+const scaffoldCloseBtn = document.getElementById('scaffoldCloseBtn');
+const scaffoldReport = document.getElementById('scaffoldReport'); // Dry-run or result report
+const redoBtn = document.getElementById('redoBtn');
 const messageContainer = document.getElementById('messageContainer'); // Container for non-blocking UI messages
+const scanStatus = document.getElementById('scanStatus'); // Progress line shown while a scan is running
+const scanProgressText = document.getElementById('scanProgressText'); // Running totals of the current scan
+const cancelScanBtn = document.getElementById('cancelScanBtn');
+const workspaceNameInput = document.getElementById('workspaceName'); // Name of the workspace (the combined tree's root)
+const workspaceLayoutSelect = document.getElementById('workspaceLayout'); // 'combined' or 'separate'
+const addWorkspaceFoldersBtn = document.getElementById('addWorkspaceFoldersBtn');
+const generateWorkspaceBtn = document.getElementById('generateWorkspaceBtn'); // Scans every root folder into one tree
+const saveWorkspaceBtn = document.getElementById('saveWorkspaceBtn');
+const loadWorkspaceBtn = document.getElementById('loadWorkspaceBtn');
+const workspaceRootsList = document.getElementById('workspaceRoots'); // One row per root folder, with its ignore settings
+const profileSelect = document.getElementById('profileSelect'); // The scan profile applied to the Folder Selection card
+const profileNameInput = document.getElementById('profileName'); // Name of the selected profile; edited to rename it
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const importProfilesBtn = document.getElementById('importProfilesBtn');
+const exportProfilesBtn = document.getElementById('exportProfilesBtn');
+const commandPalette = document.getElementById('commandPalette'); // Overlay listing every command (Ctrl+Shift+P)
+const commandPaletteInput = document.getElementById('commandPaletteInput');
+const commandPaletteList = document.getElementById('commandPaletteList');
+
+
+// =============================================================================
+// Shared Core Functions
+// =============================================================================
+// Loaded from the browser-compatible `core/` modules (see index.html), which are also
+// used by the command-line interface and covered by the unit tests.
+const {
+    createNodeSorter,
+    normalizeSortOptions,
+    normalizeMarkdownOptions,
+    aggregateMetadata,
+    hasMetadata,
+    formatSize,
+    formatMetadataSummary,
+    normalizeComment,
+    formatOmittedLabel,
+    findNodeById,
+    findNodeParent,
+    findNodeChain,
+    detachNode,
+    attachNode,
+    checkMove,
+    moveNode,
+    isValidTreeStructure,
+    listExporters,
+    getExporter,
+    exportTree,
+    isWorkspaceTree,
+    exportWorkspaceTree,
+    parseTreeText,
+    diffTrees,
+    summarizeDiff,
+    generateDiffTree,
+    applyTreeUpdates,
+    mergeTrees,
+    filterCommands,
+    createSearchMatcher,
+    searchTree,
+    filterTree,
+    createHistory
+} = window.TreeCore;
 
 
 // =============================================================================
@@ -28,6 +148,37 @@ let currentTreeData = null; // Stores the current directory tree structure as a
 // Each node in the tree object will have properties like 'name', 'type', 'children', 'id', and 'collapsed'.
 let currentRootFolderPath = null; // Stores the file system path of the currently selected folder.
 let nodeBeingEdited = null; // Stores the unique ID of the tree node that is currently in rename/edit mode.
+let commentBeingEdited = null; // Stores the unique ID of the tree node whose comment is currently being edited.
+let selectedNodeId = null; // The ID of the node selected with the keyboard (or by clicking its line), if any (see "Keyboard Navigation").
+// Conflicts of the last regeneration (see `mergeTrees`): the message for each conflicting node of the
+// merged tree, keyed by the node object, so they no longer show once that tree is replaced (e.g. undone).
+let mergeConflicts = new Map();
+let watchedFolderPath = null; // The folder being watched for live refresh, or null (see "Live Refresh").
+// Root folders of the Workspace card, in display order: `{ path, label, ignorePatterns, useGitignore }` (see "Workspaces").
+let workspaceRoots = [];
+// Scan profiles (see "Scan Profiles"): the saved profiles, the name of the selected one, and the
+// profile last used for each folder, keyed by folder path. Loaded from the settings on startup.
+let profiles = [];
+let activeProfileName = null;
+let folderProfiles = {};
+// Recent folders and tree files, as pushed by the main process (see "Recent Items"): `{ path, pinned, lastUsed, missing }` entries.
+let recentItems = { folders: [], treeFiles: [] };
+let draggedNodeId = null; // Stores the unique ID of the tree node being dragged in the editor, if any.
+let lastDropMessage = null; // The last "cannot drop here" message shown, so it is not repeated on every dragover.
+let ignorePatternErrors = []; // Errors reported for the current ignore list text (empty when all patterns are valid).
+let ignoreValidationTimer = null; // Debounce timer for validating the ignore list while the user types.
+// The editor search while a query is entered (see "Tree Search"): its matcher, the matching nodes in display order
+// (`matches`, also as the set `matchSet`), the nodes shown when filtering (`visible`) and the current match (`index`). `null` otherwise.
+let treeSearch = null;
+let treeSearchTimer = null; // Debounce timer for searching while the user types.
+let isScanning = false; // True while the main process is scanning a folder for `generateTreeBtn` or `compareTreeBtn`.
+// Compare mode: the folder as found on disk (`actualTree`), its diff with `currentTreeData` (`diffTree`, see
+// `core/diff.js`), and lookups for the editor (diff nodes by layout node ID, added entries by parent ID). `null` otherwise.
+let comparison = null;
+
+// Undo/redo history of tree edits (see "Editor Commands"). Every change to `currentTreeData` goes through it.
+const editHistory = createHistory({ onChange: handleHistoryChange });
+let editStepSkipped = false; // Set by a command whose entry is no longer in the tree (see "Editor Commands").
 
 // Initialize a counter for generating unique IDs for tree nodes.
 // This ensures that new nodes or nodes without IDs get a distinct identifier.
@@ -85,49 +236,11 @@ function toggleTreeOutputButtons() {
     const isTreeContentEmpty = currentTreeData === null || !currentTreeData.children || currentTreeData.children.length === 0;
 
     // Set the disabled property for each button accordingly.
-    showAsciiBtn.disabled = isTreeContentEmpty;
-    showMarkdownBtn.disabled = isTreeContentEmpty;
     saveTreeBtn.disabled = isTreeContentEmpty;
+    exportTreeBtn.disabled = isTreeContentEmpty;
     copyToClipboardBtn.disabled = isTreeContentEmpty;
 }
 
-/**
- * Custom comparison function for sorting tree nodes.
- * The sorting logic prioritizes folders over files and handles special 'userOrder' items.
- * 1. Folders before files.
- * 2. Within the same type, items WITHOUT `userOrder` come before items WITH `userOrder`
- * (this pushes user-added items with the special name '...' to the end of their type group).
- * 3. If both have `userOrder`, sort by `userOrder` (useful for chronological ordering if userOrder is a timestamp).
- * 4. Otherwise (if no `userOrder` involved, or userOrder sorted), sort alphabetically by name.
- * @param {Object} a - First node to compare.
- * @param {Object} b - Second node to compare.
- * @returns {number} A negative, zero, or positive value indicating sort order.
- */
-function customNodeSort(a, b) {
-    const aIsFolder = a.type === 'folder';
-    const bIsFolder = b.type === 'folder';
-
-    const aHasUserOrder = typeof a.userOrder === 'number';
-    const bHasUserOrder = typeof b.userOrder === 'number';
-
-    // Rule 1: Primary sort - Folders before files
-    if (aIsFolder && !bIsFolder) return -1;
-    if (!aIsFolder && bIsFolder) return 1;
-
-    // Rule 2: Within the same type, non-user-ordered items come before user-ordered items
-    if (!aHasUserOrder && bHasUserOrder) return -1;
-    if (aHasUserOrder && !bHasUserOrder) return 1;
-
-    // Rule 3: If both have userOrder, sort by userOrder (e.g., chronological for timestamps)
-    if (aHasUserOrder && bHasUserOrder) {
-        return a.userOrder - b.userOrder;
-    }
-
-    // Rule 4: If neither has userOrder (or both had userOrder and were sorted by Rule 3),
-    // sort alphabetically by name.
-    return a.name.localeCompare(b.name);
-}
-
 /**
  * Generates a simple unique ID for a tree node using a counter.
  * @returns {string} A unique ID string (e.g., 'node-1', 'node-2').
@@ -161,164 +274,597 @@ function assignIdsAndCollapsedState(node) {
 }
 
 /**
- * Finds a node in the tree by its unique ID using a depth-first search.
- * @param {Object} root - The root of the tree (or subtree) to search from.
- * @param {string} id - The unique ID of the node to find.
- * @returns {Object|null} The found node object, or null if no node with the given ID is found.
+ * Validates the ignore list text through the main process and reflects the result in the UI.
+ * Invalid fields get an error outline, and the errors are reported via `displayMessage`
+ * (only when they change, so typing does not re-trigger the same message).
+ * @returns {Promise<boolean>} Resolves with true if every pattern is valid.
  */
-function findNodeById(root, id) {
-    if (!root) return null; // Base case: if root is null, node cannot be found.
+async function validateIgnorePatternsInput() {
+    try {
+        const result = await window.electronAPI.validateIgnorePatterns(ignoredFoldersInput.value);
+        const previousErrors = JSON.stringify(ignorePatternErrors);
+        ignorePatternErrors = result.errors;
 
-    if (root.id === id) {
-        return root; // Node found!
-    }
+        ignoredFoldersInput.classList.toggle('invalid', !result.valid);
+        ignoredFoldersInput.title = result.valid ? '' : result.errors.map(error => `${error.pattern}: ${error.message}`).join('\n');
 
-    // If the current node has children, recursively search within them.
-    if (root.children) {
-        for (const child of root.children) {
-            const found = findNodeById(child, id);
-            if (found) {
-                return found; // Return if found in a child's subtree.
-            }
+        if (!result.valid && JSON.stringify(result.errors) !== previousErrors) {
+            const details = result.errors.map(error => `"${error.pattern}": ${error.message}`).join('\n');
+            displayMessage(`Invalid ignore pattern(s):\n${details}`, 'error', 7000);
         }
+        return result.valid;
+    } catch (error) {
+        console.error('Error validating ignore patterns:', error);
+        return true; // Let the main process report problems when the tree is generated.
     }
-    return null; // Node not found in this subtree.
 }
 
+
 /**
- * Finds a node's parent in the tree by the node's ID.
- * This is essential for modifying the tree structure (e.g., deleting or moving nodes).
- * @param {Object} root - The root of the tree to search.
- * @param {string} id - The ID of the node whose parent we need to find.
- * @returns {Object|null} The parent node object, or null if the parent is not found
- * (e.g., for the absolute root node itself, which has no parent).
+ * Switches the Folder Selection card between its idle and scanning states.
+ * While scanning, the Generate, Generate Workspace and Compare buttons are disabled and the progress line with its Cancel button is shown.
+ * @param {boolean} scanning - Whether a scan is starting (true) or has finished (false).
  */
-function findNodeParent(root, id) {
-    // Check if any immediate child of the current root has the target ID.
-    if (root.children && root.children.some(child => child.id === id)) {
-        return root; // Current root is the parent.
+function setScanningState(scanning) {
+    isScanning = scanning;
+    generateTreeBtn.disabled = scanning;
+    regenerateCleanBtn.disabled = scanning;
+    generateWorkspaceBtn.disabled = scanning;
+    compareTreeBtn.disabled = scanning;
+    selectFolderBtn.disabled = scanning;
+    cancelScanBtn.disabled = false;
+    scanStatus.classList.toggle('hidden', !scanning);
+    if (scanning) {
+        scanProgressText.textContent = 'Starting scan...';
     }
+}
 
-    // If the current root has children, recursively search in their subtrees.
-    if (root.children) {
-        for (const child of root.children) {
-            const foundParent = findNodeParent(child, id);
-            if (foundParent) {
-                return foundParent; // Return if parent found in a child's subtree.
-            }
+/**
+ * Reads the scan settings of the Folder Selection card.
+ * @returns {{ ignorePatterns: string, useGitignore: boolean, scanOptions: Object }} The arguments of
+ * `window.electronAPI.generateTree` after the folder path.
+ */
+function getScanSettings() {
+    return {
+        ignorePatterns: ignoredFoldersInput.value.trim(),
+        useGitignore: useGitignoreCheckbox.checked,
+        // Empty limit fields mean "no limit"; the main process rejects anything that is not a whole number.
+        scanOptions: {
+            maxDepth: maxDepthInput.value === '' ? null : Number(maxDepthInput.value),
+            maxEntries: maxEntriesInput.value === '' ? null : Number(maxEntriesInput.value),
+            symlinks: symlinkModeSelect.value,
+            collectMetadata: collectMetadataCheckbox.checked,
+            sort: getSortOptions() // Entries are read in display order, so the entry limit keeps those shown first.
         }
-    }
-    return null; // Parent not found in this subtree.
+    };
 }
 
 /**
- * Validates if a given object has the basic structure of a tree node expected by the application.
- * This check ensures that loaded JSON files conform to the expected data model.
- * @param {Object} tree - The object to validate.
- * @returns {boolean} True if the object has the basic tree node structure (name, type, children), false otherwise.
+ * Displays a progress report pushed by the main process during a scan.
+ * @param {Electron.IpcRendererEvent} event - The IPC event (unused).
+ * @param {{ directories: number, files: number, currentPath: string }} progress - The running totals.
  */
-function isValidTreeStructure(tree) {
-    return (
-        typeof tree === 'object' && tree !== null &&
-        'name' in tree && typeof tree.name === 'string' &&
-        'type' in tree && (tree.type === 'folder' || tree.type === 'file') && // Ensures 'type' is 'folder' or 'file'.
-        'children' in tree && Array.isArray(tree.children) // Ensures 'children' exists and is an array.
-    );
+function handleScanProgress(event, progress) {
+    if (!isScanning) {
+        return; // A late report from a scan that has already finished.
+    }
+    const directories = progress.directories.toLocaleString();
+    const files = progress.files.toLocaleString();
+    scanProgressText.textContent = `Scanning... ${directories} folders, ${files} files - ${progress.currentPath}`;
+    scanProgressText.title = progress.currentPath; // Full path on hover, as long paths are truncated.
 }
 
 
 // =============================================================================
-// Tree Generation & Formatting Functions
+// Tree Formatting Functions
 // =============================================================================
-// These functions convert the internal tree data structure into displayable formats (ASCII, Markdown).
+// The output formats are the exporters registered in `core/exporters.js`, shared with the
+// command-line interface; this section only manages how their output is displayed.
 
 /**
- * Recursively generates an ASCII art representation of the directory tree.
- * Handles different rendering for the conceptual root versus regular nodes.
- * @param {Object} node - The current node in the tree (folder or file) to render.
- * @param {string} indent - The current indentation string (e.g., '│   ', '    ').
- * @param {boolean} isLast - True if the current node is the last child of its parent,
- * affecting the connector (└── vs ├──).
- * @returns {string} The ASCII string representation of the node and its children.
+ * Collects the sort order chosen in the "Generated Tree" card. The same order is used by the
+ * interactive editor and by the generated output.
+ * @returns {Object} The sort options for `createNodeSorter`.
  */
-function generateAsciiTree(node, indent = '', isLast = true) {
-    let output = '';
+function getSortOptions() {
+    return {
+        mode: sortModeSelect.value,
+        foldersFirst: sortFoldersFirstCheckbox.checked,
+        natural: sortNaturalCheckbox.checked,
+        caseSensitive: sortCaseSensitiveCheckbox.checked
+    };
+}
 
-    // Special handling for the absolute conceptual root node (which has id 'root').
-    // The root itself doesn't get a prefix, only its name and then its children.
-    if (node.id === 'root') {
-        output += node.name + '\n';
+/**
+ * Shows the given sort order in the sort controls (e.g. the order restored from the settings).
+ * @param {Object} sortOptions - The sort options; missing or invalid values fall back to the defaults.
+ */
+function setSortOptions(sortOptions) {
+    const { mode, foldersFirst, natural, caseSensitive } = normalizeSortOptions(sortOptions);
+    sortModeSelect.value = mode;
+    sortFoldersFirstCheckbox.checked = foldersFirst;
+    sortNaturalCheckbox.checked = natural;
+    sortCaseSensitiveCheckbox.checked = caseSensitive;
+}
 
-        if (node.children && node.children.length > 0) {
-            // Sort children of the root using the custom sort function.
-            const sortedChildren = [...node.children].sort(customNodeSort);
+/**
+ * Collects the ASCII style chosen in the "Generated Tree" card.
+ * @returns {string|Object} A preset name (see `ASCII_STYLES` in `core/formatters.js`), or the
+ * custom connectors `{ branch, last, pipe, blank }`.
+ */
+function getAsciiStyle() {
+    if (asciiStyleSelect.value !== 'custom') {
+        return asciiStyleSelect.value;
+    }
+    return {
+        branch: customBranchInput.value,
+        last: customLastInput.value,
+        pipe: customPipeInput.value,
+        blank: customBlankInput.value
+    };
+}
 
-            // Recursively call for children of the root.
-            // They start with an empty initial 'indent' and 'isLast' determined by their position.
-            sortedChildren.forEach((child, index) => {
-                output += generateAsciiTree(child, '', index === sortedChildren.length - 1);
-            });
-        }
-        return output; // Return early after processing the root and its direct children.
+/**
+ * Collects the Markdown options chosen in the "Generated Tree" card.
+ * @returns {Object} The Markdown options for `generateMarkdownTree`.
+ */
+function getMarkdownOptions() {
+    return {
+        style: markdownStyleSelect.value,
+        links: markdownLinksCheckbox.checked,
+        linkBase: markdownLinkBaseInput.value.trim(),
+        icons: markdownIconsCheckbox.checked,
+        taskList: markdownTaskListCheckbox.checked
+    };
+}
+
+/**
+ * Shows the given Markdown options in the Markdown controls (e.g. the options restored from the settings).
+ * @param {Object} markdownOptions - The Markdown options; missing or invalid values fall back to the defaults.
+ */
+function setMarkdownOptions(markdownOptions) {
+    const { style, links, linkBase, icons, taskList } = normalizeMarkdownOptions(markdownOptions);
+    markdownStyleSelect.value = style;
+    markdownLinksCheckbox.checked = links;
+    markdownLinkBaseInput.value = linkBase;
+    markdownIconsCheckbox.checked = icons;
+    markdownTaskListCheckbox.checked = taskList;
+}
+
+/**
+ * Collects the output options chosen in the "Generated Tree" card, for the core formatters.
+ * @returns {Object} The options passed to the exporters (see `exportTree`).
+ */
+function getOutputOptions() {
+    return {
+        showMetadata: showMetadataCheckbox.checked,
+        sort: getSortOptions(),
+        asciiStyle: getAsciiStyle(),
+        folderSlash: folderSlashCheckbox.checked,
+        markdown: getMarkdownOptions()
+    };
+}
+
+/**
+ * Shows the ASCII output with the current style settings, switching the output format to ASCII
+ * if needed, so style changes are previewed as they are made.
+ */
+function previewAsciiStyle() {
+    outputFormatSelect.value = 'ascii';
+    refreshTreeOutput();
+}
+
+/**
+ * Shows the Markdown output with the current Markdown options and remembers them in the settings.
+ */
+async function applyMarkdownOptions() {
+    outputFormatSelect.value = 'markdown';
+    refreshTreeOutput();
+    const result = await window.electronAPI.saveMarkdownOptions(getMarkdownOptions());
+    if (!result.success) {
+        displayMessage(result.message, 'error');
+    }
+}
+
+/**
+ * Fills the output format selector with the registered exporters; ASCII is selected initially.
+ */
+function populateOutputFormats() {
+    listExporters().forEach(exporter => {
+        const option = document.createElement('option');
+        option.value = exporter.id;
+        option.textContent = exporter.label;
+        outputFormatSelect.appendChild(option);
+    });
+    outputFormatSelect.value = 'ascii';
+}
+
+/**
+ * Renders the current tree in the selected output format, e.g. after an edit or an output option changed.
+ * In compare mode, renders the diff with the folder on disk instead (an ASCII tree with +/-/~ markers).
+ */
+function refreshTreeOutput() {
+    if (comparison && currentTreeData) {
+        treeOutput.textContent = generateDiffTree(comparison.diffTree, getOutputOptions()); // In compare mode, the pane shows the diff.
+        return;
     }
+    // Workspaces with the side-by-side layout are written as one tree per root folder.
+    treeOutput.textContent = currentTreeData ? exportWorkspaceTree(getOutputTree(), outputFormatSelect.value, getOutputOptions()) : '';
+}
+
+/**
+ * Returns the tree to show in the output pane and to export: the whole tree or, with "Filtered only"
+ * checked during a search, a copy holding just the matches and the folders leading to them.
+ * @returns {Object} The tree to write.
+ */
+function getOutputTree() {
+    return treeSearch && outputFilteredOnlyCheckbox.checked ? filterTree(currentTreeData, treeSearch.matcher) : currentTreeData;
+}
 
-    // Normal handling for all other nodes (non-root).
-    // Determine the connector prefix based on whether it's the last child.
-    const prefix = indent + (isLast ? '└── ' : '├── ');
-    output += prefix + node.name + '\n'; // Add the current node's name with its prefix.
 
-    // If the node is a folder and has children, process them.
-    if (node.children && node.children.length > 0) {
-        // Calculate the indentation for children: add '    ' if parent is last, '│   ' if not.
-        const childIndent = indent + (isLast ? '    ' : '│   ');
-        // Sort children using the custom sort function for consistent output.
-        const sortedChildren = [...node.children].sort(customNodeSort);
+// =============================================================================
+// Editor Commands (Undo/Redo)
+// =============================================================================
+// Each tree edit is a command `{ label, execute, undo }` run through `editHistory`.
+// Commands find the nodes they change by ID when they run, not by the objects or positions
+// seen when they were created: live refresh changes the tree outside the history, so a node
+// may have been replaced, moved or removed since. A step whose node is gone does nothing and
+// calls `skipEditStep`. The views are refreshed by `handleHistoryChange` after every step.
 
-        // Recursively call for each child.
-        sortedChildren.forEach((child, index) => {
-            output += generateAsciiTree(child, childIndent, index === sortedChildren.length - 1);
-        });
+/**
+ * Refreshes everything derived from `currentTreeData`: the interactive editor, the output pane,
+ * the output buttons and the undo/redo buttons. Called by `editHistory` after every change.
+ */
+function handleHistoryChange() {
+    refreshInteractiveTreeEditor();
+    refreshTreeOutput(); // Update the output pane in the selected format.
+    toggleTreeOutputButtons();
+    updateHistoryButtons();
+}
+
+/**
+ * Enables the undo/redo buttons when there is something to undo/redo, and names the step in their tooltips.
+ */
+function updateHistoryButtons() {
+    undoBtn.disabled = !editHistory.canUndo();
+    redoBtn.disabled = !editHistory.canRedo();
+    undoBtn.title = editHistory.canUndo() ? `Undo ${editHistory.undoLabel()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = editHistory.canRedo() ? `Redo ${editHistory.redoLabel()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+/**
+ * Marks the running undo or redo step as skipped, because the entry it changes is no longer
+ * in the tree (e.g. it was deleted on disk and removed by live refresh).
+ */
+function skipEditStep() {
+    editStepSkipped = true;
+}
+
+/**
+ * Undoes the most recent tree edit, if any, and reports what was undone.
+ */
+function undoLastEdit() {
+    nodeBeingEdited = null; // Leave any edit mode; the node being edited may not exist after undoing.
+    commentBeingEdited = null;
+    editStepSkipped = false;
+    const command = editHistory.undo();
+    if (command && editStepSkipped) {
+        displayMessage(`Skipped undoing ${command.label}: the entry is no longer in the tree.`, 'info');
+    } else if (command) {
+        displayMessage(`Undone: ${command.label}.`, 'info', 2000);
+    }
+}
+
+/**
+ * Redoes the most recently undone tree edit, if any, and reports what was redone.
+ */
+function redoLastEdit() {
+    nodeBeingEdited = null;
+    commentBeingEdited = null;
+    editStepSkipped = false;
+    const command = editHistory.redo();
+    if (command && editStepSkipped) {
+        displayMessage(`Skipped redoing ${command.label}: the entry is no longer in the tree.`, 'info');
+    } else if (command) {
+        displayMessage(`Redone: ${command.label}.`, 'info', 2000);
     }
-    return output;
 }
 
 /**
- * Recursively generates a Markdown list representation of the directory tree.
- * Each level is indented with two spaces.
- * @param {Object} node - The current node in the tree to render.
- * @param {number} level - The current indentation level (0 for root, 1 for its children, etc.).
- * @returns {string} The Markdown string representation of the node and its children.
+ * Creates a command that adds a new node to a folder.
+ * @param {Object} parentNode - The folder to add to.
+ * @param {Object} newNode - The node to add.
+ * @returns {Object} The command.
+ */
+function createAddNodeCommand(parentNode, newNode) {
+    const parentId = parentNode.id;
+    return {
+        label: `add "${newNode.name}"`,
+        execute() {
+            const parent = attachNode(currentTreeData, parentId, newNode);
+            if (!parent) {
+                skipEditStep();
+                return;
+            }
+            parent.collapsed = false; // Make the new child visible.
+        },
+        undo() {
+            if (!detachNode(currentTreeData, newNode.id)) {
+                skipEditStep();
+            }
+        }
+    };
+}
+
+/**
+ * Creates a command that renames a node. Renaming a child to '...' also gives it a `userOrder`
+ * so it sorts after its siblings (and renaming it away from '...' removes it); the root never gets one.
+ * Scanned nodes remember their name on disk in `sourceName`, so regenerating can still match them.
+ * @param {Object} node - The node to rename.
+ * @param {string} newName - The new name.
+ * @returns {Object} The command.
  */
-function generateMarkdownTree(node, level = 0) {
-    let output = '';
-    const indent = '  '.repeat(level); // Use two spaces per level for Markdown list indentation.
-    output += `${indent}- ${node.name}\n`; // Add the current node as a list item.
+function createRenameCommand(node, newName) {
+    const nodeId = node.id;
+    const isRoot = node === currentTreeData;
+    const previous = { name: node.name, userOrder: node.userOrder, sourceName: node.sourceName };
+    const next = { name: newName, userOrder: node.userOrder, sourceName: node.sourceName };
+    if (!node.virtual) {
+        const sourceName = typeof node.sourceName === 'string' ? node.sourceName : node.name;
+        next.sourceName = newName === sourceName ? undefined : sourceName; // Renamed back: nothing to remember.
+    }
 
-    // If the node is a folder and has children, process them.
-    if (node.children && node.children.length > 0) {
-        // Sort children using the custom sort function for consistent output.
-        const sortedChildren = [...node.children].sort(customNodeSort);
-        // Recursively call for each child, increasing the indentation level.
-        sortedChildren.forEach(child => {
-            output += generateMarkdownTree(child, level + 1);
-        });
+    // --- Special sorting logic for "..." name ---
+    // Assign userOrder for special sorting if name becomes '...'.
+    // Remove userOrder if renamed away from "..."
+    if (!isRoot) {
+        if (newName === '...') {
+            next.userOrder = Date.now();
+        } else if (typeof node.userOrder === 'number') {
+            next.userOrder = undefined;
+        }
     }
-    return output;
+    // --- End special sorting logic ---
+
+    const applyState = (state) => {
+        const target = isRoot ? currentTreeData : findNodeById(currentTreeData, nodeId);
+        if (!target) {
+            skipEditStep();
+            return;
+        }
+        target.name = state.name;
+        if (typeof state.userOrder === 'number') {
+            target.userOrder = state.userOrder;
+        } else {
+            delete target.userOrder;
+        }
+        if (typeof state.sourceName === 'string') {
+            target.sourceName = state.sourceName;
+        } else {
+            delete target.sourceName;
+        }
+    };
+    return {
+        label: `rename "${previous.name}" to "${newName}"`,
+        execute: () => applyState(next),
+        undo: () => applyState(previous)
+    };
+}
+
+/**
+ * Creates a command that sets or removes a node's comment.
+ * @param {Object} node - The node to comment.
+ * @param {string} comment - The new (normalized) comment; empty to remove it.
+ * @returns {Object} The command.
+ */
+function createCommentCommand(node, comment) {
+    const nodeId = node.id;
+    const previousComment = node.comment;
+    const applyComment = (value) => {
+        const target = findNodeById(currentTreeData, nodeId);
+        if (!target) {
+            skipEditStep();
+        } else if (value) {
+            target.comment = value;
+        } else {
+            delete target.comment;
+        }
+    };
+    return {
+        label: comment ? `comment on "${node.name}"` : `remove comment from "${node.name}"`,
+        execute: () => applyComment(comment),
+        undo: () => applyComment(previousComment)
+    };
 }
 
 /**
- * Manages the active and disabled states of the tree display buttons.
- * @param {HTMLElement} activeButton - The button to set as active (e.g., showAsciiBtn).
- * @param {HTMLElement} inactiveButton - The button to set as inactive (e.g., showMarkdownBtn).
+ * Creates a command that deletes a node (and everything below it) from its parent folder.
+ * Undoing puts it back at the position it was deleted from (or the nearest one, if the
+ * folder changed meanwhile).
+ * @param {Object} parentNode - The folder holding the node.
+ * @param {Object} node - The node to delete.
+ * @returns {Object} The command.
  */
-function setActiveDisplayButton(activeButton, inactiveButton) {
-    // Add active class and disable the active button
-    activeButton.classList.add('active');
-    activeButton.disabled = true;
+function createDeleteNodeCommand(parentNode, node) {
+    const parentId = parentNode.id;
+    let index; // Where the node was when it was (last) deleted.
+    return {
+        label: `delete "${node.name}"`,
+        execute() {
+            const removed = detachNode(currentTreeData, node.id);
+            if (!removed) {
+                skipEditStep();
+                return;
+            }
+            index = removed.index;
+        },
+        undo() {
+            if (!attachNode(currentTreeData, parentId, node, index)) {
+                skipEditStep();
+            }
+        }
+    };
+}
+
+/**
+ * Creates a command that removes all children of a folder (used to clear the whole tree).
+ * @param {Object} folderNode - The folder to empty.
+ * @returns {Object} The command.
+ */
+function createClearChildrenCommand(folderNode) {
+    const folderId = folderNode.id;
+    let previousChildren = [];
+    return {
+        label: `clear "${folderNode.name}"`,
+        execute() {
+            const folder = findNodeById(currentTreeData, folderId);
+            if (!folder) {
+                skipEditStep();
+                return;
+            }
+            previousChildren = folder.children || [];
+            folder.children = [];
+        },
+        undo() {
+            const folder = findNodeById(currentTreeData, folderId);
+            if (!folder) {
+                skipEditStep();
+                return;
+            }
+            folder.children = [...previousChildren, ...(folder.children || [])]; // Keeps entries found on disk since.
+        }
+    };
+}
+
+/**
+ * Creates a command that moves a node into a folder or next to a sibling (see `moveNode` in `core/tree.js`).
+ * Undoing puts the node back where it was and restores every `userOrder` the move renumbered.
+ * The move must already have been validated with `checkMove`; a redo that is no longer valid is skipped.
+ * @param {string} nodeId - The ID of the node to move.
+ * @param {string} targetId - The ID of the node it was dropped on.
+ * @param {'before'|'after'|'into'} position - Where it was dropped relative to the target.
+ * @returns {Object} The command.
+ */
+function createMoveNodeCommand(nodeId, targetId, position) {
+    const { node, sourceParent, destinationParent } = checkMove(currentTreeData, nodeId, targetId, position);
+    const sourceParentId = sourceParent.id;
+    const destinationParentId = destinationParent.id;
+    const sourceIndex = sourceParent.children.indexOf(node);
+    // The `userOrder` of every node the move may renumber, by ID.
+    const previousOrders = new Map([...sourceParent.children, ...(destinationParent.children || [])]
+        .map(child => [child.id, child.userOrder]));
+    const wasCollapsed = destinationParent.collapsed;
+    const previousSourceFolder = node.sourceFolder; // Set by `moveNode` when the node leaves its folder on disk.
+    const sortOptions = getSortOptions(); // The order the user saw when dropping; also used for redo.
+
+    return {
+        label: position === 'into' ? `move "${node.name}" into "${destinationParent.name}"` : `move "${node.name}"`,
+        execute() {
+            if (!checkMove(currentTreeData, nodeId, targetId, position).valid) {
+                skipEditStep(); // The node or the target is gone, or the move would clash now.
+                return;
+            }
+            moveNode(currentTreeData, nodeId, targetId, position, sortOptions);
+            findNodeById(currentTreeData, destinationParentId).collapsed = false; // Make the moved node visible.
+        },
+        undo() {
+            const removed = detachNode(currentTreeData, nodeId);
+            if (!removed) {
+                skipEditStep();
+                return;
+            }
+            if (!attachNode(currentTreeData, sourceParentId, removed.node, sourceIndex)) {
+                attachNode(currentTreeData, removed.parent.id, removed.node, removed.index); // Its folder is gone: leave it.
+                skipEditStep();
+                return;
+            }
+            previousOrders.forEach((userOrder, id) => {
+                const child = findNodeById(currentTreeData, id);
+                if (!child) {
+                    return;
+                } else if (typeof userOrder === 'number') {
+                    child.userOrder = userOrder;
+                } else {
+                    delete child.userOrder;
+                }
+            });
+            const destination = findNodeById(currentTreeData, destinationParentId);
+            if (destination) {
+                destination.collapsed = wasCollapsed;
+            }
+            if (typeof previousSourceFolder === 'string') {
+                removed.node.sourceFolder = previousSourceFolder;
+            } else {
+                delete removed.node.sourceFolder;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a command that replaces the whole tree, e.g. after loading a file or regenerating from disk.
+ * @param {string} label - Description of the change, e.g. 'load tree'.
+ * @param {Object} newTree - The tree to show; its root is marked as the conceptual root.
+ * @returns {Object} The command.
+ */
+function createReplaceTreeCommand(label, newTree) {
+    const previousTree = currentTreeData;
+    newTree.id = 'root'; // Ensure the new root is marked as the conceptual root.
+    return {
+        label,
+        execute() {
+            currentTreeData = newTree;
+        },
+        undo() {
+            currentTreeData = previousTree;
+        }
+    };
+}
+
+
+/**
+ * Tells whether two trees were scanned from the same folder, or from the same workspace folders,
+ * by the absolute paths recorded on their roots (`sourcePaths`). Trees without them (e.g. imported
+ * from text, or saved before the paths were recorded) match nothing.
+ * @param {Object} tree - The tree in the editor.
+ * @param {Object} scannedTree - A fresh scan.
+ * @returns {boolean} True if both trees were scanned from the same folder(s).
+ */
+function isScannedFromSameFolders(tree, scannedTree) {
+    if (!Array.isArray(tree.sourcePaths) || !Array.isArray(scannedTree.sourcePaths)) {
+        return false;
+    }
+    const paths = [...tree.sourcePaths].sort();
+    const scannedPaths = [...scannedTree.sourcePaths].sort();
+    return paths.length === scannedPaths.length && paths.every((folderPath, index) => folderPath === scannedPaths[index]);
+}
 
-    // Remove active class and enable the inactive button
-    inactiveButton.classList.remove('active');
-    inactiveButton.disabled = false;
+/**
+ * Shows a fresh scan in the editor, undoably. A tree generated from the same folder (or workspace)
+ * before is merged with the scan instead of being replaced, keeping the entries added, renamed,
+ * moved, commented or collapsed in the editor (see `mergeTrees`); entries kept despite a conflict
+ * are highlighted.
+ * @param {Object} scannedTree - The scan, with the absolute path(s) of its folder(s) in `sourcePaths`.
+ * @param {string} label - The name of the step in the undo history, e.g. 'regenerate tree'.
+ * @param {string} successMessage - The message shown when the tree is replaced.
+ * @param {boolean} [keepEdits=true] - Whether to merge with the tree in the editor; false replaces it in any case.
+ */
+function applyScannedTree(scannedTree, label, successMessage, keepEdits = true) {
+    const hasChildren = currentTreeData.children && currentTreeData.children.length > 0;
+    if (!keepEdits || !hasChildren || !isScannedFromSameFolders(currentTreeData, scannedTree)) {
+        mergeConflicts = new Map();
+        editHistory.execute(createReplaceTreeCommand(label, scannedTree));
+        displayMessage(successMessage, 'success');
+        return;
+    }
+    const { tree, conflicts } = mergeTrees(currentTreeData, scannedTree);
+    mergeConflicts = new Map(conflicts.map(conflict => [conflict.node, conflict.message]));
+    editHistory.execute(createReplaceTreeCommand(label, tree));
+    if (conflicts.length > 0) {
+        displayMessage(`Tree regenerated, keeping your edits. ${conflicts.length} conflicting item(s) were kept and are highlighted; hover them for details.`, 'info', 7000);
+    } else {
+        displayMessage('Tree regenerated, keeping your edits. Press Ctrl+Z for the previous tree.', 'success');
+    }
 }
 
 
@@ -327,6 +873,216 @@ function setActiveDisplayButton(activeButton, inactiveButton) {
 // =============================================================================
 // These functions manage the visual display and user interactions for editing the tree (add, rename, delete, collapse).
 
+/**
+ * Builds the tooltip describing a node's scan metadata: size, modification time and, for folders, totals.
+ * @param {Object} node - The node to describe.
+ * @returns {string} The tooltip text, or '' if the node carries no metadata.
+ */
+function describeNodeMetadata(node) {
+    const lines = [];
+    if (node.type === 'folder' && typeof node.totalSize === 'number') {
+        lines.push(`Total size: ${formatSize(node.totalSize)}`);
+        lines.push(`Files: ${node.fileCount}, folders: ${node.folderCount}`);
+    } else if (typeof node.size === 'number') {
+        lines.push(`Size: ${formatSize(node.size)} (${node.size.toLocaleString()} bytes)`);
+    }
+    if (typeof node.mtime === 'number') {
+        lines.push(`Modified: ${new Date(node.mtime).toLocaleString()}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Appends a node's metadata summary (e.g. '124 files, 3.2 MB') as a right-aligned column,
+ * with the full details in the line's tooltip. Does nothing for nodes without metadata.
+ * @param {Object} node - The node being rendered.
+ * @param {HTMLElement} lineElement - The node's line (`.node-line` or `.root-display-line`).
+ */
+function appendNodeMetadata(node, lineElement) {
+    const summary = formatMetadataSummary(node);
+    if (!summary) {
+        return;
+    }
+    const metaElement = document.createElement('span');
+    metaElement.classList.add('node-meta');
+    metaElement.textContent = summary;
+    lineElement.appendChild(metaElement);
+    lineElement.title = describeNodeMetadata(node);
+}
+
+/**
+ * Works out where a dragged node would land relative to the node under the pointer:
+ * the top quarter of a folder's line means 'before', the bottom quarter 'after', the middle 'into';
+ * for other nodes, the top half means 'before' and the bottom half 'after'. The root only accepts 'into'.
+ * @param {DragEvent} e - The dragover/drop event.
+ * @param {HTMLElement} lineElement - The line of the node under the pointer.
+ * @param {Object} node - The node under the pointer.
+ * @returns {'before'|'after'|'into'} The drop position.
+ */
+function getDropPosition(e, lineElement, node) {
+    if (node === currentTreeData) {
+        return 'into';
+    }
+    const rect = lineElement.getBoundingClientRect();
+    const ratio = (e.clientY - rect.top) / rect.height;
+    if (node.type === 'folder') {
+        return ratio < 0.25 ? 'before' : ratio > 0.75 ? 'after' : 'into';
+    }
+    return ratio < 0.5 ? 'before' : 'after';
+}
+
+/**
+ * Removes the drop-target highlighting from one line, or from the whole editor.
+ * @param {HTMLElement} [lineElement] - The line to clear; all lines if omitted.
+ */
+function clearDropIndicators(lineElement) {
+    const lines = lineElement ? [lineElement] : interactiveTreeEditor.querySelectorAll('.drop-before, .drop-after, .drop-into, .drop-invalid');
+    lines.forEach(line => line.classList.remove('drop-before', 'drop-after', 'drop-into', 'drop-invalid'));
+}
+
+/**
+ * Makes a node's line a drop target for drag-and-drop moves (and, except for the root, draggable itself).
+ * Drop targets are highlighted while dragging; invalid targets (a folder's own descendants, duplicate
+ * names) are marked and the reason is shown in the message bar.
+ * @param {Object} node - The node the line belongs to.
+ * @param {HTMLElement} lineElement - The node's line (`.node-line` or `.root-display-line`).
+ * @param {HTMLElement} [nodeElement] - The element holding the node and its children, dimmed while it is dragged.
+ */
+function attachDragAndDrop(node, lineElement, nodeElement) {
+    if (node !== currentTreeData && nodeBeingEdited !== node.id) {
+        lineElement.draggable = true;
+        lineElement.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            draggedNodeId = node.id;
+            lastDropMessage = null;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', node.name);
+            nodeElement.classList.add('dragging');
+        });
+        lineElement.addEventListener('dragend', () => {
+            draggedNodeId = null;
+            nodeElement.classList.remove('dragging');
+            clearDropIndicators();
+        });
+    }
+
+    lineElement.addEventListener('dragover', (e) => {
+        if (!draggedNodeId) {
+            return; // Not one of our nodes (e.g. a file dragged in from outside).
+        }
+        const position = getDropPosition(e, lineElement, node);
+        const check = checkMove(currentTreeData, draggedNodeId, node.id, position);
+        clearDropIndicators(lineElement);
+        if (!check.valid) {
+            lineElement.classList.add('drop-invalid');
+            // Explain why, once per reason; hovering the dragged node itself needs no explanation.
+            if (node.id !== draggedNodeId && check.message !== lastDropMessage) {
+                lastDropMessage = check.message;
+                displayMessage(check.message, 'error', 3000);
+            }
+            return; // Not calling preventDefault() refuses the drop.
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        lineElement.classList.add(`drop-${position}`);
+    });
+
+    lineElement.addEventListener('dragleave', (e) => {
+        if (!lineElement.contains(e.relatedTarget)) {
+            clearDropIndicators(lineElement);
+        }
+    });
+
+    lineElement.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const movedNodeId = draggedNodeId;
+        const position = getDropPosition(e, lineElement, node);
+        draggedNodeId = null;
+        clearDropIndicators();
+        if (movedNodeId && checkMove(currentTreeData, movedNodeId, node.id, position).valid) {
+            editHistory.execute(createMoveNodeCommand(movedNodeId, node.id, position)); // Move and re-render.
+        }
+    });
+}
+
+/**
+ * Appends a node's comment to its line: an input while the comment is being edited,
+ * otherwise a `# comment` span that switches to editing when clicked.
+ * Does nothing for nodes without a comment that are not being edited.
+ * @param {Object} node - The node being rendered.
+ * @param {HTMLElement} lineElement - The node's line (`.node-line` or `.root-display-line`).
+ */
+function appendNodeComment(node, lineElement) {
+    if (commentBeingEdited === node.id) {
+        const commentInput = document.createElement('input');
+        commentInput.type = 'text';
+        commentInput.classList.add('node-comment-input');
+        commentInput.value = normalizeComment(node.comment);
+        commentInput.placeholder = 'Comment (leave empty to remove)';
+        setTimeout(() => commentInput.focus(), 50); // As for renaming: focus once the DOM has updated.
+
+        let finished = false; // Enter and the following blur must not both apply the change.
+        const finishEditing = (save) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            commentBeingEdited = null;
+            const comment = normalizeComment(commentInput.value); // An empty comment removes it.
+            if (save && comment !== normalizeComment(node.comment)) {
+                editHistory.execute(createCommentCommand(node, comment));
+            } else {
+                refreshInteractiveTreeEditor(); // Nothing changed; just leave edit mode.
+            }
+        };
+
+        commentInput.addEventListener('blur', () => finishEditing(true));
+        commentInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finishEditing(true);
+            } else if (e.key === 'Escape') {
+                finishEditing(false); // Discard changes.
+            }
+        });
+        commentInput.addEventListener('click', (e) => e.stopPropagation());
+        lineElement.appendChild(commentInput);
+        return;
+    }
+
+    const comment = normalizeComment(node.comment);
+    if (!comment) {
+        return;
+    }
+    const commentElement = document.createElement('span');
+    commentElement.classList.add('node-comment');
+    commentElement.textContent = `# ${comment}`;
+    commentElement.title = 'Click to edit the comment';
+    commentElement.addEventListener('click', (e) => {
+        e.stopPropagation();
+        commentBeingEdited = node.id;
+        refreshInteractiveTreeEditor();
+    });
+    lineElement.appendChild(commentElement);
+}
+
+/**
+ * Creates the action button that starts editing a node's comment.
+ * @param {Object} node - The node the button belongs to.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createCommentButton(node) {
+    const commentBtn = document.createElement('button');
+    commentBtn.classList.add('action-btn', 'comment');
+    commentBtn.innerHTML = '<i class="bi bi-chat-left-text"></i>'; // Bootstrap icon.
+    commentBtn.title = normalizeComment(node.comment) ? `Edit comment on "${node.name}"` : `Add comment to "${node.name}"`;
+    commentBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        commentBeingEdited = node.id;
+        refreshInteractiveTreeEditor();
+    });
+    return commentBtn;
+}
+
 /**
  * Renders a single tree node into the DOM for the interactive editor.
  * This function is specifically designed for child nodes, not the conceptual root, which is handled separately in `refreshInteractiveTreeEditor`.
@@ -373,8 +1129,8 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
     const toggle = document.createElement('span');
     toggle.classList.add('node-toggle');
     if (node.type === 'folder') {
-        // Show caret only if the folder has children.
-        if (node.children && node.children.length > 0) {
+        // Show caret only if the folder has children (or entries left out by a scan limit).
+        if ((node.children && node.children.length > 0) || node.omittedCount > 0) {
             toggle.innerHTML = node.collapsed ? '<i class="bi bi-caret-right-fill"></i>' : '<i class="bi bi-caret-down-fill"></i>';
             // Add click listener to toggle collapsed state.
             toggle.addEventListener('click', (e) => {
@@ -391,11 +1147,13 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
     }
     nodeLine.appendChild(toggle);
 
-    // --- Node Icon (Folder or File) ---
+    // --- Node Icon (Folder, Symlink or File) ---
     const icon = document.createElement('i');
     icon.classList.add('node-icon');
     if (node.type === 'folder') {
         icon.classList.add('bi', 'bi-folder-fill'); // Bootstrap folder icon.
+    } else if (node.type === 'symlink') {
+        icon.classList.add('bi', 'bi-link-45deg'); // Bootstrap link icon.
     } else {
         icon.classList.add('bi', 'bi-file-earmark-fill'); // Bootstrap file icon.
     }
@@ -438,22 +1196,12 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
                 return;
             }
 
-            node.name = newName; // Update node's name in the data.
-
-            // --- Special sorting logic for "..." name ---
-            // Assign userOrder for special sorting if name becomes '...'.
-            // Remove userOrder if renamed away from "..."
-            if (newName === '...') {
-                node.userOrder = Date.now();
-            } else if (typeof node.userOrder === 'number') {
-                delete node.userOrder;
-            }
-            // --- End special sorting logic ---
-
             nodeBeingEdited = null; // Exit edit mode.
-            refreshInteractiveTreeEditor(); // Re-render the tree to reflect changes.
-            treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII output.
-            toggleTreeOutputButtons(); // Update button states.
+            if (newName === node.name) {
+                refreshInteractiveTreeEditor(); // Nothing changed; just leave edit mode.
+                return;
+            }
+            editHistory.execute(createRenameCommand(node, newName)); // Update the name and re-render.
         };
 
         nameElement.addEventListener('blur', saveName); // Save on blur.
@@ -466,6 +1214,8 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
         // If not in edit mode, render a display span.
         nameElement = document.createElement('span');
         nameElement.classList.add('node-name');
+        // Leave room for the link target and comment, if any.
+        nameElement.classList.toggle('has-annotation', typeof node.target === 'string' || commentBeingEdited === node.id || !!normalizeComment(node.comment));
         nameElement.textContent = node.name;
         // Add click listener to enter edit mode.
         nameElement.addEventListener('click', (e) => {
@@ -476,6 +1226,21 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
     }
     nodeLine.appendChild(nameElement);
 
+    // --- Link Target (symbolic links, and folders/files reached through a followed link) ---
+    if (typeof node.target === 'string' && nodeBeingEdited !== node.id) {
+        const targetElement = document.createElement('span');
+        targetElement.classList.add('node-link-target');
+        targetElement.textContent = `-> ${node.target}`;
+        targetElement.title = `Symbolic link to ${node.target}`;
+        nodeLine.appendChild(targetElement);
+    }
+
+    // --- Comment (shown as '# comment', editable) ---
+    appendNodeComment(node, nodeLine);
+
+    // --- Metadata Column (sizes and counts, for scans that collected metadata) ---
+    appendNodeMetadata(node, nodeLine);
+
 
     // --- Action Buttons (Add File, Add Folder, Delete) ---
     // These buttons appear on hover due to CSS, but are always present in the DOM.
@@ -506,6 +1271,9 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
         nodeActions.appendChild(addFolderBtn);
     }
 
+    // Comment Button (any node)
+    nodeActions.appendChild(createCommentButton(node));
+
     // Delete Button (for any node except the absolute conceptual root 'id:root' - handled in refresh)
     const deleteBtn = document.createElement('button');
     deleteBtn.classList.add('action-btn', 'delete');
@@ -518,6 +1286,10 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
     nodeActions.appendChild(deleteBtn);
 
     nodeLine.appendChild(nodeActions);
+    applyDiffHighlight(node, nodeLine); // Compare mode: missing or changed on disk.
+    applyMergeConflictHighlight(node, nodeLine); // Kept despite a conflict when the tree was regenerated.
+    applySearchHighlight(node, nodeLine); // A match of the editor search.
+    attachDragAndDrop(node, nodeLine, nodeElement); // Drag to move/reorder; drop targets for other nodes.
     nodeElement.appendChild(nodeLine);
 
     // --- Children Container ---
@@ -529,8 +1301,10 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
             childrenContainer.classList.add('collapsed'); // Hide children if folder is collapsed.
         }
 
-        // Sort children for consistent display using the custom sort function.
-        const sortedChildren = [...node.children].sort(customNodeSort);
+        // Sort children in the chosen sort order (the same order as the generated output), leaving out those hidden by a search filter.
+        const sortedChildren = getEditorChildren(node);
+        const hasOmittedMarker = node.omittedCount > 0 && !isTreeFiltered(); // The marker, if any, comes after the last real child.
+        const addedChildren = comparison && !isTreeFiltered() ? comparison.addedByParentId.get(node.id) || [] : []; // Compare mode: found on disk only
 
         // Calculate new indentation lines for children.
         // Add 'true' to indentationLines if the current node is NOT the last child,
@@ -539,14 +1313,159 @@ function renderInteractiveTreeNode(node, parentElement, level, indentationLines,
 
         // Recursively render children.
         sortedChildren.forEach((child, index) => {
-            renderInteractiveTreeNode(child, childrenContainer, level + 1, newIndentationLines, index === sortedChildren.length - 1);
+            renderInteractiveTreeNode(child, childrenContainer, level + 1, newIndentationLines, !hasOmittedMarker && addedChildren.length === 0 && index === sortedChildren.length - 1);
         });
-        nodeElement.appendChild(childrenContainer);
+        addedChildren.forEach((child, index) => {
+            renderAddedNode(child, childrenContainer, level + 1, newIndentationLines, !hasOmittedMarker && index === addedChildren.length - 1);
+        });
+        if (hasOmittedMarker) {
+            renderOmittedMarker(node.omittedCount, childrenContainer, level + 1, newIndentationLines);
+        }
+        nodeElement.appendChild(childrenContainer);
     }
 
     parentElement.appendChild(nodeElement);
 }
 
+/**
+ * Recomputes the diff of compare mode after the edited tree changed, and the lookups the editor uses
+ * to highlight nodes. Also updates the summary in the compare bar.
+ */
+function updateComparison() {
+    comparison.diffTree = diffTrees(currentTreeData, comparison.actualTree);
+    comparison.diffById = new Map();
+    comparison.addedByParentId = new Map();
+    const visit = diffNode => (diffNode.children || []).forEach(child => {
+        if (child.status === 'added') {
+            // Added subtrees are drawn below the layout folder they belong to (see `renderAddedNode`).
+            const siblings = comparison.addedByParentId.get(diffNode.id) || [];
+            comparison.addedByParentId.set(diffNode.id, siblings.concat(child));
+            return;
+        }
+        comparison.diffById.set(child.id, child);
+        visit(child);
+    });
+    visit(comparison.diffTree);
+
+    const { added, removed, changed } = summarizeDiff(comparison.diffTree);
+    compareSummary.textContent = added + removed + changed === 0
+        ? 'The folder matches the tree.'
+        : `${added} added, ${removed} missing and ${changed} changed on disk.`;
+}
+
+/**
+ * Highlights a node that is missing on disk, or has another type (or link target) there, in compare mode.
+ * @param {Object} node - The node of the edited tree.
+ * @param {HTMLElement} lineElement - The node's line.
+ */
+function applyDiffHighlight(node, lineElement) {
+    const diffNode = comparison ? comparison.diffById.get(node.id) : null;
+    if (!diffNode || diffNode.status === 'unchanged') {
+        return;
+    }
+    lineElement.classList.add(`diff-${diffNode.status}`);
+    if (diffNode.status === 'removed') {
+        lineElement.title = 'Not found on disk.';
+    } else if (diffNode.previousType !== undefined) {
+        lineElement.title = `A ${diffNode.type} on disk, not a ${diffNode.previousType}.`;
+    } else {
+        lineElement.title = `On disk, this link points to ${diffNode.target}.`;
+    }
+}
+
+/**
+ * Highlights a node that was kept despite a conflict when the tree was regenerated, with the reason as tooltip.
+ * @param {Object} node - The node of the edited tree.
+ * @param {HTMLElement} lineElement - The node's line.
+ */
+function applyMergeConflictHighlight(node, lineElement) {
+    const message = mergeConflicts.get(node);
+    if (message) {
+        lineElement.classList.add('merge-conflict');
+        lineElement.title = message;
+    }
+}
+
+/**
+ * Renders a read-only line for an entry that exists on disk but not in the edited tree (compare mode),
+ * followed by the entries inside it. Like the omitted marker, it has no actions.
+ * @param {Object} diffNode - The 'added' node of the diff.
+ * @param {HTMLElement} parentElement - The children container of its folder.
+ * @param {number} level - Indentation level (as for `renderInteractiveTreeNode`).
+ * @param {Array<boolean>} indentationLines - Vertical line flags for each parent level.
+ * @param {boolean} isLastChild - True if it is drawn as the folder's last child.
+ */
+function renderAddedNode(diffNode, parentElement, level, indentationLines, isLastChild) {
+    const nodeLine = document.createElement('div');
+    nodeLine.classList.add('node-line', 'diff-added');
+    nodeLine.title = 'Found on disk, but not in this tree.';
+
+    for (let i = 0; i < level; i++) {
+        const indentDiv = document.createElement('div');
+        indentDiv.classList.add('node-indent');
+        if (indentationLines[i]) {
+            indentDiv.classList.add('has-line');
+        }
+        nodeLine.appendChild(indentDiv);
+    }
+
+    const connector = document.createElement('span');
+    connector.classList.add('node-connector');
+    connector.textContent = isLastChild ? '└── ' : '├── ';
+    nodeLine.appendChild(connector);
+
+    const icon = document.createElement('i');
+    icon.classList.add('node-icon', 'bi', diffNode.type === 'folder' ? 'bi-folder-fill' : diffNode.type === 'symlink' ? 'bi-link-45deg' : 'bi-file-earmark-fill');
+    nodeLine.appendChild(icon);
+
+    const nameElement = document.createElement('span');
+    nameElement.classList.add('node-name');
+    nameElement.textContent = typeof diffNode.target === 'string' ? `${diffNode.name} -> ${diffNode.target}` : diffNode.name;
+    nodeLine.appendChild(nameElement);
+    parentElement.appendChild(nodeLine);
+
+    const children = [...(diffNode.children || [])].sort(createNodeSorter(getSortOptions()));
+    const childIndentationLines = [...indentationLines, !isLastChild];
+    children.forEach((child, index) => {
+        renderAddedNode(child, parentElement, level + 1, childIndentationLines, index === children.length - 1);
+    });
+}
+
+/**
+ * Renders the read-only '… N more items' line for entries a scan limit left out of a folder.
+ * It is always drawn as the folder's last child and has no actions.
+ * @param {number} count - The folder's `omittedCount`.
+ * @param {HTMLElement} parentElement - The folder's children container.
+ * @param {number} level - Indentation level of the folder's children.
+ * @param {Array<boolean>} indentationLines - Vertical line flags for each parent level (as for `renderInteractiveTreeNode`).
+ */
+function renderOmittedMarker(count, parentElement, level, indentationLines) {
+    const markerLine = document.createElement('div');
+    markerLine.classList.add('node-line', 'omitted-marker');
+
+    for (let i = 0; i < level; i++) {
+        const indentDiv = document.createElement('div');
+        indentDiv.classList.add('node-indent');
+        if (indentationLines[i]) {
+            indentDiv.classList.add('has-line');
+        }
+        markerLine.appendChild(indentDiv);
+    }
+
+    const connector = document.createElement('span');
+    connector.classList.add('node-connector');
+    connector.textContent = '└── ';
+    markerLine.appendChild(connector);
+
+    const label = document.createElement('span');
+    label.classList.add('omitted-label');
+    label.textContent = formatOmittedLabel(count);
+    label.title = 'Not scanned because of the max depth / max entries limits.';
+    markerLine.appendChild(label);
+
+    parentElement.appendChild(markerLine);
+}
+
 /**
  * Regenerates and renders the entire interactive tree display from the `currentTreeData`.
  * This function handles the conceptual root node separately and then calls
@@ -564,6 +1483,19 @@ function refreshInteractiveTreeEditor() {
     // Ensure all nodes have unique IDs and a 'collapsed' state for folders, important for UI interactions.
     assignIdsAndCollapsedState(currentTreeData);
 
+    // Keep folder totals in step with edits (added, renamed or deleted nodes) for trees that carry metadata.
+    if (hasMetadata(currentTreeData)) {
+        aggregateMetadata(currentTreeData);
+    }
+
+    // In compare mode, diff the tree as it is now (node IDs are needed to highlight the nodes).
+    if (comparison) {
+        updateComparison();
+    }
+
+    // While searching, find the matches in the tree as it is now.
+    updateTreeSearchResults();
+
     // --- Render the conceptual root's dedicated line ---
     const rootLineDiv = document.createElement('div');
     rootLineDiv.classList.add('root-display-line');
@@ -572,7 +1504,7 @@ function refreshInteractiveTreeEditor() {
     // Root toggle (always visible, but functionally hidden if no children)
     const rootToggle = document.createElement('span');
     rootToggle.classList.add('node-toggle');
-    if (currentTreeData.children && currentTreeData.children.length > 0) {
+    if ((currentTreeData.children && currentTreeData.children.length > 0) || currentTreeData.omittedCount > 0) {
         // Display caret based on collapsed state.
         rootToggle.innerHTML = currentTreeData.collapsed ? '<i class="bi bi-caret-right-fill"></i>' : '<i class="bi bi-caret-down-fill"></i>';
         // Toggle collapse on click.
@@ -611,11 +1543,12 @@ function refreshInteractiveTreeEditor() {
                 rootNameElement.focus();
                 return;
             }
-            currentTreeData.name = newName; // Update root's name in the data.
             nodeBeingEdited = null; // Exit edit mode.
-            refreshInteractiveTreeEditor(); // Re-render to show updated name.
-            treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII.
-            toggleTreeOutputButtons(); // Update button states.
+            if (newName === currentTreeData.name) {
+                refreshInteractiveTreeEditor(); // Nothing changed; just leave edit mode.
+                return;
+            }
+            editHistory.execute(createRenameCommand(currentTreeData, newName)); // Update the root's name and re-render.
         };
 
         rootNameElement.addEventListener('blur', saveRootName);
@@ -636,6 +1569,8 @@ function refreshInteractiveTreeEditor() {
         });
     }
     rootLineDiv.appendChild(rootNameElement);
+    appendNodeComment(currentTreeData, rootLineDiv);
+    appendNodeMetadata(currentTreeData, rootLineDiv);
 
     // Root Action buttons (Add File, Add Folder, Clear All Children)
     const rootActions = document.createElement('div');
@@ -663,6 +1598,9 @@ function refreshInteractiveTreeEditor() {
     });
     rootActions.appendChild(addFolderBtnRoot);
 
+    // Comment Button for Root
+    rootActions.appendChild(createCommentButton(currentTreeData));
+
     // Delete Button for Root (to clear its children, not delete the root itself)
     const deleteBtnRoot = document.createElement('button');
     deleteBtnRoot.classList.add('action-btn', 'delete');
@@ -670,27 +1608,27 @@ function refreshInteractiveTreeEditor() {
     deleteBtnRoot.title = 'Clear all children from this tree';
     deleteBtnRoot.addEventListener('click', (event) => {
         event.stopPropagation();
-        // Use native confirm for critical, destructive actions.
-        if (confirm('Are you sure you want to clear all contents of this tree? This cannot be undone.')) {
-            currentTreeData.children = []; // Clear children array.
-            nodeBeingEdited = null; // Exit any active edit mode.
-            refreshInteractiveTreeEditor(); // Re-render.
-            treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII.
-            toggleTreeOutputButtons(); // Update button states.
-            displayMessage('All tree contents cleared.', 'success'); // Confirmation message
+        // No confirmation needed: the change can be undone.
+        if (!currentTreeData.children || currentTreeData.children.length === 0) {
+            return; // Nothing to clear.
         }
+        nodeBeingEdited = null; // Exit any active edit mode.
+        commentBeingEdited = null;
+        editHistory.execute(createClearChildrenCommand(currentTreeData));
+        displayMessage('All tree contents cleared. Press Ctrl+Z to undo.', 'success'); // Confirmation message
     });
     rootActions.appendChild(deleteBtnRoot);
 
     rootLineDiv.appendChild(rootActions);
+    attachDragAndDrop(currentTreeData, rootLineDiv); // Nodes can be dropped onto the root to move them to the top level.
     interactiveTreeEditor.appendChild(rootLineDiv);
 
 
     // --- Render children of the root ---
     // Only render children if the root is a folder and not collapsed.
     if (currentTreeData.type === 'folder' && currentTreeData.children && !currentTreeData.collapsed) {
-        // Sort the root's children before rendering using the custom sort function.
-        const sortedRootChildren = [...currentTreeData.children].sort(customNodeSort);
+        // Sort the root's children before rendering, in the chosen sort order (leaving out those hidden by a search filter).
+        const sortedRootChildren = getEditorChildren(currentTreeData);
 
         const rootChildrenContainer = document.createElement('div');
         rootChildrenContainer.classList.add('node-children');
@@ -700,9 +1638,17 @@ function refreshInteractiveTreeEditor() {
         const initialIndentationLines = [];
 
         // Call renderInteractiveTreeNode for each child, starting at visual level 0.
+        const hasOmittedMarker = currentTreeData.omittedCount > 0 && !isTreeFiltered();
+        const addedChildren = comparison && !isTreeFiltered() ? comparison.addedByParentId.get(currentTreeData.id) || [] : []; // Compare mode: found on disk only
         sortedRootChildren.forEach((child, index) => {
-            renderInteractiveTreeNode(child, rootChildrenContainer, 0, initialIndentationLines, index === sortedRootChildren.length - 1);
+            renderInteractiveTreeNode(child, rootChildrenContainer, 0, initialIndentationLines, !hasOmittedMarker && addedChildren.length === 0 && index === sortedRootChildren.length - 1);
         });
+        addedChildren.forEach((child, index) => {
+            renderAddedNode(child, rootChildrenContainer, 0, initialIndentationLines, !hasOmittedMarker && index === addedChildren.length - 1);
+        });
+        if (hasOmittedMarker) {
+            renderOmittedMarker(currentTreeData.omittedCount, rootChildrenContainer, 0, initialIndentationLines);
+        }
     }
 
     // If the tree (root's children) is empty, show a specific placeholder message.
@@ -711,7 +1657,13 @@ function refreshInteractiveTreeEditor() {
         placeholder.classList.add('placeholder-text');
         placeholder.textContent = 'Tree is empty. Use the buttons on the "' + currentTreeData.name + '" line to add items, or generate a tree.';
         interactiveTreeEditor.appendChild(placeholder);
+        const startScreen = renderStartScreen(); // Recent folders and tree files, if any.
+        if (startScreen) {
+            interactiveTreeEditor.appendChild(startScreen);
+        }
     }
+
+    showSelectedNode(); // Keep the keyboard selection across re-renders.
 }
 
 /**
@@ -759,47 +1711,29 @@ function promptAddNode(parentNodeId, type) {
         id: generateUniqueId(), // Assign a new unique ID.
         name: newName,
         type: type,
+        virtual: true, // Added in the editor: kept when the tree is regenerated (see `mergeTrees`).
         children: type === 'folder' ? [] : undefined, // Initialize children array for new folders.
         collapsed: type === 'folder' ? false : undefined // Default new folders to expanded.
     };
 
-    // Initialize children array for parent if it doesn't exist yet.
-    if (!parentNode.children) {
-        parentNode.children = [];
-    }
-    parentNode.children.push(newNode); // Add the new node to parent's children array.
-
-    // If the parent folder was collapsed, expand it to make the new child visible.
-    if (parentNode.collapsed) {
-        parentNode.collapsed = false;
-    }
-
     nodeBeingEdited = newNode.id; // Set the new node as the one currently in edit mode.
 
-    refreshInteractiveTreeEditor(); // Re-render the tree to show the newly added node.
-    treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII output.
-    toggleTreeOutputButtons(); // Update button states.
+    // Add the node to the parent (expanding it so the new child is visible) and re-render.
+    editHistory.execute(createAddNodeCommand(parentNode, newNode));
 }
 
 /**
- * Deletes a node from the tree by its ID after confirming with the user.
- * This action is irreversible.
+ * Deletes a node from the tree by its ID. No confirmation is asked: the deletion can be undone.
  * @param {string} nodeIdToDelete - The ID of the node to delete.
  */
 function deleteNode(nodeIdToDelete) {
     const nodeToDelete = findNodeById(currentTreeData, nodeIdToDelete);
-
-    // Confirmation dialog before a destructive action. Native confirm is used for this.
-    if (!nodeToDelete || !confirm(`Are you sure you want to delete "${nodeToDelete.name}"? This action cannot be undone.`)) {
-        return; // If node not found or user cancels, stop.
+    if (!nodeToDelete) {
+        return; // If node not found, stop.
     }
 
     const parentNode = findNodeParent(currentTreeData, nodeIdToDelete);
-    if (parentNode && parentNode.children) {
-        // Filter out the node to be deleted from its parent's children array.
-        parentNode.children = parentNode.children.filter(child => child.id !== nodeIdToDelete);
-        displayMessage(`"${nodeToDelete.name}" deleted successfully.`, 'success'); // Confirmation message.
-    } else {
+    if (!parentNode || !parentNode.children) {
         console.error("Could not find parent for node to delete:", nodeIdToDelete);
         displayMessage("Error: Could not delete item. Parent not found or item is the root.", 'error'); // Replaced alert()
         return;
@@ -809,174 +1743,1760 @@ function deleteNode(nodeIdToDelete) {
     if (nodeBeingEdited === nodeIdToDelete) {
         nodeBeingEdited = null;
     }
+    if (commentBeingEdited === nodeIdToDelete) {
+        commentBeingEdited = null;
+    }
 
-    refreshInteractiveTreeEditor(); // Re-render the tree to reflect the deletion.
-    treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII output.
-    toggleTreeOutputButtons(); // Update button states.
+    editHistory.execute(createDeleteNodeCommand(parentNode, nodeToDelete)); // Remove the node and re-render.
+    displayMessage(`"${nodeToDelete.name}" deleted. Press Ctrl+Z to undo.`, 'success'); // Confirmation message.
 }
 
 
 // =============================================================================
-// Initial Setup and Event Listeners
+// Text Import
 // =============================================================================
+// Trees written as text (ASCII trees, Markdown lists, path lists) are parsed by `core/importers.js`.
+// Text with unparsable lines is never imported partially: the lines are listed so they can be fixed.
 
-// This code runs once the DOM (Document Object Model) is fully loaded.
-document.addEventListener('DOMContentLoaded', async () => {
-    try {
-        // Fetch initial settings (like last selected folder or default ignored folders) from the main process.
-        const settings = await window.electronAPI.getInitialSettings();
-        if (settings.lastSelectedFolder) {
-            currentRootFolderPath = settings.lastSelectedFolder;
-            selectedFolderPathSpan.textContent = settings.lastSelectedFolder;
-        }
-        // Populate the ignored folders input with default or previously saved settings.
-        ignoredFoldersInput.value = settings.defaultIgnoredFolders || '.git, node_modules, .DS_Store';
-    } catch (error) {
-        console.error('Error loading initial settings:', error);
-        displayMessage('Error loading initial settings. Check console for details.', 'error');
+// How each import format is named in messages.
+const IMPORT_FORMAT_LABELS = { ascii: 'an ASCII tree', markdown: 'a Markdown list', paths: 'a path list' };
+
+/**
+ * Shows or hides the import panel. Hiding it clears the previous errors.
+ * @param {boolean} visible - Whether the panel should be shown.
+ */
+function setImportPanelVisible(visible) {
+    importPanel.classList.toggle('hidden', !visible);
+    if (visible) {
+        importTextArea.focus();
+    } else {
+        showImportErrors([]);
     }
+}
 
-    // Initialize the currentTreeData with a conceptual root node.
-    currentTreeData = {
-        id: 'root',
-        name: "project_root",
-        type: "folder",
-        children: []
-    };
+/**
+ * Lists the lines that could not be imported below the import text.
+ * @param {Array<{ line: number, text: string, message: string }>} errors - The errors returned by `parseTreeText`.
+ */
+function showImportErrors(errors) {
+    importErrorsList.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error.line > 0
+            ? `Line ${error.line}: ${error.message} (${error.text.trim()})`
+            : error.message;
+        importErrorsList.appendChild(item);
+    });
+}
 
-    refreshInteractiveTreeEditor(); // Render the initial (potentially empty) interactive tree.
-    treeOutput.textContent = generateAsciiTree(currentTreeData); // Generate initial ASCII output for display.
+/**
+ * Parses the text of the import panel and, if every line could be parsed, replaces the tree
+ * with the result (undoable). Otherwise the current tree is kept and the errors are listed.
+ */
+function importTreeFromText() {
+    const { tree, format, errors } = parseTreeText(importTextArea.value, {
+        format: importFormatSelect.value,
+        rootName: importRootNameInput.value
+    });
+    showImportErrors(errors);
+    if (errors.length > 0) {
+        const lineCount = errors.filter(error => error.line > 0).length;
+        displayMessage(lineCount > 0
+            ? `Nothing imported: ${lineCount} line(s) could not be read as ${IMPORT_FORMAT_LABELS[format]}.`
+            : errors[0].message, 'error', 7000);
+        return;
+    }
 
-    // IMPORTANT: Call toggleTreeOutputButtons first (if it manages other buttons or initial disabled states)
-    // Then, immediately override the ASCII/Markdown button states using setActiveDisplayButton.
-    toggleTreeOutputButtons();
-    setActiveDisplayButton(showAsciiBtn, showMarkdownBtn); // This sets ASCII as active/disabled, Markdown as inactive/enabled.
-});
+    nodeBeingEdited = null;
+    commentBeingEdited = null;
+    editHistory.execute(createReplaceTreeCommand('import tree', tree));
+    stopLiveRefresh(); // An imported tree is not kept in step with the folder.
+    setImportPanelVisible(false);
+    displayMessage(`Tree imported from ${IMPORT_FORMAT_LABELS[format]}. Press Ctrl+Z to undo.`, 'success');
+}
 
 
-// --- Event Listeners for User Actions ---
+// =============================================================================
+// Creating the Tree on Disk
+// =============================================================================
+// The main process creates the folders and files (see `core/scaffold.js`); the renderer only
+// chooses the target folder and options and shows the report.
 
-// Event listener for the "Select Folder" button.
-selectFolderBtn.addEventListener('click', async () => {
+// Folder the tree is created in, chosen with "Choose Folder…".
+let scaffoldTargetPath = null;
+
+/**
+ * Asks the main process to create the current tree under the chosen folder, or to preview it.
+ * Shows the report in the panel and a summary in the message bar.
+ * @param {boolean} dryRun - Only preview what would be created.
+ */
+async function runScaffold(dryRun) {
+    if (!currentTreeData || !currentTreeData.children || currentTreeData.children.length === 0) {
+        displayMessage('No tree to create. Please generate, load or import one first, or add items to the editor.', 'info');
+        return;
+    }
+    if (!scaffoldTargetPath) {
+        displayMessage('Please choose the folder to create the tree in first.', 'info');
+        return;
+    }
     try {
-        // Call the main process to open a native folder selection dialog.
-        const folderPath = await window.electronAPI.selectFolder();
-        if (folderPath) {
-            currentRootFolderPath = folderPath; // Store the selected path.
-            selectedFolderPathSpan.textContent = folderPath; // Display the path in the UI.
-            displayMessage(`Folder selected: ${folderPath}. \n<i>Generate Tree</i> to render`, 'info'); // Confirmation message.
-        } else {
-            selectedFolderPathSpan.textContent = 'No folder selected';
-            currentRootFolderPath = null;
-            displayMessage('Folder selection cancelled.', 'info'); // User cancelled message.
-        }
+        const result = await window.electronAPI.scaffoldTree(currentTreeData, scaffoldTargetPath, {
+            conflict: scaffoldConflictSelect.value,
+            includeRoot: scaffoldIncludeRootCheckbox.checked,
+            templates: scaffoldTemplatesCheckbox.checked,
+            dryRun
+        });
+        scaffoldReport.textContent = result.report;
+        scaffoldReport.classList.remove('hidden');
+
+        const summary = result.report.split('\n')[0];
+        const failed = result.entries.some(entry => entry.status === 'failed');
+        displayMessage(summary, result.blocked || failed ? 'error' : dryRun ? 'info' : 'success', 7000);
     } catch (error) {
-        console.error('Error selecting folder:', error);
-        displayMessage('Error selecting folder. Check console for details.', 'error'); // Replaced alert()
+        console.error('Error creating the tree on disk:', error);
+        displayMessage(`Could not create the tree: ${error.message}`, 'error', 7000);
     }
-});
+}
 
-// Event listener for the "Generate Tree" button.
-generateTreeBtn.addEventListener('click', async () => {
+
+// =============================================================================
+// Compare Mode
+// =============================================================================
+// Compares the edited (or loaded) tree with the selected folder as it is on disk now. The editor
+// highlights the differences and the output pane shows them as an ASCII diff until compare mode is left.
+
+/**
+ * Rescans the selected folder with the current ignore rules and enters compare mode.
+ * The scan limits are not applied, since entries left out by them would show up as missing.
+ */
+async function compareWithFolder() {
     if (!currentRootFolderPath) {
-        displayMessage('Please select a folder first before generating a tree.', 'info'); // Replaced alert()
+        displayMessage('Please select the folder to compare the tree with first.', 'info');
         return;
     }
+    if (!currentTreeData) {
+        displayMessage('No tree to compare. Please load a saved tree, or generate or edit one first.', 'info');
+        return;
+    }
+    if (isWorkspaceTree(currentTreeData)) {
+        displayMessage('Compare works with a single folder; it is not available for workspaces.', 'info');
+        return;
+    }
+    if (!await validateIgnorePatternsInput()) {
+        return;
+    }
+    const { ignorePatterns, useGitignore, scanOptions } = getScanSettings();
 
-    // Parse the ignored folders input, cleaning and filtering empty items.
-    const ignoredFoldersText = ignoredFoldersInput.value.trim();
-    const ignoreList = ignoredFoldersText ?
-        ignoredFoldersText.split(',').map(item => item.trim()).filter(item => item !== '') :
-        [];
-    const useGitignore = useGitignoreCheckbox.checked;
-
-    // Create a deep copy of the current tree data before attempting to generate a new one.
-    // This allows rolling back to the previous state if tree generation fails or results in an empty tree.
-    const previousTreeData = JSON.parse(JSON.stringify(currentTreeData));
-
+    setScanningState(true);
     try {
-        // Call the main process to generate the directory tree based on selected folder and ignore rules.
-        const generatedRootNode = await window.electronAPI.generateTree(currentRootFolderPath, ignoreList, useGitignore);
-
-        // Check if the generated tree is effectively empty (e.g., all contents ignored or folder was empty).
-        if (generatedRootNode.type === 'folder' && (!generatedRootNode.children || generatedRootNode.children.length === 0)) {
-            displayMessage(`The selected folder "${generatedRootNode.name}" or its contents were fully ignored or empty, resulting in an empty tree. The previous tree view has been retained.`, 'info', 7000); // Replaced alert()
-            // Revert to previous tree data if the newly generated tree is empty.
-            currentTreeData = previousTreeData;
-            refreshInteractiveTreeEditor();
-            treeOutput.textContent = generateAsciiTree(currentTreeData);
-            toggleTreeOutputButtons();
+        const actualTree = await window.electronAPI.generateTree(currentRootFolderPath, ignorePatterns, useGitignore, {
+            ...scanOptions,
+            maxDepth: null,
+            maxEntries: null,
+            collectMetadata: false
+        });
+        if (!actualTree) {
+            displayMessage('Comparison cancelled.', 'info');
             return;
         }
+        comparison = { actualTree };
+        compareBar.classList.remove('hidden');
+        refreshInteractiveTreeEditor(); // Computes the diff.
+        refreshTreeOutput();
+        displayMessage(compareSummary.textContent, 'info', 7000);
+    } catch (error) {
+        console.error('Error comparing tree:', error);
+        displayMessage(`An error occurred while scanning the folder to compare: ${error.message}`, 'error', 7000);
+    } finally {
+        setScanningState(false);
+    }
+}
+
+/**
+ * Leaves compare mode: removes the highlights and shows the selected output format again.
+ */
+function exitCompareMode() {
+    comparison = null;
+    compareBar.classList.add('hidden');
+    refreshInteractiveTreeEditor();
+    refreshTreeOutput();
+}
 
-        // Update the current tree data with the newly generated tree.
-        currentTreeData = generatedRootNode;
-        currentTreeData.id = 'root'; // Ensure the generated root is marked as the conceptual root.
 
-        // Assign IDs and collapsed state for all nodes in the new tree for interactive editing.
-        assignIdsAndCollapsedState(currentTreeData);
-        refreshInteractiveTreeEditor(); // Re-render the interactive editor with the new tree.
-        treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII output.
-        toggleTreeOutputButtons(); // Update button states based on the new tree's content.
-        displayMessage('Directory tree generated successfully!', 'success'); // Success message.
+// =============================================================================
+// Live Refresh
+// =============================================================================
+// With "Live refresh" checked, the main process watches the folder a tree was generated from and
+// sends the entries added, removed or renamed on disk as updates (see `core/watcher.js`). They are
+// applied to the editor's tree in place, outside the undo history, so IDs, collapsed folders and
+// comments are kept; entries renamed or deleted in the editor meanwhile are left alone.
+
+/**
+ * Starts watching the selected folder with the current scan settings, if "Live refresh" is checked.
+ * Replaces any previous watch. Unchecks the box if the folder cannot be watched.
+ */
+async function startLiveRefresh() {
+    if (!watchFolderCheckbox.checked || !currentRootFolderPath) {
+        return;
+    }
+    const { ignorePatterns, useGitignore, scanOptions } = getScanSettings();
+    const folderPath = currentRootFolderPath;
+    watchedFolderPath = folderPath;
+    try {
+        await window.electronAPI.startWatch(folderPath, ignorePatterns, useGitignore, scanOptions);
     } catch (error) {
-        console.error('Error generating tree:', error);
-        displayMessage(`An error occurred while generating the tree: ${error.message}`, 'error', 7000); // Replaced alert()
-        // On error, revert to the previous tree data to avoid data loss or blank screen.
-        currentTreeData = previousTreeData;
-        refreshInteractiveTreeEditor();
-        treeOutput.textContent = generateAsciiTree(currentTreeData);
-        toggleTreeOutputButtons();
+        console.error('Error starting live refresh:', error);
+        if (watchedFolderPath === folderPath) {
+            watchedFolderPath = null;
+            watchFolderCheckbox.checked = false;
+        }
+        displayMessage(`Live refresh could not be started: ${error.message}`, 'error', 7000);
     }
-});
+}
 
-// Event listener for showing ASCII tree output.
-showAsciiBtn.addEventListener('click', () => {
-    // Only generate and display if there's valid tree data with children.
-    if (currentTreeData) {
-        treeOutput.textContent = generateAsciiTree(currentTreeData);
-        setActiveDisplayButton(showAsciiBtn, showMarkdownBtn);
-    } else {
-        displayMessage('No tree data available to show. Generate or load a tree first.', 'info'); // Replaced alert()
+/**
+ * Stops watching the folder, if it is being watched. The "Live refresh" box keeps its state,
+ * so watching resumes with the next generated tree.
+ */
+async function stopLiveRefresh() {
+    if (!watchedFolderPath) {
+        return;
     }
-});
+    watchedFolderPath = null;
+    try {
+        await window.electronAPI.stopWatch();
+    } catch (error) {
+        console.error('Error stopping live refresh:', error);
+    }
+}
 
-// Event listener for showing Markdown tree output.
-showMarkdownBtn.addEventListener('click', () => {
-    // Only generate and display if there's valid tree data with children.
-    if (currentTreeData) {
-        treeOutput.textContent = generateMarkdownTree(currentTreeData);
-        setActiveDisplayButton(showMarkdownBtn, showAsciiBtn);
-    } else {
-        displayMessage('No tree data available to show. Generate or load a tree first.', 'info'); // Replaced alert()
+/**
+ * Applies changes found on disk to the editor's tree and refreshes the views.
+ * While a name or comment is being edited, only the output pane is refreshed, so the
+ * text field keeps its content and focus; the editor catches up with the next refresh.
+ * @param {Electron.IpcRendererEvent} event - The IPC event (unused).
+ * @param {Object[]} updates - The updates (see `computeTreeUpdates` in `core/diff.js`).
+ */
+function handleTreeUpdates(event, updates) {
+    if (!watchedFolderPath || !currentTreeData) {
+        return; // A late update from a watch that has been stopped.
     }
-});
+    if (applyTreeUpdates(currentTreeData, updates) === 0) {
+        return;
+    }
+    if (hasMetadata(currentTreeData)) {
+        aggregateMetadata(currentTreeData); // Sizes may have changed; the editor is not always re-rendered.
+    }
+    if (nodeBeingEdited === null && commentBeingEdited === null) {
+        refreshInteractiveTreeEditor();
+    }
+    refreshTreeOutput();
+    toggleTreeOutputButtons();
+}
 
-// Event listener for "Save Tree" button.
-saveTreeBtn.addEventListener('click', async () => {
-    // Ensure there's a tree to save.
-    if (!currentTreeData || !currentTreeData.children || currentTreeData.children.length === 0) {
-        displayMessage('No tree to save. Please generate or load one first, or add items to the editor.', 'info'); // Replaced alert()
+/**
+ * Reports an error of the folder watcher (e.g. the watched folder was deleted or an entry became unreadable).
+ * @param {Electron.IpcRendererEvent} event - The IPC event (unused).
+ * @param {string} message - The error message.
+ */
+function handleWatchError(event, message) {
+    if (watchedFolderPath) {
+        displayMessage(`Live refresh: ${message}`, 'error', 7000);
+    }
+}
+
+
+// =============================================================================
+// Workspaces
+// =============================================================================
+// A workspace scans several root folders (e.g. the repositories of a microservice setup) into one
+// tree, each folder with its own ignore settings; the scan limits of the Folder Selection card apply
+// to all of them. The definition is saved and loaded as a workspace file (see `core/workspace.js`).
+
+/**
+ * Renders the Workspace card's list of root folders, one row per folder with its label,
+ * ignore patterns, .gitignore setting and a Remove button. Edits are written back to `workspaceRoots`.
+ */
+function renderWorkspaceRoots() {
+    workspaceRootsList.innerHTML = '';
+    if (workspaceRoots.length === 0) {
+        workspaceRootsList.innerHTML = '<li class="placeholder-text">No folders yet. Add folders to scan several repositories into one tree.</li>';
         return;
     }
+    workspaceRoots.forEach((rootFolder, index) => {
+        const item = document.createElement('li');
+        item.classList.add('input-group');
+
+        const pathDisplay = document.createElement('span');
+        pathDisplay.classList.add('path-display');
+        pathDisplay.textContent = rootFolder.path;
+        item.appendChild(pathDisplay);
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.classList.add('workspace-label');
+        labelInput.placeholder = rootFolder.path.split(/[\\/]/).filter(Boolean).pop() || rootFolder.path;
+        labelInput.title = 'Name of this folder in the tree (default: the folder name)';
+        labelInput.value = rootFolder.label || '';
+        labelInput.addEventListener('input', () => { rootFolder.label = labelInput.value.trim(); });
+        item.appendChild(labelInput);
+
+        const ignoreInput = document.createElement('input');
+        ignoreInput.type = 'text';
+        ignoreInput.placeholder = 'Ignore patterns for this folder';
+        ignoreInput.value = rootFolder.ignorePatterns;
+        ignoreInput.addEventListener('input', () => { rootFolder.ignorePatterns = ignoreInput.value.trim(); });
+        item.appendChild(ignoreInput);
+
+        const gitignoreCheckbox = document.createElement('input');
+        gitignoreCheckbox.type = 'checkbox';
+        gitignoreCheckbox.id = `workspaceGitignore${index}`;
+        gitignoreCheckbox.checked = rootFolder.useGitignore;
+        gitignoreCheckbox.addEventListener('change', () => { rootFolder.useGitignore = gitignoreCheckbox.checked; });
+        const gitignoreLabel = document.createElement('label');
+        gitignoreLabel.htmlFor = gitignoreCheckbox.id;
+        gitignoreLabel.textContent = '.gitignore';
+        item.append(gitignoreCheckbox, gitignoreLabel);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.classList.add('btn', 'btn-danger');
+        removeBtn.innerHTML = '<i class="bi bi-x-lg"></i>'; // Bootstrap icon.
+        removeBtn.title = 'Remove this folder from the workspace';
+        removeBtn.addEventListener('click', () => {
+            workspaceRoots.splice(index, 1);
+            renderWorkspaceRoots();
+        });
+        item.appendChild(removeBtn);
 
-    try {
-        // Create a deep copy of the tree data to avoid modifying the live object and to remove temporary properties.
-        const treeDataForSave = JSON.parse(JSON.stringify(currentTreeData));
+        workspaceRootsList.appendChild(item);
+    });
+}
 
-        // Function to clean up temporary properties (id, collapsed) before saving.
-        // NOTE: 'userOrder' is intentionally NOT deleted here, as it defines user-intended sorting for "..." items.
-        function cleanNodeForSave(node) {
-            delete node.id; // Remove internal IDs that are not part of the standard tree structure.
-            delete node.collapsed; // Remove collapse state, as it's a UI-specific property.
-            // Recursively apply cleanup to children.
-            if (node.children) {
-                node.children.forEach(cleanNodeForSave);
-            }
+/**
+ * Lets the user pick folders to add to the workspace. New folders start with the ignore
+ * settings of the Folder Selection card; folders already in the workspace are skipped.
+ */
+async function addWorkspaceFolders() {
+    try {
+        const folderPaths = await window.electronAPI.selectFolders();
+        const newPaths = folderPaths.filter(folderPath => !workspaceRoots.some(rootFolder => rootFolder.path === folderPath));
+        newPaths.forEach(folderPath => workspaceRoots.push({
+            path: folderPath,
+            label: '',
+            ignorePatterns: ignoredFoldersInput.value.trim(),
+            useGitignore: useGitignoreCheckbox.checked
+        }));
+        renderWorkspaceRoots();
+        if (newPaths.length < folderPaths.length) {
+            displayMessage('Folders that are already in the workspace were skipped.', 'info');
         }
-        cleanNodeForSave(treeDataForSave); // Clean the data before sending to main process for saving.
+    } catch (error) {
+        console.error('Error selecting folders:', error);
+        displayMessage('Error selecting folders. Check console for details.', 'error');
+    }
+}
 
-        // Call the main process to open a save dialog and save the cleaned tree data.
+/**
+ * Builds the workspace definition from the Workspace card and the scan limits of the Folder Selection card.
+ * @returns {Object} The definition `{ name, layout, roots, options }` (see `normalizeWorkspace`).
+ */
+function getWorkspaceDefinition() {
+    return {
+        name: workspaceNameInput.value.trim(),
+        layout: workspaceLayoutSelect.value,
+        roots: workspaceRoots.map(rootFolder => ({ ...rootFolder })),
+        options: getScanSettings().scanOptions
+    };
+}
+
+/**
+ * Fills the Workspace card and the scan limits from a loaded workspace definition.
+ * @param {Object} workspace - A normalized workspace definition.
+ */
+function setWorkspaceDefinition(workspace) {
+    workspaceNameInput.value = workspace.name;
+    workspaceLayoutSelect.value = workspace.layout;
+    workspaceRoots = workspace.roots.map(rootFolder => ({ label: '', ...rootFolder }));
+    maxDepthInput.value = workspace.options.maxDepth ? String(workspace.options.maxDepth) : '';
+    maxEntriesInput.value = workspace.options.maxEntries ? String(workspace.options.maxEntries) : '';
+    symlinkModeSelect.value = workspace.options.symlinks;
+    collectMetadataCheckbox.checked = workspace.options.collectMetadata;
+    renderWorkspaceRoots();
+}
+
+/**
+ * Scans every folder of the workspace and shows the combined tree (merged with the current one
+ * if it was generated from the same workspace before, see `applyScannedTree`).
+ */
+async function generateWorkspace() {
+    if (workspaceRoots.length === 0) {
+        displayMessage('Please add the folders of the workspace first.', 'info');
+        return;
+    }
+    setScanningState(true);
+    try {
+        const combinedTree = await window.electronAPI.generateWorkspaceTree(getWorkspaceDefinition(), getSortOptions());
+        if (!combinedTree) {
+            displayMessage('Workspace generation cancelled. The previous tree view has been retained.', 'info');
+            return;
+        }
+        combinedTree.sourcePaths = workspaceRoots.map(rootFolder => rootFolder.path); // Regenerating the same workspace merges.
+        nodeBeingEdited = null;
+        commentBeingEdited = null;
+        stopLiveRefresh(); // Live refresh watches a single folder.
+        applyScannedTree(combinedTree, 'generate workspace', `Workspace generated with ${combinedTree.children.length} folder(s)!`);
+    } catch (error) {
+        console.error('Error generating workspace:', error);
+        displayMessage(`An error occurred while generating the workspace: ${error.message}`, 'error', 7000);
+    } finally {
+        setScanningState(false);
+    }
+}
+
+/**
+ * Saves the workspace definition to a file chosen by the user.
+ */
+async function saveWorkspace() {
+    if (workspaceRoots.length === 0) {
+        displayMessage('Please add the folders of the workspace first.', 'info');
+        return;
+    }
+    try {
+        const result = await window.electronAPI.saveWorkspaceFile(getWorkspaceDefinition());
+        displayMessage(result.message, result.success ? 'success' : 'info');
+    } catch (error) {
+        console.error('Error saving workspace:', error);
+        displayMessage(`Error saving workspace: ${error.message}`, 'error', 7000);
+    }
+}
+
+/**
+ * Loads a workspace definition from a file chosen by the user into the Workspace card.
+ */
+async function loadWorkspace() {
+    try {
+        const result = await window.electronAPI.loadWorkspaceFile();
+        if (result.success) {
+            setWorkspaceDefinition(result.workspace);
+            displayMessage(`Workspace "${result.workspace.name}" loaded. \n<i>Generate Workspace</i> to scan its folders`, 'success');
+        }
+    } catch (error) {
+        console.error('Error loading workspace:', error);
+        displayMessage(`Error loading workspace: ${error.message}`, 'error', 7000);
+    }
+}
+
+
+// =============================================================================
+// Scan Profiles
+// =============================================================================
+// A profile is a named set of scan and output settings for a kind of project (see `core/profiles.js`):
+// ignore patterns, .gitignore use, scan limits, sort order and output format. Selecting a profile
+// fills in those controls; Save stores the controls' current values in it. Each folder remembers the
+// profile its tree was last generated with, which is selected again when the folder is.
+
+/**
+ * Returns the selected profile.
+ * @returns {Object|undefined} The profile named `activeProfileName`.
+ */
+function getActiveProfile() {
+    return profiles.find(profile => profile.name === activeProfileName);
+}
+
+/**
+ * Fills the profile selector with the profiles and shows the selected one's name for editing.
+ */
+function populateProfileSelect() {
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = activeProfileName;
+    profileNameInput.value = activeProfileName || '';
+    deleteProfileBtn.disabled = profiles.length <= 1; // There is always at least one profile.
+}
+
+/**
+ * Reads the settings a profile holds from the Folder Selection card and the sort and output controls.
+ * @param {string} name - The name of the profile.
+ * @returns {Object} The profile (see `normalizeProfile` in `core/profiles.js`).
+ */
+function getProfileFromFields(name) {
+    const { ignorePatterns, useGitignore, scanOptions } = getScanSettings();
+    return {
+        name,
+        ignorePatterns,
+        useGitignore,
+        maxDepth: scanOptions.maxDepth,
+        maxEntries: scanOptions.maxEntries,
+        sortOptions: getSortOptions(),
+        outputFormat: outputFormatSelect.value
+    };
+}
+
+/**
+ * Fills in the controls from a profile. The editor and output are not refreshed here.
+ * An output format that is not available (e.g. from a profile file of a newer version) is left as it is.
+ * @param {Object} profile - The profile to apply.
+ */
+function applyProfile(profile) {
+    ignoredFoldersInput.value = profile.ignorePatterns;
+    useGitignoreCheckbox.checked = profile.useGitignore;
+    maxDepthInput.value = profile.maxDepth === null ? '' : String(profile.maxDepth);
+    maxEntriesInput.value = profile.maxEntries === null ? '' : String(profile.maxEntries);
+    setSortOptions(profile.sortOptions);
+    if (getExporter(profile.outputFormat)) {
+        outputFormatSelect.value = profile.outputFormat;
+    }
+    validateIgnorePatternsInput();
+}
+
+/**
+ * Stores the profiles, the selected profile and the folder assignments in the settings.
+ * @returns {Promise<boolean>} Resolves with true if they were saved.
+ */
+async function persistProfiles() {
+    try {
+        const result = await window.electronAPI.saveProfiles({ profiles, activeProfile: activeProfileName, folderProfiles });
+        if (!result.success) {
+            displayMessage(result.message, 'error', 7000);
+            return false;
+        }
+        profiles = result.profiles;
+        return true;
+    } catch (error) {
+        console.error('Error saving profiles:', error);
+        displayMessage(`Error saving profiles: ${error.message}`, 'error', 7000);
+        return false;
+    }
+}
+
+/**
+ * Selects a profile, applies it to the controls and re-renders the tree with its sort order and output format.
+ * @param {string} name - The name of the profile.
+ */
+function selectProfile(name) {
+    const profile = profiles.find(candidate => candidate.name === name);
+    if (!profile) {
+        return;
+    }
+    activeProfileName = name;
+    applyProfile(profile);
+    populateProfileSelect();
+    refreshInteractiveTreeEditor();
+    refreshTreeOutput();
+    persistProfiles();
+}
+
+/**
+ * Remembers the selected profile as the one of the selected folder, e.g. after its tree was generated.
+ */
+function rememberFolderProfile() {
+    if (currentRootFolderPath && activeProfileName && folderProfiles[currentRootFolderPath] !== activeProfileName) {
+        folderProfiles[currentRootFolderPath] = activeProfileName;
+        persistProfiles();
+    }
+}
+
+/**
+ * Makes a folder the selected folder and selects the profile its tree was last generated with, if any.
+ * @param {string} folderPath - The folder.
+ * @returns {string|null} The name of the profile that was selected for the folder, or null if the profile did not change.
+ */
+function setSelectedFolder(folderPath) {
+    stopLiveRefresh(); // The tree in the editor no longer belongs to the selected folder.
+    currentRootFolderPath = folderPath; // Store the selected path.
+    selectedFolderPathSpan.textContent = folderPath; // Display the path in the UI.
+    const folderProfile = folderProfiles[folderPath];
+    if (folderProfile && folderProfile !== activeProfileName && profiles.some(profile => profile.name === folderProfile)) {
+        selectProfile(folderProfile);
+        return folderProfile;
+    }
+    return null;
+}
+
+/**
+ * Stores the current settings in the selected profile, renaming it to the name in the name field.
+ * Folders remembering the profile follow the rename.
+ */
+async function saveActiveProfile() {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+        displayMessage('Please enter a name for the profile.', 'info');
+        return;
+    }
+    if (name !== activeProfileName && profiles.some(profile => profile.name === name)) {
+        displayMessage(`A profile named "${name}" already exists.`, 'error');
+        return;
+    }
+    if (!await validateIgnorePatternsInput()) {
+        return;
+    }
+    const index = profiles.findIndex(profile => profile.name === activeProfileName);
+    profiles[index] = getProfileFromFields(name);
+    Object.keys(folderProfiles).forEach(folderPath => {
+        if (folderProfiles[folderPath] === activeProfileName) {
+            folderProfiles[folderPath] = name;
+        }
+    });
+    activeProfileName = name;
+    if (await persistProfiles()) {
+        displayMessage(`Profile "${name}" saved.`, 'success');
+    }
+    populateProfileSelect();
+}
+
+/**
+ * Adds a copy of the current settings as a new profile, named after the selected one
+ * (e.g. 'Node repo (2)'), and selects it.
+ */
+async function duplicateActiveProfile() {
+    const baseName = profileNameInput.value.trim() || activeProfileName;
+    let name = baseName;
+    for (let counter = 2; profiles.some(profile => profile.name === name); counter++) {
+        name = `${baseName} (${counter})`;
+    }
+    const index = profiles.findIndex(profile => profile.name === activeProfileName);
+    profiles.splice(index + 1, 0, getProfileFromFields(name));
+    activeProfileName = name;
+    if (await persistProfiles()) {
+        displayMessage(`Profile "${name}" created. Change its name or settings and click Save.`, 'success');
+    }
+    populateProfileSelect();
+}
+
+/**
+ * Deletes the selected profile (the last one cannot be deleted) and selects the first remaining one.
+ * Folders that remembered it no longer have a profile.
+ */
+function deleteActiveProfile() {
+    if (profiles.length <= 1) {
+        return;
+    }
+    const deletedName = activeProfileName;
+    profiles = profiles.filter(profile => profile.name !== deletedName);
+    Object.keys(folderProfiles).forEach(folderPath => {
+        if (folderProfiles[folderPath] === deletedName) {
+            delete folderProfiles[folderPath];
+        }
+    });
+    selectProfile(profiles[0].name);
+    displayMessage(`Profile "${deletedName}" deleted.`, 'info');
+}
+
+/**
+ * Adds the profiles of a profile file chosen by the user. Existing profiles are never replaced.
+ */
+async function importProfilesFromFile() {
+    try {
+        const result = await window.electronAPI.importProfiles();
+        if (result.success) {
+            profiles = result.profiles;
+            populateProfileSelect();
+            displayMessage(`Imported ${result.added.length} profile(s): ${result.added.join(', ')}`, 'success');
+        }
+    } catch (error) {
+        console.error('Error importing profiles:', error);
+        displayMessage(`Error importing profiles: ${error.message}`, 'error', 7000);
+    }
+}
+
+/**
+ * Writes all profiles to a profile file chosen by the user, to share them.
+ */
+async function exportProfilesToFile() {
+    try {
+        const result = await window.electronAPI.exportProfiles(profiles);
+        displayMessage(result.message, result.success ? 'success' : 'info');
+    } catch (error) {
+        console.error('Error exporting profiles:', error);
+        displayMessage(`Error exporting profiles: ${error.message}`, 'error', 7000);
+    }
+}
+
+
+// =============================================================================
+// Recent Items
+// =============================================================================
+// The main process keeps the folders scanned and the tree files saved or loaded most recently
+// (see `core/recent.js`), lists them in the File menu and pushes them here for the start screen,
+// which is shown below the editor while the tree is empty. Paths that no longer exist are greyed out.
+
+// Titles of the recent lists on the start screen, by kind.
+const RECENT_LIST_TITLES = { folders: 'Recent Folders', treeFiles: 'Recent Trees' };
+
+/**
+ * Builds one list of the start screen: each entry opens its folder or tree file, and can be
+ * pinned to the top of the list or removed from it.
+ * @param {'folders'|'treeFiles'} kind - The recent list.
+ * @returns {HTMLElement} The list's section.
+ */
+function renderRecentList(kind) {
+    const section = document.createElement('section');
+    section.classList.add('recent-list');
+    const title = document.createElement('h3');
+    title.textContent = RECENT_LIST_TITLES[kind];
+    section.appendChild(title);
+
+    const list = document.createElement('ul');
+    recentItems[kind].forEach(item => {
+        const entry = document.createElement('li');
+        entry.classList.toggle('missing', Boolean(item.missing));
+
+        const openBtn = document.createElement('button');
+        openBtn.classList.add('recent-open');
+        openBtn.innerHTML = `<i class="bi ${kind === 'folders' ? 'bi-folder' : 'bi-file-earmark-text'}"></i>`; // Bootstrap icon.
+        openBtn.append(` ${item.path}`);
+        openBtn.disabled = Boolean(item.missing);
+        openBtn.title = item.missing ? 'Not found. It may have been moved or deleted.' : item.path;
+        openBtn.addEventListener('click', () => (kind === 'folders' ? openRecentFolder(item.path) : loadTreeFromFile(item.path)));
+        entry.appendChild(openBtn);
+
+        const pinBtn = document.createElement('button');
+        pinBtn.classList.add('action-btn');
+        pinBtn.innerHTML = `<i class="bi ${item.pinned ? 'bi-pin-fill' : 'bi-pin'}"></i>`;
+        pinBtn.title = item.pinned ? 'Unpin' : 'Pin to the top of the list';
+        pinBtn.addEventListener('click', () => updateRecentItem(() => window.electronAPI.pinRecentItem(kind, item.path, !item.pinned)));
+        entry.appendChild(pinBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.classList.add('action-btn', 'delete');
+        removeBtn.innerHTML = '<i class="bi bi-x-lg"></i>';
+        removeBtn.title = 'Remove from the list';
+        removeBtn.addEventListener('click', () => updateRecentItem(() => window.electronAPI.removeRecentItem(kind, item.path)));
+        entry.appendChild(removeBtn);
+
+        list.appendChild(entry);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+/**
+ * Builds the start screen with the recent folders and tree files.
+ * @returns {HTMLElement|null} The start screen, or null if both lists are empty.
+ */
+function renderStartScreen() {
+    const kinds = Object.keys(RECENT_LIST_TITLES).filter(kind => recentItems[kind].length > 0);
+    if (kinds.length === 0) {
+        return null;
+    }
+    const startScreen = document.createElement('div');
+    startScreen.classList.add('start-screen');
+    kinds.forEach(kind => startScreen.appendChild(renderRecentList(kind)));
+    return startScreen;
+}
+
+/**
+ * Pins, unpins or removes a recent entry through the main process and shows the updated lists.
+ * @param {function(): Promise<Object>} change - Calls the main process and resolves with the updated lists.
+ */
+async function updateRecentItem(change) {
+    try {
+        handleRecentItems(null, await change());
+    } catch (error) {
+        console.error('Error updating recent items:', error);
+        displayMessage(`Could not update the recent items: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Selects a recent folder (with the profile it was last generated with) and generates its tree.
+ * @param {string} folderPath - The folder.
+ */
+function openRecentFolder(folderPath) {
+    if (isScanning) {
+        displayMessage('Please wait for the current scan to finish, or cancel it.', 'info');
+        return;
+    }
+    setSelectedFolder(folderPath);
+    generateTreeBtn.click();
+}
+
+/**
+ * Stores the recent lists pushed by the main process and shows them on the start screen, if it is shown.
+ * The editor is not re-rendered while a name or comment is being edited.
+ * @param {Electron.IpcRendererEvent|null} event - The IPC event (unused).
+ * @param {{ folders: Object[], treeFiles: Object[] }} items - The recent lists.
+ */
+function handleRecentItems(event, items) {
+    recentItems = items;
+    const treeIsEmpty = !currentTreeData || !currentTreeData.children || currentTreeData.children.length === 0;
+    if (treeIsEmpty && nodeBeingEdited === null && commentBeingEdited === null) {
+        refreshInteractiveTreeEditor();
+    }
+}
+
+
+// =============================================================================
+// Keyboard Navigation
+// =============================================================================
+// The editor can be used without a mouse: it takes the keyboard focus (Tab, or clicking a line),
+// the arrow keys move the selection through the visible items, and Enter/F2, Shift+F2, Insert,
+// Shift+Insert and Delete rename, comment on, add to and delete the selected item.
+
+/**
+ * Lists the lines of the editor's items that are currently visible, in display order.
+ * Entries shown only in compare mode and '… N more items' markers are left out.
+ * @returns {Array<{ id: string, line: HTMLElement }>} The node ID and line of each visible item.
+ */
+function getVisibleNodeLines() {
+    return [...interactiveTreeEditor.querySelectorAll('.root-display-line, .tree-node > .node-line')]
+        .filter(line => !line.closest('.node-children.collapsed'))
+        .map(line => ({ id: line.dataset.nodeId || line.parentElement.dataset.nodeId, line }));
+}
+
+/**
+ * Highlights the selected item's line. Called after every render of the editor; forgets the
+ * selection if its node is gone, and gives the focus back to the editor if it was lost with a
+ * re-rendered element (e.g. after renaming with Enter).
+ * @param {boolean} [scroll=false] - Whether to scroll the selected line into view.
+ */
+function showSelectedNode(scroll = false) {
+    if (selectedNodeId && (!currentTreeData || !findNodeById(currentTreeData, selectedNodeId))) {
+        selectedNodeId = null;
+    }
+    getVisibleNodeLines().forEach(({ id, line }) => {
+        const selected = id === selectedNodeId;
+        line.classList.toggle('keyboard-selected', selected);
+        if (selected && scroll) {
+            line.scrollIntoView({ block: 'nearest' });
+        }
+    });
+    if (selectedNodeId && (document.activeElement === document.body || document.activeElement === null)) {
+        interactiveTreeEditor.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Selects an item of the editor and scrolls it into view.
+ * @param {string} nodeId - The ID of the node to select.
+ */
+function selectNode(nodeId) {
+    selectedNodeId = nodeId;
+    showSelectedNode(true);
+}
+
+/**
+ * Returns the selected item, or the root if nothing is selected, for the commands acting on "the selected item".
+ * @returns {Object} The node.
+ */
+function getSelectedNode() {
+    return (selectedNodeId && findNodeById(currentTreeData, selectedNodeId)) || currentTreeData;
+}
+
+/**
+ * Starts renaming the selected item.
+ */
+function renameSelectedNode() {
+    commentBeingEdited = null;
+    nodeBeingEdited = getSelectedNode().id;
+    refreshInteractiveTreeEditor();
+}
+
+/**
+ * Starts editing the selected item's comment.
+ */
+function commentOnSelectedNode() {
+    nodeBeingEdited = null;
+    commentBeingEdited = getSelectedNode().id;
+    refreshInteractiveTreeEditor();
+}
+
+/**
+ * Adds a new file or folder to the selected folder (or to the folder of the selected file),
+ * selects it and starts renaming it.
+ * @param {'file'|'folder'} type - What to add.
+ */
+function addToSelectedNode(type) {
+    const node = getSelectedNode();
+    const folder = node.type === 'folder' ? node : findNodeParent(currentTreeData, node.id);
+    promptAddNode(folder.id, type);
+    if (nodeBeingEdited) {
+        selectNode(nodeBeingEdited); // The new node, in rename mode.
+    }
+}
+
+/**
+ * Deletes the selected item (undoably) and selects the item now in its place.
+ * The root cannot be deleted.
+ */
+function deleteSelectedNode() {
+    const node = getSelectedNode();
+    if (node === currentTreeData) {
+        displayMessage('The root cannot be deleted. Use the delete button on its line to clear the tree.', 'info');
+        return;
+    }
+    const index = getVisibleNodeLines().findIndex(({ id }) => id === node.id);
+    deleteNode(node.id);
+    const lines = getVisibleNodeLines();
+    if (lines.length > 0) {
+        selectNode(lines[Math.min(index, lines.length - 1)].id);
+    }
+}
+
+/**
+ * Expands or collapses every folder below the root.
+ * @param {boolean} collapsed - Whether the folders should be collapsed.
+ */
+function setAllFoldersCollapsed(collapsed) {
+    const visit = (node) => {
+        (node.children || []).forEach(child => {
+            if (child.type === 'folder') {
+                child.collapsed = collapsed;
+                visit(child);
+            }
+        });
+    };
+    visit(currentTreeData);
+    currentTreeData.collapsed = false;
+    refreshInteractiveTreeEditor();
+}
+
+/**
+ * Moves the keyboard focus to the editor, selecting its first item if none is selected.
+ */
+function focusTreeEditor() {
+    interactiveTreeEditor.focus();
+    const lines = getVisibleNodeLines();
+    if (lines.length > 0) {
+        selectNode(selectedNodeId || lines[0].id);
+    }
+}
+
+/**
+ * Handles the editor's keys while the editor itself has the focus (text fields and buttons in it keep their keys).
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleEditorKeydown(e) {
+    if (e.target !== interactiveTreeEditor || e.ctrlKey || e.metaKey || e.altKey || !currentTreeData) {
+        return;
+    }
+    const lines = getVisibleNodeLines();
+    const index = lines.findIndex(({ id }) => id === selectedNodeId);
+    const node = getSelectedNode();
+    const hasChildren = node.type === 'folder' && ((node.children && node.children.length > 0) || node.omittedCount > 0);
+
+    switch (e.key) {
+        case 'ArrowDown':
+            selectNode(lines[Math.min(index + 1, lines.length - 1)].id);
+            break;
+        case 'ArrowUp':
+            selectNode(lines[Math.max(index - 1, 0)].id);
+            break;
+        case 'Home':
+            selectNode(lines[0].id);
+            break;
+        case 'End':
+            selectNode(lines[lines.length - 1].id);
+            break;
+        case 'ArrowRight':
+            // Expand a collapsed folder, or go to the first item of an expanded one.
+            if (hasChildren && node.collapsed) {
+                toggleNodeCollapse(node.id);
+            } else if (hasChildren && index !== -1 && index + 1 < lines.length) {
+                selectNode(lines[index + 1].id);
+            }
+            break;
+        case 'ArrowLeft': {
+            // Collapse an expanded folder, or go to the folder of the item.
+            const parentNode = findNodeParent(currentTreeData, node.id);
+            if (hasChildren && !node.collapsed) {
+                toggleNodeCollapse(node.id);
+            } else if (parentNode) {
+                selectNode(parentNode.id);
+            }
+            break;
+        }
+        case ' ':
+            if (hasChildren) {
+                toggleNodeCollapse(node.id);
+            }
+            break;
+        case 'Enter':
+        case 'F2':
+            if (e.shiftKey) {
+                commentOnSelectedNode();
+            } else {
+                renameSelectedNode();
+            }
+            break;
+        case 'Delete':
+            deleteSelectedNode();
+            break;
+        case 'Insert':
+            addToSelectedNode(e.shiftKey ? 'folder' : 'file');
+            break;
+        default:
+            return; // Not an editor key.
+    }
+    e.preventDefault(); // E.g. no scrolling with the arrow keys or Space.
+}
+
+/**
+ * Selects the item whose line was clicked, so the keyboard continues from there.
+ * Clicks in text fields (renaming, comments) are left alone.
+ * @param {MouseEvent} e - The mousedown event.
+ */
+function handleEditorMousedown(e) {
+    if (e.target.closest('input, textarea')) {
+        return;
+    }
+    const line = e.target.closest('.root-display-line, .tree-node > .node-line');
+    if (line) {
+        selectedNodeId = line.dataset.nodeId || line.parentElement.dataset.nodeId;
+        showSelectedNode();
+    }
+}
+
+
+// =============================================================================
+// Tree Search
+// =============================================================================
+// The search box above the editor finds entries by name as plain text, a glob or a regular
+// expression (see `core/search.js`). Matches are highlighted; with "Filter" checked, only they and
+// the folders leading to them are shown. Enter/F3 and Shift+Enter/Shift+F3 step through the matches,
+// expanding the collapsed folders around each one. The results are recomputed on every render, so
+// they follow edits.
+
+/**
+ * Tells whether the editor shows only the matches of a search (and the folders leading to them).
+ * @returns {boolean} True while a search is active and "Filter" is checked.
+ */
+function isTreeFiltered() {
+    return treeSearch !== null && treeSearchFilterCheckbox.checked;
+}
+
+/**
+ * Returns a folder's children as the editor lists them: sorted in the chosen order and, while
+ * filtering, without the entries that neither match nor contain a match.
+ * @param {Object} node - The folder.
+ * @returns {Object[]} The children to render.
+ */
+function getEditorChildren(node) {
+    const children = [...(node.children || [])].sort(createNodeSorter(getSortOptions()));
+    return isTreeFiltered() ? children.filter(child => treeSearch.visible.has(child)) : children;
+}
+
+/**
+ * Marks a node's line as a match of the search, and as the current match.
+ * @param {Object} node - The node being rendered.
+ * @param {HTMLElement} lineElement - The node's line.
+ */
+function applySearchHighlight(node, lineElement) {
+    if (treeSearch && treeSearch.matchSet.has(node)) {
+        lineElement.classList.add('search-match');
+        lineElement.classList.toggle('search-current', treeSearch.matches[treeSearch.index] === node);
+    }
+}
+
+/**
+ * Searches the current tree again (e.g. before rendering it after an edit), keeping the current
+ * match if it still matches, and shows the match count.
+ */
+function updateTreeSearchResults() {
+    if (treeSearch && currentTreeData) {
+        const currentMatch = treeSearch.matches[treeSearch.index];
+        Object.assign(treeSearch, searchTree(currentTreeData, treeSearch.matcher, { sort: getSortOptions() }));
+        treeSearch.matchSet = new Set(treeSearch.matches);
+        const index = treeSearch.matches.indexOf(currentMatch);
+        treeSearch.index = index !== -1 ? index : Math.max(0, Math.min(treeSearch.index, treeSearch.matches.length - 1));
+    }
+    updateTreeSearchCount();
+}
+
+/**
+ * Shows the position of the current match ('3 of 12') and enables the previous/next buttons if there are matches.
+ */
+function updateTreeSearchCount() {
+    const matchCount = treeSearch ? treeSearch.matches.length : 0;
+    if (!treeSearch) {
+        treeSearchCount.textContent = '';
+    } else if (matchCount === 0) {
+        treeSearchCount.textContent = 'No matches';
+    } else {
+        treeSearchCount.textContent = `${treeSearch.index + 1} of ${matchCount}`;
+    }
+    treeSearchPrevBtn.disabled = matchCount === 0;
+    treeSearchNextBtn.disabled = matchCount === 0;
+}
+
+/**
+ * Starts a new search with the query, mode and case setting of the search box, and goes to the first match.
+ * An invalid query (e.g. an unclosed regex group) is marked and keeps the previous results.
+ */
+function applyTreeSearch() {
+    let matcher;
+    try {
+        matcher = createSearchMatcher(treeSearchInput.value, { mode: treeSearchModeSelect.value, caseSensitive: treeSearchCaseCheckbox.checked });
+    } catch (error) {
+        treeSearchInput.classList.add('invalid');
+        treeSearchInput.title = error.message;
+        treeSearchCount.textContent = 'Invalid';
+        return;
+    }
+    treeSearchInput.classList.remove('invalid');
+    treeSearchInput.title = 'Enter for the next match, Shift+Enter for the previous one, Escape to clear';
+
+    treeSearch = matcher ? { matcher, matches: [], matchSet: new Set(), visible: new Set(), ancestors: new Set(), index: 0 } : null;
+    updateTreeSearchResults();
+    if (treeSearch && treeSearch.matches.length > 0) {
+        goToSearchMatch(0);
+    } else {
+        refreshInteractiveTreeEditor();
+    }
+    if (outputFilteredOnlyCheckbox.checked) {
+        refreshTreeOutput(); // The filtered output follows the search.
+    }
+}
+
+/**
+ * Expands the collapsed folders containing a node, so the node is shown once the editor is refreshed.
+ * @param {Object} node - The node to show.
+ */
+function revealNode(node) {
+    (findNodeChain(currentTreeData, node) || []).slice(0, -1).forEach(folder => {
+        folder.collapsed = false;
+    });
+}
+
+/**
+ * Makes a match the current one: shows it (expanding its folders), highlights it and selects it.
+ * @param {number} index - The index of the match in `treeSearch.matches`.
+ */
+function goToSearchMatch(index) {
+    const node = treeSearch.matches[index];
+    treeSearch.index = index;
+    revealNode(node);
+    refreshInteractiveTreeEditor();
+    selectNode(node.id); // Scrolls it into view; the keyboard continues from there.
+}
+
+/**
+ * Goes to the next or previous match, wrapping around at the ends.
+ * @param {number} step - 1 for the next match, -1 for the previous one.
+ */
+function stepTreeSearch(step) {
+    if (!treeSearch || treeSearch.matches.length === 0) {
+        return;
+    }
+    const matchCount = treeSearch.matches.length;
+    goToSearchMatch((treeSearch.index + step + matchCount) % matchCount);
+}
+
+/**
+ * Moves the focus to the search box, selecting its text.
+ */
+function focusTreeSearch() {
+    treeSearchInput.focus();
+    treeSearchInput.select();
+}
+
+/**
+ * Handles the keys of the search box: Enter for the next match, Shift+Enter for the previous one,
+ * Escape to clear the search (or, if it is empty, to go back to the editor).
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleTreeSearchKeydown(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        if (treeSearchTimer !== null) {
+            // Typed since the last search: search now rather than after the typing pause.
+            clearTimeout(treeSearchTimer);
+            treeSearchTimer = null;
+            applyTreeSearch();
+        } else {
+            stepTreeSearch(e.shiftKey ? -1 : 1);
+        }
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        if (treeSearchInput.value) {
+            treeSearchInput.value = '';
+            applyTreeSearch();
+        } else {
+            focusTreeEditor();
+        }
+    }
+}
+
+
+// =============================================================================
+// Commands and Command Palette
+// =============================================================================
+// Every action of the window is a command with an ID. The application menu runs them through
+// 'menu-action' events (its IDs match the keys of `COMMANDS`), and the command palette (Ctrl+Shift+P)
+// lists them by label, matched with `filterCommands` (`core/commands.js`).
+// A command either clicks a button (and is unavailable while the button is disabled) or calls `run`.
+
+const COMMANDS = {
+    'select-folder': { label: 'Folder: Select Folder...', shortcut: 'Ctrl+O', button: selectFolderBtn },
+    'open-recent-folder': { run: openRecentFolder }, // With the path; listed per folder by `getPaletteEntries`
+    'generate-tree': { label: 'Folder: Generate Tree', shortcut: 'F5', button: generateTreeBtn },
+    'regenerate-clean': { label: 'Folder: Regenerate Without Merging', shortcut: 'Shift+F5', button: regenerateCleanBtn },
+    'compare-tree': { label: 'Folder: Compare With Folder', shortcut: 'Ctrl+F5', button: compareTreeBtn },
+    'exit-compare': { label: 'Folder: Exit Compare Mode', enabled: () => comparison !== null, run: exitCompareMode },
+    'toggle-live-refresh': { label: 'Folder: Toggle Live Refresh', button: watchFolderCheckbox },
+    'cancel-scan': { label: 'Folder: Cancel Scan', enabled: () => isScanning, run: () => cancelScanBtn.click() },
+    'load-tree': { label: 'File: Load Tree...', shortcut: 'Ctrl+Shift+O', button: loadTreeBtn },
+    'open-recent-tree-file': { run: loadTreeFromFile }, // With the path; listed per file by `getPaletteEntries`
+    'save-tree': { label: 'File: Save Tree...', shortcut: 'Ctrl+S', button: saveTreeBtn },
+    'export-tree': { label: 'File: Export...', shortcut: 'Ctrl+E', button: exportTreeBtn },
+    'import-text': { label: 'File: Import From Text...', shortcut: 'Ctrl+I', run: () => setImportPanelVisible(true) },
+    'create-on-disk': { label: 'File: Create on Disk...', run: () => scaffoldPanel.classList.remove('hidden') },
+    'undo': { label: 'Tree: Undo', shortcut: 'Ctrl+Z', button: undoBtn },
+    'redo': { label: 'Tree: Redo', shortcut: 'Ctrl+Shift+Z', button: redoBtn },
+    'add-file': { label: 'Tree: New File', shortcut: 'Insert', run: () => addToSelectedNode('file') },
+    'add-folder': { label: 'Tree: New Folder', shortcut: 'Shift+Insert', run: () => addToSelectedNode('folder') },
+    'rename-node': { label: 'Tree: Rename Selected Item', shortcut: 'F2', run: renameSelectedNode },
+    'comment-node': { label: 'Tree: Edit Comment of Selected Item', shortcut: 'Shift+F2', run: commentOnSelectedNode },
+    'delete-node': { label: 'Tree: Delete Selected Item', shortcut: 'Delete', run: deleteSelectedNode },
+    'expand-all': { label: 'Tree: Expand All', run: () => setAllFoldersCollapsed(false) },
+    'collapse-all': { label: 'Tree: Collapse All', run: () => setAllFoldersCollapsed(true) },
+    'focus-editor': { label: 'Tree: Go to Tree Editor', shortcut: 'Ctrl+Shift+E', run: focusTreeEditor },
+    'find': { label: 'Tree: Search Tree', shortcut: 'Ctrl+F', run: focusTreeSearch },
+    'find-next': { label: 'Tree: Next Match', shortcut: 'F3', enabled: () => treeSearch !== null && treeSearch.matches.length > 0, run: () => stepTreeSearch(1) },
+    'find-previous': { label: 'Tree: Previous Match', shortcut: 'Shift+F3', enabled: () => treeSearch !== null && treeSearch.matches.length > 0, run: () => stepTreeSearch(-1) },
+    'toggle-search-filter': { label: 'Tree: Toggle Search Filter', button: treeSearchFilterCheckbox },
+    'set-output-format': { run: setOutputFormat }, // With the format ID; listed per format by `getPaletteEntries`
+    'copy-output': { label: 'Output: Copy to Clipboard', shortcut: 'Ctrl+Shift+C', button: copyToClipboardBtn },
+    'toggle-filtered-output': { label: 'Output: Toggle Filtered Only', button: outputFilteredOnlyCheckbox },
+    'workspace-add-folders': { label: 'Workspace: Add Folders...', button: addWorkspaceFoldersBtn },
+    'workspace-generate': { label: 'Workspace: Generate Workspace', button: generateWorkspaceBtn },
+    'workspace-save': { label: 'Workspace: Save Workspace...', button: saveWorkspaceBtn },
+    'workspace-load': { label: 'Workspace: Load Workspace...', button: loadWorkspaceBtn },
+    'select-profile': { run: selectProfile }, // With the profile name; listed per profile by `getPaletteEntries`
+    'profile-save': { label: 'Profile: Save Profile', button: saveProfileBtn },
+    'profile-duplicate': { label: 'Profile: Duplicate Profile', button: duplicateProfileBtn },
+    'profile-delete': { label: 'Profile: Delete Profile', button: deleteProfileBtn },
+    'profile-import': { label: 'Profile: Import Profiles...', button: importProfilesBtn },
+    'profile-export': { label: 'Profile: Export Profiles...', button: exportProfilesBtn },
+    'command-palette': { run: openCommandPalette }
+};
+
+// The palette's current entries (matching what was typed) and the index of the highlighted one.
+let paletteEntries = [];
+let paletteIndex = 0;
+let paletteReturnFocus = null; // The element that had the focus before the palette opened.
+
+/**
+ * Tells whether a command can run now.
+ * @param {Object} command - An entry of `COMMANDS`.
+ * @returns {boolean} False while the command's button is disabled or its `enabled` check fails.
+ */
+function isCommandEnabled(command) {
+    if (command.button) {
+        return !command.button.disabled;
+    }
+    return command.enabled ? command.enabled() : true;
+}
+
+/**
+ * Runs a command, e.g. one chosen in the application menu. Unavailable commands do nothing.
+ * @param {string} commandId - A key of `COMMANDS`.
+ * @param {*} [payload] - The command's argument, e.g. the path of a recent folder.
+ */
+function runCommand(commandId, payload) {
+    const command = COMMANDS[commandId];
+    if (!command) {
+        console.warn('Unknown command:', commandId);
+        return;
+    }
+    if (!isCommandEnabled(command)) {
+        return;
+    }
+    if (command.run) {
+        command.run(payload);
+    } else {
+        command.button.click();
+    }
+}
+
+/**
+ * Runs a command chosen in the application menu.
+ * @param {Electron.IpcRendererEvent} event - The IPC event (unused).
+ * @param {string} action - The command's ID (a key of `COMMANDS`).
+ * @param {*} [payload] - Its argument, e.g. the path to open.
+ */
+function handleMenuAction(event, action, payload) {
+    runCommand(action, payload);
+}
+
+/**
+ * Shows the tree in another output format.
+ * @param {string} formatId - The ID of a registered exporter.
+ */
+function setOutputFormat(formatId) {
+    if (getExporter(formatId)) {
+        outputFormatSelect.value = formatId;
+        refreshTreeOutput();
+    }
+}
+
+/**
+ * Lists what the command palette offers: the commands with a label, then one entry per output
+ * format, profile, and recent folder and tree file that still exists.
+ * @returns {Array<{ id: string, label: string, shortcut?: string, payload?: *, enabled: boolean }>} The entries.
+ */
+function getPaletteEntries() {
+    const entries = Object.entries(COMMANDS)
+        .filter(([, command]) => command.label)
+        .map(([id, command]) => ({ id, label: command.label, shortcut: command.shortcut, enabled: isCommandEnabled(command) }));
+    listExporters().forEach((exporter, index) => entries.push({
+        id: 'set-output-format', label: `Output: ${exporter.label}`, payload: exporter.id, shortcut: index < 9 ? `Ctrl+${index + 1}` : undefined, enabled: true
+    }));
+    profiles.forEach(profile => entries.push({ id: 'select-profile', label: `Profile: Use "${profile.name}"`, payload: profile.name, enabled: true }));
+    recentItems.folders.filter(item => !item.missing).forEach(item => entries.push({
+        id: 'open-recent-folder', label: `Open Recent Folder: ${item.path}`, payload: item.path, enabled: !isScanning
+    }));
+    recentItems.treeFiles.filter(item => !item.missing).forEach(item => entries.push({
+        id: 'open-recent-tree-file', label: `Open Recent Tree: ${item.path}`, payload: item.path, enabled: true
+    }));
+    return entries;
+}
+
+/**
+ * Writes a shortcut the way the platform names its keys (Cmd instead of Ctrl on macOS).
+ * @param {string} shortcut - The shortcut, e.g. 'Ctrl+Shift+P'.
+ * @returns {string} The shortcut as shown to the user.
+ */
+function formatShortcut(shortcut) {
+    return navigator.platform.startsWith('Mac') ? shortcut.replace('Ctrl+', 'Cmd+') : shortcut;
+}
+
+/**
+ * Lists the palette entries matching what was typed, highlighting the current one.
+ */
+function renderCommandPalette() {
+    paletteEntries = filterCommands(getPaletteEntries(), commandPaletteInput.value);
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteEntries.length - 1, 0));
+    commandPaletteList.innerHTML = '';
+    if (paletteEntries.length === 0) {
+        commandPaletteList.innerHTML = '<li class="placeholder-text">No matching commands</li>';
+        return;
+    }
+    paletteEntries.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.classList.toggle('active', index === paletteIndex);
+        item.classList.toggle('disabled', !entry.enabled);
+        item.setAttribute('role', 'option');
+        item.textContent = entry.label;
+        if (entry.shortcut) {
+            const shortcut = document.createElement('kbd');
+            shortcut.textContent = formatShortcut(entry.shortcut);
+            item.appendChild(shortcut);
+        }
+        item.addEventListener('mousedown', (e) => e.preventDefault()); // Keep the focus in the input.
+        item.addEventListener('click', () => runPaletteEntry(entry));
+        commandPaletteList.appendChild(item);
+    });
+    const active = commandPaletteList.children[paletteIndex];
+    if (active) {
+        active.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Opens the command palette with all commands listed.
+ */
+function openCommandPalette() {
+    if (!commandPalette.classList.contains('hidden')) {
+        commandPaletteInput.select();
+        return;
+    }
+    paletteReturnFocus = document.activeElement;
+    commandPaletteInput.value = '';
+    paletteIndex = 0;
+    commandPalette.classList.remove('hidden');
+    renderCommandPalette();
+    commandPaletteInput.focus();
+}
+
+/**
+ * Closes the command palette.
+ * @param {boolean} [restoreFocus=true] - Whether to give the focus back to where it was before.
+ */
+function closeCommandPalette(restoreFocus = true) {
+    if (commandPalette.classList.contains('hidden')) {
+        return;
+    }
+    commandPalette.classList.add('hidden');
+    if (restoreFocus && paletteReturnFocus && document.contains(paletteReturnFocus)) {
+        paletteReturnFocus.focus();
+    }
+    paletteReturnFocus = null;
+}
+
+/**
+ * Closes the palette and runs an entry, unless it is unavailable.
+ * @param {Object} entry - An entry of `getPaletteEntries`.
+ */
+function runPaletteEntry(entry) {
+    if (!entry.enabled) {
+        return;
+    }
+    closeCommandPalette();
+    runCommand(entry.id, entry.payload);
+}
+
+/**
+ * Handles the palette's keys: arrows to move, Enter to run, Escape to close.
+ * @param {KeyboardEvent} e - The keydown event of the palette's input.
+ */
+function handleCommandPaletteKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteEntries.length > 0) {
+            paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + paletteEntries.length) % paletteEntries.length;
+            renderCommandPalette();
+        }
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (paletteEntries[paletteIndex]) {
+            runPaletteEntry(paletteEntries[paletteIndex]);
+        }
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCommandPalette();
+    }
+}
+
+
+// =============================================================================
+// Initial Setup and Event Listeners
+// =============================================================================
+
+// This code runs once the DOM (Document Object Model) is fully loaded.
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        // Fetch initial settings (like last selected folder or default ignored folders) from the main process.
+        const settings = await window.electronAPI.getInitialSettings();
+        if (settings.lastSelectedFolder) {
+            currentRootFolderPath = settings.lastSelectedFolder;
+            selectedFolderPathSpan.textContent = settings.lastSelectedFolder;
+        }
+        // Populate the ignored folders input with default or previously saved settings.
+        ignoredFoldersInput.value = settings.defaultIgnoredFolders || '.git, node_modules, .DS_Store';
+        setSortOptions(settings.sortOptions); // Restore the last sort order.
+        setMarkdownOptions(settings.markdownOptions); // Restore the last Markdown options.
+        profiles = settings.profiles;
+        folderProfiles = settings.folderProfiles;
+        // The last folder's profile, or the profile selected last.
+        const folderProfile = folderProfiles[settings.lastSelectedFolder];
+        activeProfileName = profiles.some(profile => profile.name === folderProfile) ? folderProfile : settings.activeProfile;
+    } catch (error) {
+        console.error('Error loading initial settings:', error);
+        displayMessage('Error loading initial settings. Check console for details.', 'error');
+    }
+
+    // Initialize the currentTreeData with a conceptual root node.
+    currentTreeData = {
+        id: 'root',
+        name: "project_root",
+        type: "folder",
+        children: []
+    };
+
+    populateOutputFormats(); // One entry per registered exporter.
+    if (getActiveProfile()) {
+        applyProfile(getActiveProfile()); // After the output formats exist, so the profile's format can be selected.
+        populateProfileSelect();
+    }
+    refreshInteractiveTreeEditor(); // Render the initial (potentially empty) interactive tree.
+    refreshTreeOutput(); // Generate initial output (ASCII) for display.
+
+    // Listen for progress reports from the main process while a folder is being scanned.
+    window.electronAPI.onScanProgress(handleScanProgress);
+
+    // Listen for changes to the watched folder while live refresh is on.
+    window.electronAPI.onTreeUpdates(handleTreeUpdates);
+    window.electronAPI.onWatchError(handleWatchError);
+
+    // Listen for changes to the recent items and for commands from the application menu.
+    window.electronAPI.onRecentItems(handleRecentItems);
+    window.electronAPI.onMenuAction(handleMenuAction);
+    try {
+        handleRecentItems(null, await window.electronAPI.getRecentItems()); // Shows the start screen.
+    } catch (error) {
+        console.error('Error loading recent items:', error);
+    }
+
+    toggleTreeOutputButtons();
+});
+
+
+// --- Event Listeners for User Actions ---
+
+// Event listener for the "Select Folder" button.
+selectFolderBtn.addEventListener('click', async () => {
+    try {
+        // Call the main process to open a native folder selection dialog.
+        const folderPath = await window.electronAPI.selectFolder();
+        if (folderPath) {
+            const folderProfile = setSelectedFolder(folderPath);
+            if (folderProfile) {
+                displayMessage(`Folder selected: ${folderPath}. Profile "${folderProfile}" applied. \n<i>Generate Tree</i> to render`, 'info');
+            } else {
+                displayMessage(`Folder selected: ${folderPath}. \n<i>Generate Tree</i> to render`, 'info'); // Confirmation message.
+            }
+        } else {
+            selectedFolderPathSpan.textContent = 'No folder selected';
+            currentRootFolderPath = null;
+            displayMessage('Folder selection cancelled.', 'info'); // User cancelled message.
+        }
+    } catch (error) {
+        console.error('Error selecting folder:', error);
+        displayMessage('Error selecting folder. Check console for details.', 'error'); // Replaced alert()
+    }
+});
+
+/**
+ * Scans the selected folder and shows its tree, merged with the tree in the editor if that was
+ * generated from the same folder (see `applyScannedTree`), and starts live refresh if it is on.
+ * @param {boolean} [keepEdits=true] - Whether to merge; false replaces the edited tree with the plain scan.
+ */
+async function generateFolderTree(keepEdits = true) {
+    if (!currentRootFolderPath) {
+        displayMessage('Please select a folder first before generating a tree.', 'info'); // Replaced alert()
+        return;
+    }
+
+    // Make sure the ignore patterns are valid before scanning; the patterns themselves are parsed in the main process.
+    if (!await validateIgnorePatternsInput()) {
+        return;
+    }
+    const { ignorePatterns, useGitignore, scanOptions } = getScanSettings();
+
+    setScanningState(true);
+    try {
+        // Call the main process to generate the directory tree based on selected folder and ignore rules.
+        // Progress arrives through `handleScanProgress` while this call is pending.
+        const generatedRootNode = await window.electronAPI.generateTree(currentRootFolderPath, ignorePatterns, useGitignore, scanOptions);
+
+        // A null result means the scan was cancelled; the current tree stays as it is.
+        if (!generatedRootNode) {
+            displayMessage('Tree generation cancelled. The previous tree view has been retained.', 'info');
+            return;
+        }
+
+        // Check if the generated tree is effectively empty (e.g., all contents ignored or folder was empty).
+        if (generatedRootNode.type === 'folder' && (!generatedRootNode.children || generatedRootNode.children.length === 0)) {
+            displayMessage(`The selected folder "${generatedRootNode.name}" or its contents were fully ignored or empty, resulting in an empty tree. The previous tree view has been retained.`, 'info', 7000); // Replaced alert()
+            return; // The current tree is only replaced once a usable tree has been generated.
+        }
+
+        // Replace (or merge into) the current tree, undoably, and re-render.
+        nodeBeingEdited = null;
+        commentBeingEdited = null;
+        generatedRootNode.sourcePaths = [currentRootFolderPath]; // Regenerating the same folder merges.
+        applyScannedTree(generatedRootNode, 'regenerate tree', 'Directory tree generated successfully!', keepEdits);
+        startLiveRefresh(); // Watch with the settings the tree was generated with.
+        rememberFolderProfile();
+    } catch (error) {
+        console.error('Error generating tree:', error);
+        displayMessage(`An error occurred while generating the tree: ${error.message}`, 'error', 7000); // Replaced alert()
+        // The current tree is untouched, so the previous view stays as it is.
+    } finally {
+        setScanningState(false);
+    }
+}
+
+// Event listeners for "Generate Tree" (merging with the edited tree of the same folder) and "Regenerate Clean".
+generateTreeBtn.addEventListener('click', () => generateFolderTree(true));
+regenerateCleanBtn.addEventListener('click', () => generateFolderTree(false));
+
+// Event listeners for compare mode: compare with the folder, export the diff, or leave compare mode.
+compareTreeBtn.addEventListener('click', compareWithFolder);
+exitCompareBtn.addEventListener('click', exitCompareMode);
+exportDiffBtn.addEventListener('click', async () => {
+    try {
+        const diffText = generateDiffTree(comparison.diffTree, getOutputOptions());
+        const result = await window.electronAPI.exportTreeFile(diffText, 'ascii', `${currentTreeData.name || 'directory_tree'}-diff`);
+        if (result.success) {
+            displayMessage(result.message, 'success');
+        } else {
+            displayMessage(result.message || 'Export was cancelled.', 'info');
+        }
+    } catch (error) {
+        console.error('Error exporting diff:', error);
+        displayMessage(`An error occurred while exporting the diff: ${error.message}`, 'error');
+    }
+});
+
+// Event listener for the "Live refresh" checkbox: watch the folder of the generated tree, or stop watching.
+watchFolderCheckbox.addEventListener('change', () => {
+    if (!watchFolderCheckbox.checked) {
+        stopLiveRefresh();
+    } else if (isWorkspaceTree(currentTreeData)) {
+        displayMessage('Live refresh watches a single folder; it is not available for workspaces.', 'info');
+    } else if (currentRootFolderPath && currentTreeData && currentTreeData.children && currentTreeData.children.length > 0) {
+        startLiveRefresh();
+    } else {
+        displayMessage('Live refresh starts when the tree is generated from a folder.', 'info');
+    }
+});
+
+// Event listeners for the Workspace card.
+addWorkspaceFoldersBtn.addEventListener('click', addWorkspaceFolders);
+generateWorkspaceBtn.addEventListener('click', generateWorkspace);
+saveWorkspaceBtn.addEventListener('click', saveWorkspace);
+loadWorkspaceBtn.addEventListener('click', loadWorkspace);
+
+// Event listeners for the scan profiles.
+profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+saveProfileBtn.addEventListener('click', saveActiveProfile);
+duplicateProfileBtn.addEventListener('click', duplicateActiveProfile);
+deleteProfileBtn.addEventListener('click', deleteActiveProfile);
+importProfilesBtn.addEventListener('click', importProfilesFromFile);
+exportProfilesBtn.addEventListener('click', exportProfilesToFile);
+// Switching the layout re-renders a workspace tree that is already shown.
+workspaceLayoutSelect.addEventListener('change', () => {
+    if (isWorkspaceTree(currentTreeData)) {
+        currentTreeData.workspace = workspaceLayoutSelect.value;
+        refreshTreeOutput();
+    }
+});
+
+// Event listener for the "Cancel" button shown while scanning.
+cancelScanBtn.addEventListener('click', async () => {
+    cancelScanBtn.disabled = true; // Prevent repeated clicks while the scan winds down.
+    scanProgressText.textContent = 'Cancelling...';
+    try {
+        await window.electronAPI.cancelGenerateTree();
+    } catch (error) {
+        console.error('Error cancelling scan:', error);
+        displayMessage(`Could not cancel the scan: ${error.message}`, 'error');
+        cancelScanBtn.disabled = false;
+    }
+});
+
+// Event listener for validating the ignore patterns as the user types (debounced).
+ignoredFoldersInput.addEventListener('input', () => {
+    clearTimeout(ignoreValidationTimer);
+    ignoreValidationTimer = setTimeout(validateIgnorePatternsInput, 300);
+});
+
+// Event listeners for the undo/redo toolbar buttons.
+undoBtn.addEventListener('click', undoLastEdit);
+redoBtn.addEventListener('click', redoLastEdit);
+
+// Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo (Cmd instead of Ctrl on macOS).
+// Text fields keep their own native undo.
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.matches('input, textarea, select')) {
+        return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastEdit();
+    }
+});
+
+// Event listeners for the editor search: search after a short typing pause, and at once when an option changes.
+treeSearchInput.addEventListener('input', () => {
+    clearTimeout(treeSearchTimer);
+    treeSearchTimer = setTimeout(() => {
+        treeSearchTimer = null;
+        applyTreeSearch();
+    }, 200);
+});
+treeSearchInput.addEventListener('keydown', handleTreeSearchKeydown);
+treeSearchModeSelect.addEventListener('change', applyTreeSearch);
+treeSearchCaseCheckbox.addEventListener('change', applyTreeSearch);
+treeSearchFilterCheckbox.addEventListener('change', refreshInteractiveTreeEditor);
+treeSearchPrevBtn.addEventListener('click', () => stepTreeSearch(-1));
+treeSearchNextBtn.addEventListener('click', () => stepTreeSearch(1));
+outputFilteredOnlyCheckbox.addEventListener('change', refreshTreeOutput);
+
+// Event listeners for the keyboard navigation of the tree editor.
+interactiveTreeEditor.addEventListener('keydown', handleEditorKeydown);
+interactiveTreeEditor.addEventListener('mousedown', handleEditorMousedown);
+
+// Event listeners for the command palette; it closes when it loses the focus.
+commandPaletteInput.addEventListener('input', () => {
+    paletteIndex = 0;
+    renderCommandPalette();
+});
+commandPaletteInput.addEventListener('keydown', handleCommandPaletteKeydown);
+commandPaletteInput.addEventListener('blur', () => closeCommandPalette(false));
+
+// Event listener for the output format selector; renders the tree in the chosen format.
+outputFormatSelect.addEventListener('change', refreshTreeOutput);
+
+// Event listener for toggling the size/count annotations; re-renders whichever format is shown.
+showMetadataCheckbox.addEventListener('change', refreshTreeOutput);
+
+// Event listener for toggling trailing slashes on folder names; re-renders whichever format is shown.
+folderSlashCheckbox.addEventListener('change', refreshTreeOutput);
+
+// Event listeners for the ASCII style: show the custom fields when needed and preview every change live.
+asciiStyleSelect.addEventListener('change', () => {
+    customAsciiStyleGroup.classList.toggle('hidden', asciiStyleSelect.value !== 'custom');
+    previewAsciiStyle();
+});
+[customBranchInput, customLastInput, customPipeInput, customBlankInput].forEach(input => {
+    input.addEventListener('input', previewAsciiStyle);
+});
+
+// Event listeners for the Markdown options: preview every change and remember it.
+[markdownStyleSelect, markdownLinksCheckbox, markdownLinkBaseInput, markdownIconsCheckbox, markdownTaskListCheckbox].forEach(control => {
+    control.addEventListener('change', applyMarkdownOptions);
+});
+markdownLinkBaseInput.addEventListener('input', () => {
+    outputFormatSelect.value = 'markdown';
+    refreshTreeOutput(); // Live preview while typing; saved on 'change'.
+});
+
+// Event listeners for the sort controls: re-sort the editor and the output, and remember the choice.
+[sortModeSelect, sortFoldersFirstCheckbox, sortNaturalCheckbox, sortCaseSensitiveCheckbox].forEach(control => {
+    control.addEventListener('change', async () => {
+        refreshInteractiveTreeEditor();
+        refreshTreeOutput();
+        const result = await window.electronAPI.saveSortOptions(getSortOptions());
+        if (!result.success) {
+            displayMessage(result.message, 'error');
+        }
+    });
+});
+
+// Event listener for "Save Tree" button.
+saveTreeBtn.addEventListener('click', async () => {
+    // Ensure there's a tree to save.
+    if (!currentTreeData || !currentTreeData.children || currentTreeData.children.length === 0) {
+        displayMessage('No tree to save. Please generate or load one first, or add items to the editor.', 'info'); // Replaced alert()
+        return;
+    }
+
+    try {
+        // Create a deep copy of the tree data to avoid modifying the live object and to remove temporary properties.
+        const treeDataForSave = JSON.parse(JSON.stringify(currentTreeData));
+
+        // Function to clean up temporary properties (id, collapsed) before saving.
+        // NOTE: 'userOrder' is intentionally NOT deleted here, as it defines user-intended sorting for "..." items.
+        function cleanNodeForSave(node) {
+            delete node.id; // Remove internal IDs that are not part of the standard tree structure.
+            delete node.collapsed; // Remove collapse state, as it's a UI-specific property.
+            // Comments are kept (cleaned up); empty ones are dropped.
+            const comment = normalizeComment(node.comment);
+            if (comment) {
+                node.comment = comment;
+            } else {
+                delete node.comment;
+            }
+            // Recursively apply cleanup to children.
+            if (node.children) {
+                node.children.forEach(cleanNodeForSave);
+            }
+        }
+        cleanNodeForSave(treeDataForSave); // Clean the data before sending to main process for saving.
+
+        // Call the main process to open a save dialog and save the cleaned tree data.
         const result = await window.electronAPI.saveTreeFile(treeDataForSave);
         if (result.success) {
             displayMessage(result.message, 'success'); // Replaced alert()
@@ -990,10 +3510,13 @@ saveTreeBtn.addEventListener('click', async () => {
     }
 });
 
-// Event listener for "Load Tree" button.
-loadTreeBtn.addEventListener('click', async () => {
+/**
+ * Loads a saved tree into the editor (undoable), replacing the current one.
+ * @param {string} [filePath] - The file to load, e.g. from the recent tree files; a dialog asks for one if omitted.
+ */
+async function loadTreeFromFile(filePath) {
     try {
-        const result = await window.electronAPI.loadTreeFile();
+        const result = await window.electronAPI.loadTreeFile(filePath);
         if (result.success) {
             let loadedTree = result.tree;
 
@@ -1003,20 +3526,16 @@ loadTreeBtn.addEventListener('click', async () => {
                 return; // Stop execution, preserving the previous tree view.
             }
 
-            // Ensure the loaded tree's root has the correct ID and a default name if missing.
-            if (!loadedTree.id || loadedTree.id !== 'root') {
-                loadedTree.id = 'root';
-            }
-            if (loadedTree.id === 'root' && !loadedTree.name) {
+            // Ensure the loaded tree's root has a default name if missing (its ID is set by the command).
+            if (!loadedTree.name) {
                 loadedTree.name = "project_root";
             }
 
-            // If validation passes, update the current tree data and refresh the UI components.
-            currentTreeData = loadedTree;
-            assignIdsAndCollapsedState(currentTreeData); // Assign/ensure IDs and collapsed states for interactive editing.
-            refreshInteractiveTreeEditor(); // Re-render the interactive editor.
-            treeOutput.textContent = generateAsciiTree(currentTreeData); // Update ASCII output.
-            toggleTreeOutputButtons(); // Update button states.
+            // If validation passes, replace the current tree (undoable) and refresh the UI components.
+            nodeBeingEdited = null;
+            commentBeingEdited = null;
+            editHistory.execute(createReplaceTreeCommand('load tree', loadedTree));
+            stopLiveRefresh(); // A saved tree is not kept in step with the folder.
 
             displayMessage('Tree loaded successfully!', 'success'); // Success message.
         }
@@ -1039,6 +3558,61 @@ loadTreeBtn.addEventListener('click', async () => {
         treeOutput.textContent = '';
         toggleTreeOutputButtons();
     }
+}
+
+// Event listener for "Load Tree" button.
+loadTreeBtn.addEventListener('click', () => loadTreeFromFile());
+
+// Event listeners for the import panel: toggle it, fill it from a file, import or cancel.
+importTreeBtn.addEventListener('click', () => setImportPanelVisible(importPanel.classList.contains('hidden')));
+importCancelBtn.addEventListener('click', () => setImportPanelVisible(false));
+importConfirmBtn.addEventListener('click', importTreeFromText);
+importOpenFileBtn.addEventListener('click', async () => {
+    try {
+        const result = await window.electronAPI.readTextFile();
+        if (result.success) {
+            importTextArea.value = result.text;
+            showImportErrors([]);
+        }
+    } catch (error) {
+        displayMessage(`Error reading file: ${error.message}`, 'error', 7000);
+        console.error('Error reading import file:', error);
+    }
+});
+
+// Event listeners for the "Create on Disk" panel.
+scaffoldTreeBtn.addEventListener('click', () => scaffoldPanel.classList.toggle('hidden'));
+scaffoldCloseBtn.addEventListener('click', () => scaffoldPanel.classList.add('hidden'));
+scaffoldFolderBtn.addEventListener('click', async () => {
+    const folderPath = await window.electronAPI.selectScaffoldFolder();
+    if (folderPath) {
+        scaffoldTargetPath = folderPath;
+        scaffoldFolderPathSpan.textContent = folderPath;
+        scaffoldReport.classList.add('hidden'); // An earlier report was for another folder.
+    }
+});
+scaffoldPreviewBtn.addEventListener('click', () => runScaffold(true));
+scaffoldCreateBtn.addEventListener('click', () => runScaffold(false));
+
+// Event listener for "Export" button: saves the tree in the selected output format.
+exportTreeBtn.addEventListener('click', async () => {
+    if (!currentTreeData || !currentTreeData.children || currentTreeData.children.length === 0) {
+        displayMessage('No tree to export. Please generate or load one first, or add items to the editor.', 'info');
+        return;
+    }
+    const exporter = getExporter(outputFormatSelect.value);
+    try {
+        const content = exportWorkspaceTree(getOutputTree(), exporter.id, getOutputOptions());
+        const result = await window.electronAPI.exportTreeFile(content, exporter.id, currentTreeData.name);
+        if (result.success) {
+            displayMessage(result.message, 'success');
+        } else {
+            displayMessage(result.message || 'Export was cancelled.', 'info');
+        }
+    } catch (error) {
+        console.error('Error exporting tree:', error);
+        displayMessage(`An error occurred while exporting the tree: ${error.message}`, 'error');
+    }
 });
 
 // Event listener for "Copy to Clipboard" button.
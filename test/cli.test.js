@@ -0,0 +1,88 @@
+// --- test/cli.test.js ---
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { parseArguments, main } = require('../cli');
+
+/**
+ * Runs the command-line interface and captures what it writes.
+ * @param {string[]} argv - The arguments.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and the output.
+ */
+async function runCli(argv) {
+    const output = { stdout: '', stderr: '' };
+    const originalWrites = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = chunk => { output.stdout += chunk; return true; };
+    process.stderr.write = chunk => { output.stderr += chunk; return true; };
+    try {
+        const code = await main(argv);
+        return { code, ...output };
+    } finally {
+        process.stdout.write = originalWrites.stdout;
+        process.stderr.write = originalWrites.stderr;
+    }
+}
+
+describe('parseArguments', () => {
+    it('reads option values given inline or as the next argument', () => {
+        const options = parseArguments(['--format=markdown', '-d', '2', '--ignore=dist', '-i', 're:\\.log$', 'src']);
+        assert.equal(options.format, 'markdown');
+        assert.equal(options.maxDepth, 2);
+        assert.deepEqual(options.ignorePatterns, ['dist', 're:\\.log$']);
+        assert.equal(options.folderPath, 'src');
+    });
+
+    it('rejects unknown options, missing values and invalid values', () => {
+        assert.throws(() => parseArguments(['--colour', 'src']), /Unknown option "--colour"/);
+        assert.throws(() => parseArguments(['src', '--format']), /requires a value/);
+        assert.throws(() => parseArguments(['--format=pdf', 'src']), /Unknown format "pdf"/);
+        assert.throws(() => parseArguments(['a', 'b']), /Only one folder path/);
+    });
+
+    it('leaves the folder path empty when none is given', () => {
+        assert.equal(parseArguments(['--gitignore']).folderPath, null);
+    });
+});
+
+describe('main', () => {
+    let root;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-test-'));
+        await fs.mkdir(path.join(root, 'src'));
+        await fs.writeFile(path.join(root, 'src', 'index.js'), '');
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('prints the tree and exits with 0', async () => {
+        const { code, stdout } = await runCli(['--style=ascii', root]);
+        assert.equal(code, 0);
+        assert.match(stdout, /`-- src\n    `-- index\.js\n/);
+    });
+
+    it('exits with 2 for usage errors', async () => {
+        const missingFolder = await runCli(['--gitignore']);
+        assert.equal(missingFolder.code, 2);
+        assert.match(missingFolder.stderr, /A folder path is required/);
+
+        const unknownOption = await runCli(['--colour', root]);
+        assert.equal(unknownOption.code, 2);
+        assert.match(unknownOption.stderr, /Unknown option/);
+    });
+
+    it('exits with 1 when the scan fails', async () => {
+        const invalidPattern = await runCli(['--ignore=re:(', root]);
+        assert.equal(invalidPattern.code, 1);
+        assert.match(invalidPattern.stderr, /^Error: /);
+
+        const missing = await runCli([path.join(root, 'missing')]);
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /Cannot access/);
+    });
+});
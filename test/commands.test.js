@@ -0,0 +1,33 @@
+// --- test/commands.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreCommandMatch, filterCommands } = require('../core/commands');
+
+const commands = [
+    { label: 'File: Save Tree...' },
+    { label: 'Output: ASCII' },
+    { label: 'Output: Markdown' },
+    { label: 'Tree: Rename Selected Item' },
+    { label: 'Folder: Generate Tree' }
+];
+
+describe('command matching', () => {
+    it('requires every word, as written or as letters in order', () => {
+        assert.equal(scoreCommandMatch('Output: Markdown', ''), 0);
+        assert.equal(scoreCommandMatch('Output: Markdown', 'mark'), 3);
+        assert.equal(scoreCommandMatch('Output: Markdown', 'down'), 2);
+        assert.equal(scoreCommandMatch('Output: Markdown', 'mkdn'), 1);
+        assert.equal(scoreCommandMatch('Output: Markdown', 'out mark'), 6);
+        assert.equal(scoreCommandMatch('Output: Markdown', 'out yaml'), null);
+    });
+
+    it('lists the best matches first, keeping the list order otherwise', () => {
+        assert.deepEqual(filterCommands(commands, '').map(command => command.label), commands.map(command => command.label));
+        assert.deepEqual(filterCommands(commands, 'tree').map(command => command.label), [
+            'File: Save Tree...', 'Tree: Rename Selected Item', 'Folder: Generate Tree'
+        ]);
+        assert.deepEqual(filterCommands(commands, 'out md').map(command => command.label), ['Output: Markdown']);
+        assert.deepEqual(filterCommands(commands, 'zzz'), []);
+    });
+});
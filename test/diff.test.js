@@ -0,0 +1,174 @@
+// --- test/diff.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffTrees, summarizeDiff, generateDiffTree, computeTreeUpdates, applyTreeUpdates } = require('../core/diff');
+
+// The intended layout, as saved from the editor.
+const LAYOUT = {
+    id: 'root',
+    name: 'plan',
+    type: 'folder',
+    children: [
+        {
+            id: 'node-1',
+            name: 'src',
+            type: 'folder',
+            children: [
+                { id: 'node-2', name: 'index.js', type: 'file' },
+                { id: 'node-3', name: 'legacy.js', type: 'file', comment: 'to remove' }
+            ]
+        },
+        { id: 'node-4', name: 'docs', type: 'file' },
+        { id: 'node-5', name: 'latest', type: 'symlink', target: 'v1' }
+    ]
+};
+
+// The folder as scanned from disk.
+const ACTUAL = {
+    name: 'project',
+    type: 'folder',
+    children: [
+        { name: 'src', type: 'folder', children: [{ name: 'index.js', type: 'file' }, { name: 'util.js', type: 'file' }] },
+        { name: 'docs', type: 'folder', children: [{ name: 'guide.md', type: 'file' }] },
+        { name: 'latest', type: 'symlink', target: 'v2' },
+        { name: 'build', type: 'folder', children: [{ name: 'out.js', type: 'file' }] }
+    ]
+};
+
+describe('diffTrees', () => {
+    it('marks added, removed and changed entries, keeping the layout IDs', () => {
+        const diff = diffTrees(LAYOUT, ACTUAL);
+        assert.equal(diff.name, 'plan');
+        assert.equal(diff.status, 'unchanged');
+
+        const [src, docs, latest, build] = diff.children;
+        assert.deepEqual(src.children.map(child => [child.name, child.status, child.id]), [
+            ['index.js', 'unchanged', 'node-2'],
+            ['legacy.js', 'removed', 'node-3'],
+            ['util.js', 'added', undefined]
+        ]);
+        assert.deepEqual([docs.status, docs.type, docs.previousType, docs.id], ['changed', 'folder', 'file', 'node-4']);
+        assert.equal(docs.children[0].status, 'added');
+        assert.deepEqual([latest.status, latest.target, latest.previousTarget], ['changed', 'v2', 'v1']);
+        assert.deepEqual([build.status, build.children[0].status], ['added', 'added']);
+        assert.deepEqual(summarizeDiff(diff), { unchanged: 2, added: 4, removed: 1, changed: 2 });
+    });
+
+    it('finds no differences between a tree and itself', () => {
+        assert.deepEqual(summarizeDiff(diffTrees(ACTUAL, ACTUAL)), { unchanged: 8, added: 0, removed: 0, changed: 0 });
+    });
+});
+
+describe('generateDiffTree', () => {
+    it('writes an ASCII tree with +/-/~ markers and the previous types', () => {
+        assert.equal(generateDiffTree(diffTrees(LAYOUT, ACTUAL), { folderSlash: true }), [
+            '  plan/',
+            '+ ├── build/',
+            '+ │   └── out.js',
+            '~ ├── docs/          # was a file',
+            '+ │   └── guide.md',
+            '  ├── src/',
+            '  │   ├── index.js',
+            '- │   ├── legacy.js  # to remove',
+            '+ │   └── util.js',
+            '~ └── latest -> v2   # was a link to v1',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('computeTreeUpdates / applyTreeUpdates', () => {
+    const BEFORE = {
+        name: 'app',
+        type: 'folder',
+        children: [
+            { name: 'notes.txt', type: 'file' },
+            { name: 'old-lib', type: 'folder', children: [{ name: 'a.js', type: 'file' }] },
+            { name: 'latest', type: 'symlink', target: 'v1' },
+            { name: 'tmp', type: 'folder', children: [{ name: 'x.log', type: 'file' }, { name: 'y.log', type: 'file' }] }
+        ]
+    };
+    const AFTER = {
+        name: 'app',
+        type: 'folder',
+        children: [
+            { name: 'notes.txt', type: 'file' },
+            { name: 'lib', type: 'folder', children: [{ name: 'a.js', type: 'file' }, { name: 'b.js', type: 'file' }] },
+            { name: 'latest', type: 'symlink', target: 'v2' },
+            { name: 'tmp', type: 'folder', children: [] }
+        ]
+    };
+
+    it('lists renames, additions, removals and replacements by path', () => {
+        assert.deepEqual(computeTreeUpdates(BEFORE, AFTER), [
+            { op: 'rename', path: ['old-lib'], name: 'lib' },
+            { op: 'add', path: ['lib'], node: { name: 'b.js', type: 'file' } },
+            { op: 'replace', path: ['latest'], node: { name: 'latest', type: 'symlink', target: 'v2' } },
+            { op: 'remove', path: ['tmp', 'x.log'] },
+            { op: 'remove', path: ['tmp', 'y.log'] }
+        ]);
+        assert.deepEqual(computeTreeUpdates(AFTER, AFTER), []);
+    });
+
+    it('keeps editor state while applying the updates', () => {
+        const edited = structuredClone(BEFORE);
+        edited.children[0].comment = 'keep';
+        edited.children[1].collapsed = true;
+        edited.children[1].id = 'node-2';
+        edited.children[2].id = 'node-3';
+        edited.children[2].comment = 'current release';
+
+        assert.equal(applyTreeUpdates(edited, computeTreeUpdates(BEFORE, AFTER)), 5);
+        assert.deepEqual(edited.children.map(child => child.name), ['notes.txt', 'lib', 'latest', 'tmp']);
+        assert.equal(edited.children[0].comment, 'keep');
+        assert.deepEqual([edited.children[1].id, edited.children[1].collapsed], ['node-2', true]);
+        assert.deepEqual(edited.children[1].children.map(child => child.name), ['a.js', 'b.js']);
+        assert.deepEqual(edited.children[2], { name: 'latest', type: 'symlink', target: 'v2', id: 'node-3', comment: 'current release' });
+        assert.deepEqual(edited.children[3].children, []);
+    });
+
+    it('finds entries renamed in the editor by their name on disk', () => {
+        const edited = structuredClone(BEFORE);
+        edited.children[1].name = 'Library';
+        edited.children[1].sourceName = 'old-lib';
+        assert.equal(applyTreeUpdates(edited, computeTreeUpdates(BEFORE, AFTER)), 5);
+        assert.deepEqual([edited.children[1].name, edited.children[1].sourceName], ['Library', 'lib']);
+        assert.deepEqual(edited.children[1].children.map(child => child.name), ['a.js', 'b.js']);
+    });
+
+    it('skips updates for entries the tree no longer has', () => {
+        const edited = structuredClone(BEFORE);
+        edited.children.splice(1, 1); // 'old-lib' was deleted in the editor
+        assert.equal(applyTreeUpdates(edited, computeTreeUpdates(BEFORE, AFTER)), 3);
+        assert.deepEqual(edited.children.map(child => child.name), ['notes.txt', 'latest', 'tmp']);
+    });
+
+    it('finds entries moved in the editor under their folder on disk', () => {
+        const edited = structuredClone(BEFORE);
+        // 'old-lib' was moved into 'tmp', and 'a.js' out of it to the root.
+        const [oldLib] = edited.children.splice(1, 1);
+        const [aJs] = oldLib.children.splice(0, 1);
+        edited.children[2].children.push({ ...oldLib, sourceFolder: '' });
+        edited.children.push({ ...aJs, sourceFolder: 'old-lib' });
+
+        assert.equal(applyTreeUpdates(edited, computeTreeUpdates(BEFORE, AFTER)), 5);
+        assert.deepEqual(edited.children.map(child => child.name), ['notes.txt', 'latest', 'tmp', 'a.js']);
+        const tmp = edited.children[2];
+        assert.deepEqual(tmp.children.map(child => child.name), ['lib']); // x.log and y.log removed, the folder renamed
+        assert.deepEqual(tmp.children[0].children.map(child => child.name), ['b.js']);
+        assert.equal(edited.children[3].sourceFolder, 'lib'); // Follows the rename of its folder on disk.
+    });
+
+    it('refreshes the size and modification time of scans that collect metadata', () => {
+        const before = { name: 'app', type: 'folder', mtime: 1, children: [{ name: 'a.txt', type: 'file', size: 10, mtime: 1 }] };
+        const after = { name: 'app', type: 'folder', mtime: 1, children: [{ name: 'a.txt', type: 'file', size: 25, mtime: 2 }] };
+        const updates = computeTreeUpdates(before, after);
+        assert.deepEqual(updates, [{ op: 'metadata', path: ['a.txt'], size: 25, mtime: 2 }]);
+
+        const edited = structuredClone(before);
+        edited.children[0].comment = 'keep';
+        assert.equal(applyTreeUpdates(edited, updates), 1);
+        assert.deepEqual(edited.children[0], { name: 'a.txt', type: 'file', size: 25, mtime: 2, comment: 'keep' });
+    });
+});
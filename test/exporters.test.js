@@ -0,0 +1,132 @@
+// --- test/exporters.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerExporter, getExporter, listExporters, exportTree } = require('../core/exporters');
+
+const TREE = {
+    id: 'root',
+    name: 'project',
+    type: 'folder',
+    collapsed: false,
+    children: [
+        { id: 'node-1', name: 'README.md', type: 'file', comment: 'start "here"' },
+        {
+            id: 'node-2',
+            name: 'src',
+            type: 'folder',
+            omittedCount: 3,
+            children: [{ id: 'node-3', name: 'a, b.js', type: 'file' }]
+        },
+        { id: 'node-4', name: 'latest', type: 'symlink', target: 'releases/v2' }
+    ]
+};
+
+describe('exporter registry', () => {
+    it('lists the built-in formats with their file types', () => {
+        assert.deepEqual(listExporters().map(exporter => exporter.id),
+            ['ascii', 'markdown', 'html', 'json', 'json-flat', 'yaml', 'csv', 'mermaid', 'plantuml']);
+        assert.equal(getExporter('yaml').extension, 'yaml');
+        assert.equal(getExporter('nope'), null);
+        assert.throws(() => exportTree(TREE, 'nope'), /Unknown export format "nope"/);
+    });
+
+    it('accepts custom exporters', () => {
+        registerExporter({ id: 'names', label: 'Names', extension: 'txt', export: tree => `${tree.name}\n` });
+        assert.equal(exportTree(TREE, 'names'), 'project\n');
+        assert.equal(getExporter('names').fileTypeName, 'Names Files');
+        assert.throws(() => registerExporter({ id: 'broken' }), /needs an id/);
+    });
+});
+
+describe('built-in exporters', () => {
+    it('writes a collapsible HTML page with escaped names', () => {
+        const html = exportTree(TREE, 'html');
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<li class="folder"><details open><summary><span class="name">src<\/span><\/summary>/);
+        assert.match(html, /<span class="comment"># start &quot;here&quot;<\/span>/);
+        assert.match(html, /<li class="omitted"><span class="name">… 3 more items<\/span><\/li>/);
+    });
+
+    it('writes the nested JSON without editor-only properties', () => {
+        const json = JSON.parse(exportTree(TREE, 'json'));
+        assert.equal(json.id, undefined);
+        assert.equal(json.collapsed, undefined);
+        assert.deepEqual(json.children[1], { name: 'src', type: 'folder', omittedCount: 3, children: [{ name: 'a, b.js', type: 'file' }] });
+    });
+
+    it('writes flat JSON and CSV listings of paths in display order', () => {
+        assert.deepEqual(JSON.parse(exportTree(TREE, 'json-flat')), [
+            { path: 'src', type: 'folder', omittedCount: 3 },
+            { path: 'src/a, b.js', type: 'file' },
+            { path: 'latest', type: 'symlink', target: 'releases/v2' },
+            { path: 'README.md', type: 'file', comment: 'start "here"' }
+        ]);
+        assert.equal(exportTree(TREE, 'csv'), [
+            'path,type,size,modified,target,comment',
+            'src,folder,,,,',
+            '"src/a, b.js",file,,,,',
+            'latest,symlink,,,releases/v2,',
+            'README.md,file,,,,"start ""here"""',
+            ''
+        ].join('\n'));
+    });
+
+    it('keeps spreadsheets from reading CSV cells as formulas', () => {
+        const tree = { name: 'p', type: 'folder', children: [{ name: '=SUM(A1)', type: 'file', comment: '@cmd, +1' }, { name: '-x', type: 'file' }] };
+        assert.equal(exportTree(tree, 'csv'), [
+            'path,type,size,modified,target,comment',
+            '\'-x,file,,,,',
+            '\'=SUM(A1),file,,,,"\'@cmd, +1"',
+            ''
+        ].join('\n'));
+    });
+
+    it('writes YAML mappings with children sequences', () => {
+        assert.equal(exportTree(TREE, 'yaml'), [
+            'name: project',
+            'type: folder',
+            'children:',
+            '  - name: src',
+            '    type: folder',
+            '    omittedCount: 3',
+            '    children:',
+            '      - name: "a, b.js"',
+            '        type: file',
+            '  - name: latest',
+            '    type: symlink',
+            '    target: releases/v2',
+            '  - name: README.md',
+            '    type: file',
+            '    comment: "start \\"here\\""',
+            ''
+        ].join('\n'));
+    });
+
+    it('writes Mermaid and PlantUML diagrams', () => {
+        assert.equal(exportTree(TREE, 'mermaid'), [
+            'flowchart TD',
+            '    n0["project/"]',
+            '    n0 --> n1["src/"]',
+            '    n1 --> n2["a, b.js"]',
+            '    n1 --> n3["… 3 more items"]:::omitted',
+            '    n0 --> n4["latest -#gt; releases/v2"]',
+            '    n0 --> n5["README.md"]',
+            '    classDef omitted stroke-dasharray: 4 4,color:#888',
+            ''
+        ].join('\n'));
+        const special = { name: '<a&"b>', type: 'folder', children: [{ name: '#1', type: 'file' }] };
+        assert.equal(exportTree(special, 'mermaid'), 'flowchart TD\n    n0["#lt;a&#quot;b#gt;/"]\n    n0 --> n1["#35;1"]\n');
+        assert.equal(exportTree(TREE, 'plantuml'), [
+            '@startwbs',
+            '* project',
+            '** src',
+            '***_ a, b.js',
+            '***_ … 3 more items',
+            '**_ latest -> releases/v2',
+            '**_ README.md',
+            '@endwbs',
+            ''
+        ].join('\n'));
+    });
+});
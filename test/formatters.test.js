@@ -0,0 +1,245 @@
+// --- test/formatters.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateAsciiTree, generateMarkdownTree } = require('../core/formatters');
+
+const TREE = {
+    name: 'project',
+    type: 'folder',
+    children: [
+        { name: 'README.md', type: 'file' },
+        {
+            name: 'src',
+            type: 'folder',
+            children: [
+                { name: 'index.js', type: 'file' },
+                { name: 'lib', type: 'folder', children: [{ name: 'util.js', type: 'file' }] }
+            ]
+        },
+        { name: 'docs', type: 'folder', children: [] }
+    ]
+};
+
+// A tree cut off by the scan limits: `omittedCount` entries were left out of each folder.
+const TRUNCATED_TREE = {
+    name: 'project',
+    type: 'folder',
+    omittedCount: 42,
+    children: [
+        { name: 'src', type: 'folder', children: [], omittedCount: 1 },
+        { name: 'README.md', type: 'file' }
+    ]
+};
+
+describe('generateAsciiTree', () => {
+    it('renders the root without a connector and sorts folders first', () => {
+        assert.equal(generateAsciiTree(TREE), [
+            'project',
+            '├── docs',
+            '├── src',
+            '│   ├── lib',
+            '│   │   └── util.js',
+            '│   └── index.js',
+            '└── README.md',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders an empty tree as just the root name', () => {
+        assert.equal(generateAsciiTree({ name: 'empty', type: 'folder', children: [] }), 'empty\n');
+    });
+
+    it('applies the sort options at every level', () => {
+        assert.equal(generateAsciiTree(TREE, { sort: { foldersFirst: false } }), [
+            'project',
+            '├── docs',
+            '├── README.md',
+            '└── src',
+            '    ├── index.js',
+            '    └── lib',
+            '        └── util.js',
+            ''
+        ].join('\n'));
+    });
+
+    it('marks omitted entries after the last child of a truncated folder', () => {
+        assert.equal(generateAsciiTree(TRUNCATED_TREE), [
+            'project',
+            '├── src',
+            '│   └── … 1 more item',
+            '├── README.md',
+            '└── … 42 more items',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('ASCII styles', () => {
+    const SMALL_TREE = {
+        name: 'project',
+        type: 'folder',
+        children: [
+            { name: 'src', type: 'folder', children: [{ name: 'index.js', type: 'file' }] },
+            { name: 'README.md', type: 'file' }
+        ]
+    };
+
+    it('draws with the plain ASCII preset and trailing folder slashes', () => {
+        assert.equal(generateAsciiTree(SMALL_TREE, { asciiStyle: 'ascii', folderSlash: true }), [
+            'project/',
+            '|-- src/',
+            '|   `-- index.js',
+            '`-- README.md',
+            ''
+        ].join('\n'));
+    });
+
+    it('draws with custom connectors, filling missing parts from the unicode preset', () => {
+        assert.equal(generateAsciiTree(SMALL_TREE, { asciiStyle: { branch: '+- ', last: '\\- ', pipe: ': ' } }), [
+            'project',
+            '+- src',
+            ': \\- index.js',
+            '\\- README.md',
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects unknown presets', () => {
+        assert.throws(() => generateAsciiTree(SMALL_TREE, { asciiStyle: 'fancy' }), /Unknown ASCII style "fancy"/);
+    });
+});
+
+describe('symbolic links', () => {
+    it('renders links as name -> target', () => {
+        const tree = {
+            name: 'project',
+            type: 'folder',
+            children: [
+                { name: 'latest', type: 'symlink', target: 'releases/v2' },
+                { name: 'shared', type: 'folder', target: '../shared', children: [{ name: 'util.js', type: 'file' }] }
+            ]
+        };
+        assert.equal(generateAsciiTree(tree), [
+            'project',
+            '├── shared -> ../shared',
+            '│   └── util.js',
+            '└── latest -> releases/v2',
+            ''
+        ].join('\n'));
+        assert.equal(generateMarkdownTree(tree), '- project\n  - shared -> ../shared\n    - util.js\n  - latest -> releases/v2\n');
+    });
+});
+
+describe('metadata annotations', () => {
+    const tree = {
+        name: 'project',
+        type: 'folder',
+        totalSize: 3355443,
+        fileCount: 2,
+        folderCount: 1,
+        children: [
+            { name: 'src', type: 'folder', totalSize: 3355443, fileCount: 1, folderCount: 0, children: [{ name: 'app.js', type: 'file', size: 3355443 }] },
+            { name: 'NOTES', type: 'file', size: 0 }
+        ]
+    };
+
+    it('annotates folders with counts and sizes only when asked to', () => {
+        assert.equal(generateAsciiTree(tree, { showMetadata: true }), [
+            'project (2 files, 3.2 MB)',
+            '├── src (1 file, 3.2 MB)',
+            '│   └── app.js (3.2 MB)',
+            '└── NOTES (0 B)',
+            ''
+        ].join('\n'));
+        assert.equal(generateMarkdownTree(tree, { showMetadata: true }).split('\n')[1], '  - src (1 file, 3.2 MB)');
+        assert.equal(generateAsciiTree(tree).split('\n')[0], 'project');
+    });
+});
+
+describe('comments', () => {
+    const tree = {
+        name: 'project',
+        type: 'folder',
+        children: [
+            { name: 'src', type: 'folder', comment: 'application code', children: [{ name: 'index.js', type: 'file', comment: 'entry\npoint' }] },
+            { name: 'README.md', type: 'file' }
+        ]
+    };
+
+    it('aligns comments in a column after the longest line', () => {
+        assert.equal(generateAsciiTree(tree), [
+            'project',
+            '├── src           # application code',
+            '│   └── index.js  # entry point',
+            '└── README.md',
+            ''
+        ].join('\n'));
+        assert.equal(generateMarkdownTree(tree), [
+            '- project',
+            '  - src         # application code',
+            '    - index.js  # entry point',
+            '  - README.md',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('generateMarkdownTree', () => {
+    it('renders a nested list with two spaces per level', () => {
+        assert.equal(generateMarkdownTree(TREE), [
+            '- project',
+            '  - docs',
+            '  - src',
+            '    - lib',
+            '      - util.js',
+            '    - index.js',
+            '  - README.md',
+            ''
+        ].join('\n'));
+    });
+
+    it('marks omitted entries as list items', () => {
+        assert.equal(generateMarkdownTree(TRUNCATED_TREE), [
+            '- project',
+            '  - src',
+            '    - … 1 more item',
+            '  - README.md',
+            '  - … 42 more items',
+            ''
+        ].join('\n'));
+    });
+
+    it('writes relative links, icons, task items and folder slashes', () => {
+        const tree = {
+            name: 'project',
+            type: 'folder',
+            children: [
+                { name: 'my docs (old)', type: 'folder', children: [{ name: '[draft].md', type: 'file' }] },
+                { name: 'latest', type: 'symlink', target: 'v2' }
+            ]
+        };
+        const markdown = { links: true, linkBase: '../', icons: true, taskList: true };
+        assert.equal(generateMarkdownTree(tree, { markdown, folderSlash: true }), [
+            '- [ ] 📁 project/',
+            '  - [ ] 📁 [my docs (old)/](../my%20docs%20%28old%29/)',
+            '    - [ ] 📄 [\\[draft\\].md](../my%20docs%20%28old%29/%5Bdraft%5D.md)',
+            '  - [ ] 🔗 [latest](../latest) -> v2',
+            ''
+        ].join('\n'));
+    });
+
+    it('wraps the ASCII tree in a code fence longer than any backtick run', () => {
+        assert.equal(generateMarkdownTree(TRUNCATED_TREE, { markdown: { style: 'fence' }, asciiStyle: 'ascii' }), [
+            '```text',
+            'project',
+            '|-- src',
+            '|   `-- … 1 more item',
+            '|-- README.md',
+            '`-- … 42 more items',
+            '```',
+            ''
+        ].join('\n'));
+        assert.match(generateMarkdownTree({ name: 'a```b', type: 'folder', children: [] }, { markdown: { style: 'fence' } }), /^````text\n/);
+    });
+});
@@ -0,0 +1,92 @@
+// --- test/gitignore.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseGitignore, isIgnoredByRules, matchIgnoreRules } = require('../core/gitignore');
+
+const BASE = path.resolve('/project'); // A virtual base directory; matching never touches the file system.
+
+/**
+ * Evaluates gitignore `content` against a path relative to `BASE`.
+ * @param {string} content - The .gitignore content.
+ * @param {string} relativePath - POSIX path relative to BASE.
+ * @param {boolean} [isDirectory=false] - Whether the path is a directory.
+ * @returns {boolean} True if the path is ignored.
+ */
+function ignored(content, relativePath, isDirectory = false) {
+    return isIgnoredByRules(parseGitignore(content, BASE), path.join(BASE, ...relativePath.split('/')), isDirectory);
+}
+
+describe('parseGitignore', () => {
+    it('skips comments and blank lines and keeps escaped characters', () => {
+        const rules = parseGitignore('# comment\n\n\\#hash\n\\!bang\nfoo   \nbar\\ \n', BASE);
+        assert.deepEqual(rules.map(rule => rule.pattern), ['\\#hash', '\\!bang', 'foo', 'bar\\']);
+        assert.equal(ignored('\\#hash', '#hash'), true);
+        assert.equal(ignored('\\!bang', '!bang'), true);
+        assert.equal(ignored('bar\\ ', 'bar '), true);
+    });
+
+    it('records negation and directory-only flags', () => {
+        const [rule] = parseGitignore('!build/', BASE);
+        assert.equal(rule.negate, true);
+        assert.equal(rule.dirOnly, true);
+        assert.equal(rule.baseDir, BASE);
+    });
+});
+
+describe('gitignore matching', () => {
+    it('matches wildcards against names at any depth', () => {
+        assert.equal(ignored('*.log', 'debug.log'), true);
+        assert.equal(ignored('*.log', 'logs/deep/error.log'), true);
+        assert.equal(ignored('*.log', 'log.txt'), false);
+        assert.equal(ignored('file?.txt', 'file1.txt'), true);
+        assert.equal(ignored('file[0-9].txt', 'fileA.txt'), false);
+        assert.equal(ignored('file[!0-9].txt', 'fileA.txt'), true);
+    });
+
+    it('anchors patterns that contain a slash', () => {
+        assert.equal(ignored('docs/internal', 'docs/internal', true), true);
+        assert.equal(ignored('docs/internal', 'src/docs/internal', true), false);
+        assert.equal(ignored('/todo.txt', 'todo.txt'), true);
+        assert.equal(ignored('/todo.txt', 'sub/todo.txt'), false);
+    });
+
+    it('supports ** in leading, trailing and inner positions', () => {
+        assert.equal(ignored('**/snapshots', 'a/b/snapshots', true), true);
+        assert.equal(ignored('build/**', 'build/out/app.js'), true);
+        assert.equal(ignored('build/**', 'build', true), false);
+        assert.equal(ignored('a/**/z.txt', 'a/z.txt'), true);
+        assert.equal(ignored('a/**/z.txt', 'a/b/c/z.txt'), true);
+    });
+
+    it('applies directory-only patterns to directories only', () => {
+        assert.equal(ignored('cache/', 'cache', true), true);
+        assert.equal(ignored('cache/', 'cache', false), false);
+        assert.equal(ignored('cache/', 'nested/cache', true), true);
+    });
+
+    it('lets later negated patterns re-include paths', () => {
+        assert.equal(ignored('*.log\n!keep.log', 'keep.log'), false);
+        assert.equal(ignored('*.log\n!keep.log', 'other.log'), true);
+        assert.equal(ignored('!keep.log\n*.log', 'keep.log'), true); // Order matters: the last match wins.
+    });
+
+    it('evaluates patterns relative to the directory that declared them', () => {
+        const rules = parseGitignore('/generated', path.join(BASE, 'packages', 'web'));
+        assert.equal(isIgnoredByRules(rules, path.join(BASE, 'packages', 'web', 'generated'), true), true);
+        assert.equal(isIgnoredByRules(rules, path.join(BASE, 'generated'), true), false);
+    });
+
+    it('matches entries whose names start with two dots', () => {
+        assert.equal(ignored('..config', '..config'), true);
+        assert.equal(ignored('*.bak', '..data/notes.bak'), true);
+        assert.equal(ignored('/..cache/', '..cache', true), true);
+    });
+
+    it('reports null when no rule matches', () => {
+        const rules = parseGitignore('*.log', BASE);
+        assert.equal(matchIgnoreRules(rules, path.join(BASE, 'app.js'), false), null);
+        assert.equal(matchIgnoreRules(rules, path.join(BASE, 'app.log'), false), true);
+    });
+});
@@ -0,0 +1,101 @@
+// --- test/history.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistory } = require('../core/history');
+const { findNodeById, detachNode, attachNode, moveNode } = require('../core/tree');
+const { applyTreeUpdates } = require('../core/diff');
+
+/**
+ * Creates a command that appends `value` to `list`, for exercising the history.
+ * @param {Array} list - The list to change.
+ * @param {*} value - The value to append.
+ * @returns {Object} The command.
+ */
+function createPushCommand(list, value) {
+    return {
+        label: `push ${value}`,
+        execute: () => list.push(value),
+        undo: () => list.pop()
+    };
+}
+
+describe('createHistory', () => {
+    it('undoes and redoes commands in order', () => {
+        const list = [];
+        const history = createHistory();
+        history.execute(createPushCommand(list, 1));
+        history.execute(createPushCommand(list, 2));
+        assert.deepEqual(list, [1, 2]);
+
+        assert.equal(history.undo().label, 'push 2');
+        assert.equal(history.undo().label, 'push 1');
+        assert.equal(history.undo(), null);
+        assert.deepEqual(list, []);
+
+        assert.equal(history.redoLabel(), 'push 1');
+        history.redo();
+        assert.deepEqual(list, [1]);
+        assert.equal(history.undoLabel(), 'push 1');
+        assert.equal(history.canRedo(), true);
+    });
+
+    it('clears the redo stack when a new command runs', () => {
+        const list = [];
+        const history = createHistory();
+        history.execute(createPushCommand(list, 1));
+        history.undo();
+        history.execute(createPushCommand(list, 3));
+        assert.equal(history.canRedo(), false);
+        assert.equal(history.redo(), null);
+        assert.deepEqual(list, [3]);
+    });
+
+    it('keeps at most `limit` commands and reports every change', () => {
+        const list = [];
+        let changes = 0;
+        const history = createHistory({ limit: 2, onChange: () => changes++ });
+        [1, 2, 3].forEach(value => history.execute(createPushCommand(list, value)));
+        history.undo();
+        history.undo();
+        assert.equal(history.canUndo(), false);
+        assert.deepEqual(list, [1]);
+        assert.equal(changes, 5);
+
+        history.clear();
+        assert.equal(history.canRedo(), false);
+        assert.equal(changes, 6);
+    });
+
+    it('does not record a command that fails', () => {
+        const history = createHistory();
+        assert.throws(() => history.execute({ label: 'fail', execute: () => { throw new Error('boom'); }, undo: () => {} }), /boom/);
+        assert.equal(history.canUndo(), false);
+    });
+
+    it('undoes a move by node ID after the tree changed outside the history', () => {
+        const tree = {
+            id: 'root', name: 'project', type: 'folder', children: [
+                { id: 'src', name: 'src', type: 'folder', children: [] },
+                { id: 'a', name: 'a.md', type: 'file' }
+            ]
+        };
+        // The shape of the editor's move command: it finds the node by ID when it runs.
+        const history = createHistory();
+        history.execute({
+            label: 'move "a.md" into "src"',
+            execute: () => moveNode(tree, 'a', 'src', 'into'),
+            undo: () => {
+                const removed = detachNode(tree, 'a');
+                attachNode(tree, 'root', removed.node, 1);
+                delete removed.node.sourceFolder;
+            }
+        });
+        // Live refresh adds a file to the folder the node was moved into.
+        applyTreeUpdates(tree, [{ op: 'add', path: ['src'], node: { name: 'b.md', type: 'file' } }]);
+
+        history.undo();
+        assert.deepEqual(tree.children.map(node => node.name), ['src', 'a.md']);
+        assert.deepEqual(findNodeById(tree, 'src').children.map(node => node.name), ['b.md']);
+    });
+});
@@ -0,0 +1,78 @@
+// --- test/ignore-patterns.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { splitIgnorePatterns, parseIgnorePatterns } = require('../core/ignore-patterns');
+const { matchIgnoreRules } = require('../core/gitignore');
+
+const BASE = path.resolve('/project');
+
+/**
+ * Evaluates an ignore list against a path relative to `BASE`.
+ * @param {string} text - The ignore list text.
+ * @param {string} relativePath - POSIX path relative to BASE.
+ * @param {boolean} [isDirectory=false] - Whether the path is a directory.
+ * @returns {boolean|null} The decision of the last matching pattern, or null if none matched.
+ */
+function decide(text, relativePath, isDirectory = false) {
+    const { rules, errors } = parseIgnorePatterns(text, BASE);
+    assert.deepEqual(errors, []);
+    return matchIgnoreRules(rules, path.join(BASE, ...relativePath.split('/')), isDirectory);
+}
+
+describe('splitIgnorePatterns', () => {
+    it('splits on commas and newlines and trims entries', () => {
+        assert.deepEqual(splitIgnorePatterns(' .git, node_modules ,\n dist\n\n,'), ['.git', 'node_modules', 'dist']);
+    });
+
+    it('keeps commas inside groups and escaped commas', () => {
+        assert.deepEqual(splitIgnorePatterns('*.{js,ts}, re:\\d{1,3}, a\\,b'), ['*.{js,ts}', 're:\\d{1,3}', 'a\\,b']);
+    });
+
+    it('does not let an unclosed group swallow the patterns after it', () => {
+        assert.deepEqual(splitIgnorePatterns('re:(, file[, dist, *.{js,ts}'), ['re:(', 'file[', 'dist', '*.{js,ts}']);
+        assert.deepEqual(splitIgnorePatterns('re:a(b, c), d'), ['re:a(b, c)', 'd']);
+    });
+});
+
+describe('parseIgnorePatterns', () => {
+    it('matches plain names at any depth, like the original ignore list', () => {
+        assert.equal(decide('node_modules', 'node_modules', true), true);
+        assert.equal(decide('node_modules', 'packages/a/node_modules', true), true);
+        assert.equal(decide('node_modules', 'src', true), null);
+    });
+
+    it('supports globs, brace alternatives and path-relative patterns', () => {
+        assert.equal(decide('*.min.js', 'dist/app.min.js'), true);
+        assert.equal(decide('coverage-*', 'coverage-2024', true), true);
+        assert.equal(decide('**/__snapshots__', 'src/a/__snapshots__', true), true);
+        assert.equal(decide('*.{js,ts}', 'index.ts'), true);
+        assert.equal(decide('docs/drafts', 'docs/drafts', true), true);
+        assert.equal(decide('docs/drafts', 'other/docs/drafts', true), null);
+        assert.equal(decide('build/', 'build', false), null);
+    });
+
+    it('tests re: patterns against the relative path', () => {
+        assert.equal(decide('re:\\.test\\.js$', 'src/app.test.js'), true);
+        assert.equal(decide('re:^src/', 'lib/src'), null);
+    });
+
+    it('gives precedence to the last matching pattern', () => {
+        assert.equal(decide('*.log, !keep.log', 'keep.log'), false);
+        assert.equal(decide('!keep.log, *.log', 'keep.log'), true);
+        assert.equal(decide('re:\\.tmp$, !re:^cache/', 'cache/a.tmp'), false);
+    });
+
+    it('reports invalid patterns without failing valid ones', () => {
+        const { rules, errors } = parseIgnorePatterns('ok, re:(, file[, !, /', BASE);
+        assert.equal(rules.length, 1);
+        assert.deepEqual(errors.map(error => error.pattern), ['re:(', 'file[', '!', '/']);
+        errors.forEach(error => assert.equal(typeof error.message, 'string'));
+    });
+
+    it('accepts an array of patterns', () => {
+        const { rules } = parseIgnorePatterns(['a, b', 'c'], BASE);
+        assert.deepEqual(rules.map(rule => rule.pattern), ['a', 'b', 'c']);
+    });
+});
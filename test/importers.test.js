@@ -0,0 +1,130 @@
+// --- test/importers.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTextFormat, parseTreeText } = require('../core/importers');
+const { generateAsciiTree, generateMarkdownTree } = require('../core/formatters');
+
+const TREE = {
+    name: 'project',
+    type: 'folder',
+    children: [
+        { name: 'README.md', type: 'file', comment: 'start here' },
+        {
+            name: 'src',
+            type: 'folder',
+            omittedCount: 2,
+            children: [
+                { name: 'index.js', type: 'file' },
+                { name: 'lib', type: 'folder', children: [] }
+            ]
+        },
+        { name: 'latest', type: 'symlink', target: 'releases/v2' }
+    ]
+};
+
+/**
+ * Sorts children by name, so that trees can be compared regardless of output order.
+ * @param {Object} node - The node to normalize.
+ * @returns {Object} A sorted copy.
+ */
+function sortByName(node) {
+    if (!node.children) {
+        return node;
+    }
+    return { ...node, children: node.children.map(sortByName).sort((a, b) => a.name.localeCompare(b.name)) };
+}
+
+describe('parseTreeText', () => {
+    it('reads back ASCII trees in every preset style', () => {
+        for (const asciiStyle of ['unicode', 'ascii', 'heavy', 'rounded']) {
+            const { tree, format, errors } = parseTreeText(generateAsciiTree(TREE, { asciiStyle, folderSlash: true }));
+            assert.equal(format, 'ascii');
+            assert.deepEqual(errors, []);
+            assert.deepEqual(sortByName(tree), sortByName(TREE), asciiStyle);
+        }
+    });
+
+    it('reads `tree` command output, skipping its summary line', () => {
+        const text = [
+            '.',
+            '├── docs',
+            '│   └── guide.md',
+            '└── package.json',
+            '',
+            '1 directory, 2 files'
+        ].join('\n');
+        const { tree, errors } = parseTreeText(text, { rootName: 'my-app' });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(tree, {
+            name: 'my-app',
+            type: 'folder',
+            children: [
+                { name: 'docs', type: 'folder', children: [{ name: 'guide.md', type: 'file' }] },
+                { name: 'package.json', type: 'file' }
+            ]
+        });
+    });
+
+    it('reads back Markdown lists with links, icons and task boxes', () => {
+        const markdown = generateMarkdownTree(TREE, { markdown: { links: true, icons: true, taskList: true } });
+        const { tree, format, errors } = parseTreeText(markdown);
+        assert.equal(format, 'markdown');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(sortByName(tree), sortByName(TREE));
+    });
+
+    it('unwraps fenced code blocks and puts several top-level items under the root name', () => {
+        const fenced = generateMarkdownTree(TREE, { markdown: { style: 'fence' }, folderSlash: true });
+        assert.deepEqual(sortByName(parseTreeText(fenced).tree), sortByName(TREE));
+
+        const { tree } = parseTreeText('* a.txt\n* b\n    * c.txt\n', { rootName: 'notes' });
+        assert.deepEqual(tree, {
+            name: 'notes',
+            type: 'folder',
+            children: [
+                { name: 'a.txt', type: 'file' },
+                { name: 'b', type: 'folder', children: [{ name: 'c.txt', type: 'file' }] }
+            ]
+        });
+    });
+
+    it('builds folders from path lists', () => {
+        const text = ['.', './src', './src/index.js', '.\\docs\\', 'src/lib/util.js'].join('\r\n');
+        assert.equal(detectTextFormat(text), 'paths');
+        const { tree, errors } = parseTreeText(text);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(tree, {
+            name: 'project_root',
+            type: 'folder',
+            children: [
+                {
+                    name: 'src',
+                    type: 'folder',
+                    children: [
+                        { name: 'index.js', type: 'file' },
+                        { name: 'lib', type: 'folder', children: [{ name: 'util.js', type: 'file' }] }
+                    ]
+                },
+                { name: 'docs', type: 'folder', children: [] }
+            ]
+        });
+    });
+
+    it('reports every line it cannot parse with its line number', () => {
+        const ascii = parseTreeText(['root', '├── a', '│       └── too-deep', 'stray text', '└── a'].join('\n'));
+        assert.deepEqual(ascii.errors.map(error => [error.line, error.message]), [
+            [3, 'The entry is indented more than one level below the previous entry.'],
+            [4, 'Expected a tree entry such as "├── name".'],
+            [5, '"a" appears twice in "root".']
+        ]);
+        assert.deepEqual(ascii.tree.children, [{ name: 'a', type: 'file' }]);
+
+        const markdown = parseTreeText('- a\n    - b\n  - c\nplain', { format: 'markdown' });
+        assert.deepEqual(markdown.errors.map(error => error.line), [3, 4]);
+
+        assert.equal(parseTreeText('../secret', { format: 'paths' }).errors[0].message, 'Paths cannot leave the root folder ("..").');
+        assert.deepEqual(parseTreeText('\n\n').errors, [{ line: 0, text: '', message: 'The text does not contain any entries.' }]);
+        assert.throws(() => parseTreeText('a', { format: 'xml' }), /Unknown import format "xml"/);
+    });
+});
@@ -0,0 +1,125 @@
+// --- test/merge.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeTrees } = require('../core/merge');
+const { moveNode } = require('../core/tree');
+
+// The tree as edited after an earlier scan.
+const EDITED = {
+    id: 'root',
+    name: 'app',
+    type: 'folder',
+    collapsed: false,
+    children: [
+        { id: 'node-1', name: 'Read me first.md', sourceName: 'README.md', type: 'file', comment: 'start here' },
+        {
+            id: 'node-2',
+            name: 'src',
+            type: 'folder',
+            collapsed: true,
+            children: [
+                { id: 'node-3', name: 'index.js', type: 'file' },
+                { id: 'node-4', name: '...', type: 'file', virtual: true, userOrder: 1 }
+            ]
+        },
+        { id: 'node-5', name: 'planned', type: 'folder', virtual: true, collapsed: false, children: [] },
+        { id: 'node-6', name: 'old.txt', type: 'file' },
+        { id: 'node-7', name: 'notes.txt', type: 'file', comment: 'meeting notes' }
+    ]
+};
+
+// A fresh scan of the same folder.
+const SCANNED = {
+    name: 'app',
+    type: 'folder',
+    children: [
+        { name: 'README.md', type: 'file', size: 12 },
+        { name: 'src', type: 'folder', children: [{ name: 'index.js', type: 'file' }, { name: 'util.js', type: 'file' }] },
+        { name: 'build', type: 'folder', children: [] }
+    ]
+};
+
+describe('mergeTrees', () => {
+    it('keeps IDs, display names, comments, added entries and collapsed folders', () => {
+        const { tree, conflicts } = mergeTrees(EDITED, SCANNED);
+        assert.deepEqual(tree.children.map(child => child.name), ['Read me first.md', 'src', 'planned', 'notes.txt', 'build']);
+        assert.deepEqual(tree.children[0], { id: 'node-1', name: 'Read me first.md', sourceName: 'README.md', type: 'file', size: 12, comment: 'start here' });
+
+        const src = tree.children[1];
+        assert.deepEqual([src.id, src.collapsed], ['node-2', true]);
+        assert.deepEqual(src.children.map(child => [child.name, child.id]), [['index.js', 'node-3'], ['...', 'node-4'], ['util.js', undefined]]);
+        assert.equal(tree.children[2].virtual, true);
+
+        // 'old.txt' was deleted on disk and had no edits; 'notes.txt' has a comment, so it is kept.
+        assert.deepEqual(conflicts.map(({ path, kind }) => [path, kind]), [['notes.txt', 'missing']]);
+        assert.equal(conflicts[0].node, tree.children[3]);
+    });
+
+    it('does not modify or share nodes with either input', () => {
+        const before = JSON.stringify(EDITED);
+        const { tree } = mergeTrees(EDITED, SCANNED);
+        tree.children[2].name = 'changed';
+        assert.equal(JSON.stringify(EDITED), before);
+    });
+
+    it('turns added entries that now exist on disk into scanned ones', () => {
+        const { tree, conflicts } = mergeTrees(EDITED, { ...SCANNED, children: [...SCANNED.children, { name: 'planned', type: 'folder', children: [{ name: 'a.txt', type: 'file' }] }] });
+        const planned = tree.children.find(child => child.name === 'planned');
+        assert.deepEqual(planned, { id: 'node-5', name: 'planned', type: 'folder', collapsed: false, children: [{ name: 'a.txt', type: 'file' }] });
+        assert.equal(conflicts.length, 1);
+    });
+
+    it('flags type changes of edited entries and renames that clash with new entries', () => {
+        const scanned = {
+            name: 'app',
+            type: 'folder',
+            children: [
+                { name: 'README.md', type: 'folder', children: [] },
+                { name: 'Read me first.md', type: 'file' },
+                { name: 'notes.txt', type: 'file' },
+                { name: 'src', type: 'file' }
+            ]
+        };
+        const { tree, conflicts } = mergeTrees(EDITED, scanned);
+        assert.deepEqual(conflicts.map(({ path, kind }) => [path, kind]), [
+            ['Read me first.md', 'type'],
+            ['src', 'type'],
+            ['Read me first.md', 'name']
+        ]);
+        assert.equal(tree.children[0].type, 'file'); // The edited entry is kept as it was.
+        assert.equal(tree.children[1].children.length, 2);
+        assert.equal(tree.children.filter(child => child.name === 'Read me first.md').length, 2);
+    });
+
+    it('keeps entries moved and reordered in the editor, or flags them if they are gone', () => {
+        const scan = () => ({
+            name: 'app',
+            type: 'folder',
+            children: [
+                { name: 'a', type: 'folder', children: [] },
+                { name: 'b', type: 'folder', children: ['x.txt', 'y.txt', 'z.txt'].map(name => ({ name, type: 'file' })) }
+            ]
+        });
+        const edited = scan();
+        edited.id = 'root';
+        edited.children[0].id = 'a';
+        edited.children[1].id = 'b';
+        edited.children[1].children.forEach(child => {
+            child.id = child.name;
+        });
+        moveNode(edited, 'x.txt', 'a', 'into');
+        moveNode(edited, 'z.txt', 'y.txt', 'before');
+
+        const { tree, conflicts } = mergeTrees(edited, scan());
+        assert.deepEqual(conflicts, []);
+        assert.deepEqual(tree.children[0].children, [{ id: 'x.txt', name: 'x.txt', type: 'file', sourceFolder: 'b' }]);
+        assert.deepEqual(tree.children[1].children.map(child => [child.name, child.userOrder]), [['y.txt', 2], ['z.txt', 1]]);
+
+        const gone = scan();
+        gone.children[1].children.shift(); // x.txt was deleted on disk.
+        const merged = mergeTrees(edited, gone);
+        assert.deepEqual(merged.conflicts.map(({ path, kind }) => [path, kind]), [['a/x.txt', 'missing']]);
+        assert.equal(merged.tree.children[0].children[0].sourceFolder, 'b');
+    });
+});
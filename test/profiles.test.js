@@ -0,0 +1,50 @@
+// --- test/profiles.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_PROFILES, normalizeProfile, normalizeProfiles, uniqueProfileName, mergeProfiles, serializeProfiles, parseProfilesFile
+} = require('../core/profiles');
+
+describe('normalizeProfile', () => {
+    it('fills in the defaults', () => {
+        assert.deepEqual(normalizeProfile({ name: ' Node repo ', ignorePatterns: ['node_modules', 'dist'], maxDepth: 0 }), {
+            name: 'Node repo',
+            ignorePatterns: 'node_modules, dist',
+            useGitignore: false,
+            maxDepth: null,
+            maxEntries: null,
+            sortOptions: { mode: 'name', foldersFirst: true, natural: false, caseSensitive: false },
+            outputFormat: 'ascii'
+        });
+    });
+
+    it('rejects profiles without a name, with invalid patterns or limits', () => {
+        assert.throws(() => normalizeProfile({ name: '  ' }), /A profile needs a name/);
+        assert.throws(() => normalizeProfile({ name: 'Bad', ignorePatterns: 're:(' }), /Profile "Bad" has an invalid ignore pattern: "re:\("/);
+        assert.throws(() => normalizeProfile({ name: 'Deep', maxDepth: -1 }), /Profile "Deep": Max depth must be a whole number/);
+    });
+});
+
+describe('profile lists', () => {
+    it('starts from the built-in profiles and keeps names unique', () => {
+        assert.deepEqual(normalizeProfiles().map(profile => profile.name), DEFAULT_PROFILES.map(profile => profile.name));
+        assert.deepEqual(normalizeProfiles([{ name: 'A' }, { name: 'A' }, { name: 'A (2)' }]).map(profile => profile.name), ['A', 'A (2)', 'A (2) (2)']);
+        assert.equal(uniqueProfileName('Docs only', ['Docs only', 'Docs only (2)']), 'Docs only (3)');
+    });
+
+    it('round-trips profile files and never replaces profiles on import', () => {
+        const profiles = normalizeProfiles([{ name: 'Node repo', ignorePatterns: 'node_modules', useGitignore: true, outputFormat: 'markdown' }]);
+        const text = serializeProfiles(profiles);
+        assert.equal(JSON.parse(text).version, 1);
+        assert.deepEqual(parseProfilesFile(text), profiles);
+
+        const { profiles: combined, added } = mergeProfiles(profiles, parseProfilesFile(text));
+        assert.deepEqual(added, ['Node repo (2)']);
+        assert.deepEqual(combined.map(profile => profile.name), ['Node repo', 'Node repo (2)']);
+
+        assert.deepEqual(parseProfilesFile('{ "name": "Single" }').map(profile => profile.name), ['Single']);
+        assert.throws(() => parseProfilesFile('{ "profiles": [] }'), /does not contain any profiles/);
+        assert.throws(() => parseProfilesFile('{ "version": 9, "profiles": [{ "name": "x" }] }'), /newer version/);
+    });
+});
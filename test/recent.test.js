@@ -0,0 +1,59 @@
+// --- test/recent.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const {
+    MAX_RECENT_ITEMS, normalizeRecentItems, addRecentItem, removeRecentItem, setRecentItemPinned, checkRecentItems
+} = require('../core/recent');
+
+const paths = items => items.map(item => item.path);
+
+describe('recent items', () => {
+    it('moves used paths to the top and drops the oldest unpinned ones', () => {
+        let items = [];
+        for (let i = 0; i <= MAX_RECENT_ITEMS; i++) {
+            items = addRecentItem(items, `/p${i}`, i);
+        }
+        assert.equal(items.length, MAX_RECENT_ITEMS);
+        assert.equal(items[0].path, `/p${MAX_RECENT_ITEMS}`);
+        assert.ok(!paths(items).includes('/p0'));
+
+        items = addRecentItem(items, '/p5', 100);
+        assert.equal(items[0].path, '/p5');
+        assert.equal(items.filter(item => item.path === '/p5').length, 1);
+    });
+
+    it('keeps pinned paths at the top, whatever the limit', () => {
+        let items = normalizeRecentItems([{ path: '/a', lastUsed: 1 }, { path: '/b', lastUsed: 2 }, { path: '/a', lastUsed: 3 }, { nope: true }]);
+        assert.deepEqual(paths(items), ['/b', '/a']);
+
+        items = setRecentItemPinned(items, '/a', true);
+        items = addRecentItem(items, '/c', 10);
+        assert.deepEqual(paths(items), ['/a', '/c', '/b']);
+        assert.deepEqual(paths(normalizeRecentItems(items, 1)), ['/a', '/c']);
+
+        items = addRecentItem(items, '/a', 20);
+        assert.equal(items[0].pinned, true); // Using a pinned path keeps it pinned.
+        assert.deepEqual(paths(removeRecentItem(items, '/a')), ['/c', '/b']);
+    });
+
+    it('marks paths that are gone or have another type as missing', async () => {
+        const root = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-recent-'));
+        try {
+            const file = path.join(root, 'tree.json');
+            await fs.writeFile(file, '{}');
+            const items = normalizeRecentItems([
+                { path: root, lastUsed: 3 },
+                { path: file, lastUsed: 2 },
+                { path: path.join(root, 'gone'), lastUsed: 1 }
+            ]);
+            assert.deepEqual((await checkRecentItems(items, 'folder')).map(item => item.missing), [false, true, true]);
+            assert.deepEqual((await checkRecentItems(items, 'file')).map(item => item.missing), [true, false, true]);
+        } finally {
+            await fs.rm(root, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,120 @@
+// --- test/scaffold.test.js ---
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { planScaffold, scaffoldTree, formatScaffoldReport } = require('../core/scaffold');
+
+const TREE = {
+    name: 'starter',
+    type: 'folder',
+    children: [
+        { name: 'README.md', type: 'file' },
+        {
+            name: 'src',
+            type: 'folder',
+            children: [
+                { name: 'index.js', type: 'file' },
+                { name: 'lib', type: 'folder', children: [] }
+            ]
+        },
+        { name: 'notes.txt', type: 'file' }
+    ]
+};
+
+describe('scaffoldTree', () => {
+    let target;
+
+    beforeEach(async () => {
+        target = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-scaffold-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(target, { recursive: true, force: true });
+    });
+
+    it('creates the folders and files, filling them from templates', async () => {
+        const result = await scaffoldTree(TREE, target, { templates: true });
+        assert.equal(result.dryRun, false);
+        assert.deepEqual(result.entries.map(entry => entry.status), Array(6).fill('created'));
+        assert.equal(await fs.readFile(path.join(target, 'starter/README.md'), 'utf8'), '# starter\n');
+        assert.equal(await fs.readFile(path.join(target, 'starter/src/index.js'), 'utf8'), '// starter/src/index.js\n');
+        assert.equal(await fs.readFile(path.join(target, 'starter/notes.txt'), 'utf8'), '');
+        assert.ok((await fs.stat(path.join(target, 'starter/src/lib'))).isDirectory());
+    });
+
+    it('only plans in a dry run, and can leave out the root folder', async () => {
+        const result = await scaffoldTree(TREE, target, { dryRun: true, includeRoot: false });
+        assert.deepEqual(result.entries.map(entry => [entry.path, entry.action]), [
+            ['README.md', 'create'],
+            ['src/', 'create'],
+            ['src/index.js', 'create'],
+            ['src/lib/', 'create'],
+            ['notes.txt', 'create']
+        ]);
+        assert.deepEqual(await fs.readdir(target), []);
+        assert.match(formatScaffoldReport(result), /^Dry run: 2 folders and 3 files to create\.\n\n\+ README\.md\n\+ src\/\n/);
+    });
+
+    it('skips, overwrites or refuses existing files', async () => {
+        await fs.mkdir(path.join(target, 'src'));
+        await fs.writeFile(path.join(target, 'README.md'), 'keep me');
+        await fs.writeFile(path.join(target, 'notes.txt'), 'old');
+
+        const skipped = await scaffoldTree(TREE, target, { includeRoot: false });
+        assert.deepEqual(skipped.entries.map(entry => entry.status), ['skipped', 'unchanged', 'created', 'created', 'skipped']);
+        assert.equal(await fs.readFile(path.join(target, 'README.md'), 'utf8'), 'keep me');
+
+        const overwritten = await scaffoldTree(TREE, target, { includeRoot: false, conflict: 'overwrite', templates: true });
+        assert.equal(overwritten.entries[0].status, 'overwritten');
+        assert.equal(await fs.readFile(path.join(target, 'README.md'), 'utf8'), '# starter\n');
+
+        const aborted = await scaffoldTree({ ...TREE, children: [...TREE.children, { name: 'new.txt', type: 'file' }] }, target, { includeRoot: false, conflict: 'abort' });
+        assert.equal(aborted.blocked, true);
+        assert.equal(aborted.dryRun, true);
+        assert.deepEqual(aborted.entries.filter(entry => entry.action === 'conflict').map(entry => entry.path),
+            ['README.md', 'src/index.js', 'notes.txt']); // Existing folders are not conflicts
+        await assert.rejects(fs.access(path.join(target, 'new.txt')));
+        assert.match(formatScaffoldReport(aborted), /^Nothing was created/);
+    });
+
+    it('refuses names that are not single path segments', async () => {
+        const tree = {
+            name: 'evil',
+            type: 'folder',
+            children: [
+                { name: '..', type: 'folder', children: [{ name: 'escaped.txt', type: 'file' }] },
+                { name: 'a/b.txt', type: 'file' }
+            ]
+        };
+        const plan = await planScaffold(tree, target);
+        assert.equal(plan.blocked, true);
+        assert.deepEqual(plan.entries.map(entry => entry.action), ['create', 'invalid', 'skip', 'invalid']);
+        assert.deepEqual(await fs.readdir(target), []);
+    });
+
+    it('skips "..." placeholder entries', async () => {
+        const tree = {
+            name: 'app',
+            type: 'folder',
+            children: [
+                { name: 'src', type: 'folder', children: [{ name: 'index.js', type: 'file' }, { name: '...', type: 'file', userOrder: 1 }] },
+                { name: '...', type: 'folder', children: [{ name: 'more.txt', type: 'file' }] }
+            ]
+        };
+        const result = await scaffoldTree(tree, target, { includeRoot: false });
+        assert.deepEqual(result.entries.map(entry => [entry.path, entry.status]), [
+            ['src/', 'created'], ['src/index.js', 'created'], ['src/...', 'skipped'], ['.../', 'skipped'], ['.../more.txt', 'skipped']
+        ]);
+        assert.match(result.entries[2].reason, /placeholder/);
+        assert.deepEqual(await fs.readdir(path.join(target, 'src')), ['index.js']);
+        assert.deepEqual(await fs.readdir(target), ['src']);
+    });
+
+    it('rejects a missing target folder or an unknown conflict mode', async () => {
+        await assert.rejects(planScaffold(TREE, path.join(target, 'missing')), /does not exist/);
+        await assert.rejects(planScaffold(TREE, target, { conflict: 'merge' }), /Unknown conflict mode "merge"/);
+    });
+});
@@ -0,0 +1,266 @@
+// --- test/scanner.test.js ---
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { generateTree } = require('../core');
+
+/**
+ * Creates a temporary directory populated from a nested object description.
+ * Object values become folders, string values become files with that content.
+ * @param {Object} structure - e.g. `{ src: { 'index.js': '' }, 'README.md': '# Hi' }`.
+ * @returns {Promise<string>} The absolute path of the created directory.
+ */
+async function createFixture(structure) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-test-'));
+    async function populate(dirPath, entries) {
+        for (const [name, value] of Object.entries(entries)) {
+            const entryPath = path.join(dirPath, name);
+            if (typeof value === 'string') {
+                await fs.mkdir(path.dirname(entryPath), { recursive: true });
+                await fs.writeFile(entryPath, value);
+            } else {
+                await fs.mkdir(entryPath, { recursive: true });
+                await populate(entryPath, value);
+            }
+        }
+    }
+    await populate(root, structure);
+    return root;
+}
+
+/**
+ * Converts a tree into a sorted list of '/'-separated paths, for order-independent assertions.
+ * Folders are suffixed with '/'.
+ * @param {Object} node - The node to flatten.
+ * @param {string} [prefix=''] - The path of the node's parent.
+ * @returns {string[]} The paths of all descendants of `node`.
+ */
+function listPaths(node, prefix = '') {
+    return (node.children || []).flatMap(child => {
+        const childPath = prefix + child.name;
+        return child.type === 'folder' ? [childPath + '/', ...listPaths(child, childPath + '/')] : [childPath];
+    }).sort();
+}
+
+describe('generateTree', () => {
+    let fixture;
+    let originalHome;
+    let originalXdgConfigHome;
+
+    before(async () => {
+        fixture = await createFixture({
+            project: {
+                '.git': { info: { exclude: 'secret.txt\n' }, HEAD: 'ref: refs/heads/main\n' },
+                '.gitignore': '*.log\n!keep.log\nbuild/\n/docs/internal\n',
+                'app.js': '',
+                'debug.log': '',
+                'keep.log': '',
+                'secret.txt': '',
+                'global.tmp': '',
+                build: { 'out.js': '' },
+                docs: { internal: { 'notes.md': '' }, 'guide.md': '' },
+                src: {
+                    '.gitignore': 'generated/\n',
+                    generated: { 'types.js': '' },
+                    docs: { internal: { 'kept.md': '' } },
+                    'index.js': '',
+                    'index.min.js': ''
+                }
+            },
+            home: { '.config': { git: { ignore: '*.tmp\n' } } }
+        });
+
+        // Point git's global configuration at the fixture so the user's own setup cannot leak in.
+        originalHome = process.env.HOME;
+        originalXdgConfigHome = process.env.XDG_CONFIG_HOME;
+        process.env.HOME = path.join(fixture, 'home');
+        process.env.XDG_CONFIG_HOME = path.join(fixture, 'home', '.config');
+    });
+
+    after(async () => {
+        process.env.HOME = originalHome;
+        if (originalXdgConfigHome === undefined) {
+            delete process.env.XDG_CONFIG_HOME;
+        } else {
+            process.env.XDG_CONFIG_HOME = originalXdgConfigHome;
+        }
+        await fs.rm(fixture, { recursive: true, force: true });
+    });
+
+    it('returns the whole tree when nothing is ignored', async () => {
+        const tree = await generateTree(path.join(fixture, 'project'));
+        assert.equal(tree.name, 'project');
+        assert.equal(tree.type, 'folder');
+        assert.ok(listPaths(tree).includes('.git/info/exclude'));
+        assert.ok(listPaths(tree).includes('build/out.js'));
+    });
+
+    it('applies ignore patterns', async () => {
+        const tree = await generateTree(path.join(fixture, 'project'), { ignorePatterns: '.git, *.log, *.min.js, src/generated, re:^docs$' });
+        assert.deepEqual(listPaths(tree), [
+            '.gitignore', 'app.js', 'build/', 'build/out.js', 'global.tmp', 'secret.txt',
+            'src/', 'src/.gitignore', 'src/docs/', 'src/docs/internal/', 'src/docs/internal/kept.md', 'src/index.js'
+        ]);
+    });
+
+    it('applies .gitignore files, .git/info/exclude and the global excludes file', async () => {
+        const tree = await generateTree(path.join(fixture, 'project'), { ignorePatterns: '.git', useGitignore: true });
+        assert.deepEqual(listPaths(tree), [
+            '.gitignore', 'app.js', 'docs/', 'docs/guide.md', 'keep.log',
+            'src/', 'src/.gitignore', 'src/docs/', 'src/docs/internal/', 'src/docs/internal/kept.md',
+            'src/index.js', 'src/index.min.js'
+        ]);
+    });
+
+    it('applies .gitignore files from parent folders of a scanned subfolder', async () => {
+        await fs.writeFile(path.join(fixture, 'project', 'src', 'trace.log'), '');
+        const tree = await generateTree(path.join(fixture, 'project', 'src'), { useGitignore: true });
+        assert.equal(listPaths(tree).includes('trace.log'), false);
+        assert.equal(listPaths(tree).includes('generated/'), false);
+    });
+
+    it('lets negated ignore patterns override .gitignore', async () => {
+        const tree = await generateTree(path.join(fixture, 'project'), { ignorePatterns: '.git, !debug.log', useGitignore: true });
+        assert.ok(listPaths(tree).includes('debug.log'));
+    });
+
+    it('returns an empty root when everything is ignored', async () => {
+        const tree = await generateTree(path.join(fixture, 'project'), { ignorePatterns: '*, .*' });
+        assert.deepEqual(tree, { name: 'project', type: 'folder', children: [] });
+    });
+
+    it('reports progress with a final total', async () => {
+        const reports = [];
+        await generateTree(path.join(fixture, 'project', 'docs'), { onProgress: progress => reports.push(progress), progressInterval: 0 });
+        assert.ok(reports.length > 0);
+        assert.deepEqual(reports[reports.length - 1], {
+            directories: 2,
+            files: 2,
+            currentPath: path.join(fixture, 'project', 'docs', 'internal')
+        });
+    });
+
+    it('produces the same tree regardless of concurrency', async () => {
+        const options = { ignorePatterns: '.git', useGitignore: true };
+        const sequential = await generateTree(path.join(fixture, 'project'), { ...options, concurrency: 1 });
+        const concurrent = await generateTree(path.join(fixture, 'project'), { ...options, concurrency: 32 });
+        assert.deepEqual(concurrent, sequential);
+    });
+
+    it('stops with an AbortError when cancelled', async () => {
+        const controller = new AbortController();
+        const scan = generateTree(path.join(fixture, 'project'), {
+            signal: controller.signal,
+            onProgress: () => controller.abort(), // Cancel as soon as the first folder is read.
+            progressInterval: 0
+        });
+        await assert.rejects(scan, { name: 'AbortError' });
+
+        controller.abort();
+        await assert.rejects(generateTree(path.join(fixture, 'project'), { signal: controller.signal }), { name: 'AbortError' });
+    });
+
+    it('stops at the max depth and counts what it left out', async () => {
+        const tree = await generateTree(path.join(fixture, 'project', 'docs'), { maxDepth: 1 });
+        assert.deepEqual(tree, {
+            name: 'docs',
+            type: 'folder',
+            children: [
+                { name: 'internal', type: 'folder', children: [], omittedCount: 1 },
+                { name: 'guide.md', type: 'file' }
+            ]
+        });
+    });
+
+    it('stops at the max entries, filling shallower levels first in display order', async () => {
+        const tree = await generateTree(path.join(fixture, 'project', 'docs'), { maxEntries: 1 });
+        assert.deepEqual(tree, {
+            name: 'docs',
+            type: 'folder',
+            omittedCount: 1,
+            children: [{ name: 'internal', type: 'folder', children: [], omittedCount: 1 }]
+        });
+
+        // The entries kept are those the given sort order shows first.
+        const mixed = await generateTree(path.join(fixture, 'project', 'docs'), { maxEntries: 1, sort: { foldersFirst: false } });
+        assert.deepEqual(mixed.children, [{ name: 'guide.md', type: 'file' }]);
+
+        const unlimited = await generateTree(path.join(fixture, 'project', 'docs'), { maxDepth: 0, maxEntries: '' });
+        assert.deepEqual(listPaths(unlimited), ['guide.md', 'internal/', 'internal/notes.md']);
+    });
+
+    it('collects sizes, modification times and folder totals on request', async () => {
+        await fs.writeFile(path.join(fixture, 'project', 'docs', 'guide.md'), '# Guide\n');
+        const tree = await generateTree(path.join(fixture, 'project', 'docs'), { collectMetadata: true });
+        const guide = tree.children.find(child => child.name === 'guide.md');
+        assert.equal(guide.size, 8);
+        assert.equal(typeof guide.mtime, 'number');
+        assert.deepEqual([tree.totalSize, tree.fileCount, tree.folderCount], [8, 2, 1]);
+
+        const plain = await generateTree(path.join(fixture, 'project', 'docs'));
+        assert.equal('size' in plain.children.find(child => child.name === 'guide.md'), false);
+    });
+
+    describe('symbolic links', () => {
+        let linksPath;
+
+        before(async () => {
+            linksPath = path.join(fixture, 'links');
+            await fs.mkdir(path.join(linksPath, 'real'), { recursive: true });
+            await fs.writeFile(path.join(linksPath, 'real', 'a.txt'), '');
+            await fs.symlink('real', path.join(linksPath, 'alias'));
+            await fs.symlink(path.join('real', 'a.txt'), path.join(linksPath, 'file-link'));
+            await fs.symlink('missing', path.join(linksPath, 'broken'));
+            await fs.symlink('..', path.join(linksPath, 'real', 'up')); // Points back at the scanned folder.
+        });
+
+        it('lists links with their targets without following them by default', async () => {
+            const tree = await generateTree(linksPath);
+            assert.deepEqual(tree.children, [
+                {
+                    name: 'real',
+                    type: 'folder',
+                    children: [{ name: 'a.txt', type: 'file' }, { name: 'up', type: 'symlink', target: '..' }]
+                },
+                { name: 'alias', type: 'symlink', target: 'real' },
+                { name: 'broken', type: 'symlink', target: 'missing' },
+                { name: 'file-link', type: 'symlink', target: path.join('real', 'a.txt') }
+            ]);
+        });
+
+        it('follows links without looping back into an ancestor', async () => {
+            const tree = await generateTree(linksPath, { symlinks: 'follow' });
+            assert.deepEqual(tree.children, [
+                {
+                    name: 'alias',
+                    type: 'folder',
+                    target: 'real',
+                    children: [{ name: 'a.txt', type: 'file' }, { name: 'up', type: 'symlink', target: '..' }]
+                },
+                {
+                    name: 'real',
+                    type: 'folder',
+                    children: [{ name: 'a.txt', type: 'file' }, { name: 'up', type: 'symlink', target: '..' }]
+                },
+                { name: 'broken', type: 'symlink', target: 'missing' },
+                { name: 'file-link', type: 'file', target: path.join('real', 'a.txt') }
+            ]);
+        });
+
+        it('leaves links out in skip mode and rejects unknown modes', async () => {
+            const tree = await generateTree(linksPath, { symlinks: 'skip' });
+            assert.deepEqual(listPaths(tree), ['real/', 'real/a.txt']);
+            await assert.rejects(generateTree(linksPath, { symlinks: 'resolve' }), /Unknown symlink mode/);
+        });
+    });
+
+    it('rejects invalid patterns, invalid limits and inaccessible folders', async () => {
+        await assert.rejects(generateTree(path.join(fixture, 'project'), { ignorePatterns: 're:(' }), /Invalid ignore pattern/);
+        await assert.rejects(generateTree(path.join(fixture, 'missing')), /Cannot access selected folder/);
+        await assert.rejects(generateTree(''), /Folder path is required/);
+        await assert.rejects(generateTree(path.join(fixture, 'project'), { maxDepth: 1.5 }), /Max depth must be a whole number/);
+    });
+});
@@ -0,0 +1,60 @@
+// --- test/search.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchMatcher, searchTree, filterTree } = require('../core/search');
+
+const tree = {
+    name: 'project', type: 'folder', children: [
+        { name: 'README.md', type: 'file' },
+        {
+            name: 'src', type: 'folder', omittedCount: 3, children: [
+                { name: 'index.js', type: 'file' },
+                { name: 'utils', type: 'folder', children: [{ name: 'Format.js', type: 'file' }, { name: 'notes.txt', type: 'file' }] }
+            ]
+        },
+        { name: 'docs', type: 'folder', children: [{ name: 'guide.md', type: 'file' }] }
+    ]
+};
+
+const names = nodes => [...nodes].map(node => node.name);
+
+describe('createSearchMatcher', () => {
+    it('reads the query as text, a glob or a regular expression', () => {
+        assert.equal(createSearchMatcher('  '), null);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('FORMAT')).matches), ['Format.js']);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('FORMAT', { caseSensitive: true })).matches), []);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('*.md', { mode: 'glob' })).matches), ['README.md', 'guide.md']);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('src/**/*.js', { mode: 'glob' })).matches), ['index.js', 'Format.js']);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('*.{md,txt}', { mode: 'glob' })).matches), ['README.md', 'notes.txt', 'guide.md']);
+        assert.deepEqual(names(searchTree(tree, createSearchMatcher('^[a-z]+\\.js$', { mode: 'regex' })).matches), ['index.js', 'Format.js']);
+    });
+
+    it('reports invalid queries', () => {
+        assert.throws(() => createSearchMatcher('(', { mode: 'regex' }), /Invalid regular expression/);
+        assert.throws(() => createSearchMatcher('[abc', { mode: 'glob' }), /Unclosed/);
+        assert.throws(() => createSearchMatcher('a', { mode: 'fuzzy' }), /Unknown search mode/);
+    });
+});
+
+describe('searchTree and filterTree', () => {
+    it('lists the matches in display order with the folders leading to them', () => {
+        const result = searchTree(tree, createSearchMatcher('.js'), { sort: { mode: 'name' } });
+        assert.deepEqual(names(result.matches), ['Format.js', 'index.js']);
+        assert.deepEqual(names(result.ancestors).sort(), ['project', 'src', 'utils']);
+        assert.deepEqual(names(result.visible).sort(), ['Format.js', 'index.js', 'project', 'src', 'utils']);
+    });
+
+    it('copies only the matches and their ancestors', () => {
+        const filtered = filterTree(tree, createSearchMatcher('guide'));
+        assert.deepEqual(filtered, {
+            name: 'project', type: 'folder', children: [
+                { name: 'docs', type: 'folder', children: [{ name: 'guide.md', type: 'file' }] }
+            ]
+        });
+        const src = filterTree(tree, createSearchMatcher('src')).children[0];
+        assert.deepEqual(src, { name: 'src', type: 'folder', children: [] }); // No '… N more items' left.
+        assert.deepEqual(filterTree(tree, createSearchMatcher('zzz')).children, []);
+        assert.equal(tree.children[1].omittedCount, 3); // The tree itself is unchanged.
+    });
+});
@@ -0,0 +1,265 @@
+// --- test/tree.test.js ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { customNodeSort, createNodeSorter, normalizeSortOptions } = require('../core/sort');
+const { findNodeById, findNodeParent, findNodeChain, getSourcePath, isValidTreeStructure, aggregateMetadata, formatSize, normalizeComment, detachNode, attachNode, checkMove, moveNode } = require('../core/tree');
+
+describe('customNodeSort', () => {
+    it('puts folders first, then sorts by name', () => {
+        const nodes = [
+            { name: 'b.txt', type: 'file' },
+            { name: 'src', type: 'folder' },
+            { name: 'a.txt', type: 'file' },
+            { name: 'assets', type: 'folder' }
+        ];
+        assert.deepEqual(nodes.sort(customNodeSort).map(node => node.name), ['assets', 'src', 'a.txt', 'b.txt']);
+    });
+
+    it('moves user-ordered items to the end of their type group, in userOrder order', () => {
+        const nodes = [
+            { name: '...', type: 'file', userOrder: 2 },
+            { name: 'z.txt', type: 'file' },
+            { name: 'another', type: 'file', userOrder: 1 },
+            { name: 'lib', type: 'folder' }
+        ];
+        assert.deepEqual(nodes.sort(customNodeSort).map(node => node.name), ['lib', 'z.txt', 'another', '...']);
+    });
+});
+
+describe('createNodeSorter', () => {
+    const sortNames = (names, options) => names.map(name => ({ name, type: 'file' }))
+        .sort(createNodeSorter(options)).map(node => node.name);
+
+    it('orders numbers naturally when asked', () => {
+        const names = ['file10.txt', 'file2.txt', 'file1.txt'];
+        assert.deepEqual(sortNames(names), ['file1.txt', 'file10.txt', 'file2.txt']);
+        assert.deepEqual(sortNames(names, { natural: true }), ['file1.txt', 'file2.txt', 'file10.txt']);
+        assert.deepEqual(sortNames(['b02', 'B1', 'b10', 'a3'], { natural: true, caseSensitive: true }), ['B1', 'a3', 'b02', 'b10']);
+    });
+
+    it('puts uppercase names first when case-sensitive', () => {
+        const names = ['apple', 'Zebra', 'banana'];
+        assert.deepEqual(sortNames(names), ['apple', 'banana', 'Zebra']);
+        assert.deepEqual(sortNames(names, { caseSensitive: true }), ['Zebra', 'apple', 'banana']);
+    });
+
+    it('sorts by extension, size, modification time or stored order', () => {
+        assert.deepEqual(sortNames(['b.js', 'a.md', 'c.css', 'Makefile'], { mode: 'extension' }), ['Makefile', 'c.css', 'b.js', 'a.md']);
+
+        const nodes = [
+            { name: 'small', type: 'file', size: 10, mtime: 3 },
+            { name: 'unknown', type: 'file' },
+            { name: 'dir', type: 'folder', totalSize: 50, mtime: 1 },
+            { name: 'big', type: 'file', size: 100, mtime: 2 }
+        ];
+        const sortBy = options => [...nodes].sort(createNodeSorter(options)).map(node => node.name);
+        assert.deepEqual(sortBy({ mode: 'size', foldersFirst: false }), ['big', 'dir', 'small', 'unknown']);
+        assert.deepEqual(sortBy({ mode: 'mtime' }), ['dir', 'small', 'big', 'unknown']);
+        assert.deepEqual(sortBy({ mode: 'manual', foldersFirst: false }), ['small', 'unknown', 'dir', 'big']);
+    });
+
+    it('falls back to the defaults for invalid options', () => {
+        assert.deepEqual(normalizeSortOptions({ mode: 'colour', natural: 'yes', foldersFirst: false }),
+            { mode: 'name', foldersFirst: false, natural: false, caseSensitive: false });
+    });
+});
+
+describe('tree helpers', () => {
+    const tree = {
+        id: 'root',
+        name: 'root',
+        type: 'folder',
+        children: [{ id: 'a', name: 'a', type: 'folder', children: [{ id: 'b', name: 'b', type: 'file' }] }]
+    };
+
+    it('finds nodes and their parents by ID', () => {
+        assert.equal(findNodeById(tree, 'b').name, 'b');
+        assert.equal(findNodeById(tree, 'missing'), null);
+        assert.equal(findNodeParent(tree, 'b').id, 'a');
+        assert.equal(findNodeParent(tree, 'root'), null);
+        const b = findNodeById(tree, 'b');
+        assert.deepEqual(findNodeChain(tree, b).map(node => node.id), ['root', 'a', 'b']);
+        assert.equal(findNodeChain(tree, { id: 'b' }), null);
+    });
+
+    it('validates the basic tree structure', () => {
+        assert.equal(isValidTreeStructure(tree), true);
+        assert.equal(isValidTreeStructure({ name: 'x', type: 'file' }), false);
+        assert.equal(isValidTreeStructure({ name: 'x', type: 'folder', children: {} }), false);
+        assert.equal(isValidTreeStructure(null), false);
+    });
+});
+
+describe('metadata helpers', () => {
+    it('totals sizes and counts for every folder, ignoring links that were not followed', () => {
+        const tree = aggregateMetadata({
+            name: 'root',
+            type: 'folder',
+            children: [
+                { name: 'a.txt', type: 'file', size: 100 },
+                { name: 'link', type: 'symlink', target: 'a.txt' },
+                {
+                    name: 'src',
+                    type: 'folder',
+                    children: [
+                        { name: 'b.js', type: 'file', size: 20 },
+                        { name: 'new.js', type: 'file' }, // Added in the editor: no size.
+                        { name: 'empty', type: 'folder', children: [] }
+                    ]
+                }
+            ]
+        });
+        assert.deepEqual([tree.totalSize, tree.fileCount, tree.folderCount], [120, 3, 2]);
+        const src = tree.children[2];
+        assert.deepEqual([src.totalSize, src.fileCount, src.folderCount], [20, 2, 1]);
+    });
+
+    it('formats sizes with binary units', () => {
+        assert.equal(formatSize(0), '0 B');
+        assert.equal(formatSize(1023), '1023 B');
+        assert.equal(formatSize(1536), '1.5 KB');
+        assert.equal(formatSize(5 * 1024 * 1024 * 1024), '5.0 GB');
+    });
+});
+
+describe('normalizeComment', () => {
+    it('keeps comments on one line and treats anything else as no comment', () => {
+        assert.equal(normalizeComment('  application\n  code '), 'application code');
+        assert.equal(normalizeComment(undefined), '');
+        assert.equal(normalizeComment(42), '');
+    });
+});
+
+describe('moving nodes', () => {
+    /**
+     * Builds a small tree with IDs, as the editor uses them.
+     * @returns {Object} The root node.
+     */
+    function createTree() {
+        return {
+            id: 'root',
+            name: 'project',
+            type: 'folder',
+            children: [
+                { id: 'src', name: 'src', type: 'folder', children: [{ id: 'lib', name: 'lib', type: 'folder', children: [] }] },
+                { id: 'docs', name: 'docs', type: 'folder', children: [{ id: 'readme', name: 'a.md', type: 'file' }] },
+                { id: 'a', name: 'a.md', type: 'file' },
+                { id: 'b', name: 'b.md', type: 'file' },
+                { id: 'c', name: 'c.md', type: 'file' }
+            ]
+        };
+    }
+
+    const namesOf = folder => [...folder.children].sort(customNodeSort).map(node => node.name);
+
+    it('reorders siblings with a persistent manual order', () => {
+        const tree = createTree();
+        moveNode(tree, 'c', 'a', 'before');
+        assert.deepEqual(namesOf(tree), ['docs', 'src', 'c.md', 'a.md', 'b.md']);
+        assert.deepEqual(tree.children.filter(node => node.type === 'file').map(node => node.userOrder), [2, 3, 1]);
+
+        moveNode(tree, 'docs', 'src', 'after');
+        assert.deepEqual(namesOf(tree), ['src', 'docs', 'c.md', 'a.md', 'b.md']);
+
+        // A JSON round trip (save/load) keeps the order.
+        assert.deepEqual(namesOf(JSON.parse(JSON.stringify(tree))), ['src', 'docs', 'c.md', 'a.md', 'b.md']);
+    });
+
+    it('moves nodes into folders at their natural position', () => {
+        const tree = createTree();
+        moveNode(tree, 'b', 'src', 'into');
+        assert.deepEqual(namesOf(findNodeById(tree, 'src')), ['lib', 'b.md']);
+        assert.equal(findNodeParent(tree, 'b').id, 'src');
+
+        moveNode(tree, 'lib', 'c', 'after'); // Beside a file: lib goes to the end of the folders.
+        assert.deepEqual(namesOf(tree), ['docs', 'src', 'lib', 'a.md', 'c.md']);
+    });
+
+    it('moves nodes into folders last in manual mode', () => {
+        const tree = createTree();
+        const sortOptions = { mode: 'manual' };
+        const sorted = folder => [...folder.children].sort(createNodeSorter(sortOptions)).map(node => node.name);
+        tree.children.push({ id: 'more', name: '...', type: 'file', userOrder: Date.now() });
+        moveNode(tree, 'c', 'a', 'before', sortOptions);
+        assert.deepEqual(sorted(tree), ['src', 'docs', 'c.md', 'a.md', 'b.md', '...']);
+
+        moveNode(tree, 'b', 'src', 'into', sortOptions);
+        moveNode(tree, 'b', 'root', 'into', sortOptions); // Back last, not before the manually ordered files.
+        assert.deepEqual(sorted(tree), ['src', 'docs', 'c.md', 'a.md', 'b.md', '...']);
+        assert.equal(findNodeById(tree, 'b').userOrder, 3);
+    });
+
+    it('records the folder on disk of entries moved to another folder', () => {
+        const tree = createTree();
+        moveNode(tree, 'readme', 'src', 'into');
+        assert.equal(findNodeById(tree, 'readme').sourceFolder, 'docs');
+        moveNode(tree, 'readme', 'lib', 'into');
+        assert.equal(getSourcePath(tree, findNodeById(tree, 'readme')), 'docs/a.md');
+        moveNode(tree, 'readme', 'docs', 'into'); // Back where it is on disk.
+        assert.equal('sourceFolder' in findNodeById(tree, 'readme'), false);
+        assert.equal(getSourcePath(tree, findNodeById(tree, 'lib')), 'src/lib');
+    });
+
+    it('orders folders and files together when they are mixed', () => {
+        const tree = createTree();
+        const sortOptions = { foldersFirst: false };
+        moveNode(tree, 'src', 'a', 'before', sortOptions); // Beside a file: mixed, so src goes right there.
+        assert.deepEqual([...tree.children].sort(createNodeSorter(sortOptions)).map(node => node.name),
+            ['src', 'a.md', 'b.md', 'c.md', 'docs']);
+    });
+
+    it('rejects moves into a descendant, onto duplicates, and of the root', () => {
+        const tree = createTree();
+        assert.equal(checkMove(tree, 'src', 'lib', 'into').valid, false);
+        assert.equal(checkMove(tree, 'src', 'src', 'into').valid, false);
+        assert.match(checkMove(tree, 'a', 'docs', 'into').message, /already exists/);
+        assert.equal(checkMove(tree, 'root', 'src', 'into').valid, false);
+        assert.equal(checkMove(tree, 'a', 'b', 'into').valid, false);
+        assert.equal(checkMove(tree, 'a', 'root', 'before').valid, false);
+        assert.equal(checkMove(tree, 'readme', 'b', 'after').valid, false); // Same name as a.md at the root.
+        assert.throws(() => moveNode(tree, 'src', 'lib', 'into'), /cannot be moved into itself/);
+        assert.deepEqual(namesOf(tree), ['docs', 'src', 'a.md', 'b.md', 'c.md']);
+    });
+});
+
+describe('detachNode / attachNode', () => {
+    function createTree() {
+        return {
+            id: 'root', name: 'project', type: 'folder', children: [
+                { id: 'src', name: 'src', type: 'folder', children: [] },
+                { id: 'a', name: 'a.md', type: 'file' },
+                { id: 'b', name: 'b.md', type: 'file' }
+            ]
+        };
+    }
+
+    it('takes a node out and puts it back at its position', () => {
+        const tree = createTree();
+        const removed = detachNode(tree, 'a');
+        assert.equal(removed.node.name, 'a.md');
+        assert.equal(removed.parent, tree);
+        assert.equal(removed.index, 1);
+        assert.deepEqual(tree.children.map(node => node.id), ['src', 'b']);
+
+        assert.equal(attachNode(tree, 'root', removed.node, removed.index), tree);
+        assert.deepEqual(tree.children.map(node => node.id), ['src', 'a', 'b']);
+    });
+
+    it('refuses missing nodes, missing or non-folder parents, and nodes already in the tree', () => {
+        const tree = createTree();
+        assert.equal(detachNode(tree, 'missing'), null);
+        assert.equal(detachNode(tree, 'root'), null);
+        assert.equal(attachNode(tree, 'missing', { id: 'c', name: 'c.md', type: 'file' }), null);
+        assert.equal(attachNode(tree, 'a', { id: 'c', name: 'c.md', type: 'file' }), null);
+        assert.equal(attachNode(tree, 'src', tree.children[1]), null);
+        assert.deepEqual(tree.children.map(node => node.id), ['src', 'a', 'b']);
+    });
+
+    it('appends without an index and clamps an index past the end', () => {
+        const tree = createTree();
+        attachNode(tree, 'src', { id: 'c', name: 'c.md', type: 'file' });
+        attachNode(tree, 'src', { id: 'd', name: 'd.md', type: 'file' }, 10);
+        assert.deepEqual(findNodeById(tree, 'src').children.map(node => node.id), ['c', 'd']);
+    });
+});
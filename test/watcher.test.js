@@ -0,0 +1,86 @@
+// --- test/watcher.test.js ---
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { watchTree } = require('../core/watcher');
+
+describe('watchTree', () => {
+    let root;
+    let watcher;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-watch-'));
+        await fs.mkdir(path.join(root, 'src'));
+        await fs.writeFile(path.join(root, 'src', 'index.js'), '');
+    });
+
+    afterEach(async () => {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('reports changes as incremental updates, leaving out ignored entries', { timeout: 10000 }, async () => {
+        const received = [];
+        let notify;
+        const updated = new Promise(resolve => { notify = resolve; });
+        const result = await watchTree(root, {
+            ignorePatterns: 'node_modules',
+            debounce: 50,
+            onUpdate: updates => {
+                received.push(...updates);
+                notify();
+            }
+        });
+        watcher = result.watcher;
+        assert.deepEqual(result.tree.children.map(child => child.name), ['src']);
+
+        await fs.mkdir(path.join(root, 'node_modules'));
+        await fs.writeFile(path.join(root, 'src', 'util.js'), '');
+        await updated;
+
+        assert.deepEqual(received, [{ op: 'add', path: ['src'], node: { name: 'util.js', type: 'file' } }]);
+        assert.deepEqual(watcher.getTree().children[0].children.map(child => child.name).sort(), ['index.js', 'util.js']);
+    });
+
+    it('watches only the folders that are scanned, including new ones', { timeout: 10000 }, async () => {
+        await fs.mkdir(path.join(root, 'node_modules', 'pkg'), { recursive: true });
+        const watched = [];
+        const originalWatch = fsSync.watch;
+        fsSync.watch = (dirPath, ...args) => {
+            watched.push(path.relative(root, dirPath));
+            return originalWatch(dirPath, ...args);
+        };
+        const received = [];
+        let notify;
+        let updated = new Promise(resolve => { notify = resolve; });
+        try {
+            watcher = (await watchTree(root, {
+                ignorePatterns: 'node_modules',
+                debounce: 50,
+                onUpdate: updates => {
+                    received.push(...updates);
+                    notify();
+                }
+            })).watcher;
+            assert.deepEqual(watched, ['', 'src']);
+
+            await fs.mkdir(path.join(root, 'src', 'lib'));
+            await updated;
+            assert.deepEqual(watched, ['', 'src', path.join('src', 'lib')]);
+
+            updated = new Promise(resolve => { notify = resolve; });
+            await fs.writeFile(path.join(root, 'src', 'lib', 'a.js'), '');
+            await updated;
+            assert.deepEqual(received[received.length - 1], { op: 'add', path: ['src', 'lib'], node: { name: 'a.js', type: 'file' } });
+        } finally {
+            fsSync.watch = originalWatch;
+        }
+    });
+});
@@ -0,0 +1,98 @@
+// --- test/workspace.test.js ---
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { generateWorkspaceTree } = require('../core/scanner');
+const { normalizeWorkspace, getWorkspaceRootNames, exportWorkspaceTree } = require('../core/workspace');
+
+describe('normalizeWorkspace', () => {
+    it('fills in the defaults', () => {
+        assert.deepEqual(normalizeWorkspace({ roots: [{ path: ' /repos/api ', ignorePatterns: ['dist', '*.log'] }] }), {
+            version: 1,
+            name: 'workspace',
+            layout: 'combined',
+            roots: [{ path: '/repos/api', ignorePatterns: 'dist, *.log', useGitignore: false }],
+            options: { maxDepth: null, maxEntries: null, symlinks: 'link', collectMetadata: false }
+        });
+    });
+
+    it('rejects definitions that cannot be scanned', () => {
+        assert.throws(() => normalizeWorkspace([]), /must be an object/);
+        assert.throws(() => normalizeWorkspace({ roots: [] }), /at least one root folder/);
+        assert.throws(() => normalizeWorkspace({ roots: [{ path: '/a' }, { label: 'b' }] }), /Root folder 2 of the workspace has no path/);
+        assert.throws(() => normalizeWorkspace({ roots: [{ path: '/a' }, { path: '/a' }] }), /listed twice/);
+        assert.throws(() => normalizeWorkspace({ roots: [{ path: '/repos/api' }, { path: '/repos/api/' }] }), /"\/repos\/api\/" is listed twice/);
+        assert.throws(() => normalizeWorkspace({ roots: [{ path: '/repos/web/../api' }, { path: '/repos//./api' }] }), /listed twice/);
+        assert.throws(() => normalizeWorkspace({ roots: [{ path: 'C:\\repos\\api' }, { path: 'c:/repos/api/' }] }), /listed twice/);
+        assert.equal(normalizeWorkspace({ roots: [{ path: '/repos/api' }, { path: '/repos/api-v2' }] }).roots.length, 2);
+        assert.throws(() => normalizeWorkspace({ layout: 'grid', roots: [{ path: '/a' }] }), /Unknown workspace layout "grid"/);
+        assert.throws(() => normalizeWorkspace({ version: 2, roots: [{ path: '/a' }] }), /newer version/);
+    });
+
+    it('names roots by label or folder name, numbering repeated names', () => {
+        const workspace = normalizeWorkspace({
+            roots: [{ path: '/team-a/api' }, { path: 'C:\\team-b\\api\\' }, { path: '/web', label: 'frontend' }]
+        });
+        assert.deepEqual(getWorkspaceRootNames(workspace), ['api', 'api (2)', 'frontend']);
+    });
+});
+
+describe('generateWorkspaceTree', () => {
+    let base;
+
+    before(async () => {
+        base = await fs.mkdtemp(path.join(os.tmpdir(), 'dtg-workspace-'));
+        for (const file of ['api/src/server.js', 'api/dist/bundle.js', 'web/index.html', 'web/dist/app.js']) {
+            await fs.mkdir(path.dirname(path.join(base, file)), { recursive: true });
+            await fs.writeFile(path.join(base, file), '');
+        }
+    });
+
+    after(async () => {
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    it('scans every root with its own ignore settings under one root', async () => {
+        const tree = await generateWorkspaceTree({
+            name: 'services',
+            roots: [
+                { path: path.join(base, 'api'), ignorePatterns: 'dist' },
+                { path: path.join(base, 'web'), label: 'frontend' }
+            ]
+        });
+        assert.equal(tree.name, 'services');
+        assert.equal(tree.workspace, 'combined');
+        assert.deepEqual(tree.children.map(child => [child.name, child.rootPath]), [
+            ['api', path.join(base, 'api')],
+            ['frontend', path.join(base, 'web')]
+        ]);
+        assert.deepEqual(tree.children[0].children.map(child => child.name), ['src']);
+        assert.deepEqual(tree.children[1].children.map(child => child.name).sort(), ['dist', 'index.html']);
+    });
+
+    it('names the root that cannot be scanned', async () => {
+        const missing = path.join(base, 'missing');
+        await assert.rejects(generateWorkspaceTree({ roots: [{ path: missing }] }), error => error.message.startsWith(`${missing}: `));
+    });
+});
+
+describe('exportWorkspaceTree', () => {
+    const tree = {
+        name: 'services',
+        type: 'folder',
+        workspace: 'separate',
+        children: [
+            { name: 'web', type: 'folder', children: [{ name: 'index.html', type: 'file' }] },
+            { name: 'api', type: 'folder', children: [{ name: 'server.js', type: 'file' }] }
+        ]
+    };
+
+    it('writes side-by-side roots as separate trees, in workspace order', () => {
+        assert.equal(exportWorkspaceTree(tree, 'ascii'), 'web\n└── index.html\n\napi\n└── server.js\n');
+        assert.match(exportWorkspaceTree({ ...tree, workspace: 'combined' }, 'ascii'), /^services\n├── api\n/);
+        assert.match(exportWorkspaceTree(tree, 'json'), /"name": "services"/); // Only text formats are split
+    });
+});